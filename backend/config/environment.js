@@ -13,6 +13,11 @@ const envSchema = Joi.object({
   PORT: Joi.number()
     .port()
     .default(3000),
+  // Proxy hops in front of the app, so req.ip is the client's address
+  TRUST_PROXY: Joi.number()
+    .integer()
+    .min(0)
+    .default(0),
 
   // Database Configuration
   MONGODB_URI: Joi.string()
@@ -63,6 +68,17 @@ const envSchema = Joi.object({
       'string.min': 'JWT_SECRET must be at least 32 characters long for security',
       'any.required': 'JWT_SECRET is required. Generate a secure random string.'
     }),
+  JWT_ACCESS_TOKEN_TTL: Joi.string()
+    .pattern(/^\d+[smhd]$/)
+    .optional()
+    .default('15m')
+    .messages({
+      'string.pattern.base': 'JWT_ACCESS_TOKEN_TTL must be a duration like 15m or 1h'
+    }),
+  REFRESH_TOKEN_TTL_DAYS: Joi.number()
+    .positive()
+    .optional()
+    .default(30),
   GOOGLE_CLIENT_ID: Joi.string()
     .pattern(/\.apps\.googleusercontent\.com$/)
     .required()
@@ -83,6 +99,63 @@ const envSchema = Joi.object({
       'string.min': 'SESSION_SECRET must be at least 32 characters long for security',
       'any.required': 'SESSION_SECRET is required. Generate a secure random string.'
     }),
+  APPLE_CLIENT_ID: Joi.string()
+    .optional()
+    .messages({
+      'string.base': 'APPLE_CLIENT_ID must be the app bundle ID, or a comma-separated list of IDs'
+    }),
+  OAUTH_REDIRECT_URIS: Joi.string()
+    .optional()
+    .messages({
+      'string.base': 'OAUTH_REDIRECT_URIS must be a comma-separated list of redirect URIs'
+    }),
+  APPLE_JWKS_URL: Joi.string()
+    .uri({ scheme: ['https', 'http'] })
+    .optional()
+    .default('https://appleid.apple.com/auth/keys'),
+
+  // Passwordless email sign-in
+  MAIL_TRANSPORT: Joi.string()
+    .valid('console', 'file')
+    .optional()
+    .default('console'),
+  MAIL_FROM: Joi.string()
+    .optional()
+    .default('Persona Arcana <no-reply@personaarcana.app>'),
+  MAIL_FILE_DIR: Joi.string()
+    .optional(),
+  MAGIC_LINK_URL: Joi.string()
+    .optional()
+    .default('personaarcana://auth/magic'),
+  MAGIC_LINK_TTL_MINUTES: Joi.number()
+    .positive()
+    .optional()
+    .default(15),
+
+  // Account Deletion
+  ACCOUNT_DELETION_GRACE_DAYS: Joi.number()
+    .min(0)
+    .optional()
+    .default(30),
+  ACCOUNT_RESTORE_URL: Joi.string()
+    .optional()
+    .default('personaarcana://account/restore'),
+
+  // Data Export
+  DATA_EXPORT_RETENTION_DAYS: Joi.number()
+    .positive()
+    .optional()
+    .default(7),
+  DATA_EXPORT_LINK_TTL_MINUTES: Joi.number()
+    .positive()
+    .optional()
+    .default(60),
+
+  // Journal Import
+  IMPORT_ANALYSIS_PER_MINUTE: Joi.number()
+    .positive()
+    .optional()
+    .default(10),
 
   // Error Tracking (Optional)
   SENTRY_DSN: Joi.string()
@@ -152,7 +225,85 @@ const envSchema = Joi.object({
     .messages({
       'string.pattern.base': 'OPENAI_API_KEY must start with "sk-"'
     }),
+  OPENAI_MODEL: Joi.string()
+    .optional()
+    .default('gpt-4o-mini'),
   EXPO_ACCESS_TOKEN: Joi.string()
+    .optional(),
+
+  // Background Jobs
+  ANALYSIS_PROVIDER: Joi.string()
+    .valid('openai', 'stub')
+    .optional()
+    .messages({
+      'any.only': 'ANALYSIS_PROVIDER must be "openai" or "stub"'
+    }),
+  WORKER_ENABLED: Joi.boolean()
+    .optional()
+    .default(true),
+  WORKER_POLL_INTERVAL_MS: Joi.number()
+    .positive()
+    .optional()
+    .default(5000),
+
+  TRANSCRIPTION_PROVIDER: Joi.string()
+    .valid('openai', 'stub')
+    .optional()
+    .messages({
+      'any.only': 'TRANSCRIPTION_PROVIDER must be "openai" or "stub"'
+    }),
+  OPENAI_TRANSCRIPTION_MODEL: Joi.string()
+    .optional()
+    .default('whisper-1'),
+  TRANSCRIPT_REVIEW_WINDOW_MS: Joi.number()
+    .positive()
+    .optional()
+    .default(24 * 60 * 60 * 1000), // 24 hours
+
+  PUSH_PROVIDER: Joi.string()
+    .valid('expo', 'fake')
+    .optional()
+    .messages({
+      'any.only': 'PUSH_PROVIDER must be "expo" or "fake"'
+    }),
+
+  PERSONA_DISCOVERY_INTERVAL_MS: Joi.number()
+    .positive()
+    .optional()
+    .default(6 * 60 * 60 * 1000), // 6 hours
+
+  // Semantic Search
+  EMBEDDING_PROVIDER: Joi.string()
+    .valid('openai', 'hashing')
+    .optional()
+    .messages({
+      'any.only': 'EMBEDDING_PROVIDER must be "openai" or "hashing"'
+    }),
+  OPENAI_EMBEDDING_MODEL: Joi.string()
+    .optional()
+    .default('text-embedding-3-small'),
+  VECTOR_SEARCH_MODE: Joi.string()
+    .valid('atlas', 'memory')
+    .optional()
+    .default('memory'),
+  ATLAS_VECTOR_INDEX: Joi.string()
+    .optional()
+    .default('journal_embeddings'),
+
+  // Field Encryption at Rest
+  FIELD_ENCRYPTION_PROVIDER: Joi.string()
+    .valid('env', 'none')
+    .optional()
+    .messages({
+      'any.only': 'FIELD_ENCRYPTION_PROVIDER must be "env" or "none"'
+    }),
+  FIELD_ENCRYPTION_KEYS: Joi.string()
+    .pattern(/^\s*[^:,\s]+:[A-Za-z0-9+/]{43}=\s*(,\s*[^:,\s]+:[A-Za-z0-9+/]{43}=\s*)*$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'FIELD_ENCRYPTION_KEYS must be comma-separated keyId:base64 pairs of 32-byte keys'
+    }),
+  FIELD_ENCRYPTION_KEY_ID: Joi.string()
     .optional()
 
 }).unknown(); // Allow unknown variables for flexibility
@@ -201,6 +352,7 @@ function getEnvironmentConfig(env) {
     // Basic settings
     nodeEnv: env.NODE_ENV,
     port: env.PORT,
+    trustProxy: env.TRUST_PROXY,
     isProduction,
     isDevelopment,
 
@@ -226,13 +378,47 @@ function getEnvironmentConfig(env) {
     // Authentication
     auth: {
       jwtSecret: env.JWT_SECRET,
+      accessTokenTtl: env.JWT_ACCESS_TOKEN_TTL,
+      refreshTokenTtlDays: env.REFRESH_TOKEN_TTL_DAYS,
       sessionSecret: env.SESSION_SECRET,
       google: {
         clientId: env.GOOGLE_CLIENT_ID,
         clientSecret: env.GOOGLE_CLIENT_SECRET
+      },
+      apple: {
+        clientIds: env.APPLE_CLIENT_ID ? env.APPLE_CLIENT_ID.split(',').map(id => id.trim()) : [],
+        jwksUrl: env.APPLE_JWKS_URL
+      },
+      magicLink: {
+        url: env.MAGIC_LINK_URL,
+        ttlMinutes: env.MAGIC_LINK_TTL_MINUTES
       }
     },
 
+    // Account deletion: soft delete, then purge after the grace period
+    accountDeletion: {
+      graceDays: env.ACCOUNT_DELETION_GRACE_DAYS,
+      restoreUrl: env.ACCOUNT_RESTORE_URL
+    },
+
+    // Personal data export archives and their download links
+    dataExport: {
+      retentionDays: env.DATA_EXPORT_RETENTION_DAYS,
+      linkTtlMinutes: env.DATA_EXPORT_LINK_TTL_MINUTES
+    },
+
+    // Imports from other journaling apps
+    journalImport: {
+      analysisPerMinute: env.IMPORT_ANALYSIS_PER_MINUTE
+    },
+
+    // Outgoing mail
+    mail: {
+      transport: env.MAIL_TRANSPORT,
+      from: env.MAIL_FROM,
+      fileDir: env.MAIL_FILE_DIR
+    },
+
     // Security
     security: {
       allowedOrigins: env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim()),
@@ -263,10 +449,35 @@ function getEnvironmentConfig(env) {
 
     // Future features
     openai: {
-      apiKey: env.OPENAI_API_KEY
+      apiKey: env.OPENAI_API_KEY,
+      model: env.OPENAI_MODEL
     },
     expo: {
       accessToken: env.EXPO_ACCESS_TOKEN
+    },
+
+    // Background jobs
+    worker: {
+      enabled: env.WORKER_ENABLED,
+      pollIntervalMs: env.WORKER_POLL_INTERVAL_MS,
+      analysisProvider: env.ANALYSIS_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'stub'),
+      transcriptionProvider: env.TRANSCRIPTION_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'stub'),
+      pushProvider: env.PUSH_PROVIDER || (env.EXPO_ACCESS_TOKEN ? 'expo' : 'fake'),
+      transcriptReviewWindowMs: env.TRANSCRIPT_REVIEW_WINDOW_MS,
+      discoveryIntervalMs: env.PERSONA_DISCOVERY_INTERVAL_MS
+    },
+
+    // Semantic search
+    search: {
+      embeddingProvider: env.EMBEDDING_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'hashing'),
+      mode: env.VECTOR_SEARCH_MODE,
+      atlasIndex: env.ATLAS_VECTOR_INDEX
+    },
+
+    // Field encryption at rest
+    fieldEncryption: {
+      provider: env.FIELD_ENCRYPTION_PROVIDER || (env.FIELD_ENCRYPTION_KEYS ? 'env' : 'none'),
+      currentKeyId: env.FIELD_ENCRYPTION_KEY_ID
     }
   };
 }
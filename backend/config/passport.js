@@ -3,6 +3,11 @@ const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const JwtStrategy = require('passport-jwt').Strategy;
 const ExtractJwt = require('passport-jwt').ExtractJwt;
 const User = require('../models/User');
+const { IdentityService } = require('../services/identityService');
+const { SessionService } = require('../services/sessionService');
+
+const identityService = new IdentityService();
+const sessionService = new SessionService();
 
 // Configure Google OAuth strategy
 passport.use(
@@ -16,36 +21,44 @@ passport.use(
     async (accessToken, refreshToken, profile, done) => {
       try {
         console.log('Google OAuth callback received for user:', profile.id);
-        
-        // Check if user already exists
-        let user = await User.findOne({ googleId: profile.id });
 
-        if (user) {
+        const primaryEmail = profile.emails && profile.emails[0] ? profile.emails[0] : null;
+        const googleImage = profile.photos && profile.photos[0] ? profile.photos[0].value : null;
+
+        const { status, user } = await identityService.resolveUser({
+          provider: 'google',
+          subject: profile.id,
+          email: primaryEmail?.value,
+          emailVerified: primaryEmail?.verified === true,
+          name: profile.displayName,
+          image: googleImage,
+        });
+
+        if (status === 'missing-email') {
+          return done(new Error('No email provided by Google'), null);
+        }
+
+        if (status === 'pending-deletion') {
+          console.warn('Sign-in refused, account is scheduled for deletion:', primaryEmail?.value);
+          return done(null, false);
+        }
+
+        if (status === 'unverified-email') {
+          console.warn('Google email is unverified and already belongs to an account:', primaryEmail.value);
+          return done(null, false);
+        }
+
+        if (status === 'existing') {
           // Update existing user with latest Google profile info
           user.name = profile.displayName;
-          user.googleImage = profile.photos && profile.photos[0] ? profile.photos[0].value : null;
-          user.email = profile.emails && profile.emails[0] ? profile.emails[0].value : user.email;
+          user.googleImage = googleImage;
           await user.save();
-          
-          console.log('Updated existing user:', user.email);
-          return done(null, user);
-        }
 
-        // Create new user
-        const email = profile.emails && profile.emails[0] ? profile.emails[0].value : null;
-        
-        if (!email) {
-          return done(new Error('No email provided by Google'), null);
+          console.log('Updated existing user:', user.email);
+        } else {
+          console.log(status === 'linked' ? 'Linked Google to existing user:' : 'Created new user:', user.email);
         }
 
-        user = await User.create({
-          googleId: profile.id,
-          email: email,
-          name: profile.displayName,
-          googleImage: profile.photos && profile.photos[0] ? profile.photos[0].value : null,
-        });
-
-        console.log('Created new user:', user.email);
         return done(null, user);
       } catch (error) {
         console.error('Google OAuth error:', error);
@@ -64,10 +77,21 @@ passport.use(
     },
     async (payload, done) => {
       try {
+        // Access tokens outlive a revoked session by up to their TTL otherwise.
+        // Tokens without a session predate refresh tokens and can't be revoked,
+        // so they are refused; clients sign in again.
+        if (!payload.sid || await sessionService.isRevoked(payload.sid)) {
+          return done(null, false, { message: 'Session has been revoked', code: 'SESSION_REVOKED' });
+        }
+
         const user = await User.findById(payload.userId);
+
+        if (user?.isPendingDeletion()) {
+          return done(null, false, { message: 'Account is scheduled for deletion', code: 'ACCOUNT_PENDING_DELETION' });
+        }
         
         if (user) {
-          return done(null, user);
+          return done(null, user, payload);
         }
         
         return done(null, false);
@@ -23,11 +23,12 @@ const requireAuth = (req, res, next) => {
         success: false,
         data: null,
         error: message,
-        code: 'UNAUTHORIZED'
+        code: info?.code || 'UNAUTHORIZED'
       });
     }
 
     req.user = user;
+    req.token = info; // Decoded access token claims
     next();
   })(req, res, next);
 };
@@ -125,15 +126,16 @@ const requireOwnership = (resourceUserIdField = 'userId') => {
       });
     }
 
-    // Get resource user ID from request params, body, or custom field
+    // Get resource user ID from a loaded resource, request params, or body.
+    // A loaded resource wins so a client-supplied ID can't override it.
     let resourceUserId;
     
-    if (req.params[resourceUserIdField]) {
+    if (req.resource && req.resource[resourceUserIdField]) {
+      resourceUserId = req.resource[resourceUserIdField];
+    } else if (req.params[resourceUserIdField]) {
       resourceUserId = req.params[resourceUserIdField];
-    } else if (req.body[resourceUserIdField]) {
+    } else if (req.body && req.body[resourceUserIdField]) {
       resourceUserId = req.body[resourceUserIdField];
-    } else if (req.resource && req.resource[resourceUserIdField]) {
-      resourceUserId = req.resource[resourceUserIdField];
     }
 
     if (!resourceUserId) {
@@ -160,18 +162,22 @@ const requireOwnership = (resourceUserIdField = 'userId') => {
 };
 
 /**
- * Generate JWT token for user
+ * Generate a short-lived JWT access token for user. Clients renew it with
+ * the refresh token issued alongside (see services/tokenService.js).
+ * @param {Object} user - User document
+ * @param {Object} options - { sessionId } sign-in session the token belongs to
  */
-const generateToken = (user) => {
+const generateToken = (user, { sessionId } = {}) => {
   return jwt.sign(
     {
       userId: user._id,
       email: user.email,
-      name: user.name
+      name: user.name,
+      ...(sessionId && { sid: sessionId })
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: '30d',
+      expiresIn: process.env.JWT_ACCESS_TOKEN_TTL || '15m',
       issuer: 'persona-arcana-api',
       audience: 'persona-arcana-mobile'
     }
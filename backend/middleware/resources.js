@@ -0,0 +1,29 @@
+const { asyncHandler, APIError } = require('./errorHandler');
+
+/**
+ * Load the document named by a route param into req.resource, so that
+ * requireOwnership() can check it against the authenticated user
+ * @param {mongoose.Model} Model - Model to load from
+ * @param {Object} options - { param, select, notFoundMessage, notFoundCode }
+ */
+const loadResource = (Model, options = {}) => {
+  const {
+    param = 'id',
+    select = '-__v',
+    notFoundMessage = `${Model.modelName} not found`,
+    notFoundCode = 'NOT_FOUND',
+  } = options;
+
+  return asyncHandler(async (req, res, next) => {
+    const resource = await Model.findById(req.params[param]).select(select);
+
+    if (!resource) {
+      throw new APIError(notFoundMessage, 404, notFoundCode);
+    }
+
+    req.resource = resource;
+    next();
+  });
+};
+
+module.exports = { loadResource };
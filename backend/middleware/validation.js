@@ -1,5 +1,11 @@
 const Joi = require('joi');
 const mongoose = require('mongoose');
+const { TAG_NAMESPACES, ENCRYPTION_ALGORITHMS } = require('../models/JournalEntry');
+const { PLATFORMS } = require('../models/Device');
+const { ONBOARDING_STEPS } = require('../models/User');
+const { PROMPT_NAMESPACES } = require('../models/Prompt');
+const { MOOD_EMOTIONS } = require('../models/MoodCheckIn');
+const { isValidTimeZone, canonicalLocale } = require('../services/localTime');
 
 /**
  * Validation middleware factory
@@ -31,6 +37,38 @@ const validate = (schema) => {
   };
 };
 
+/**
+ * Query string validation middleware factory
+ * Exposes the validated (and type-converted) values as req.validatedQuery
+ */
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const details = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details
+      });
+    }
+
+    req.validatedQuery = value;
+    next();
+  };
+};
+
 /**
  * Validate MongoDB ObjectId
  */
@@ -51,10 +89,122 @@ const validateObjectId = (paramName) => {
   };
 };
 
+const personaForm = Joi.object({
+  title: Joi.string().min(1).max(100).required(),
+  description: Joi.string().max(2000).allow('').optional(),
+  traits: Joi.array().items(Joi.string().max(50)).max(20).optional()
+});
+
+const objectId = Joi.string().hex().length(24);
+
+// IANA timezone name, and BCP 47 locale tag stored in canonical form
+const timeZone = Joi.string().max(64).custom((value, helpers) => (
+  isValidTimeZone(value) ? value : helpers.error('any.invalid')
+));
+const locale = Joi.string().max(35).custom((value, helpers) => (
+  canonicalLocale(value) || helpers.error('any.invalid')
+));
+
+// What a client reports about itself when signing in or refreshing. An
+// unrecognized timezone or locale is ignored rather than failing sign-in.
+const deviceInfo = Joi.object({
+  platform: Joi.string().valid(...PLATFORMS).optional(),
+  appVersion: Joi.string().max(50).optional(),
+  name: Joi.string().max(100).optional(),
+  pushToken: Joi.string().max(500).optional(),
+  timezone: Joi.string().max(64).optional(),
+  locale: Joi.string().max(35).optional()
+});
+
+// Tags users can review or write: any analysis namespace but 'system'
+const analysisNamespace = Joi.string().valid(...TAG_NAMESPACES.filter(namespace => namespace !== 'system'));
+const tagName = Joi.string().trim().lowercase().min(1).max(100);
+
+// End-to-end encryption payloads; the server stores them without being able
+// to read them. Nonces are 24 bytes (XChaCha20) and keys 32 bytes.
+const base64 = Joi.string().base64();
+
+const encryptedContent = Joi.object({
+  algorithm: Joi.string().valid(...ENCRYPTION_ALGORITHMS).required(),
+  nonce: base64.length(32).required(),
+  // 50,000 characters of UTF-8 plus the authentication tag
+  ciphertext: base64.max(270000).required()
+});
+
+const wrappedKey = Joi.object({
+  nonce: base64.length(32).required(),
+  ciphertext: base64.length(64).required()
+});
+
+const keyDerivation = Joi.object({
+  algorithm: Joi.string().valid('scrypt').required(),
+  salt: base64.min(16).max(64).required(),
+  cost: Joi.number().integer().min(2 ** 14).max(2 ** 20).required(),
+  blockSize: Joi.number().integer().min(8).max(32).required(),
+  parallelism: Joi.number().integer().min(1).max(4).required()
+});
+
+const keyProof = base64.length(44);
+
+// Word count of an encrypted entry, which the server can't count itself
+const encryptedWordCount = Joi.number().integer().min(0).max(50000).when('encrypted', {
+  is: Joi.exist(),
+  then: Joi.required(),
+  otherwise: Joi.forbidden()
+});
+
 /**
  * Validation schemas
  */
 const schemas = {
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().max(200).required(),
+    device: deviceInfo.optional()
+  }),
+
+  logout: Joi.object({
+    refreshToken: Joi.string().max(200).optional()
+  }),
+
+  restoreAccount: Joi.object({
+    token: Joi.string().max(200).required()
+  }),
+
+  // PKCE S256 challenge: base64url SHA-256, always 43 characters
+  googleAuthorize: Joi.object({
+    redirect_uri: Joi.string().max(500).optional(),
+    code_challenge: Joi.string().pattern(/^[A-Za-z0-9_-]{43}$/).required(),
+    code_challenge_method: Joi.string().valid('S256').default('S256')
+  }),
+
+  appleSignIn: Joi.object({
+    identityToken: Joi.string().max(5000).required(),
+    nonce: Joi.string().min(16).max(200).required(),
+    fullName: Joi.object({
+      givenName: Joi.string().max(100).allow(null, '').optional(),
+      familyName: Joi.string().max(100).allow(null, '').optional()
+    }).optional(),
+    device: deviceInfo.optional()
+  }),
+
+  magicLinkRequest: Joi.object({
+    email: Joi.string().email().max(254).required(),
+    codeChallenge: Joi.string().pattern(/^[A-Za-z0-9_-]{43}$/).required()
+  }),
+
+  magicLinkVerify: Joi.object({
+    token: Joi.string().max(200).required(),
+    codeVerifier: Joi.string().pattern(/^[A-Za-z0-9._~-]{43,128}$/).required(),
+    device: deviceInfo.optional()
+  }),
+
+  tokenExchange: Joi.object({
+    code: Joi.string().max(200).required(),
+    codeVerifier: Joi.string().pattern(/^[A-Za-z0-9._~-]{43,128}$/).required(),
+    redirectUri: Joi.string().max(500).required(),
+    device: deviceInfo.optional()
+  }),
+
   createUser: Joi.object({
     email: Joi.string().email().required(),
     name: Joi.string().min(1).max(100).required(),
@@ -66,6 +216,8 @@ const schemas = {
   updateUser: Joi.object({
     name: Joi.string().min(1).max(100).optional(),
     profileImage: Joi.string().uri().allow(null).optional(),
+    timezone: timeZone.optional(),
+    locale: locale.optional(),
     preferences: Joi.object({
       notifications: Joi.object({
         enabled: Joi.boolean().optional(),
@@ -76,11 +228,157 @@ const schemas = {
     }).optional(),
     onboarding: Joi.object({
       completed: Joi.boolean().optional(),
-      step: Joi.string().valid('welcome', 'first-entry', 'persona-intro', 'completed').optional(),
+      step: Joi.string().valid(...ONBOARDING_STEPS).optional(),
       completedAt: Joi.date().optional()
     }).optional()
   }),
 
+  createJournalEntry: Joi.object({
+    content: Joi.string().trim().min(1).max(50000),
+    encrypted: encryptedContent,
+    wordCount: encryptedWordCount,
+    date: Joi.date().iso().optional(),
+    clientId: Joi.string().guid().optional(),
+    editedAt: Joi.date().iso().optional(),
+    promptId: objectId.optional()
+  }).xor('content', 'encrypted'),
+
+  updateJournalEntry: Joi.object({
+    content: Joi.string().trim().min(1).max(50000).optional(),
+    encrypted: encryptedContent.optional(),
+    wordCount: encryptedWordCount,
+    date: Joi.date().iso().optional(),
+    baseEditedAt: Joi.date().iso().optional(),
+    editedAt: Joi.date().iso().optional()
+  }).or('content', 'encrypted', 'date').oxor('content', 'encrypted'),
+
+  enableEncryption: Joi.object({
+    kdf: keyDerivation.required(),
+    passphraseKey: wrappedKey.required(),
+    recoveryKey: wrappedKey.required(),
+    keyProof: keyProof.required()
+  }),
+
+  // New passphrase (or recovery key) for the same data key; keyProof shows
+  // the caller holds that key
+  updateEncryptionKeys: Joi.object({
+    keyProof: keyProof.required(),
+    kdf: keyDerivation.required(),
+    passphraseKey: wrappedKey.required(),
+    recoveryKey: wrappedKey.optional()
+  }),
+
+  createVoiceEntry: Joi.object({
+    date: Joi.date().iso().optional(),
+    durationSeconds: Joi.number().min(0).max(60 * 60).optional(),
+    clientId: Joi.string().guid().optional()
+  }),
+
+  confirmTranscript: Joi.object({
+    content: Joi.string().trim().min(1).max(50000).optional()
+  }),
+
+  reviewTag: Joi.object({
+    namespace: analysisNamespace.required(),
+    name: tagName.required(),
+    action: Joi.string().valid('accepted', 'rejected', 'edited').required(),
+    correction: Joi.object({
+      namespace: analysisNamespace.required(),
+      name: tagName.required()
+    }).when('action', { is: 'edited', then: Joi.required(), otherwise: Joi.forbidden() })
+  }),
+
+  reviewSummary: Joi.object({
+    action: Joi.string().valid('accepted', 'rejected', 'edited').required(),
+    summary: Joi.string().trim().min(1).max(1000)
+      .when('action', { is: 'edited', then: Joi.required(), otherwise: Joi.forbidden() })
+  }),
+
+  listJournalEntries: Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    cursor: Joi.string().optional(),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    encrypted: Joi.boolean().optional()
+  }),
+
+  searchJournalEntries: Joi.object({
+    q: Joi.string().trim().min(1).max(500).required(),
+    limit: Joi.number().integer().min(1).max(50).default(10)
+  }),
+
+  createMoodCheckIn: Joi.object({
+    score: Joi.number().integer().min(1).max(10).required(),
+    emotions: Joi.array().items(Joi.string().valid(...MOOD_EMOTIONS)).unique().max(5).optional(),
+    note: Joi.string().trim().max(500).allow('').optional(),
+    checkedAt: Joi.date().iso().optional()
+  }),
+
+  updateMoodCheckIn: Joi.object({
+    score: Joi.number().integer().min(1).max(10).optional(),
+    emotions: Joi.array().items(Joi.string().valid(...MOOD_EMOTIONS)).unique().max(5).optional(),
+    note: Joi.string().trim().max(500).allow('').optional()
+  }).min(1),
+
+  listMoodCheckIns: Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    limit: Joi.number().integer().min(1).max(200).default(50)
+  }),
+
+  listPrompts: Joi.object({
+    namespace: Joi.string().valid(...PROMPT_NAMESPACES).optional()
+  }),
+
+  promptSuggestions: Joi.object({
+    limit: Joi.number().integer().min(1).max(10).default(3)
+  }),
+
+  insightThemes: Joi.object({
+    granularity: Joi.string().valid('day', 'week', 'month').default('week'),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    namespace: Joi.string().valid(...TAG_NAMESPACES).optional(),
+    limit: Joi.number().integer().min(1).max(30).default(10)
+  }),
+
+  insightMood: Joi.object({
+    granularity: Joi.string().valid('day', 'week', 'month').default('day'),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    window: Joi.number().integer().min(1).max(30).default(7)
+  }),
+
+  insightTagTrends: Joi.object({
+    days: Joi.number().integer().min(1).max(180).default(14),
+    limit: Joi.number().integer().min(1).max(20).default(5)
+  }),
+
+  insightPersonaActivity: Joi.object({
+    granularity: Joi.string().valid('day', 'week', 'month').default('week'),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional()
+  }),
+
+  createPersona: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    archetype: Joi.string().min(1).max(100).required(),
+    giftForm: personaForm.required(),
+    shadowForm: personaForm.required(),
+    evidenceEntryIds: Joi.array().items(objectId).max(200).optional(),
+    discoveredAt: Joi.date().iso().optional(),
+    confidence: Joi.number().min(0).max(1).optional()
+  }),
+
+  updatePersona: Joi.object({
+    name: Joi.string().min(1).max(100).optional(),
+    archetype: Joi.string().min(1).max(100).optional(),
+    giftForm: personaForm.optional(),
+    shadowForm: personaForm.optional(),
+    evidenceEntryIds: Joi.array().items(objectId).max(200).optional(),
+    confidence: Joi.number().min(0).max(1).optional()
+  }).min(1),
+
   userPreferences: Joi.object({
     notifications: Joi.object({
       enabled: Joi.boolean().optional(),
@@ -93,6 +391,7 @@ const schemas = {
 
 module.exports = {
   validate,
+  validateQuery,
   validateObjectId,
   schemas
 };
\ No newline at end of file
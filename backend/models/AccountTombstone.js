@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Audit record left behind when an account is purged. It proves the
+// deletion happened and what it removed, without keeping anything that
+// identifies the person: no email, name or content.
+const accountTombstoneSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId, // Opaque once the user is gone
+      required: true,
+    },
+    requestedAt: {
+      type: Date,
+      required: true,
+    },
+    purgedAt: {
+      type: Date,
+      required: true,
+    },
+    removed: {
+      journalEntries: { type: Number, default: 0 },
+      personas: { type: Number, default: 0 },
+      personaSnapshots: { type: Number, default: 0 },
+      moodCheckIns: { type: Number, default: 0 },
+      sessions: { type: Number, default: 0 },
+      files: { type: Number, default: 0 },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+accountTombstoneSchema.index({ userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('AccountTombstone', accountTombstoneSchema);
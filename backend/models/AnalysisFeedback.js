@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { TAG_NAMESPACES } = require('./JournalEntry');
+
+const FEEDBACK_TARGETS = ['tag', 'summary'];
+const FEEDBACK_ACTIONS = ['accepted', 'rejected', 'edited'];
+
+// A user's verdict on one piece of an entry's AI analysis: a tag or the
+// summary. Tag rejections and edits are corrections that re-analysis of
+// the entry must respect; every verdict also feeds precision metrics.
+// Only tag names are kept, never entry text, so nothing here needs
+// encrypting at rest.
+const analysisFeedbackSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    entryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalEntry',
+      required: true,
+    },
+    target: {
+      type: String,
+      enum: FEEDBACK_TARGETS,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: FEEDBACK_ACTIONS,
+      required: true,
+    },
+    // The tag as the analysis produced it
+    tag: {
+      namespace: {
+        type: String,
+        enum: TAG_NAMESPACES,
+      },
+      name: String,
+      confidence: Number,
+    },
+    // What the user changed an edited tag to
+    correction: {
+      namespace: {
+        type: String,
+        enum: TAG_NAMESPACES,
+      },
+      name: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One verdict per tag (or summary) per entry; a new one replaces the last
+analysisFeedbackSchema.index(
+  { entryId: 1, target: 1, 'tag.namespace': 1, 'tag.name': 1 },
+  { unique: true }
+);
+analysisFeedbackSchema.index({ userId: 1 });
+analysisFeedbackSchema.index({ target: 1, updatedAt: -1 });
+
+const AnalysisFeedback = mongoose.model('AnalysisFeedback', analysisFeedbackSchema);
+AnalysisFeedback.FEEDBACK_TARGETS = FEEDBACK_TARGETS;
+AnalysisFeedback.FEEDBACK_ACTIONS = FEEDBACK_ACTIONS;
+
+module.exports = AnalysisFeedback;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Single-use codes handed to the mobile app at the end of the OAuth redirect.
+// The app redeems one at /auth/token together with the PKCE verifier whose
+// challenge it sent when the flow started.
+const authorizationCodeSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    codeHash: {
+      type: String, // SHA-256 of the code; the code itself is never stored
+      required: true,
+    },
+    codeChallenge: {
+      type: String, // base64url SHA-256 of the app's verifier (S256)
+      required: true,
+    },
+    redirectUri: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+authorizationCodeSchema.index({ codeHash: 1 }, { unique: true });
+authorizationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthorizationCode', authorizationCodeSchema);
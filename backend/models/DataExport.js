@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const EXPORT_STATUSES = ['queued', 'processing', 'completed', 'failed'];
+
+// A user's request for a copy of their data. The export-data job builds the
+// zip and stores it privately in Spaces; download links are signed on
+// request. The record and the archive both go once expiresAt passes.
+const dataExportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: EXPORT_STATUSES,
+      default: 'queued',
+    },
+    key: String, // Private Spaces key of the archive
+    size: Number, // Archive size in bytes
+    counts: {
+      journalEntries: Number,
+      personas: Number,
+      moodCheckIns: Number,
+      media: Number,
+    },
+    error: String,
+    completedAt: Date,
+    expiresAt: Date, // Set once the job finishes, successfully or not
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+DataExport.EXPORT_STATUSES = EXPORT_STATUSES;
+
+module.exports = DataExport;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const PLATFORMS = ['ios', 'android', 'web'];
+
+// One row per sign-in session (refresh token family), describing the device
+// holding it. Revoking the row ends the session: its refresh tokens stop
+// working and requireAuth refuses access tokens carrying its sid.
+const deviceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    sessionId: {
+      type: String, // RefreshToken familyId and access token `sid` claim
+      required: true,
+    },
+    platform: {
+      type: String,
+      enum: PLATFORMS,
+    },
+    appVersion: String,
+    name: String, // e.g. "Ada's iPhone", as reported by the OS
+    pushToken: String,
+    lastSeenIp: String,
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date, // Follows the newest refresh token, so idle sessions age out
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'reuse', 'revoked'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+deviceSchema.index({ sessionId: 1 }, { unique: true });
+deviceSchema.index({ userId: 1, revokedAt: 1 });
+deviceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Device = mongoose.model('Device', deviceSchema);
+Device.PLATFORMS = PLATFORMS;
+
+module.exports = Device;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Key of each user's generation marker, bumped on every invalidation
+const GENERATION_KEY = '#generation';
+
+// Cached insights responses per user. Kept in MongoDB rather than memory so
+// a separate worker process can invalidate them when new analysis lands.
+const insightCacheSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    key: {
+      type: String, // Endpoint plus normalized query, e.g. 'themes:week:...'
+      required: true,
+    },
+    value: mongoose.Schema.Types.Mixed,
+    // Cache generation the value was computed in; on the marker, the
+    // user's current generation
+    generation: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      // The marker has to outlive every value it vouches for
+      required() {
+        return this.key !== GENERATION_KEY;
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+insightCacheSchema.index({ userId: 1, key: 1 }, { unique: true });
+insightCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const InsightCache = mongoose.model('InsightCache', insightCacheSchema);
+InsightCache.GENERATION_KEY = GENERATION_KEY;
+
+module.exports = InsightCache;
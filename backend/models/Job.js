@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true, // Handler name, e.g. 'analyze-entry'
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+      default: 'queued',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now, // Earliest time the job may be picked up
+    },
+    lockedAt: Date,
+    lockedBy: String, // Worker ID holding the job
+    lastError: String,
+    result: mongoose.Schema.Types.Mixed,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Claiming scans queued jobs in runAt order
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+jobSchema.index({ type: 1, 'payload.entryId': 1, status: 1 });
+
+// Finished jobs are kept for a week for debugging, then expire
+jobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -1,4 +1,20 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const User = require('./User');
+const { fieldEncryption } = require('./plugins/fieldEncryption');
+const { toLocalDay } = require('../services/localTime');
+
+const TAG_NAMESPACES = [
+  'emotion',
+  'relationship',
+  'growth',
+  'activity',
+  'challenge',
+  'insight',
+  'system',
+];
+
+const ENCRYPTION_ALGORITHMS = ['xchacha20-poly1305'];
 
 const journalEntrySchema = new mongoose.Schema(
   {
@@ -9,25 +25,111 @@ const journalEntrySchema = new mongoose.Schema(
     },
     content: {
       type: String,
-      required: true,
+      // Voice entries get their content from transcription; encrypted
+      // entries keep it only as ciphertext
+      required() {
+        return this.source !== 'voice' && !this.isEncrypted();
+      },
+    },
+    // End-to-end encrypted entries: content encrypted on the user's device
+    // with their data key, authenticated with the user ID
+    encrypted: {
+      algorithm: {
+        type: String,
+        enum: ENCRYPTION_ALGORITHMS,
+      },
+      nonce: String, // Base64
+      ciphertext: String, // Base64
+    },
+    source: {
+      type: String,
+      enum: ['text', 'voice'],
+      default: 'text',
     },
     date: {
       type: Date,
       required: true,
     },
+    // The user's local calendar day for `date`, in the timezone they were
+    // in when it was written, so travelling later doesn't move old entries
+    journalDay: {
+      type: String, // YYYY-MM-DD
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
     wordCount: {
-      type: Number,
+      type: Number, // Reported by the device for encrypted entries
       required: true,
     },
 
+    // Offline sync: client-generated ID makes creates idempotent, and
+    // lastEditedAt versions user edits for last-writer-wins resolution
+    clientId: String,
+    lastEditedAt: Date,
+
+    // Voice journaling: the recording and the state of its transcript.
+    // Analysis waits until the user has reviewed the transcript.
+    audio: {
+      key: String, // Private object in Spaces; clients get signed links
+      mimeType: String,
+      size: Number,
+      durationSeconds: Number,
+    },
+    transcription: {
+      status: {
+        type: String,
+        enum: ['pending', 'processing', 'completed', 'reviewed', 'failed'],
+      },
+      provider: String,
+      language: String,
+      error: String,
+      completedAt: Date,
+      reviewedAt: Date,
+    },
+
+    // Photos attached to the entry, e.g. brought over by an import
+    photos: [
+      {
+        _id: false,
+        key: String, // Private object in Spaces, like audio.key
+        mimeType: String,
+        size: Number,
+      },
+    ],
+
+    // The library prompt the entry was written in answer to
+    promptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Prompt',
+    },
+
+    // Set on entries brought in from another journaling app
+    import: {
+      importId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'JournalImport',
+      },
+      format: String, // 'day-one', 'journey', 'markdown' or 'csv'
+      originalId: String, // The entry's ID or file name in the source app
+    },
+
+    // SHA-256 of the normalized content, for spotting duplicate imports
+    contentHash: String,
+
     // Vector search preparation (Phase 3+)
     embeddings: {
       type: [Number],
       default: undefined, // Will be populated in future phases
+      select: false, // Large vectors are opted into explicitly with +embeddings
     },
+    embeddingModel: String, // Provider model that produced the embeddings
 
     // AI Analysis (Phase 2+)
     summary: String,
+    // The user's verdict on the summary; 'edited' means summary is their text
+    summaryReview: {
+      type: String,
+      enum: ['accepted', 'rejected', 'edited'],
+    },
     moodScore: {
       type: Number,
       min: 1,
@@ -38,15 +140,7 @@ const journalEntrySchema = new mongoose.Schema(
         name: String,
         namespace: {
           type: String,
-          enum: [
-            'emotion',
-            'relationship',
-            'growth',
-            'activity',
-            'challenge',
-            'insight',
-            'system',
-          ],
+          enum: TAG_NAMESPACES,
         },
         confidence: {
           type: Number,
@@ -57,12 +151,25 @@ const journalEntrySchema = new mongoose.Schema(
           quote: String,
           reasoning: String,
         },
+        // 'user' for tags the user put in place of one they corrected
+        source: {
+          type: String,
+          enum: ['analysis', 'user'],
+          default: 'analysis',
+        },
+        // The user's verdict; rejected tags stay on the entry so
+        // re-analysis can't bring them back, but nothing reads them
+        status: {
+          type: String,
+          enum: ['accepted', 'rejected'],
+        },
       },
     ],
 
     processingStatus: {
       type: String,
-      enum: ['pending', 'processing', 'completed', 'failed', 'queued'],
+      // 'skipped' for encrypted entries, which the server can't analyze
+      enum: ['pending', 'processing', 'completed', 'failed', 'queued', 'skipped'],
       default: 'pending',
     },
   },
@@ -73,7 +180,15 @@ const journalEntrySchema = new mongoose.Schema(
 
 // Indexes for performance and vector search preparation
 journalEntrySchema.index({ userId: 1, date: -1 });
+journalEntrySchema.index({ userId: 1, journalDay: -1 });
 journalEntrySchema.index({ userId: 1, processingStatus: 1 });
+journalEntrySchema.index({ userId: 1, embeddingModel: 1 });
+journalEntrySchema.index({ 'transcription.status': 1, 'transcription.completedAt': 1 });
+journalEntrySchema.index({ userId: 1, contentHash: 1 });
+journalEntrySchema.index(
+  { userId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
 
 // Vector search index (will be created when vector search is enabled)
 // This prepares the schema but doesn't create the index until needed
@@ -85,4 +200,82 @@ journalEntrySchema.index(
   }
 );
 
-module.exports = mongoose.model('JournalEntry', journalEntrySchema);
\ No newline at end of file
+/**
+ * Count words in journal content (whitespace-delimited tokens)
+ * @param {string} content - Entry content
+ * @returns {number} Word count
+ */
+journalEntrySchema.statics.countWords = function (content) {
+  if (!content) return 0;
+  const trimmed = content.trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+};
+
+/**
+ * Hash entry content for duplicate detection. Whitespace and case are
+ * normalized so re-exported copies of the same text match.
+ * @param {string} content - Entry content
+ * @returns {string|undefined} Hex digest, or undefined without content
+ */
+journalEntrySchema.statics.hashContent = function (content) {
+  const normalized = (content || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  if (!normalized) return undefined;
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Whether the entry's content is end-to-end encrypted
+ * @returns {boolean}
+ */
+journalEntrySchema.methods.isEncrypted = function () {
+  return Boolean(this.encrypted?.ciphertext);
+};
+
+// Word count and content hash are derived server-side from plaintext content
+journalEntrySchema.pre('validate', function (next) {
+  if (this.isEncrypted()) {
+    this.contentHash = undefined;
+  } else if (this.isNew || this.isModified('content')) {
+    this.wordCount = this.constructor.countWords(this.content);
+    this.contentHash = this.constructor.hashContent(this.content);
+  }
+  // Analysis write-backs bypass save(), so only user edits move this
+  const edited = this.isNew || this.isModified('content') || this.isModified('encrypted') || this.isModified('date');
+  if (edited && !this.isModified('lastEditedAt')) {
+    this.lastEditedAt = new Date();
+  }
+  next();
+});
+
+// Journal day follows the date in the user's timezone, unless the writer
+// (e.g. an import) already worked it out
+journalEntrySchema.pre('validate', async function setJournalDay() {
+  if (!this.date || !(this.isNew || this.isModified('date')) || this.isModified('journalDay')) {
+    return;
+  }
+  const user = await User.findById(this.userId).select('timezone').lean();
+  this.journalDay = toLocalDay(this.date, user?.timezone);
+});
+
+/**
+ * Version of the user's last edit, for sync conflict checks. Entries
+ * written before offline sync existed fall back to createdAt.
+ * @returns {Date} Last edit time
+ */
+journalEntrySchema.methods.editVersion = function () {
+  return this.lastEditedAt || this.createdAt;
+};
+
+// Text written by or about the user is encrypted at rest when
+// FIELD_ENCRYPTION_KEYS is configured; contentHash stays a one-way hash
+journalEntrySchema.plugin(fieldEncryption, {
+  fields: ['content', 'summary', 'tags.evidence.quote'],
+});
+
+const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+JournalEntry.TAG_NAMESPACES = TAG_NAMESPACES;
+JournalEntry.ENCRYPTION_ALGORITHMS = ENCRYPTION_ALGORITHMS;
+// Entries whose text is ready for analysis; voice entries wait for review
+JournalEntry.ANALYZABLE_FILTER = { 'transcription.status': { $in: [null, 'reviewed'] } };
+
+module.exports = JournalEntry;
\ No newline at end of file
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const IMPORT_STATUSES = ['queued', 'processing', 'completed', 'failed'];
+const MAX_FILE_ERRORS = 100; // Per file, so one broken export can't bloat the report
+
+// One uploaded file and what importing it did. Files are processed in
+// order and each is marked done, so a retried job resumes where it stopped.
+const importFileSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String, // Original file name
+      required: true,
+    },
+    key: String, // Private Spaces key of the upload, removed after import
+    size: Number,
+    format: String, // 'day-one', 'journey', 'markdown', 'csv' or 'folder'
+    status: {
+      type: String,
+      enum: ['pending', 'imported', 'failed'],
+      default: 'pending',
+    },
+    imported: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    photos: { type: Number, default: 0 },
+    itemErrors: [
+      {
+        _id: false,
+        item: String, // Entry, row or file the error is about
+        message: String,
+      },
+    ],
+    errorCount: { type: Number, default: 0 }, // Including any beyond MAX_FILE_ERRORS
+  },
+  { _id: false }
+);
+
+// A user's request to bring entries over from another journaling app. The
+// import-journal job parses the files, creates entries and reports per-file
+// results; the record expires 30 days after the import finishes.
+const journalImportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: IMPORT_STATUSES,
+      default: 'queued',
+    },
+    files: {
+      type: [importFileSchema],
+      default: [],
+    },
+    analysisScheduledUntil: Date, // Last analysis slot handed out, for throttling
+    error: String,
+    completedAt: Date,
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+journalImportSchema.index({ userId: 1, createdAt: -1 });
+journalImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const JournalImport = mongoose.model('JournalImport', journalImportSchema);
+JournalImport.IMPORT_STATUSES = IMPORT_STATUSES;
+JournalImport.MAX_FILE_ERRORS = MAX_FILE_ERRORS;
+
+module.exports = JournalImport;
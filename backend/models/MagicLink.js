@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Passwordless sign-in links. Like authorization codes they are single-use
+// and bound to a PKCE challenge, so a link forwarded or scraped from a mail
+// log can't be redeemed outside the app that asked for it.
+const magicLinkSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    tokenHash: {
+      type: String, // SHA-256 of the token; the token itself is never stored
+      required: true,
+    },
+    codeChallenge: {
+      type: String, // base64url SHA-256 of the app's verifier (S256)
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+magicLinkSchema.index({ tokenHash: 1 }, { unique: true });
+magicLinkSchema.index({ email: 1, createdAt: -1 });
+magicLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('MagicLink', magicLinkSchema);
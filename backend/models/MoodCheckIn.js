@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { fieldEncryption } = require('./plugins/fieldEncryption');
+
+// Emotion words a check-in can carry; tag names from the analysis 'emotion'
+// namespace, so self-reported and AI-inferred emotions line up
+const MOOD_EMOTIONS = [
+  'happy',
+  'calm',
+  'grateful',
+  'excited',
+  'proud',
+  'hopeful',
+  'content',
+  'tired',
+  'sad',
+  'anxious',
+  'angry',
+  'lonely',
+  'stressed',
+  'afraid',
+  'frustrated',
+  'overwhelmed',
+];
+
+// A quick self-reported mood, logged apart from journal entries and as
+// often as the user likes
+const moodCheckInSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    score: {
+      type: Number, // 1 (worst) to 10 (best), like an entry's moodScore
+      min: 1,
+      max: 10,
+      required: true,
+    },
+    emotions: [
+      {
+        type: String,
+        enum: MOOD_EMOTIONS,
+      },
+    ],
+    note: String,
+    checkedAt: {
+      type: Date,
+      required: true,
+    },
+    // The user's local day for checkedAt, fixed when logged, as for entries
+    journalDay: {
+      type: String, // YYYY-MM-DD
+      match: /^\d{4}-\d{2}-\d{2}$/,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+moodCheckInSchema.index({ userId: 1, checkedAt: -1 });
+
+// Notes are the user's own words, so they are encrypted at rest like entries
+moodCheckInSchema.plugin(fieldEncryption, { fields: ['note'] });
+
+const MoodCheckIn = mongoose.model('MoodCheckIn', moodCheckInSchema);
+MoodCheckIn.MOOD_EMOTIONS = MOOD_EMOTIONS;
+
+module.exports = MoodCheckIn;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['daily-reminder'];
+const DELIVERY_STATUSES = ['sending', 'sent', 'failed'];
+const TICKET_STATUSES = ['pending', 'delivered', 'failed'];
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+// One push notification sent to a user, with a ticket per device it went
+// to. Tickets stay pending until the push service's receipt says whether
+// the device took it. One delivery per user, type and local day.
+const notificationDeliverySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    day: {
+      type: String, // User's local day, YYYY-MM-DD
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: 'sending',
+    },
+    tickets: [
+      {
+        _id: false,
+        token: String, // Expo push token
+        ticketId: String, // Set when the push service accepted the message
+        status: {
+          type: String,
+          enum: TICKET_STATUSES,
+        },
+        error: String, // Push service error code, e.g. 'DeviceNotRegistered'
+        message: String,
+      },
+    ],
+    error: String, // Why the whole send failed
+    sentAt: Date,
+    receiptsCheckedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationDeliverySchema.index({ userId: 1, type: 1, day: 1 }, { unique: true });
+notificationDeliverySchema.index({ 'tickets.status': 1, sentAt: 1 });
+notificationDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+const NotificationDelivery = mongoose.model('NotificationDelivery', notificationDeliverySchema);
+NotificationDelivery.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+NotificationDelivery.TICKET_STATUSES = TICKET_STATUSES;
+
+module.exports = NotificationDelivery;
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { fieldEncryption } = require('./plugins/fieldEncryption');
+
+// One side of a persona card: the Gift (strength) or Shadow (pitfall) form
+const personaFormSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+    },
+    description: String,
+    traits: [String],
+    imageUrl: {
+      type: String, // URL to card art in DigitalOcean Spaces
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const personaSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    archetype: {
+      type: String, // e.g. 'The Caregiver', 'The Seeker'
+      required: true,
+    },
+    giftForm: {
+      type: personaFormSchema,
+      required: true,
+    },
+    shadowForm: {
+      type: personaFormSchema,
+      required: true,
+    },
+    evidenceEntryIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'JournalEntry',
+      },
+    ],
+    evidenceQuotes: [
+      {
+        _id: false,
+        entryId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'JournalEntry',
+        },
+        quote: String,
+        tag: String, // 'namespace:name' of the tag the quote supports
+      },
+    ],
+
+    // Pattern analysis (Phase 3+)
+    source: {
+      type: String,
+      enum: ['manual', 'discovery'],
+      default: 'manual',
+    },
+    themeTags: [String], // 'namespace:name' keys the persona was discovered from
+    discoveredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.5,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+personaSchema.index({ userId: 1, discoveredAt: -1 });
+
+// Evidence quotes are copied from entries, so they are encrypted at rest
+// like the tags they came from
+personaSchema.plugin(fieldEncryption, { fields: ['evidenceQuotes.quote'] });
+
+module.exports = mongoose.model('Persona', personaSchema);
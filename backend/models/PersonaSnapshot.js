@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Point-in-time record of a persona, written on every discovery run that
+// creates or updates it, so the app can show how a persona evolved
+const personaSnapshotSchema = new mongoose.Schema(
+  {
+    personaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Persona',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    event: {
+      type: String,
+      enum: ['discovered', 'updated'],
+      required: true,
+    },
+    runAt: {
+      type: Date,
+      required: true,
+    },
+    confidence: Number,
+    evidenceCount: Number,
+    themeTags: [String],
+    moodAverage: Number,
+    cohesion: Number, // Mean embedding similarity of supporting entries
+    giftTraits: [String],
+    shadowTraits: [String],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+personaSnapshotSchema.index({ personaId: 1, runAt: -1 });
+personaSnapshotSchema.index({ userId: 1, runAt: -1 });
+
+module.exports = mongoose.model('PersonaSnapshot', personaSnapshotSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { TAG_NAMESPACES } = require('./JournalEntry');
+
+// Themes a prompt can be filed under: the analysis tag namespaces, less
+// the internal 'system' one
+const PROMPT_NAMESPACES = TAG_NAMESPACES.filter(namespace => namespace !== 'system');
+// Mood trends a prompt is written for
+const PROMPT_MOODS = ['low', 'steady', 'high'];
+
+// A journaling prompt from the shared library. Seeded from
+// services/prompts/library.js; retired prompts are deactivated rather than
+// deleted, since entries keep pointing at the prompt that inspired them.
+const promptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String, // Stable identifier in the library, e.g. 'emotion-named'
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    namespace: {
+      type: String,
+      enum: PROMPT_NAMESPACES,
+      required: true,
+    },
+    tags: [String], // Lowercase tag names the prompt explores, e.g. 'gratitude'
+    moods: [
+      {
+        type: String, // Empty means any mood
+        enum: PROMPT_MOODS,
+      },
+    ],
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+promptSchema.index({ key: 1 }, { unique: true });
+promptSchema.index({ active: 1, namespace: 1 });
+
+const Prompt = mongoose.model('Prompt', promptSchema);
+Prompt.PROMPT_NAMESPACES = PROMPT_NAMESPACES;
+Prompt.PROMPT_MOODS = PROMPT_MOODS;
+
+module.exports = Prompt;
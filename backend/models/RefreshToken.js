@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One row per refresh token ever issued. Tokens issued from the same sign-in
+// share a familyId, so presenting an already-rotated token can revoke every
+// descendant of that sign-in at once.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    familyId: {
+      type: String, // Also the `sid` claim of access tokens from this sign-in
+      required: true,
+    },
+    tokenHash: {
+      type: String, // SHA-256 of the token; the token itself is never stored
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    rotatedAt: Date,
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'reuse', 'revoked'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+refreshTokenSchema.index({ familyId: 1 });
+refreshTokenSchema.index({ userId: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
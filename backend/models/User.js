@@ -1,9 +1,43 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone, canonicalLocale } = require('../services/localTime');
+
+const IDENTITY_PROVIDERS = ['google', 'apple', 'email'];
+// In the order the app walks through them
+const ONBOARDING_STEPS = ['welcome', 'notifications', 'first-entry', 'persona-intro', 'completed'];
+
+// A way to sign in to this account. `subject` is the provider's stable user
+// ID (Google profile ID, Apple `sub`) or, for magic links, the email address.
+const identitySchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: IDENTITY_PROVIDERS,
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
     googleId: {
-      type: String,
+      type: String, // Mirrors the Google identity for older clients
+    },
+    identities: {
+      type: [identitySchema],
+      default: [],
     },
     email: {
       type: String,
@@ -22,6 +56,25 @@ const userSchema = new mongoose.Schema(
       type: String, // Original Google profile image
       default: null,
     },
+    // Taken from the device at sign-in; journal days, streaks, reminders
+    // and insights all follow the user's current timezone
+    timezone: {
+      type: String, // IANA timezone name, e.g. 'Europe/London'
+      default: 'UTC',
+      validate: {
+        validator: isValidTimeZone,
+        message: (props) => `${props.value} is not a valid IANA timezone`,
+      },
+    },
+    locale: {
+      type: String, // BCP 47 language tag, e.g. 'en-GB'
+      default: 'en-US',
+      set: value => canonicalLocale(value) || value,
+      validate: {
+        validator: value => canonicalLocale(value) === value,
+        message: (props) => `${props.value} is not a valid locale`,
+      },
+    },
     preferences: {
       notifications: {
         enabled: {
@@ -46,11 +99,57 @@ const userSchema = new mongoose.Schema(
       },
       step: {
         type: String,
-        enum: ['welcome', 'first-entry', 'persona-intro', 'completed'],
+        enum: ONBOARDING_STEPS,
         default: 'welcome',
       },
       completedAt: Date,
     },
+    personaDiscovery: {
+      lastRunAt: Date, // Last time discovery was scheduled for this user
+    },
+    reminders: {
+      // When the next daily reminder is due. Cleared whenever the reminder
+      // settings or timezone change, so the scheduler works it out again.
+      nextAt: Date,
+    },
+    // End-to-end encryption: entries are encrypted on the user's devices
+    // with a random data key. The server only keeps that key wrapped by the
+    // user's passphrase and by their recovery key, so it can't read them.
+    encryption: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: Date,
+      kdf: {
+        type: {
+          _id: false,
+          algorithm: String, // 'scrypt'
+          salt: String, // Base64
+          cost: Number, // scrypt N
+          blockSize: Number, // scrypt r
+          parallelism: Number, // scrypt p
+        },
+        select: false,
+      },
+      passphraseKey: {
+        type: { _id: false, nonce: String, ciphertext: String }, // Data key wrapped by the passphrase
+        select: false,
+      },
+      recoveryKey: {
+        type: { _id: false, nonce: String, ciphertext: String }, // Data key wrapped by the recovery key
+        select: false,
+      },
+      keyProofHash: {
+        type: String, // SHA-256 of a value only the data key can derive
+        select: false,
+      },
+    },
+    deletion: {
+      requestedAt: Date,
+      scheduledFor: Date, // Purged after this; the undo link works until then
+      undoTokenHash: String, // SHA-256 of the token in the undo link
+    },
     stats: {
       totalEntries: {
         type: Number,
@@ -61,6 +160,9 @@ const userSchema = new mongoose.Schema(
         default: 0,
       },
       lastEntryDate: Date,
+      // Last local day (YYYY-MM-DD) of the streak, so it can be moved on
+      // from the day an entry changes instead of recounted
+      streakEndDay: String,
       joinedAt: {
         type: Date,
         default: Date.now,
@@ -72,12 +174,91 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Keep googleId and the Google identity in step, whichever was set
+userSchema.pre('validate', function syncGoogleIdentity(next) {
+  const google = this.identities.find(identity => identity.provider === 'google');
+
+  if (this.googleId && !google) {
+    this.identities.push({ provider: 'google', subject: this.googleId, email: this.email });
+  } else if (google && this.googleId !== google.subject) {
+    this.googleId = google.subject;
+  }
+  next();
+});
+
+// Settings the daily reminder schedule depends on
+const REMINDER_SCHEDULE_PATHS = [
+  'timezone',
+  'preferences.notifications.enabled',
+  'preferences.notifications.dailyReminder',
+  'preferences.notifications.reminderTime',
+];
+
+const affectsReminderSchedule = path => REMINDER_SCHEDULE_PATHS.some(schedulePath => (
+  schedulePath === path || schedulePath.startsWith(`${path}.`) || path.startsWith(`${schedulePath}.`)
+));
+
+userSchema.pre('save', function clearReminderSchedule(next) {
+  if (!this.isNew && REMINDER_SCHEDULE_PATHS.some(path => this.isModified(path))) {
+    this.set('reminders.nextAt', undefined);
+  }
+  next();
+});
+
+userSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function clearReminderSchedule(next) {
+  const update = this.getUpdate();
+  const paths = [update, update?.$set, update?.$unset]
+    .filter(Boolean)
+    .flatMap(Object.keys)
+    .filter(path => !path.startsWith('$'));
+
+  if (paths.some(affectsReminderSchedule)) {
+    this.setUpdate({ ...update, $unset: { ...update.$unset, 'reminders.nextAt': 1 } });
+  }
+  next();
+});
+
+/**
+ * Find the identity for a provider, if linked
+ * @param {string} provider - 'google', 'apple' or 'email'
+ * @returns {Object|undefined} Identity subdocument
+ */
+userSchema.methods.findIdentity = function findIdentity(provider) {
+  return this.identities.find(identity => identity.provider === provider);
+};
+
+/**
+ * Whether the user asked to delete the account and it awaits purging
+ * @returns {boolean}
+ */
+userSchema.methods.isPendingDeletion = function isPendingDeletion() {
+  return Boolean(this.deletion?.requestedAt);
+};
+
+/**
+ * Whether the user's journal is end-to-end encrypted
+ * @returns {boolean}
+ */
+userSchema.methods.hasEncryption = function hasEncryption() {
+  return Boolean(this.encryption?.enabled);
+};
+
 // Indexes for performance
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ googleId: 1 }, { unique: true, sparse: true });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 userSchema.index({ 'stats.lastEntryDate': -1 });
+userSchema.index({ 'deletion.undoTokenHash': 1 }, { sparse: true });
+userSchema.index({ 'reminders.nextAt': 1 });
 
 // Ensure no duplicate indexes by setting schema options
 userSchema.set('autoIndex', true);
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+const User = mongoose.model('User', userSchema);
+User.IDENTITY_PROVIDERS = IDENTITY_PROVIDERS;
+User.ONBOARDING_STEPS = ONBOARDING_STEPS;
+
+module.exports = User;
\ No newline at end of file
@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const { getFieldCipher, ENCRYPTED_PREFIX } = require('../../services/fieldEncryption');
+
+const QUERY_HOOKS = ['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete'];
+
+/**
+ * Call fn on every non-empty string at a dotted path, descending into
+ * arrays. Mongoose documents are edited through their raw `_doc` so
+ * swapping plaintext and ciphertext never marks a path modified.
+ * @param {*} node - Document, subdocument, plain object or array
+ * @param {string[]} segments - Path segments below node
+ * @param {Function} fn - (value) => replacement
+ */
+const visitStrings = (node, segments, fn) => {
+  if (Array.isArray(node)) {
+    node.forEach(item => visitStrings(item, segments, fn));
+    return;
+  }
+
+  const target = node instanceof mongoose.Document ? node._doc : node;
+  if (!target || typeof target !== 'object') return;
+
+  const [head, ...rest] = segments;
+  if (rest.length) {
+    visitStrings(target[head], rest, fn);
+  } else if (typeof target[head] === 'string' && target[head]) {
+    target[head] = fn(target[head]);
+  }
+};
+
+/**
+ * Encrypt listed string fields at rest with envelope encryption. Each
+ * document carries its wrapped data key in `atRest: { keyId, dataKey }`,
+ * where keyId names the master key version that wrapped it.
+ *
+ * Writes through save(), create(), updateOne() and findOneAndUpdate() are
+ * encrypted, and query, findOne, findOneAndUpdate and aggregate results are
+ * decrypted, lean or not. Query cursors skip middleware; decrypt what they
+ * return with Model.decryptFields(). Encrypted fields can't be queried by
+ * value, and updateMany() refuses to write them.
+ *
+ * @param {mongoose.Schema} schema - Schema to encrypt
+ * @param {Object} options - { fields } as dotted paths; a path may run
+ *   through an array of subdocuments, e.g. 'tags.evidence.quote'
+ */
+const fieldEncryption = (schema, { fields }) => {
+  const roots = [...new Set(fields.map(path => path.split('.')[0]))];
+
+  schema.add({
+    atRest: {
+      keyId: String,
+      dataKey: String, // Base64, wrapped by the key provider
+    },
+  });
+  schema.index({ 'atRest.keyId': 1 });
+
+  const encryptPaths = (node, key, paths = fields) => {
+    const cipher = getFieldCipher();
+    const changed = new Set();
+
+    paths.forEach(path => visitStrings(node, path.split('.'), (value) => {
+      if (cipher.isEncrypted(value)) return value;
+      changed.add(path.split('.')[0]);
+      return cipher.encrypt(key, path, value);
+    }));
+    return changed;
+  };
+
+  const decryptPaths = (node, key) => {
+    const cipher = getFieldCipher();
+    fields.forEach(path => visitStrings(node, path.split('.'), value => (
+      cipher.isEncrypted(value) ? cipher.decrypt(key, path, value) : value
+    )));
+  };
+
+  /**
+   * Decrypt documents in place. Lean results also lose their wrapped key,
+   * which has no business leaving the model layer.
+   * @param {Array} docs - Hydrated or lean documents
+   */
+  const decryptDocuments = async (docs) => {
+    const cipher = getFieldCipher();
+
+    for (const doc of docs) {
+      const raw = doc instanceof mongoose.Document ? doc._doc : doc;
+      if (raw?.atRest?.dataKey) {
+        decryptPaths(doc, await cipher.unwrap(raw.atRest));
+      }
+      if (raw && !(doc instanceof mongoose.Document)) {
+        delete raw.atRest;
+      }
+    }
+  };
+
+  /**
+   * Data key of a stored document. Documents written before encryption was
+   * turned on get one; the conditional write means concurrent writers all
+   * end up using the same key.
+   * @param {mongoose.Model} Model - Model
+   * @param {*} id - Document _id
+   * @returns {Promise<Buffer>} Plaintext data key
+   */
+  const storedDataKey = async (Model, id) => {
+    const cipher = getFieldCipher();
+    const _id = new mongoose.Types.ObjectId(String(id));
+
+    const existing = await Model.collection.findOne({ _id }, { projection: { atRest: 1 } });
+    if (existing?.atRest?.dataKey) {
+      return cipher.unwrap(existing.atRest);
+    }
+
+    const { atRest, key } = await cipher.createDataKey();
+    const { modifiedCount } = await Model.collection.updateOne(
+      { _id, 'atRest.dataKey': { $exists: false } },
+      { $set: { atRest } }
+    );
+    if (modifiedCount) {
+      return key;
+    }
+
+    // Someone else added one first, or the document is gone
+    const current = await Model.collection.findOne({ _id }, { projection: { atRest: 1 } });
+    return current?.atRest?.dataKey ? cipher.unwrap(current.atRest) : key;
+  };
+
+  schema.pre('save', async function () {
+    const cipher = getFieldCipher();
+    if (!cipher.enabled) return;
+
+    const paths = fields.filter(path => this.isNew || this.isModified(path.split('.')[0]));
+    if (!paths.length) return;
+
+    let key;
+    if (this.atRest?.dataKey) {
+      key = await cipher.unwrap(this.atRest);
+    } else if (this.isNew) {
+      const created = await cipher.createDataKey();
+      this.atRest = created.atRest;
+      key = created.key;
+    } else {
+      key = await storedDataKey(this.constructor, this._id);
+    }
+
+    this.$locals.fieldKey = key;
+    encryptPaths(this, key, paths);
+  });
+
+  // Hand the caller back plaintext, whether or not the save went through
+  schema.post('save', function () {
+    if (this.$locals.fieldKey) {
+      decryptPaths(this, this.$locals.fieldKey);
+      delete this.$locals.fieldKey;
+    }
+  });
+
+  schema.post('save', function (error, doc, next) {
+    if (this.$locals.fieldKey) {
+      decryptPaths(this, this.$locals.fieldKey);
+      delete this.$locals.fieldKey;
+    }
+    next(error);
+  });
+
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], async function () {
+    const cipher = getFieldCipher();
+    const update = this.getUpdate();
+    if (!cipher.enabled || !update) return;
+
+    // Top-level keys are an implicit $set
+    const sets = [update, update.$set].filter(Boolean);
+    const keys = sets.flatMap(set => Object.keys(set));
+    if (!keys.some(key => roots.includes(key.split('.')[0]))) return;
+
+    const partial = keys.find(key => key.includes('.') && roots.includes(key.split('.')[0]));
+    if (partial) {
+      throw new Error(`Set ${partial.split('.')[0]} as a whole so it can be encrypted`);
+    }
+    if (this.op === 'updateMany') {
+      throw new Error('Encrypted fields must be updated one document at a time');
+    }
+
+    const { _id } = this.getFilter();
+    if (!mongoose.isValidObjectId(_id)) {
+      throw new Error('Encrypted fields can only be updated by _id');
+    }
+
+    const key = await storedDataKey(this.model, _id);
+    sets.forEach(set => encryptPaths(set, key));
+  });
+
+  // Decrypting needs the data key, so inclusive projections bring it along
+  schema.pre(QUERY_HOOKS, function () {
+    if (this.selectedInclusively()) {
+      this.select('atRest');
+    }
+  });
+
+  schema.post([...QUERY_HOOKS, 'aggregate'], async function (result) {
+    if (result) {
+      await decryptDocuments(Array.isArray(result) ? result : [result]);
+    }
+  });
+
+  const toJSON = schema.get('toJSON') || {};
+  schema.set('toJSON', {
+    ...toJSON,
+    transform(doc, ret, options) {
+      delete ret.atRest;
+      return toJSON.transform ? toJSON.transform(doc, ret, options) : ret;
+    },
+  });
+
+  /**
+   * Decrypt documents read without middleware, e.g. from a query cursor
+   * @param {Array} docs - Hydrated or lean documents
+   * @returns {Promise<Array>} The same documents, decrypted
+   */
+  schema.statics.decryptFields = async function (docs) {
+    await decryptDocuments(docs);
+    return docs;
+  };
+
+  /**
+   * Bring every document onto the current master key: re-wrap data keys
+   * wrapped by older keys, and encrypt fields still stored as plaintext
+   * (written before encryption was turned on). Field values are only
+   * re-encrypted when they were plaintext; the data keys don't change.
+   * Documents edited while this runs are skipped; run it again for them.
+   * @param {Object} options - { dryRun, onProgress(counts) }
+   * @returns {Promise<Object>} { scanned, rewrapped, encrypted, skipped }
+   */
+  schema.statics.rotateFieldKeys = async function ({ dryRun = false, onProgress = () => {} } = {}) {
+    const cipher = getFieldCipher();
+    if (!cipher.enabled) {
+      throw new Error('Field encryption keys are not configured; set FIELD_ENCRYPTION_KEYS');
+    }
+
+    const plaintext = { $type: 'string', $ne: '', $not: new RegExp(`^${ENCRYPTED_PREFIX}`) };
+    const hasPlaintext = fields.map((path) => {
+      const [root, ...rest] = path.split('.');
+      return rest.length && schema.path(root)?.$isMongooseDocumentArray
+        ? { [root]: { $elemMatch: { [rest.join('.')]: plaintext } } }
+        : { [path]: plaintext };
+    });
+
+    const cursor = this.collection.find({
+      $or: [{ 'atRest.keyId': { $exists: true, $ne: cipher.currentKeyId } }, ...hasPlaintext],
+    });
+    const counts = { scanned: 0, rewrapped: 0, encrypted: 0, skipped: 0 };
+
+    for await (const doc of cursor) {
+      counts.scanned += 1;
+      const { atRest } = doc;
+      const set = {};
+      let key;
+
+      if (atRest?.dataKey) {
+        key = await cipher.unwrap(atRest);
+        if (atRest.keyId !== cipher.currentKeyId) {
+          set.atRest = await cipher.rewrap(atRest);
+        }
+      } else {
+        const created = await cipher.createDataKey();
+        key = created.key;
+        set.atRest = created.atRest;
+      }
+
+      const changed = encryptPaths(doc, key);
+      changed.forEach((root) => {
+        set[root] = doc[root];
+      });
+
+      if (!dryRun) {
+        // Only write over the version we read
+        const { modifiedCount } = await this.collection.updateOne(
+          {
+            _id: doc._id,
+            updatedAt: doc.updatedAt,
+            'atRest.dataKey': atRest?.dataKey || { $exists: false },
+          },
+          { $set: set }
+        );
+        if (!modifiedCount) {
+          counts.skipped += 1;
+          continue;
+        }
+      }
+
+      if (atRest?.dataKey && set.atRest) counts.rewrapped += 1;
+      if (changed.size) counts.encrypted += 1;
+      onProgress(counts);
+    }
+
+    return counts;
+  };
+};
+
+module.exports = { fieldEncryption };
@@ -1,9 +1,114 @@
 const express = require('express');
 const passport = require('../config/passport');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
+const { requireAuth } = require('../middleware/auth');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+const { validate, validateQuery, schemas } = require('../middleware/validation');
+const { rateLimits } = require('../middleware/security');
+const { TokenService } = require('../services/tokenService');
+const { IdentityService } = require('../services/identityService');
+const { MagicLinkService } = require('../services/magicLinkService');
+const { AppleTokenVerifier } = require('../services/identity/appleTokenVerifier');
+const { IdentityTokenError } = require('../services/identity/errors');
 
 const router = express.Router();
+const tokenService = new TokenService();
+const identityService = new IdentityService();
+const magicLinkService = new MagicLinkService();
+const appleTokenVerifier = new AppleTokenVerifier();
+
+// Why a refresh token was refused, keyed by TokenService.rotate status
+const REFRESH_FAILURES = {
+  invalid: ['Invalid refresh token', 'INVALID_REFRESH_TOKEN'],
+  expired: ['Refresh token expired', 'REFRESH_TOKEN_EXPIRED'],
+  revoked: ['Session has been signed out', 'SESSION_REVOKED'],
+  reused: ['Refresh token was already used; session revoked', 'REFRESH_TOKEN_REUSED'],
+};
+
+const defaultMobileRedirectUri = () => `${process.env.MOBILE_APP_SCHEME || 'exp://localhost:19000'}://auth`;
+
+/**
+ * Redirect URIs the one-time OAuth code may be sent to: the app's own
+ * scheme plus any listed in OAUTH_REDIRECT_URIS (e.g. Expo Go URLs in
+ * development). PKCE binds the code to whoever started the flow, so an
+ * arbitrary URI would hand a victim's code to an attacker's app.
+ * @returns {string[]} Exact URIs allowed
+ */
+const allowedRedirectUris = () => [
+  'personaarcana://auth',
+  defaultMobileRedirectUri(),
+  ...(process.env.OAUTH_REDIRECT_URIS || '').split(',').map(uri => uri.trim()).filter(Boolean)
+];
+
+// Why a verified sign-in couldn't be matched to an account, keyed by
+// IdentityService.resolveUser status
+const RESOLVE_FAILURES = {
+  'missing-email': ['An email address is required to create an account', 400, 'EMAIL_REQUIRED'],
+  'unverified-email': [
+    'An account with this email already exists. Sign in with your original method to link this one.',
+    409,
+    'ACCOUNT_EXISTS'
+  ],
+  'pending-deletion': [
+    'This account is scheduled for deletion. Use the link in the confirmation email to restore it.',
+    403,
+    'ACCOUNT_PENDING_DELETION'
+  ],
+};
+
+/**
+ * User fields the mobile app receives at sign-in (excludes sensitive fields)
+ */
+const serializeUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  profileImage: user.profileImage,
+  googleImage: user.googleImage,
+  timezone: user.timezone,
+  locale: user.locale,
+  onboarding: user.onboarding,
+  stats: user.stats,
+  preferences: {
+    notifications: user.preferences.notifications
+  },
+  identities: user.identities.map(identity => identity.provider)
+});
+
+/**
+ * The device and address a session is being used from
+ * @param {Object} req - Express request
+ * @returns {Object} { device, ip } for TokenService
+ */
+const clientContext = (req) => ({
+  device: req.body.device,
+  ip: req.ip
+});
+
+/**
+ * Resolve a provider-verified identity to a user and start a session
+ * @param {Object} identity - Passed to IdentityService.resolveUser
+ * @param {Object} context - { device, ip } from clientContext
+ * @returns {Promise<Object>} Response data: tokens plus serialized user
+ */
+const signInWithIdentity = async (identity, context) => {
+  const { status, user } = await identityService.resolveUser(identity);
+
+  if (RESOLVE_FAILURES[status]) {
+    const [message, statusCode, code] = RESOLVE_FAILURES[status];
+    throw new APIError(message, statusCode, code);
+  }
+
+  const tokens = await tokenService.issueTokens(user, context);
+  console.log(`Signed in with ${identity.provider} (${status}):`, user.email);
+
+  return {
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+    user: serializeUser(user)
+  };
+};
 
 // Validation middleware
 const validateAuthCallback = [
@@ -12,17 +117,22 @@ const validateAuthCallback = [
 
 /**
  * @route   GET /auth/google
- * @desc    Initiate Google OAuth flow
+ * @desc    Initiate Google OAuth flow. Requires a PKCE S256 code_challenge;
+ *          the matching verifier redeems the resulting code at /auth/token.
  * @access  Public
  */
-router.get('/google', (req, res, next) => {
+router.get('/google', validateQuery(schemas.googleAuthorize), (req, res, next) => {
   console.log('Initiating Google OAuth flow');
-  
-  // Store the mobile app redirect URL if provided
-  if (req.query.redirect_uri) {
-    req.session.mobileRedirectUri = req.query.redirect_uri;
+
+  const redirectUri = req.validatedQuery.redirect_uri || defaultMobileRedirectUri();
+  if (!allowedRedirectUris().includes(redirectUri)) {
+    return next(new APIError('redirect_uri is not registered for this app', 400, 'INVALID_REDIRECT_URI'));
   }
   
+  // Remember where to send the code and what it's bound to
+  req.session.mobileRedirectUri = redirectUri;
+  req.session.codeChallenge = req.validatedQuery.code_challenge;
+  
   passport.authenticate('google', {
     scope: ['profile', 'email'],
     accessType: 'offline',
@@ -49,49 +159,23 @@ router.get('/google/callback',
         return res.redirect('/auth/error?message=authentication_failed');
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          userId: user._id,
-          email: user.email,
-          name: user.name
-        },
-        process.env.JWT_SECRET,
-        { 
-          expiresIn: '30d',
-          issuer: 'persona-arcana-api',
-          audience: 'persona-arcana-mobile'
-        }
-      );
-
-      console.log('Generated JWT token for user:', user.email);
-
-      // Prepare user data for mobile app (exclude sensitive fields)
-      const userData = {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        profileImage: user.profileImage,
-        googleImage: user.googleImage,
-        onboarding: user.onboarding,
-        stats: user.stats,
-        preferences: {
-          notifications: user.preferences.notifications
-        }
-      };
-
-      // Get mobile redirect URI from session or use default
-      const mobileRedirectUri = req.session.mobileRedirectUri || 
-        `${process.env.MOBILE_APP_SCHEME || 'exp://localhost:19000'}://auth`;
-
-      // Clear the stored redirect URI
+      const { mobileRedirectUri, codeChallenge } = req.session;
       delete req.session.mobileRedirectUri;
+      delete req.session.codeChallenge;
 
-      // Redirect to mobile app with token and user data
-      const redirectUrl = `${mobileRedirectUri}?token=${encodeURIComponent(token)}&user=${encodeURIComponent(JSON.stringify(userData))}`;
-      
-      console.log('Redirecting to mobile app:', mobileRedirectUri);
-      res.redirect(redirectUrl);
+      if (!mobileRedirectUri || !codeChallenge) {
+        console.error('OAuth callback without a pending authorization request');
+        return res.redirect('/auth/error?message=authentication_failed');
+      }
+
+      // Only a short-lived, single-use code travels in the redirect; the app
+      // redeems it with its PKCE verifier at /auth/token
+      const code = await tokenService.createAuthorizationCode(user, {
+        codeChallenge,
+        redirectUri: mobileRedirectUri
+      });
+
+      res.redirect(`${mobileRedirectUri}?code=${encodeURIComponent(code)}`);
 
     } catch (error) {
       console.error('OAuth callback error:', error);
@@ -119,12 +203,149 @@ router.get('/error', (req, res) => {
   console.error('Authentication error:', message);
 
   // For mobile app, redirect with error
-  const mobileRedirectUri = `${process.env.MOBILE_APP_SCHEME || 'exp://localhost:19000'}://auth`;
+  const mobileRedirectUri = defaultMobileRedirectUri();
   const redirectUrl = `${mobileRedirectUri}?error=${encodeURIComponent(userMessage)}&code=${encodeURIComponent(message)}`;
   
   res.redirect(redirectUrl);
 });
 
+/**
+ * @route   POST /auth/token
+ * @desc    Redeem a single-use authorization code from the OAuth redirect
+ * @access  Public (code and PKCE verifier required)
+ */
+router.post('/token',
+  rateLimits.auth,
+  validate(schemas.tokenExchange),
+  asyncHandler(async (req, res) => {
+    const { code, codeVerifier, redirectUri } = req.body;
+    const { status, user, tokens } = await tokenService.redeemAuthorizationCode(code, {
+      codeVerifier,
+      redirectUri
+    }, clientContext(req));
+
+    if (status !== 'issued') {
+      throw new APIError('Authorization code is invalid, expired or already used', 400, 'INVALID_GRANT');
+    }
+
+    console.log('Generated JWT token for user:', user.email);
+
+    res.json({
+      success: true,
+      data: {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+        user: serializeUser(user)
+      },
+      error: null,
+      code: null
+    });
+  })
+);
+
+/**
+ * @route   POST /auth/apple
+ * @desc    Sign in with an identity token from Sign in with Apple
+ * @access  Public (Apple identity token required)
+ */
+router.post('/apple',
+  rateLimits.auth,
+  validate(schemas.appleSignIn),
+  asyncHandler(async (req, res) => {
+    const { identityToken, nonce, fullName } = req.body;
+
+    if (!appleTokenVerifier.audience.length) {
+      throw new APIError('Sign in with Apple is not configured', 503, 'APPLE_SIGNIN_UNAVAILABLE');
+    }
+
+    let claims;
+    try {
+      claims = await appleTokenVerifier.verify(identityToken, { nonce });
+    } catch (error) {
+      if (error instanceof IdentityTokenError) {
+        throw new APIError(error.message, 401, 'INVALID_IDENTITY_TOKEN');
+      }
+      throw error;
+    }
+
+    // Apple only shares the user's name on the first sign-in, via the app
+    const name = [fullName?.givenName, fullName?.familyName].filter(Boolean).join(' ');
+
+    const data = await signInWithIdentity({
+      provider: 'apple',
+      subject: claims.subject,
+      email: claims.email,
+      emailVerified: claims.emailVerified,
+      name: name || undefined
+    }, clientContext(req));
+
+    res.json({
+      success: true,
+      data,
+      error: null,
+      code: null
+    });
+  })
+);
+
+/**
+ * @route   POST /auth/magic-link
+ * @desc    Email a single-use sign-in link bound to the app's PKCE challenge
+ * @access  Public
+ */
+router.post('/magic-link',
+  rateLimits.auth,
+  validate(schemas.magicLinkRequest),
+  asyncHandler(async (req, res) => {
+    const { email, codeChallenge } = req.body;
+
+    await magicLinkService.requestLink(email, { codeChallenge });
+
+    res.status(202).json({
+      success: true,
+      data: {
+        message: 'If that address can receive mail, a sign-in link is on its way'
+      },
+      error: null,
+      code: null
+    });
+  })
+);
+
+/**
+ * @route   POST /auth/magic-link/verify
+ * @desc    Redeem a magic link token for a session
+ * @access  Public (link token and PKCE verifier required)
+ */
+router.post('/magic-link/verify',
+  rateLimits.auth,
+  validate(schemas.magicLinkVerify),
+  asyncHandler(async (req, res) => {
+    const { token, codeVerifier } = req.body;
+    const { status, email } = await magicLinkService.redeem(token, { codeVerifier });
+
+    if (status !== 'verified') {
+      throw new APIError('Sign-in link is invalid, expired or already used', 400, 'INVALID_MAGIC_LINK');
+    }
+
+    // Redeeming the link proves control of the address
+    const data = await signInWithIdentity({
+      provider: 'email',
+      subject: email,
+      email,
+      emailVerified: true
+    }, clientContext(req));
+
+    res.json({
+      success: true,
+      data,
+      error: null,
+      code: null
+    });
+  })
+);
+
 /**
  * @route   POST /auth/verify
  * @desc    Verify JWT token and return user data
@@ -132,25 +353,10 @@ router.get('/error', (req, res) => {
  */
 router.post('/verify', passport.authenticate('jwt', { session: false }), (req, res) => {
   try {
-    const user = req.user;
-    
-    const userData = {
-      id: user._id,
-      email: user.email,
-      name: user.name,
-      profileImage: user.profileImage,
-      googleImage: user.googleImage,
-      onboarding: user.onboarding,
-      stats: user.stats,
-      preferences: {
-        notifications: user.preferences.notifications
-      }
-    };
-
     res.json({
       success: true,
       data: {
-        user: userData,
+        user: serializeUser(req.user),
         tokenValid: true
       },
       error: null,
@@ -168,17 +374,65 @@ router.post('/verify', passport.authenticate('jwt', { session: false }), (req, r
   }
 });
 
+/**
+ * @route   POST /auth/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public (refresh token required)
+ */
+router.post('/refresh',
+  rateLimits.general,
+  validate(schemas.refreshToken),
+  asyncHandler(async (req, res) => {
+    const { status, tokens } = await tokenService.rotate(req.body.refreshToken, clientContext(req));
+
+    if (status !== 'rotated') {
+      const [message, code] = REFRESH_FAILURES[status];
+      throw new APIError(message, 401, code);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
+      },
+      error: null,
+      code: null
+    });
+  })
+);
+
 /**
  * @route   POST /auth/logout
- * @desc    Logout user (client-side token removal)
+ * @desc    Logout user by revoking the session's refresh tokens
  * @access  Private
  */
-router.post('/logout', passport.authenticate('jwt', { session: false }), (req, res) => {
-  try {
-    // Since we're using JWT, logout is handled client-side by removing the token
-    // We can log the logout event for analytics
+router.post('/logout',
+  requireAuth,
+  validate(schemas.logout),
+  asyncHandler(async (req, res) => {
+    const sessionIds = new Set();
+
+    if (req.token?.sid) {
+      sessionIds.add(req.token.sid);
+    }
+
+    // Tokens issued before sessions existed carry no sid, so also accept
+    // the refresh token itself
+    if (req.body.refreshToken) {
+      const family = await tokenService.findFamily(req.body.refreshToken);
+      if (family && family.userId.toString() === req.user._id.toString()) {
+        sessionIds.add(family.familyId);
+      }
+    }
+
+    for (const sessionId of sessionIds) {
+      await tokenService.revokeFamily(sessionId, 'logout');
+    }
+
     console.log('User logged out:', req.user.email);
-    
+
     res.json({
       success: true,
       data: {
@@ -187,17 +441,8 @@ router.post('/logout', passport.authenticate('jwt', { session: false }), (req, r
       error: null,
       code: null
     });
-
-  } catch (error) {
-    console.error('Logout error:', error);
-    res.status(500).json({
-      success: false,
-      data: null,
-      error: 'Logout failed',
-      code: 'LOGOUT_ERROR'
-    });
-  }
-});
+  })
+);
 
 /**
  * @route   GET /auth/status
@@ -209,11 +454,16 @@ router.get('/status', (req, res) => {
     success: true,
     data: {
       googleOAuthConfigured: !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET),
+      appleSignInConfigured: appleTokenVerifier.audience.length > 0,
       jwtConfigured: !!process.env.JWT_SECRET,
       authEndpoints: {
         login: '/auth/google',
         callback: '/auth/google/callback',
+        token: '/auth/token',
+        apple: '/auth/apple',
+        magicLink: '/auth/magic-link',
         verify: '/auth/verify',
+        refresh: '/auth/refresh',
         logout: '/auth/logout'
       }
     },
@@ -0,0 +1,78 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateQuery, schemas } = require('../middleware/validation');
+const { rateLimits } = require('../middleware/security');
+const { requireAuth } = require('../middleware/auth');
+const { InsightsService } = require('../services/insightsService');
+
+const router = express.Router();
+const insightsService = new InsightsService();
+
+// Apply rate limiting to all insights routes
+router.use(rateLimits.general);
+
+// GET /api/insights/themes - Tag volumes per time bucket (streamgraph)
+router.get('/themes',
+  requireAuth,
+  validateQuery(schemas.insightThemes),
+  asyncHandler(async (req, res) => {
+    const data = await insightsService.themeVolumes(req.user, req.validatedQuery);
+
+    res.json({
+      success: true,
+      data,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// GET /api/insights/mood - Mood averages per bucket with moving average
+router.get('/mood',
+  requireAuth,
+  validateQuery(schemas.insightMood),
+  asyncHandler(async (req, res) => {
+    const data = await insightsService.moodTrend(req.user, req.validatedQuery);
+
+    res.json({
+      success: true,
+      data,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// GET /api/insights/tags/trends - Top emerging and fading tags
+router.get('/tags/trends',
+  requireAuth,
+  validateQuery(schemas.insightTagTrends),
+  asyncHandler(async (req, res) => {
+    const data = await insightsService.tagTrends(req.user, req.validatedQuery);
+
+    res.json({
+      success: true,
+      data,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// GET /api/insights/personas/activity - Persona evidence per bucket
+router.get('/personas/activity',
+  requireAuth,
+  validateQuery(schemas.insightPersonaActivity),
+  asyncHandler(async (req, res) => {
+    const data = await insightsService.personaActivity(req.user, req.validatedQuery);
+
+    res.json({
+      success: true,
+      data,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+module.exports = router;
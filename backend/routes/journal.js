@@ -0,0 +1,794 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const Prompt = require('../models/Prompt');
+const Persona = require('../models/Persona');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+const {
+  validate,
+  validateQuery,
+  validateObjectId,
+  schemas,
+} = require('../middleware/validation');
+const { rateLimits } = require('../middleware/security');
+const { requireAuth, requireOwnership } = require('../middleware/auth');
+const { loadResource } = require('../middleware/resources');
+const { StatsService } = require('../services/statsService');
+const { withTransaction } = require('../services/transaction');
+const { SearchService } = require('../services/searchService');
+const { invalidateInsights } = require('../services/insightsService');
+const { TranscriptionService } = require('../services/transcriptionService');
+const { AnalysisFeedbackService } = require('../services/analysisFeedbackService');
+const { AnalysisService } = require('../services/analysisService');
+const { ImportService, serializeImport } = require('../services/importService');
+const { UploadService, audioUpload, importUpload } = require('../services/uploadService');
+
+const router = express.Router();
+const statsService = new StatsService();
+const searchService = new SearchService();
+const transcriptionService = new TranscriptionService();
+const analysisFeedbackService = new AnalysisFeedbackService();
+const analysisService = new AnalysisService();
+const uploadService = new UploadService();
+const importService = new ImportService({ uploadService });
+
+// Lifetime of the signed links to an entry's private media
+const MEDIA_LINK_TTL_SECONDS = 60 * 60;
+
+// Apply rate limiting to all journal routes
+router.use(rateLimits.general);
+
+/**
+ * Encode a pagination cursor from the last entry of a page
+ * @param {Object} entry - Journal entry document
+ * @returns {string} Opaque cursor string
+ */
+const encodeCursor = (entry) => {
+  return Buffer.from(
+    JSON.stringify({ date: entry.date.toISOString(), id: entry._id.toString() })
+  ).toString('base64url');
+};
+
+/**
+ * Decode a pagination cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor string
+ * @returns {{date: Date, id: mongoose.Types.ObjectId}} Decoded cursor
+ * @throws {APIError} If the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { date, id } = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString('utf8')
+    );
+    const parsedDate = new Date(date);
+
+    if (Number.isNaN(parsedDate.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Invalid cursor payload');
+    }
+
+    return { date: parsedDate, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new APIError('Invalid pagination cursor', 400, 'INVALID_CURSOR');
+  }
+};
+
+/**
+ * Replace a private media item's key with a signed link to it
+ * @param {Object} media - { key, ...details }
+ * @returns {Promise<Object>} { url, ...details }
+ */
+const signMedia = async ({ key, ...details }) => ({
+  ...details,
+  url: await uploadService.getSignedDownloadUrl(key, MEDIA_LINK_TTL_SECONDS),
+});
+
+/**
+ * Shape an entry for API responses. Recordings and photos are private, so
+ * their stored keys are swapped for links that expire after
+ * MEDIA_LINK_TTL_SECONDS.
+ * @param {Object} entry - Journal entry document, or a lean one
+ * @returns {Promise<Object>} Entry with signed audio.url and photos[].url
+ */
+const withMediaLinks = async (entry) => {
+  const data = entry instanceof JournalEntry ? entry.toJSON() : { ...entry };
+  if (data.audio?.key) {
+    data.audio = await signMedia(data.audio);
+  }
+  if (data.photos?.length) {
+    data.photos = await Promise.all(data.photos.map(signMedia));
+  }
+  return data;
+};
+
+/**
+ * Clamp a client-reported edit time so a skewed device clock can't claim
+ * an edit from the future and win every later conflict
+ * @param {string|Date} value - Client edit time
+ * @returns {Date} Edit time no later than now
+ */
+const clampToNow = (value) => {
+  return new Date(Math.min(new Date(value).getTime(), Date.now()));
+};
+
+/**
+ * Accept a single 'audio' file, turning multer errors into API errors
+ */
+const acceptAudio = (req, res, next) => {
+  audioUpload.single('audio')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return next(new APIError('File too large. Maximum size is 25MB.', 413, 'FILE_TOO_LARGE'));
+    }
+    const code = err.message.includes('Invalid file type') ? 'INVALID_FILE_TYPE' : 'UPLOAD_ERROR';
+    return next(new APIError(err.message, 400, code));
+  });
+};
+
+/**
+ * Accept up to 10 'files' to import, turning multer errors into API errors
+ */
+const acceptImport = (req, res, next) => {
+  importUpload.array('files', 10)(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return next(new APIError('File too large. Maximum size is 100MB.', 413, 'FILE_TOO_LARGE'));
+    }
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return next(new APIError('Upload at most 10 files, in the \'files\' field', 400, 'TOO_MANY_FILES'));
+    }
+    const code = err.message.includes('Invalid file type') ? 'INVALID_FILE_TYPE' : 'UPLOAD_ERROR';
+    return next(new APIError(err.message, 400, code));
+  });
+};
+
+/**
+ * Refuse features that need to read entry text when the user's journal is
+ * end-to-end encrypted
+ * @param {Object} user - Requesting user
+ * @param {string} feature - What was asked for, for the message
+ * @throws {APIError} If the journal is encrypted
+ */
+const assertNotEncrypted = (user, feature) => {
+  if (user.hasEncryption()) {
+    throw new APIError(`${feature} is not available when your journal is end-to-end encrypted`, 409, 'ENCRYPTION_ENABLED');
+  }
+};
+
+/**
+ * Refuse plaintext content once the user's journal is end-to-end encrypted
+ * @param {Object} user - Requesting user
+ * @param {string} content - Plaintext content from the request, if any
+ * @throws {APIError} If plaintext was sent for an encrypted journal
+ */
+const assertEncryptedIfRequired = (user, content) => {
+  if (content !== undefined && user.hasEncryption()) {
+    throw new APIError('Entries must be encrypted on the device for this journal', 409, 'ENCRYPTION_REQUIRED');
+  }
+};
+
+/**
+ * Ensure the loaded entry is a voice entry
+ * @param {Object} entry - Journal entry document
+ * @throws {APIError} If the entry was written, not recorded
+ */
+const assertVoiceEntry = (entry) => {
+  if (entry.source !== 'voice') {
+    throw new APIError('Entry has no voice recording', 400, 'NOT_A_VOICE_ENTRY');
+  }
+};
+
+/**
+ * Ensure the loaded entry has an analysis to give feedback on
+ * @param {Object} entry - Journal entry document
+ * @throws {APIError} If analysis hasn't completed
+ */
+const assertAnalyzed = (entry) => {
+  if (entry.processingStatus !== 'completed') {
+    throw new APIError(`Entry analysis is ${entry.processingStatus}`, 409, 'ANALYSIS_NOT_COMPLETE');
+  }
+};
+
+const loadJournalEntry = loadResource(JournalEntry, {
+  notFoundMessage: 'Journal entry not found',
+  notFoundCode: 'JOURNAL_ENTRY_NOT_FOUND',
+});
+
+// GET /api/journal - List current user's entries (newest first)
+router.get('/',
+  requireAuth,
+  validateQuery(schemas.listJournalEntries),
+  asyncHandler(async (req, res) => {
+    const { from, to, cursor, limit, encrypted } = req.validatedQuery;
+
+    const filter = { userId: req.user._id };
+
+    // Lets a device find the entries it still has to encrypt
+    if (encrypted !== undefined) {
+      filter['encrypted.ciphertext'] = { $exists: encrypted };
+    }
+
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = from;
+      if (to) filter.date.$lte = to;
+    }
+
+    if (cursor) {
+      const { date, id } = decodeCursor(cursor);
+      filter.$or = [
+        { date: { $lt: date } },
+        { date, _id: { $lt: id } },
+      ];
+    }
+
+    // Fetch one extra entry to know whether another page exists
+    const entries = await JournalEntry.find(filter)
+      .select('-__v')
+      .sort({ date: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = entries.length > limit;
+    const page = hasMore ? entries.slice(0, limit) : entries;
+
+    res.json({
+      success: true,
+      data: {
+        entries: await Promise.all(page.map(withMediaLinks)),
+        pagination: {
+          limit,
+          hasMore,
+          nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+        },
+      },
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// GET /api/journal/search - Semantic search over current user's entries
+router.get('/search',
+  requireAuth,
+  rateLimits.aiProcessing,
+  validateQuery(schemas.searchJournalEntries),
+  asyncHandler(async (req, res) => {
+    const { q, limit } = req.validatedQuery;
+
+    assertNotEncrypted(req.user, 'Search');
+
+    const { results, strategy } = await searchService.search(req.user._id, q, { limit });
+
+    res.json({
+      success: true,
+      data: {
+        results: await Promise.all(results.map(async ({ entry, score }) => ({
+          entry: await withMediaLinks(entry),
+          score,
+        }))),
+        strategy,
+      },
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// POST /api/journal - Create a new entry for the current user
+// Offline clients send a clientId; replaying the same create returns the
+// entry made the first time instead of a duplicate. End-to-end encrypted
+// journals send `encrypted` and `wordCount` instead of `content`; those
+// entries aren't analyzed.
+router.post('/',
+  requireAuth,
+  validate(schemas.createJournalEntry),
+  asyncHandler(async (req, res) => {
+    const { content, encrypted, wordCount, date, clientId, editedAt, promptId } = req.body;
+
+    const findReplayed = () => (clientId
+      ? JournalEntry.findOne({ userId: req.user._id, clientId }).select('-__v')
+      : null);
+
+    let entry = await findReplayed();
+    if (entry) {
+      return res.json({
+        success: true,
+        data: await withMediaLinks(entry),
+        error: null,
+        code: null,
+      });
+    }
+
+    assertEncryptedIfRequired(req.user, content);
+
+    if (promptId && !(await Prompt.exists({ _id: promptId }))) {
+      throw new APIError('Prompt not found', 400, 'PROMPT_NOT_FOUND');
+    }
+
+    try {
+      entry = await withTransaction(async (session) => {
+        const [created] = await JournalEntry.create(
+          [{
+            userId: req.user._id,
+            ...(encrypted ? { encrypted, wordCount, processingStatus: 'skipped' } : { content }),
+            date: date ? new Date(date) : new Date(),
+            clientId,
+            promptId,
+            lastEditedAt: editedAt ? clampToNow(editedAt) : undefined,
+          }],
+          { session }
+        );
+        await statsService.recordEntryCreated(created, { session });
+        return created;
+      });
+    } catch (error) {
+      // Two replays of the same create raced; the other one won
+      const replayed = error.code === 11000 && await findReplayed();
+      if (!replayed) throw error;
+
+      return res.json({
+        success: true,
+        data: await withMediaLinks(replayed),
+        error: null,
+        code: null,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await withMediaLinks(entry),
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// POST /api/journal/voice - Create an entry from a voice recording.
+// The recording is stored and transcribed in the background; the entry's
+// content is the transcript, which the user reviews before analysis.
+router.post('/voice',
+  requireAuth,
+  rateLimits.aiProcessing,
+  acceptAudio,
+  validate(schemas.createVoiceEntry),
+  asyncHandler(async (req, res) => {
+    const { date, durationSeconds, clientId } = req.body;
+
+    assertNotEncrypted(req.user, 'Voice journaling');
+
+    if (!req.file) {
+      throw new APIError('No audio file provided', 400, 'NO_FILE_PROVIDED');
+    }
+
+    if (clientId) {
+      const replayed = await JournalEntry.findOne({ userId: req.user._id, clientId }).select('-__v');
+      if (replayed) {
+        return res.json({
+          success: true,
+          data: await withMediaLinks(replayed),
+          error: null,
+          code: null,
+        });
+      }
+    }
+
+    const audioKey = await uploadService.uploadVoiceRecording(req.user._id.toString(), req.file);
+
+    let entry;
+    try {
+      entry = await withTransaction(async (session) => {
+        const [created] = await JournalEntry.create(
+          [{
+            userId: req.user._id,
+            source: 'voice',
+            date: date ? new Date(date) : new Date(),
+            clientId,
+            audio: {
+              key: audioKey,
+              mimeType: req.file.mimetype,
+              size: req.file.size,
+              durationSeconds: durationSeconds !== undefined ? Number(durationSeconds) : undefined,
+            },
+            transcription: { status: 'pending' },
+          }],
+          { session }
+        );
+        await statsService.recordEntryCreated(created, { session });
+        await transcriptionService.requestTranscription(created, { session });
+        return created;
+      });
+    } catch (error) {
+      // Don't leave an orphaned recording behind
+      await uploadService.deleteObject(audioKey).catch(() => {});
+      throw error;
+    }
+
+    res.status(202).json({
+      success: true,
+      data: await withMediaLinks(entry),
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// POST /api/journal/import - Import entries from Day One, Journey, Markdown
+// or CSV files. Files are parsed in the background; poll the import for
+// per-file results.
+router.post('/import',
+  requireAuth,
+  rateLimits.upload,
+  acceptImport,
+  asyncHandler(async (req, res) => {
+    assertNotEncrypted(req.user, 'Importing');
+
+    if (!req.files?.length) {
+      throw new APIError('No files provided', 400, 'NO_FILE_PROVIDED');
+    }
+
+    const journalImport = await importService.createImport(req.user, req.files);
+
+    res.status(202).json({
+      success: true,
+      data: serializeImport(journalImport),
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// GET /api/journal/import/:importId - Import status and per-file results
+router.get('/import/:importId',
+  validateObjectId('importId'),
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const journalImport = await importService.getImport(req.user._id, req.params.importId);
+
+    if (!journalImport) {
+      throw new APIError('Import not found or expired', 404, 'IMPORT_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: journalImport,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// GET /api/journal/:id - Get a single entry (requires ownership)
+router.get('/:id',
+  validateObjectId('id'),
+  requireAuth,
+  loadJournalEntry,
+  requireOwnership('userId'),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await withMediaLinks(req.resource),
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// PUT /api/journal/:id - Edit an entry (requires ownership). Sending
+// `encrypted` replaces the content with ciphertext, which is also how a
+// device encrypts entries written before encryption was turned on.
+router.put('/:id',
+  validateObjectId('id'),
+  requireAuth,
+  loadJournalEntry,
+  requireOwnership('userId'),
+  validate(schemas.updateJournalEntry),
+  asyncHandler(async (req, res) => {
+    const entry = req.resource;
+    const { content, encrypted, wordCount, date, baseEditedAt, editedAt } = req.body;
+    let recordingKey = null;
+
+    // Sync clients say which version they edited; refuse to overwrite a
+    // newer edit they haven't seen so they can resolve it themselves
+    if (baseEditedAt && entry.editVersion().getTime() !== new Date(baseEditedAt).getTime()) {
+      throw new APIError('Entry was edited elsewhere since this change was made', 409, 'EDIT_CONFLICT');
+    }
+
+    assertEncryptedIfRequired(req.user, content);
+
+    if ((content !== undefined || encrypted) && ['pending', 'processing'].includes(entry.transcription?.status)) {
+      throw new APIError('Entry is still being transcribed', 409, 'TRANSCRIPTION_IN_PROGRESS');
+    }
+
+    if (encrypted) {
+      entry.encrypted = encrypted;
+      entry.content = undefined;
+      entry.wordCount = wordCount;
+      // Nothing derived from the plaintext may outlive it on the server
+      entry.summary = undefined;
+      entry.summaryReview = undefined;
+      entry.moodScore = undefined;
+      entry.tags = [];
+      entry.embeddings = undefined;
+      entry.embeddingModel = undefined;
+      entry.processingStatus = 'skipped';
+      if (entry.transcription?.status && entry.transcription.status !== 'reviewed') {
+        entry.transcription.status = 'reviewed';
+        entry.transcription.reviewedAt = new Date();
+      }
+      // The recording is as readable as the transcript was
+      if (entry.audio?.key) {
+        recordingKey = entry.audio.key;
+        entry.audio = undefined;
+      }
+    } else if (content !== undefined && content !== entry.content) {
+      entry.content = content;
+      if (entry.transcription?.status === 'failed') {
+        // The user typed the transcript themselves; it still needs confirming
+        entry.transcription.status = 'completed';
+        entry.transcription.completedAt = new Date();
+      }
+      // Edited content invalidates any previous AI analysis and embeddings.
+      // Tag corrections still apply to the new analysis; a verdict on the
+      // old summary doesn't.
+      entry.processingStatus = 'pending';
+      entry.summaryReview = undefined;
+      entry.embeddings = undefined;
+      entry.embeddingModel = undefined;
+    }
+
+    const previousDay = entry.journalDay;
+    if (date !== undefined) {
+      entry.date = new Date(date);
+    }
+
+    const dateChanged = entry.isModified('date');
+    const contentChanged = entry.isModified('content') || entry.isModified('encrypted');
+
+    if (editedAt && (contentChanged || dateChanged)) {
+      entry.lastEditedAt = clampToNow(editedAt);
+    }
+
+    await withTransaction(async (session) => {
+      await entry.save({ session });
+      if (dateChanged) {
+        await statsService.recordEntryDateChanged(entry, { session, previousDay });
+      }
+      if (encrypted) {
+        await analysisFeedbackService.clearEntry(entry._id, { session });
+      }
+      // Persona quotes are copies of the old words
+      if (contentChanged) {
+        await Persona.updateMany(
+          { userId: entry.userId },
+          { $pull: { evidenceQuotes: { entryId: entry._id } } },
+          { session }
+        );
+      }
+    });
+    await invalidateInsights(req.user._id);
+
+    if (recordingKey) {
+      await uploadService.deleteObject(recordingKey).catch((error) => {
+        console.error('Failed to delete voice recording:', error.message);
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await withMediaLinks(entry),
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// POST /api/journal/:id/analyze - Retry AI analysis for a failed entry (requires ownership)
+router.post('/:id/analyze',
+  validateObjectId('id'),
+  requireAuth,
+  rateLimits.aiProcessing,
+  loadJournalEntry,
+  requireOwnership('userId'),
+  asyncHandler(async (req, res) => {
+    const entry = req.resource;
+
+    // The background worker picks pending entries up on its next tick
+    if (!await analysisService.retryEntry(entry._id)) {
+      throw new APIError(
+        `Entry analysis is ${entry.processingStatus}; only failed entries can be retried`,
+        409,
+        'ANALYSIS_NOT_RETRYABLE'
+      );
+    }
+
+    res.status(202).json({
+      success: true,
+      data: {
+        id: entry._id,
+        processingStatus: 'pending',
+      },
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// POST /api/journal/:id/tags/review - Accept, reject or correct one of the
+// entry's AI tags (requires ownership)
+router.post('/:id/tags/review',
+  validateObjectId('id'),
+  requireAuth,
+  loadJournalEntry,
+  requireOwnership('userId'),
+  validate(schemas.reviewTag),
+  asyncHandler(async (req, res) => {
+    const entry = req.resource;
+    const { namespace, name } = req.body;
+    assertAnalyzed(entry);
+
+    const tag = entry.tags.find(item => item.namespace === namespace && item.name === name);
+    if (!tag || tag.source === 'user') {
+      throw new APIError('Entry has no such tag from its analysis', 404, 'TAG_NOT_FOUND');
+    }
+
+    await analysisFeedbackService.reviewTag(entry, req.body);
+
+    res.json({
+      success: true,
+      data: await withMediaLinks(entry),
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// POST /api/journal/:id/summary/review - Accept, reject or rewrite the
+// entry's AI summary (requires ownership)
+router.post('/:id/summary/review',
+  validateObjectId('id'),
+  requireAuth,
+  loadJournalEntry,
+  requireOwnership('userId'),
+  validate(schemas.reviewSummary),
+  asyncHandler(async (req, res) => {
+    const entry = req.resource;
+    assertAnalyzed(entry);
+
+    if (!entry.summary && req.body.action !== 'edited') {
+      throw new APIError('Entry has no summary', 404, 'SUMMARY_NOT_FOUND');
+    }
+
+    await analysisFeedbackService.reviewSummary(entry, req.body);
+
+    res.json({
+      success: true,
+      data: await withMediaLinks(entry),
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// POST /api/journal/:id/transcript - Confirm a voice entry's transcript,
+// optionally with the user's corrections, and release it to analysis
+router.post('/:id/transcript',
+  validateObjectId('id'),
+  requireAuth,
+  loadJournalEntry,
+  requireOwnership('userId'),
+  validate(schemas.confirmTranscript),
+  asyncHandler(async (req, res) => {
+    const entry = req.resource;
+    const { content } = req.body;
+
+    assertVoiceEntry(entry);
+    assertNotEncrypted(req.user, 'Voice transcription');
+
+    if (entry.transcription.status !== 'completed') {
+      throw new APIError(
+        `Transcript is ${entry.transcription.status}; only completed transcripts can be confirmed`,
+        409,
+        'TRANSCRIPT_NOT_REVIEWABLE'
+      );
+    }
+
+    if (content !== undefined) {
+      entry.content = content;
+    }
+
+    if (!entry.content || !entry.content.trim()) {
+      throw new APIError('Transcript is empty; add the entry text before confirming', 400, 'EMPTY_TRANSCRIPT');
+    }
+
+    entry.transcription.status = 'reviewed';
+    entry.transcription.reviewedAt = new Date();
+    entry.processingStatus = 'pending';
+    await entry.save();
+
+    res.json({
+      success: true,
+      data: await withMediaLinks(entry),
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// POST /api/journal/:id/transcribe - Retry a failed transcription (requires ownership)
+router.post('/:id/transcribe',
+  validateObjectId('id'),
+  requireAuth,
+  rateLimits.aiProcessing,
+  loadJournalEntry,
+  requireOwnership('userId'),
+  asyncHandler(async (req, res) => {
+    const entry = req.resource;
+
+    assertVoiceEntry(entry);
+    assertNotEncrypted(req.user, 'Voice transcription');
+
+    if (!(await transcriptionService.retryEntry(entry))) {
+      throw new APIError(
+        `Transcription is ${entry.transcription.status}; only failed transcriptions can be retried`,
+        409,
+        'TRANSCRIPTION_NOT_RETRYABLE'
+      );
+    }
+
+    res.status(202).json({
+      success: true,
+      data: {
+        id: entry._id,
+        transcriptionStatus: 'pending',
+      },
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// DELETE /api/journal/:id - Delete an entry (requires ownership)
+router.delete('/:id',
+  validateObjectId('id'),
+  requireAuth,
+  loadJournalEntry,
+  requireOwnership('userId'),
+  asyncHandler(async (req, res) => {
+    await withTransaction(async (session) => {
+      await req.resource.deleteOne({ session });
+      await analysisFeedbackService.clearEntry(req.resource._id, { session });
+      await Persona.updateMany(
+        { userId: req.resource.userId },
+        { $pull: { evidenceQuotes: { entryId: req.resource._id }, evidenceEntryIds: req.resource._id } },
+        { session }
+      );
+      await statsService.recordEntryDeleted(req.resource, { session });
+    });
+    await invalidateInsights(req.user._id);
+
+    if (req.resource.audio?.key) {
+      await uploadService.deleteObject(req.resource.audio.key).catch((error) => {
+        console.error('Failed to delete voice recording:', error.message);
+      });
+    }
+    for (const photo of req.resource.photos || []) {
+      await uploadService.deleteObject(photo.key).catch((error) => {
+        console.error('Failed to delete entry photo:', error.message);
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Journal entry deleted successfully',
+        deletedEntry: {
+          id: req.resource._id,
+          date: req.resource.date,
+        },
+      },
+      error: null,
+      code: null,
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const MoodCheckIn = require('../models/MoodCheckIn');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+const {
+  validate,
+  validateQuery,
+  validateObjectId,
+  schemas,
+} = require('../middleware/validation');
+const { rateLimits } = require('../middleware/security');
+const { requireAuth, requireOwnership } = require('../middleware/auth');
+const { loadResource } = require('../middleware/resources');
+const { invalidateInsights } = require('../services/insightsService');
+const { toLocalDay } = require('../services/localTime');
+
+const router = express.Router();
+
+// Apply rate limiting to all mood routes
+router.use(rateLimits.general);
+
+const loadCheckIn = loadResource(MoodCheckIn, {
+  notFoundMessage: 'Mood check-in not found',
+  notFoundCode: 'MOOD_CHECK_IN_NOT_FOUND',
+});
+
+/**
+ * Reject notes from users whose journal is end-to-end encrypted: the
+ * server would hold them in a form it can read. Scores and emotion words
+ * are kept, as they are for the mood chart.
+ * @param {Object} user - Authenticated user
+ * @param {string} note - Note from the request, if any
+ */
+const assertNoteAllowed = (user, note) => {
+  if (note && user.hasEncryption()) {
+    throw new APIError('Notes cannot be added to mood check-ins in an encrypted journal', 409, 'ENCRYPTION_REQUIRED');
+  }
+};
+
+// GET /api/moods - List the current user's mood check-ins, newest first
+router.get('/',
+  requireAuth,
+  validateQuery(schemas.listMoodCheckIns),
+  asyncHandler(async (req, res) => {
+    const { from, to, limit } = req.validatedQuery;
+    const checkedAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to }),
+    };
+
+    const checkIns = await MoodCheckIn.find({
+      userId: req.user._id,
+      ...(Object.keys(checkedAt).length && { checkedAt }),
+    })
+      .select('-__v')
+      .sort({ checkedAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: checkIns,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// POST /api/moods - Log a mood check-in
+router.post('/',
+  requireAuth,
+  validate(schemas.createMoodCheckIn),
+  asyncHandler(async (req, res) => {
+    const { score, emotions, note, checkedAt } = req.body;
+    assertNoteAllowed(req.user, note);
+
+    // A skewed device clock can't log a mood in the future
+    const at = new Date(Math.min(new Date(checkedAt || Date.now()).getTime(), Date.now()));
+
+    const checkIn = await MoodCheckIn.create({
+      userId: req.user._id,
+      score,
+      emotions,
+      note: note || undefined,
+      checkedAt: at,
+      journalDay: toLocalDay(at, req.user.timezone),
+    });
+    await invalidateInsights(req.user._id);
+
+    res.status(201).json({
+      success: true,
+      data: checkIn,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// PATCH /api/moods/:id - Add emotions or a note to a check-in (requires ownership)
+router.patch('/:id',
+  validateObjectId('id'),
+  requireAuth,
+  loadCheckIn,
+  requireOwnership('userId'),
+  validate(schemas.updateMoodCheckIn),
+  asyncHandler(async (req, res) => {
+    const checkIn = req.resource;
+    const { score, emotions, note } = req.body;
+    assertNoteAllowed(req.user, note);
+
+    if (score !== undefined) checkIn.score = score;
+    if (emotions !== undefined) checkIn.emotions = emotions;
+    if (note !== undefined) checkIn.note = note || undefined;
+
+    await checkIn.save();
+    await invalidateInsights(req.user._id);
+
+    res.json({
+      success: true,
+      data: checkIn,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// DELETE /api/moods/:id - Delete a check-in (requires ownership)
+router.delete('/:id',
+  validateObjectId('id'),
+  requireAuth,
+  loadCheckIn,
+  requireOwnership('userId'),
+  asyncHandler(async (req, res) => {
+    await req.resource.deleteOne();
+    await invalidateInsights(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Mood check-in deleted successfully',
+        deletedCheckIn: {
+          id: req.resource._id,
+        },
+      },
+      error: null,
+      code: null,
+    });
+  })
+);
+
+module.exports = router;
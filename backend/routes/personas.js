@@ -0,0 +1,220 @@
+const express = require('express');
+const Persona = require('../models/Persona');
+const PersonaSnapshot = require('../models/PersonaSnapshot');
+const JournalEntry = require('../models/JournalEntry');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+const { validate, validateObjectId, schemas } = require('../middleware/validation');
+const { rateLimits } = require('../middleware/security');
+const { requireAuth, requireOwnership } = require('../middleware/auth');
+const { loadResource } = require('../middleware/resources');
+const { PersonaDiscoveryService } = require('../services/personaDiscoveryService');
+const { invalidateInsights } = require('../services/insightsService');
+const { UploadService } = require('../services/uploadService');
+
+const router = express.Router();
+const discoveryService = new PersonaDiscoveryService();
+const uploadService = new UploadService();
+
+// Apply rate limiting to all persona routes
+router.use(rateLimits.general);
+
+const loadPersona = loadResource(Persona, {
+  notFoundMessage: 'Persona not found',
+  notFoundCode: 'PERSONA_NOT_FOUND',
+});
+
+/**
+ * Ensure every evidence entry exists and belongs to the user
+ * @param {string} userId - Persona owner
+ * @param {string[]} entryIds - Journal entry IDs
+ * @throws {APIError} If any entry is missing or owned by someone else
+ */
+const assertOwnEvidence = async (userId, entryIds = []) => {
+  const uniqueIds = [...new Set(entryIds)];
+  if (!uniqueIds.length) return;
+
+  const owned = await JournalEntry.countDocuments({ _id: { $in: uniqueIds }, userId });
+
+  if (owned !== uniqueIds.length) {
+    throw new APIError('Evidence entries must be your own journal entries', 400, 'INVALID_EVIDENCE');
+  }
+};
+
+/**
+ * Merge form edits over the stored form, keeping fields clients can't set
+ * (the uploaded imageUrl)
+ */
+const mergeForm = (existing, updates) => ({
+  ...(existing ? existing.toObject() : {}),
+  ...updates,
+});
+
+// GET /api/personas - List current user's personas (most recently discovered first)
+router.get('/',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const personas = await Persona.find({ userId: req.user._id })
+      .select('-__v')
+      .sort({ discoveredAt: -1 });
+
+    res.json({
+      success: true,
+      data: personas,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// POST /api/personas - Create a persona for the current user
+router.post('/',
+  requireAuth,
+  validate(schemas.createPersona),
+  asyncHandler(async (req, res) => {
+    const { name, archetype, giftForm, shadowForm, evidenceEntryIds, discoveredAt, confidence } = req.body;
+
+    await assertOwnEvidence(req.user._id, evidenceEntryIds);
+
+    const persona = await Persona.create({
+      userId: req.user._id,
+      name,
+      archetype,
+      giftForm,
+      shadowForm,
+      evidenceEntryIds: [...new Set(evidenceEntryIds || [])],
+      discoveredAt,
+      confidence,
+    });
+    await invalidateInsights(req.user._id);
+
+    res.status(201).json({
+      success: true,
+      data: persona,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// POST /api/personas/discover - Queue a discovery run for the current user
+router.post('/discover',
+  requireAuth,
+  rateLimits.aiProcessing,
+  asyncHandler(async (req, res) => {
+    const job = await discoveryService.requestRun(req.user._id);
+
+    res.status(202).json({
+      success: true,
+      data: {
+        jobId: job._id,
+        status: job.status,
+      },
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// GET /api/personas/:id - Get a persona (requires ownership)
+router.get('/:id',
+  validateObjectId('id'),
+  requireAuth,
+  loadPersona,
+  requireOwnership('userId'),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: req.resource,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// GET /api/personas/:id/history - How a persona evolved across discovery runs (requires ownership)
+router.get('/:id/history',
+  validateObjectId('id'),
+  requireAuth,
+  loadPersona,
+  requireOwnership('userId'),
+  asyncHandler(async (req, res) => {
+    const snapshots = await PersonaSnapshot.find({ personaId: req.resource._id })
+      .select('-__v -userId')
+      .sort({ runAt: 1 });
+
+    res.json({
+      success: true,
+      data: snapshots,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// PUT /api/personas/:id - Update a persona (requires ownership)
+router.put('/:id',
+  validateObjectId('id'),
+  requireAuth,
+  loadPersona,
+  requireOwnership('userId'),
+  validate(schemas.updatePersona),
+  asyncHandler(async (req, res) => {
+    const persona = req.resource;
+    const { name, archetype, giftForm, shadowForm, evidenceEntryIds, confidence } = req.body;
+
+    if (evidenceEntryIds !== undefined) {
+      await assertOwnEvidence(req.user._id, evidenceEntryIds);
+      persona.evidenceEntryIds = [...new Set(evidenceEntryIds)];
+    }
+
+    if (name !== undefined) persona.name = name;
+    if (archetype !== undefined) persona.archetype = archetype;
+    if (confidence !== undefined) persona.confidence = confidence;
+    if (giftForm !== undefined) persona.giftForm = mergeForm(persona.giftForm, giftForm);
+    if (shadowForm !== undefined) persona.shadowForm = mergeForm(persona.shadowForm, shadowForm);
+
+    await persona.save();
+    await invalidateInsights(req.user._id);
+
+    res.json({
+      success: true,
+      data: persona,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// DELETE /api/personas/:id - Delete a persona (requires ownership)
+router.delete('/:id',
+  validateObjectId('id'),
+  requireAuth,
+  loadPersona,
+  requireOwnership('userId'),
+  asyncHandler(async (req, res) => {
+    await req.resource.deleteOne();
+    await PersonaSnapshot.deleteMany({ personaId: req.resource._id });
+    await invalidateInsights(req.user._id);
+
+    // Card art is public, and the account purge only finds it through
+    // personas that still exist
+    await uploadService.deletePrefix(`personas/${req.resource._id}/`).catch((error) => {
+      console.error('Failed to delete persona art:', error.message);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Persona deleted successfully',
+        deletedPersona: {
+          id: req.resource._id,
+          name: req.resource.name,
+        },
+      },
+      error: null,
+      code: null,
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateQuery, schemas } = require('../middleware/validation');
+const { rateLimits } = require('../middleware/security');
+const { requireAuth } = require('../middleware/auth');
+const { PromptService } = require('../services/promptService');
+
+const router = express.Router();
+const promptService = new PromptService();
+
+// Apply rate limiting to all prompt routes
+router.use(rateLimits.general);
+
+// GET /api/prompts - Browse the prompt library
+router.get('/',
+  requireAuth,
+  validateQuery(schemas.listPrompts),
+  asyncHandler(async (req, res) => {
+    const data = await promptService.listPrompts(req.validatedQuery);
+
+    res.json({
+      success: true,
+      data,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// GET /api/prompts/suggestions - Prompts picked for the current user today
+router.get('/suggestions',
+  requireAuth,
+  validateQuery(schemas.promptSuggestions),
+  asyncHandler(async (req, res) => {
+    const data = await promptService.suggest(req.user, req.validatedQuery);
+
+    res.json({
+      success: true,
+      data,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+module.exports = router;
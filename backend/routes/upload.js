@@ -1,10 +1,19 @@
 const express = require('express');
-const { UploadService, upload } = require('../services/uploadService');
-const { requireAuth } = require('../middleware/auth');
+const { UploadService, upload, audioUpload } = require('../services/uploadService');
+const Persona = require('../models/Persona');
+const { requireAuth, requireOwnership } = require('../middleware/auth');
+const { validateObjectId } = require('../middleware/validation');
+const { loadResource } = require('../middleware/resources');
 
 const router = express.Router();
 const uploadService = new UploadService();
 
+const loadPersona = loadResource(Persona, {
+  param: 'personaId',
+  notFoundMessage: 'Persona not found',
+  notFoundCode: 'PERSONA_NOT_FOUND',
+});
+
 /**
  * Test DigitalOcean Spaces connection
  * GET /api/upload/test
@@ -117,79 +126,111 @@ router.post('/profile/:userId', requireAuth, (req, res) => {
 });
 
 /**
- * Upload persona image
- * POST /api/upload/persona/:personaId
+ * Upload persona card art for the Gift or Shadow form
+ * POST /api/upload/persona/:personaId?form=gift|shadow
  */
-router.post('/persona/:personaId', requireAuth, (req, res) => {
-  upload.single('image')(req, res, async (err) => {
-    try {
-      // Handle multer errors first
-      if (err) {
-        if (err.code === 'LIMIT_FILE_SIZE') {
-          return res.status(413).json({
+router.post('/persona/:personaId',
+  validateObjectId('personaId'),
+  requireAuth,
+  loadPersona,
+  requireOwnership('userId'),
+  (req, res) => {
+    const form = req.query.form || 'gift';
+
+    if (!['gift', 'shadow'].includes(form)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'form must be "gift" or "shadow"',
+        code: 'INVALID_PERSONA_FORM',
+      });
+    }
+
+    upload.single('image')(req, res, async (err) => {
+      try {
+        // Handle multer errors first
+        if (err) {
+          if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+              success: false,
+              data: null,
+              error: 'File too large. Maximum size is 5MB.',
+              code: 'FILE_TOO_LARGE',
+            });
+          }
+
+          if (err.message.includes('Invalid file type')) {
+            return res.status(400).json({
+              success: false,
+              data: null,
+              error: err.message,
+              code: 'INVALID_FILE_TYPE',
+            });
+          }
+
+          return res.status(400).json({
             success: false,
             data: null,
-            error: 'File too large. Maximum size is 5MB.',
-            code: 'FILE_TOO_LARGE',
+            error: err.message,
+            code: 'UPLOAD_ERROR',
           });
         }
 
-        if (err.message.includes('Invalid file type')) {
+        if (!req.file) {
           return res.status(400).json({
             success: false,
             data: null,
-            error: err.message,
-            code: 'INVALID_FILE_TYPE',
+            error: 'No image file provided',
+            code: 'NO_FILE_PROVIDED',
           });
         }
 
-        return res.status(400).json({
-          success: false,
-          data: null,
-          error: err.message,
-          code: 'UPLOAD_ERROR',
-        });
-      }
+        const persona = req.resource;
+        const previousUrl = persona[`${form}Form`].imageUrl;
+        const imageUrl = await uploadService.uploadPersonaImage(persona._id.toString(), req.file);
 
-      if (!req.file) {
-        return res.status(400).json({
+        // Attach the art to the chosen card face
+        persona[`${form}Form`].imageUrl = imageUrl;
+        await persona.save();
+
+        // The replaced art is public; only remove it if it is this persona's
+        const previousKey = previousUrl && URL.canParse(previousUrl) && uploadService.keyForUrl(previousUrl);
+        if (previousKey?.startsWith(`personas/${persona._id}/`)) {
+          await uploadService.deleteObject(previousKey).catch((error) => {
+            console.error('Failed to delete replaced persona art:', error.message);
+          });
+        }
+
+        res.json({
+          success: true,
+          data: {
+            imageUrl,
+            personaId: persona._id,
+            form,
+            originalName: req.file.originalname,
+            size: req.file.size,
+            mimeType: req.file.mimetype,
+          },
+          error: null,
+          code: null,
+        });
+      } catch (error) {
+        res.status(500).json({
           success: false,
           data: null,
-          error: 'No image file provided',
-          code: 'NO_FILE_PROVIDED',
+          error: error.message,
+          code: 'UPLOAD_ERROR',
         });
       }
-
-      const { personaId } = req.params;
-      const imageUrl = await uploadService.uploadPersonaImage(personaId, req.file);
-
-      res.json({
-        success: true,
-        data: {
-          imageUrl,
-          originalName: req.file.originalname,
-          size: req.file.size,
-          mimeType: req.file.mimetype,
-        },
-        error: null,
-        code: null,
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message,
-        code: 'UPLOAD_ERROR',
-      });
-    }
-  });
-});
+    });
+  }
+);
 
 /**
  * Upload audio file
  * POST /api/upload/audio/:userId
  */
-router.post('/audio/:userId', requireAuth, upload.single('audio'), async (req, res) => {
+router.post('/audio/:userId', requireAuth, audioUpload.single('audio'), async (req, res) => {
   // Check if user is uploading to their own account
   if (req.user._id.toString() !== req.params.userId) {
     return res.status(403).json({
@@ -228,7 +269,7 @@ router.post('/audio/:userId', requireAuth, upload.single('audio'), async (req, r
       return res.status(413).json({
         success: false,
         data: null,
-        error: 'File too large. Maximum size is 5MB.',
+        error: 'File too large. Maximum size is 25MB.',
         code: 'FILE_TOO_LARGE',
       });
     }
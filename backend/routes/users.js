@@ -5,8 +5,28 @@ const { asyncHandler, APIError } = require('../middleware/errorHandler');
 const { validate, validateObjectId, schemas } = require('../middleware/validation');
 const { rateLimits } = require('../middleware/security');
 const { requireAuth, requireOwnership } = require('../middleware/auth');
+const { currentStreak } = require('../services/statsService');
+const { SessionService } = require('../services/sessionService');
+const { AccountDeletionService } = require('../services/accountDeletionService');
+const { DataExportService, serializeExport } = require('../services/dataExportService');
+const { EncryptionService } = require('../services/encryptionService');
 
 const router = express.Router();
+const sessionService = new SessionService();
+const accountDeletionService = new AccountDeletionService({ sessionService });
+const dataExportService = new DataExportService();
+const encryptionService = new EncryptionService();
+
+/**
+ * Flatten a preferences update into dotted paths, so fields the client
+ * didn't send keep their values
+ * @param {Object} preferences - e.g. { notifications: { pushToken } }
+ * @returns {Object} e.g. { 'preferences.notifications.pushToken': ... }
+ */
+const preferencePaths = preferences => Object.fromEntries(
+  Object.entries(preferences).flatMap(([group, fields]) => Object.entries(fields)
+    .map(([field, value]) => [`preferences.${group}.${field}`, value]))
+);
 
 // Apply rate limiting to all user routes
 router.use(rateLimits.general);
@@ -174,7 +194,9 @@ router.put('/:id',
   })
 );
 
-// DELETE /api/users/:id - Delete user (requires ownership)
+// DELETE /api/users/:id - Schedule account deletion (requires ownership).
+// Signs out every device and emails an undo link; the purge job removes
+// the account's data and files once the grace period ends.
 router.delete('/:id',
   validateObjectId('id'),
   requireAuth,
@@ -183,26 +205,39 @@ router.delete('/:id',
     if (req.user._id.toString() !== req.params.id) {
       throw new APIError('Access denied. You can only delete your own account.', 403, 'ACCESS_DENIED');
     }
-    const user = await User.findByIdAndDelete(req.params.id);
+
+    const { scheduledFor } = await accountDeletionService.requestDeletion(req.user);
+    console.log(`Account deletion scheduled for ${scheduledFor.toISOString()}:`, req.user.email);
     
-    if (!user) {
-      throw new APIError('User not found', 404, 'USER_NOT_FOUND');
+    res.status(202).json({
+      success: true,
+      data: { 
+        message: 'Account scheduled for deletion. Use the link we emailed you to undo this.',
+        scheduledFor,
+      },
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// POST /api/users/restore - Cancel a scheduled deletion with the emailed undo token
+router.post('/restore',
+  rateLimits.auth,
+  validate(schemas.restoreAccount),
+  asyncHandler(async (req, res) => {
+    const { status, user } = await accountDeletionService.restore(req.body.token);
+
+    if (status !== 'restored') {
+      throw new APIError('Undo link is invalid or the account was already deleted', 400, 'INVALID_RESTORE_TOKEN');
     }
-    
-    // TODO: In a real application, you might want to:
-    // 1. Delete associated journal entries
-    // 2. Delete uploaded files
-    // 3. Log the deletion for audit purposes
-    
+
+    console.log('Account deletion cancelled:', user.email);
+
     res.json({
       success: true,
-      data: { 
-        message: 'User deleted successfully',
-        deletedUser: {
-          id: user._id,
-          email: user.email,
-          name: user.name,
-        },
+      data: {
+        message: 'Account restored. Sign in to continue.',
       },
       error: null,
       code: null,
@@ -214,7 +249,7 @@ router.delete('/:id',
 router.get('/me/stats',
   requireAuth,
   asyncHandler(async (req, res) => {
-    const user = await User.findById(req.user._id).select('stats');
+    const user = await User.findById(req.user._id).select('stats timezone');
     
     // Calculate additional stats
     const additionalStats = {
@@ -227,6 +262,7 @@ router.get('/me/stats',
       success: true,
       data: {
         ...user.stats.toObject(),
+        streakDays: currentStreak(user.stats, user.timezone),
         ...additionalStats,
       },
       error: null,
@@ -244,7 +280,7 @@ router.get('/:id/stats',
     if (req.user._id.toString() !== req.params.id) {
       throw new APIError('Access denied. You can only access your own statistics.', 403, 'ACCESS_DENIED');
     }
-    const user = await User.findById(req.params.id).select('stats');
+    const user = await User.findById(req.params.id).select('stats timezone');
     
     if (!user) {
       throw new APIError('User not found', 404, 'USER_NOT_FOUND');
@@ -261,6 +297,7 @@ router.get('/:id/stats',
       success: true,
       data: {
         ...user.stats.toObject(),
+        streakDays: currentStreak(user.stats, user.timezone),
         ...additionalStats,
       },
       error: null,
@@ -269,6 +306,40 @@ router.get('/:id/stats',
   })
 );
 
+// PATCH /api/users/me/onboarding - Record how far the user got through onboarding
+router.patch('/me/onboarding',
+  requireAuth,
+  validate(Joi.object({
+    step: Joi.string().valid(...User.ONBOARDING_STEPS).required(),
+  })),
+  asyncHandler(async (req, res) => {
+    const { step } = req.body;
+    const completed = step === 'completed';
+    const earlierSteps = User.ONBOARDING_STEPS.slice(0, User.ONBOARDING_STEPS.indexOf(step));
+
+    // Progress only moves forward, so a stale step from another device or a
+    // retried request can't send the user back through onboarding
+    const user = await User.findOneAndUpdate(
+      { _id: req.user._id, 'onboarding.step': { $in: earlierSteps } },
+      {
+        $set: {
+          'onboarding.step': step,
+          'onboarding.completed': completed,
+          ...(completed && { 'onboarding.completedAt': new Date() }),
+        },
+      },
+      { new: true, select: 'onboarding' }
+    ) || await User.findById(req.user._id).select('onboarding');
+
+    res.json({
+      success: true,
+      data: user.onboarding,
+      error: null,
+      code: null,
+    });
+  })
+);
+
 // PATCH /api/users/me/preferences - Update current user preferences
 router.patch('/me/preferences',
   requireAuth,
@@ -285,7 +356,7 @@ router.patch('/me/preferences',
       req.user._id,
       { 
         $set: { 
-          'preferences': req.body,
+          ...preferencePaths(req.body),
           updatedAt: new Date(),
         }
       },
@@ -327,7 +398,7 @@ router.patch('/:id/preferences',
       req.params.id,
       { 
         $set: { 
-          'preferences': req.body,
+          ...preferencePaths(req.body),
           updatedAt: new Date(),
         }
       },
@@ -380,6 +451,164 @@ router.patch('/me/profile-image',
   })
 );
 
+// GET /api/users/me/sessions - List devices signed in to the current user's account
+router.get('/me/sessions',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const sessions = await sessionService.listActive(req.user._id, req.token?.sid);
+
+    res.json({
+      success: true,
+      data: sessions,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// DELETE /api/users/me/sessions - Sign out everywhere, including this device
+router.delete('/me/sessions',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const revokedSessions = await sessionService.revokeAllForUser(req.user._id);
+    console.log(`Signed out ${revokedSessions} session(s) for user:`, req.user.email);
+
+    res.json({
+      success: true,
+      data: { revokedSessions },
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// DELETE /api/users/me/sessions/:sessionId - Sign out one device
+router.delete('/me/sessions/:sessionId',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    const { status } = await sessionService.revokeForUser(req.user._id, sessionId);
+
+    if (status === 'not-found') {
+      throw new APIError('Session not found', 404, 'SESSION_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: sessionId,
+        current: sessionId === req.token?.sid,
+      },
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// POST /api/users/me/export - Start building a zip of the current user's data.
+// Returns the export already in progress, if any; poll it for the download link.
+router.post('/me/export',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const { status, dataExport } = await dataExportService.requestExport(req.user);
+
+    if (status === 'created') {
+      console.log('Data export requested:', req.user.email);
+    }
+
+    res.status(202).json({
+      success: true,
+      data: serializeExport(dataExport),
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// GET /api/users/me/export/:exportId - Export status, with a signed download link once complete
+router.get('/me/export/:exportId',
+  validateObjectId('exportId'),
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const dataExport = await dataExportService.getExport(req.user._id, req.params.exportId);
+
+    if (!dataExport) {
+      throw new APIError('Export not found or expired', 404, 'EXPORT_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: dataExport,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// GET /api/users/me/encryption - End-to-end encryption settings and the
+// wrapped data key, so a device can unlock it with the passphrase
+router.get('/me/encryption',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await encryptionService.getKeys(req.user._id),
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// POST /api/users/me/encryption - Turn on end-to-end encryption with a data
+// key generated and wrapped on the device. New entries must then be
+// encrypted; the app encrypts existing ones itself.
+router.post('/me/encryption',
+  requireAuth,
+  rateLimits.auth,
+  validate(schemas.enableEncryption),
+  asyncHandler(async (req, res) => {
+    const { status, encryption } = await encryptionService.enable(req.user, req.body);
+
+    if (status === 'already-enabled') {
+      throw new APIError('End-to-end encryption is already on', 409, 'ENCRYPTION_ALREADY_ENABLED');
+    }
+
+    console.log('End-to-end encryption enabled:', req.user.email);
+
+    res.status(201).json({
+      success: true,
+      data: encryption,
+      error: null,
+      code: null,
+    });
+  })
+);
+
+// PUT /api/users/me/encryption/keys - Store the data key wrapped under a new
+// passphrase, after a passphrase change or recovery
+router.put('/me/encryption/keys',
+  requireAuth,
+  rateLimits.auth,
+  validate(schemas.updateEncryptionKeys),
+  asyncHandler(async (req, res) => {
+    const { status, encryption } = await encryptionService.updateKeys(req.user._id, req.body);
+
+    if (status === 'not-enabled') {
+      throw new APIError('End-to-end encryption is not on', 409, 'ENCRYPTION_NOT_ENABLED');
+    }
+    if (status === 'invalid-proof') {
+      throw new APIError('Key proof does not match this account\'s data key', 403, 'INVALID_KEY_PROOF');
+    }
+
+    res.json({
+      success: true,
+      data: encryption,
+      error: null,
+      code: null,
+    });
+  })
+);
+
 // PATCH /api/users/:id/profile-image - Update user profile image (requires ownership)
 router.patch('/:id/profile-image',
   validateObjectId('id'),
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { AnalysisFeedbackService } = require('../services/analysisFeedbackService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Report how often users keep what the analysis produced: precision per
+ * tag namespace and for summaries, from accept, reject and edit feedback.
+ * Precision is the share of reviewed items accepted as they were; edited
+ * tags count against it.
+ *
+ * Usage: node scripts/analysis-precision.js [--days=30]
+ */
+async function reportPrecision() {
+  const daysArg = process.argv.find(arg => arg.startsWith('--days='));
+  const days = daysArg ? Number(daysArg.slice('--days='.length)) : null;
+  if (days !== null && !(days > 0)) {
+    throw new Error('--days must be a positive number');
+  }
+
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected');
+
+    const since = days ? new Date(Date.now() - days * DAY_MS) : undefined;
+    const { tags, summaries } = await new AnalysisFeedbackService().precision({ since });
+    const percent = value => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+
+    console.log(`📊 Analysis precision${days ? ` over the last ${days} days` : ''}`);
+    if (!tags.length) {
+      console.log('   No tag feedback yet');
+    }
+    for (const { namespace, reviewed, accepted, rejected, edited, precision } of tags) {
+      console.log(`   ${namespace.padEnd(12)} ${percent(precision).padStart(6)}  `
+        + `(${reviewed} reviewed: ${accepted} accepted, ${rejected} rejected, ${edited} edited)`);
+    }
+    console.log(`   ${'summaries'.padEnd(12)} ${percent(summaries.precision).padStart(6)}  `
+      + `(${summaries.reviewed} reviewed: ${summaries.accepted} accepted, `
+      + `${summaries.rejected} rejected, ${summaries.edited} edited)`);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Connection closed');
+  }
+}
+
+reportPrecision()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Precision report failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+
+/**
+ * Mark onboarding as done for people who were journaling before the app
+ * had onboarding, so updating the app doesn't greet them as new users.
+ * Anyone with at least one entry counts. Safe to run more than once.
+ *
+ * Usage: node scripts/migrate-onboarding.js
+ */
+async function migrateOnboarding() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected');
+
+    const journalers = await JournalEntry.distinct('userId');
+
+    const { modifiedCount } = await User.updateMany(
+      { _id: { $in: journalers }, 'onboarding.completed': { $ne: true } },
+      {
+        $set: {
+          'onboarding.completed': true,
+          'onboarding.step': 'completed',
+          'onboarding.completedAt': new Date(),
+        },
+      }
+    );
+
+    console.log(`✅ Onboarding marked complete for ${modifiedCount} existing users`);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Connection closed');
+  }
+}
+
+migrateOnboarding()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Onboarding migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const JournalEntry = require('../models/JournalEntry');
+const { UploadService } = require('../services/uploadService');
+
+/**
+ * Make voice recordings and entry photos uploaded public-read private, and
+ * point their entries at the object keys instead of the public URLs.
+ * Entries are updated through the raw collection because audio.url and
+ * photos.url are no longer in the schema. Files outside the bucket are left
+ * as they are. Safe to run more than once.
+ *
+ * Usage: node scripts/migrate-private-media.js
+ */
+async function migratePrivateMedia() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected');
+
+    const uploadService = new UploadService();
+    const counts = { files: 0, skipped: 0 };
+
+    // Key of a public file, made private; null leaves the reference alone
+    const privatize = async (entryId, url) => {
+      const key = uploadService.keyForUrl(url);
+      if (!key) {
+        console.warn(`⚠️  Entry ${entryId}: ${url} is outside the bucket, left as is`);
+        counts.skipped += 1;
+        return null;
+      }
+      await uploadService.makePrivate(key);
+      counts.files += 1;
+      return key;
+    };
+
+    const entries = JournalEntry.collection.find(
+      { $or: [{ 'audio.url': { $exists: true } }, { 'photos.url': { $exists: true } }] },
+      { projection: { audio: 1, photos: 1 } }
+    );
+
+    for await (const entry of entries) {
+      const update = { $set: {}, $unset: {} };
+
+      const audioKey = entry.audio?.url && await privatize(entry._id, entry.audio.url);
+      if (audioKey) {
+        update.$set['audio.key'] = audioKey;
+        update.$unset['audio.url'] = '';
+      }
+
+      if (entry.photos?.some(photo => photo.url)) {
+        const photos = [];
+        for (const { url, ...photo } of entry.photos) {
+          const key = url && await privatize(entry._id, url);
+          photos.push(key ? { ...photo, key } : { ...photo, ...(url && { url }) });
+        }
+        update.$set.photos = photos;
+      }
+
+      if (!Object.keys(update.$unset).length) delete update.$unset;
+      if (Object.keys(update.$set).length) {
+        await JournalEntry.collection.updateOne({ _id: entry._id }, update);
+      }
+    }
+
+    console.log(`✅ ${counts.files} files made private, ${counts.skipped} skipped`);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Connection closed');
+  }
+}
+
+migratePrivateMedia()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Media migration failed:', error);
+    process.exit(1);
+  });
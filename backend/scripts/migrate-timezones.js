@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const { isValidTimeZone, canonicalLocale } = require('../services/localTime');
+const { StatsService } = require('../services/statsService');
+
+/**
+ * Bring existing users and entries up to timezone-aware storage:
+ * - users get a valid timezone (UTC when missing or unrecognized) and a
+ *   canonical locale
+ * - entries without a journal day get one from their date in the user's
+ *   timezone, as it stands now
+ * - streaks are recomputed from those journal days
+ * Safe to run more than once; it only fills in what is missing. Users who
+ * sign in from the updated app afterwards report their device timezone.
+ *
+ * Usage: node scripts/migrate-timezones.js
+ */
+async function migrateTimezones() {
+  const statsService = new StatsService();
+
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected');
+
+    const cursor = User.find().select('timezone locale').lean().cursor();
+    let users = 0;
+    let fixedUsers = 0;
+    let entries = 0;
+
+    for await (const user of cursor) {
+      const timezone = isValidTimeZone(user.timezone) ? user.timezone : 'UTC';
+      const locale = canonicalLocale(user.locale) || 'en-US';
+
+      if (timezone !== user.timezone || locale !== user.locale) {
+        await User.updateOne({ _id: user._id }, { $set: { timezone, locale } });
+        fixedUsers += 1;
+      }
+
+      // Leave updatedAt alone: analysis write-backs use it to detect edits
+      const { modifiedCount } = await JournalEntry.updateMany(
+        { userId: user._id, journalDay: { $exists: false } },
+        [{ $set: { journalDay: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone } } } }],
+        { timestamps: false }
+      );
+      entries += modifiedCount;
+
+      if (modifiedCount) {
+        await statsService.refreshStreak(user._id);
+      }
+
+      users += 1;
+      if (users % 100 === 0) {
+        console.log(`   ...${users} users`);
+      }
+    }
+
+    console.log(`✅ Checked ${users} users: ${fixedUsers} timezones or locales fixed, ${entries} entries given a journal day`);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Connection closed');
+  }
+}
+
+migrateTimezones()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Timezone migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { StatsService } = require('../services/statsService');
+
+/**
+ * Rebuild User.stats (totalEntries, streakDays, lastEntryDate) from the
+ * JournalEntry collection. Run when counters drift, e.g. after a manual
+ * data fix or a failed deploy.
+ *
+ * Usage: node scripts/recompute-stats.js [userId]
+ */
+async function recomputeStats() {
+  const userId = process.argv[2];
+  const statsService = new StatsService();
+
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected');
+
+    if (userId) {
+      const result = await statsService.recomputeUserStats(userId);
+
+      if (!result) {
+        throw new Error(`User ${userId} not found`);
+      }
+
+      console.log(`${result.changed ? '🔧 Corrected' : '✅ Already correct'}:`, result.stats);
+    } else {
+      console.log('🔄 Recomputing stats for all users...');
+      const { processed, corrected } = await statsService.recomputeAllStats();
+      console.log(`✅ Processed ${processed} users, corrected ${corrected}`);
+    }
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Connection closed');
+  }
+}
+
+recomputeStats()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Stats recompute failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const JournalEntry = require('../models/JournalEntry');
+const MoodCheckIn = require('../models/MoodCheckIn');
+const Persona = require('../models/Persona');
+const { getFieldCipher } = require('../services/fieldEncryption');
+
+/**
+ * Move journal entries, mood check-ins and personas onto the current
+ * field encryption key (FIELD_ENCRYPTION_KEY_ID, or the last key in
+ * FIELD_ENCRYPTION_KEYS). Data keys wrapped by older master keys are
+ * re-wrapped, and content, summaries, evidence quotes (on entries and
+ * personas) and check-in notes still stored as plaintext are encrypted.
+ * Remove an old master key from FIELD_ENCRYPTION_KEYS only once a run
+ * reports nothing left to do.
+ *
+ * Usage: node scripts/rotate-field-keys.js [--dry-run]
+ */
+async function rotateFieldKeys() {
+  const dryRun = process.argv.includes('--dry-run');
+  const cipher = getFieldCipher();
+
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected');
+
+    const collections = [
+      { Model: JournalEntry, label: 'journal entries' },
+      { Model: MoodCheckIn, label: 'mood check-ins' },
+      { Model: Persona, label: 'personas' },
+    ];
+
+    for (const { Model, label } of collections) {
+      console.log(`🔑 ${dryRun ? 'Checking' : 'Rotating'} ${label} onto key "${cipher.currentKeyId}"...`);
+      const counts = await Model.rotateFieldKeys({
+        dryRun,
+        onProgress: ({ scanned }) => {
+          if (scanned % 1000 === 0) console.log(`   ...${scanned} ${label}`);
+        },
+      });
+
+      console.log(`✅ ${counts.scanned} ${label} needed work: ${counts.rewrapped} re-wrapped, ${counts.encrypted} encrypted`);
+      if (counts.skipped) {
+        console.log(`⚠️  ${counts.skipped} ${label} changed during the run; run again to finish them`);
+      }
+    }
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Connection closed');
+  }
+}
+
+rotateFieldKeys()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Key rotation failed:', error);
+    process.exit(1);
+  });
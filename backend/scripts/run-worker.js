@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { createWorker } = require('../workers');
+
+/**
+ * Run the background job worker as a standalone process, for deployments
+ * that set WORKER_ENABLED=false on the API and scale workers separately.
+ *
+ * Usage: node scripts/run-worker.js
+ */
+async function runWorker() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const worker = createWorker({
+    pollIntervalMs: Number(process.env.WORKER_POLL_INTERVAL_MS) || undefined,
+    discoveryIntervalMs: Number(process.env.PERSONA_DISCOVERY_INTERVAL_MS) || undefined,
+    transcriptReviewWindowMs: Number(process.env.TRANSCRIPT_REVIEW_WINDOW_MS) || undefined,
+  });
+
+  const shutdown = async (signal) => {
+    console.log(`\n🛑 Received ${signal}. Stopping worker...`);
+    await worker.stop();
+    await mongoose.connection.close();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  worker.start();
+}
+
+runWorker().catch((error) => {
+  console.error('❌ Worker failed to start:', error);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { PromptService } = require('../services/promptService');
+
+/**
+ * Load the journaling prompt library (services/prompts/library.js) into
+ * the database. Prompts are matched on their key, so running it again
+ * after editing the library updates them in place.
+ *
+ * Usage: node scripts/seed-prompts.js
+ */
+async function seedPrompts() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected');
+
+    const { inserted, updated } = await new PromptService().seedLibrary();
+
+    console.log(`✅ Prompt library seeded: ${inserted} added, ${updated} updated`);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Connection closed');
+  }
+}
+
+seedPrompts()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Prompt seeding failed:', error);
+    process.exit(1);
+  });
@@ -24,6 +24,18 @@ const healthRoutes = require('./routes/health');
 const userRoutes = require('./routes/users');
 const uploadRoutes = require('./routes/upload');
 const authRoutes = require('./routes/auth');
+const journalRoutes = require('./routes/journal');
+const personaRoutes = require('./routes/personas');
+const insightsRoutes = require('./routes/insights');
+const promptRoutes = require('./routes/prompts');
+const moodRoutes = require('./routes/moods');
+
+// Import background worker
+const { createWorker } = require('./workers');
+const { createAnalysisProvider } = require('./services/analysis');
+const { createEmbeddingProvider } = require('./services/embeddings');
+const { createTranscriptionProvider } = require('./services/transcription');
+const { createPushClient } = require('./services/push');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -70,6 +82,9 @@ async function connectDB() {
   }
 }
 
+// Client IPs (rate limits, session last-seen) come from X-Forwarded-For
+app.set('trust proxy', config.trustProxy);
+
 // Security middleware (must be early in the stack)
 app.use(helmet(helmetConfig));
 app.use(cors(corsOptions));
@@ -92,6 +107,11 @@ app.use('/health', healthRoutes);
 app.use('/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/journal', journalRoutes);
+app.use('/api/personas', personaRoutes);
+app.use('/api/insights', insightsRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/moods', moodRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -121,6 +141,11 @@ app.get('/api', (req, res) => {
         auth: '/auth',
         users: '/api/users',
         upload: '/api/upload',
+        journal: '/api/journal',
+        personas: '/api/personas',
+        insights: '/api/insights',
+        prompts: '/api/prompts',
+        moods: '/api/moods',
       },
       documentation: 'https://github.com/your-repo/persona-arcana-mobile#api-documentation',
     },
@@ -140,6 +165,12 @@ const gracefulShutdown = async (signal) => {
   console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
   
   try {
+    // Let the worker finish its current job before closing the connection
+    if (worker) {
+      await worker.stop();
+      console.log('✅ Job worker stopped');
+    }
+
     // Close MongoDB connection
     await mongoose.connection.close();
     console.log('✅ MongoDB connection closed');
@@ -176,6 +207,7 @@ process.on('unhandledRejection', (reason, promise) => {
 
 // Start server
 let server;
+let worker;
 
 async function start() {
   try {
@@ -198,6 +230,20 @@ async function start() {
       }
     });
     
+    // Start background job worker (AI analysis pipeline)
+    if (config.worker.enabled) {
+      worker = createWorker({
+        pollIntervalMs: config.worker.pollIntervalMs,
+        analysisProvider: createAnalysisProvider(config.worker.analysisProvider),
+        embeddingProvider: createEmbeddingProvider(config.search.embeddingProvider),
+        transcriptionProvider: createTranscriptionProvider(config.worker.transcriptionProvider),
+        pushClient: createPushClient(config.worker.pushProvider),
+        transcriptReviewWindowMs: config.worker.transcriptReviewWindowMs,
+        discoveryIntervalMs: config.worker.discoveryIntervalMs,
+      });
+      worker.start();
+    }
+    
     // Handle server errors
     server.on('error', (error) => {
       console.error('❌ Server error:', error);
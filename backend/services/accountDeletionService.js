@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const Persona = require('../models/Persona');
+const PersonaSnapshot = require('../models/PersonaSnapshot');
+const MoodCheckIn = require('../models/MoodCheckIn');
+const AnalysisFeedback = require('../models/AnalysisFeedback');
+const InsightCache = require('../models/InsightCache');
+const RefreshToken = require('../models/RefreshToken');
+const Device = require('../models/Device');
+const AuthorizationCode = require('../models/AuthorizationCode');
+const MagicLink = require('../models/MagicLink');
+const DataExport = require('../models/DataExport');
+const JournalImport = require('../models/JournalImport');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const AccountTombstone = require('../models/AccountTombstone');
+const { JobQueue } = require('./jobQueue');
+const { SessionService } = require('./sessionService');
+const { UploadService } = require('./uploadService');
+const { createMailer } = require('./mail');
+const { withTransaction } = require('./transaction');
+
+const PURGE_ACCOUNT_JOB = 'purge-account';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same digest as tokenService's, which can't be loaded here: it pulls in
+// passport, and the worker process has no OAuth configuration
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Deletes accounts in two steps. A request soft-deletes: every session is
+ * signed out, sign-in is refused and an undo link is emailed. Once the
+ * grace period passes, a purge job removes the user's data and files and
+ * leaves an AccountTombstone as the audit record.
+ */
+class AccountDeletionService {
+  /**
+   * @param {Object} options - { queue, sessionService, uploadService, mailer, graceMs, restoreUrl }
+   *   restoreUrl is the app deep link the undo token is appended to
+   */
+  constructor(options = {}) {
+    this.queue = options.queue || new JobQueue();
+    this.sessionService = options.sessionService || new SessionService();
+    this.uploadService = options.uploadService || new UploadService();
+    this.mailer = options.mailer || createMailer();
+    this.graceMs = options.graceMs ?? Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || 30) * DAY_MS;
+    this.restoreUrl = options.restoreUrl || process.env.ACCOUNT_RESTORE_URL || 'personaarcana://account/restore';
+  }
+
+  /**
+   * Schedule an account for deletion. Repeating the request keeps the
+   * original schedule.
+   * @param {Object} user - User document
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { status, scheduledFor } where status is
+   *   'scheduled' or 'already-scheduled'
+   */
+  async requestDeletion(user, now = new Date()) {
+    if (user.isPendingDeletion()) {
+      return { status: 'already-scheduled', scheduledFor: user.deletion.scheduledFor };
+    }
+
+    const undoToken = crypto.randomBytes(32).toString('base64url');
+    const scheduledFor = new Date(now.getTime() + this.graceMs);
+
+    // Queued first: a job whose user was never marked finds nothing to purge,
+    // whereas a marked user without a job would never be purged
+    await this.queue.enqueue(PURGE_ACCOUNT_JOB, { userId: user._id.toString() }, { runAt: scheduledFor });
+
+    user.deletion = { requestedAt: now, scheduledFor, undoTokenHash: hashToken(undoToken) };
+    await user.save();
+
+    await this.sessionService.revokeAllForUser(user._id);
+
+    const separator = this.restoreUrl.includes('?') ? '&' : '?';
+    const days = Math.round(this.graceMs / DAY_MS);
+    await this.mailer.send({
+      to: user.email,
+      subject: 'Your Persona Arcana account will be deleted',
+      text: [
+        `Your account and everything in it will be permanently deleted on ${scheduledFor.toUTCString()}.`,
+        '',
+        `Changed your mind? Open this link within ${days} days to keep your account:`,
+        '',
+        `${this.restoreUrl}${separator}token=${encodeURIComponent(undoToken)}`,
+      ].join('\n'),
+    });
+
+    return { status: 'scheduled', scheduledFor };
+  }
+
+  /**
+   * Cancel a scheduled deletion with the token from the undo link
+   * @param {string} undoToken - Token from the link
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { status, user } where status is 'restored' or 'invalid'
+   */
+  async restore(undoToken, now = new Date()) {
+    const user = await User.findOneAndUpdate(
+      { 'deletion.undoTokenHash': hashToken(undoToken), 'deletion.scheduledFor': { $gt: now } },
+      { $unset: { deletion: '' } },
+      { new: true }
+    );
+
+    return user ? { status: 'restored', user } : { status: 'invalid' };
+  }
+
+  /**
+   * Job handler: permanently remove a user whose grace period is over.
+   * Files go first so a failure leaves the records that point at them,
+   * and the retry can pick up where this attempt stopped.
+   * @param {Object} job - Claimed purge-account job
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Job result summary
+   */
+  async purgeAccount(job, now = new Date()) {
+    const { userId } = job.payload;
+    const user = await User.findById(userId);
+
+    // Already purged, restored, or deleted again with a later schedule
+    if (!user || !user.isPendingDeletion() || user.deletion.scheduledFor > now) {
+      return { skipped: true };
+    }
+
+    const personaIds = await Persona.distinct('_id', { userId });
+    const files = await this.uploadService.deleteUserFiles(userId, personaIds.map(String));
+    const sessionIds = await RefreshToken.distinct('familyId', { userId });
+
+    const removed = await withTransaction(async (session) => {
+      const { deletedCount: journalEntries } = await JournalEntry.deleteMany({ userId }, { session });
+      const { deletedCount: personas } = await Persona.deleteMany({ userId }, { session });
+      const { deletedCount: personaSnapshots } = await PersonaSnapshot.deleteMany({ userId }, { session });
+      const { deletedCount: moodCheckIns } = await MoodCheckIn.deleteMany({ userId }, { session });
+      await AnalysisFeedback.deleteMany({ userId }, { session });
+      await InsightCache.deleteMany({ userId }, { session });
+      await RefreshToken.deleteMany({ userId }, { session });
+      await Device.deleteMany({ userId }, { session });
+      await AuthorizationCode.deleteMany({ userId }, { session });
+      await MagicLink.deleteMany({ email: user.email }, { session });
+      await DataExport.deleteMany({ userId }, { session });
+      await JournalImport.deleteMany({ userId }, { session });
+      await NotificationDelivery.deleteMany({ userId }, { session });
+
+      const counts = { journalEntries, personas, personaSnapshots, moodCheckIns, sessions: sessionIds.length, files };
+
+      // Upserted so a retry after a non-transactional partial run can't duplicate it
+      await AccountTombstone.updateOne(
+        { userId: user._id },
+        { $setOnInsert: { requestedAt: user.deletion.requestedAt, purgedAt: now, removed: counts } },
+        { upsert: true, session }
+      );
+      await User.deleteOne({ _id: user._id }, { session });
+
+      return counts;
+    });
+
+    console.log(`Purged account ${userId}:`, removed);
+    return { purged: true, removed };
+  }
+}
+
+module.exports = { AccountDeletionService, PURGE_ACCOUNT_JOB };
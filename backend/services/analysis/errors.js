@@ -0,0 +1,14 @@
+/**
+ * Error raised by an analysis provider. Set retryable to false for
+ * failures that won't succeed on retry (bad request, invalid key).
+ */
+class AnalysisProviderError extends Error {
+  constructor(message, { retryable = true, cause } = {}) {
+    super(message);
+    this.name = 'AnalysisProviderError';
+    this.retryable = retryable;
+    this.cause = cause;
+  }
+}
+
+module.exports = { AnalysisProviderError };
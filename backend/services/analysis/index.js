@@ -0,0 +1,70 @@
+const JournalEntry = require('../../models/JournalEntry');
+const { StubAnalysisProvider } = require('./stubProvider');
+const { OpenAIAnalysisProvider } = require('./openaiProvider');
+const { AnalysisProviderError } = require('./errors');
+
+/**
+ * Create the analysis provider named by ANALYSIS_PROVIDER. Defaults to
+ * OpenAI when an API key is configured and the offline stub otherwise.
+ * @param {string} name - 'openai' or 'stub'
+ * @returns {Object} Provider exposing analyze({ content, date })
+ */
+const createAnalysisProvider = (name = process.env.ANALYSIS_PROVIDER) => {
+  const providerName = name || (process.env.OPENAI_API_KEY ? 'openai' : 'stub');
+
+  switch (providerName) {
+    case 'openai':
+      return new OpenAIAnalysisProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL,
+      });
+    case 'stub':
+      return new StubAnalysisProvider();
+    default:
+      throw new Error(`Unknown analysis provider: ${providerName}`);
+  }
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Coerce provider output into fields the JournalEntry schema accepts,
+ * dropping tags with unknown namespaces or no name
+ * @param {Object} result - Raw provider output
+ * @returns {{summary: string, moodScore: number|undefined, tags: Object[]}}
+ * @throws {AnalysisProviderError} If the result is unusable
+ */
+const normalizeAnalysis = (result) => {
+  if (!result || typeof result !== 'object') {
+    throw new AnalysisProviderError('Analysis result is empty');
+  }
+
+  const moodScore = Number(result.moodScore);
+  // 'system' tags are reserved for the app itself
+  const namespaces = JournalEntry.TAG_NAMESPACES.filter(ns => ns !== 'system');
+
+  const tags = (Array.isArray(result.tags) ? result.tags : [])
+    .filter(tag => tag && typeof tag.name === 'string' && tag.name.trim())
+    .filter(tag => namespaces.includes(tag.namespace))
+    .map(tag => ({
+      name: tag.name.trim().toLowerCase(),
+      namespace: tag.namespace,
+      confidence: clamp(Number(tag.confidence) || 0, 0, 1),
+      evidence: {
+        quote: String(tag.evidence?.quote || ''),
+        reasoning: String(tag.evidence?.reasoning || ''),
+      },
+    }));
+
+  return {
+    summary: typeof result.summary === 'string' ? result.summary.trim() : '',
+    moodScore: Number.isFinite(moodScore) ? clamp(moodScore, 1, 10) : undefined,
+    tags,
+  };
+};
+
+module.exports = {
+  createAnalysisProvider,
+  normalizeAnalysis,
+  AnalysisProviderError,
+};
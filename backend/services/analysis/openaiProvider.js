@@ -0,0 +1,76 @@
+const { AnalysisProviderError } = require('./errors');
+
+const SYSTEM_PROMPT = `You analyze private journal entries for a self-reflection app.
+Respond with JSON only, shaped as:
+{
+  "summary": "1-2 sentence summary in second person",
+  "moodScore": 1-10 (1 = very low, 10 = very high),
+  "tags": [{
+    "name": "short lowercase tag",
+    "namespace": one of "emotion", "relationship", "growth", "activity", "challenge", "insight",
+    "confidence": 0-1,
+    "evidence": { "quote": "exact quote from the entry", "reasoning": "why the quote supports the tag" }
+  }]
+}
+Only tag what the entry supports with a direct quote.`;
+
+class OpenAIAnalysisProvider {
+  /**
+   * @param {Object} options - { apiKey, model, timeoutMs }
+   */
+  constructor({ apiKey, model = 'gpt-4o-mini', timeoutMs = 30000 } = {}) {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is required for the OpenAI analysis provider');
+    }
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Analyze journal content
+   * @param {Object} input - { content, date }
+   * @returns {Promise<Object>} { summary, moodScore, tags }
+   */
+  async analyze({ content, date }) {
+    let response;
+    try {
+      response = await fetch('https://api.openai.com/v1/chat/completions', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${this.apiKey}`,
+        },
+        body: JSON.stringify({
+          model: this.model,
+          response_format: { type: 'json_object' },
+          temperature: 0.2,
+          messages: [
+            { role: 'system', content: SYSTEM_PROMPT },
+            { role: 'user', content: `Entry date: ${new Date(date).toISOString()}\n\n${content}` },
+          ],
+        }),
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (error) {
+      throw new AnalysisProviderError(`OpenAI request failed: ${error.message}`, { cause: error });
+    }
+
+    if (!response.ok) {
+      // Rate limits and server errors are worth retrying; other 4xx are not
+      const retryable = response.status === 429 || response.status >= 500;
+      throw new AnalysisProviderError(`OpenAI responded with ${response.status}`, { retryable });
+    }
+
+    const body = await response.json();
+
+    try {
+      return JSON.parse(body.choices[0].message.content);
+    } catch (error) {
+      throw new AnalysisProviderError('OpenAI returned malformed analysis JSON', { cause: error });
+    }
+  }
+}
+
+module.exports = { OpenAIAnalysisProvider };
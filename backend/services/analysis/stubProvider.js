@@ -0,0 +1,72 @@
+/**
+ * Deterministic offline analysis provider. Uses keyword lexicons instead
+ * of a model so the pipeline can run in tests and local development
+ * without network access; the same content always yields the same result.
+ */
+
+// Keyword stems per tag namespace; a word matches if it starts with the stem
+const LEXICON = {
+  emotion: ['happy', 'sad', 'anxious', 'angry', 'grateful', 'calm', 'excited', 'lonely', 'stressed', 'afraid', 'proud', 'frustrat'],
+  relationship: ['friend', 'mother', 'mom', 'father', 'dad', 'partner', 'family', 'colleague', 'boss', 'sister', 'brother', 'child'],
+  growth: ['learn', 'grow', 'progress', 'goal', 'habit', 'improv', 'practic'],
+  activity: ['run', 'walk', 'work', 'read', 'cook', 'gym', 'travel', 'meditat', 'writ'],
+  challenge: ['struggl', 'problem', 'difficult', 'conflict', 'deadline', 'fail', 'overwhelm'],
+  insight: ['realiz', 'understand', 'notic', 'discover', 'reflect'],
+};
+
+const POSITIVE = ['happy', 'grateful', 'calm', 'excited', 'proud', 'joy', 'love', 'good', 'great', 'peace', 'progress'];
+const NEGATIVE = ['sad', 'anxious', 'angry', 'lonely', 'stressed', 'afraid', 'frustrat', 'bad', 'tired', 'fail', 'overwhelm', 'struggl'];
+
+const splitSentences = (content) => {
+  return content
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+};
+
+const countStem = (words, stem) => words.filter(word => word.startsWith(stem)).length;
+
+class StubAnalysisProvider {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  /**
+   * Analyze journal content
+   * @param {Object} input - { content, date }
+   * @returns {Promise<Object>} { summary, moodScore, tags }
+   */
+  async analyze({ content }) {
+    const words = content.toLowerCase().match(/[a-z']+/g) || [];
+    const sentences = splitSentences(content);
+
+    const positive = POSITIVE.reduce((sum, stem) => sum + countStem(words, stem), 0);
+    const negative = NEGATIVE.reduce((sum, stem) => sum + countStem(words, stem), 0);
+    const moodScore = Math.min(10, Math.max(1, Math.round(5.5 + (positive - negative) * 1.5)));
+
+    const tags = [];
+    for (const [namespace, stems] of Object.entries(LEXICON)) {
+      for (const stem of stems) {
+        const occurrences = countStem(words, stem);
+        if (!occurrences) continue;
+
+        const quote = sentences.find(sentence => sentence.toLowerCase().includes(stem)) || '';
+        tags.push({
+          name: stem,
+          namespace,
+          confidence: Math.min(0.5 + occurrences * 0.1, 0.95),
+          evidence: {
+            quote: quote.slice(0, 280),
+            reasoning: `Mentions "${stem}" ${occurrences} time${occurrences === 1 ? '' : 's'}`,
+          },
+        });
+      }
+    }
+
+    const summary = sentences.slice(0, 2).join(' ').slice(0, 200);
+
+    return { summary, moodScore, tags };
+  }
+}
+
+module.exports = { StubAnalysisProvider, LEXICON };
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const AnalysisFeedback = require('../models/AnalysisFeedback');
+const { invalidateInsights } = require('./insightsService');
+
+const tagKey = tag => `${tag.namespace}:${tag.name}`;
+
+/**
+ * An entry's tags with the user's verdicts applied: reviewed tags are
+ * marked accepted or rejected, and edited tags are rejected with the
+ * user's correction added in their place. Tags the user added earlier are
+ * dropped and rebuilt from the feedback, so the result depends only on
+ * the analysis and the latest verdict for each of its tags.
+ * @param {Object[]} tags - Plain tag objects from the analysis or the entry
+ * @param {Object[]} feedback - Tag feedback for the entry
+ * @returns {Object[]} Tags to store
+ */
+const applyTagFeedback = (tags, feedback) => {
+  const verdicts = new Map(feedback.map(item => [tagKey(item.tag), item]));
+
+  const result = tags
+    .filter(tag => tag.source !== 'user')
+    .map((tag) => {
+      const verdict = verdicts.get(tagKey(tag));
+      return {
+        ...tag,
+        status: verdict && (verdict.action === 'accepted' ? 'accepted' : 'rejected'),
+      };
+    });
+
+  for (const item of feedback) {
+    if (item.action !== 'edited' || !verdicts.has(tagKey(item.tag))) continue;
+    const existing = result.findIndex(tag => tagKey(tag) === tagKey(item.correction));
+    if (existing !== -1) {
+      result[existing] = { ...result[existing], status: 'accepted' };
+    } else {
+      result.push({
+        namespace: item.correction.namespace,
+        name: item.correction.name,
+        confidence: 1,
+        source: 'user',
+        status: 'accepted',
+      });
+    }
+  }
+
+  return result;
+};
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Precision from verdict counts: the share of reviewed items the user kept
+ * as the analysis produced them
+ * @param {Object[]} rows - { action, count }
+ * @returns {Object} { reviewed, accepted, rejected, edited, precision }
+ *   precision is null until something has been reviewed
+ */
+const tallyVerdicts = (rows) => {
+  const metrics = { reviewed: 0, accepted: 0, rejected: 0, edited: 0 };
+  for (const { action, count } of rows) {
+    metrics[action] += count;
+    metrics.reviewed += count;
+  }
+  return { ...metrics, precision: metrics.reviewed ? round(metrics.accepted / metrics.reviewed) : null };
+};
+
+/**
+ * Tag precision per namespace
+ * @param {Object[]} rows - { namespace, action, count }
+ * @returns {Object[]} tallyVerdicts metrics with their namespace, most
+ *   reviewed first
+ */
+const summarizePrecision = (rows) => {
+  const namespaces = [...new Set(rows.map(({ namespace }) => namespace))];
+
+  return namespaces
+    .map(namespace => ({ namespace, ...tallyVerdicts(rows.filter(row => row.namespace === namespace)) }))
+    .sort((a, b) => b.reviewed - a.reviewed || a.namespace.localeCompare(b.namespace));
+};
+
+/**
+ * Accepts, rejects and edits of AI tags and summaries. Verdicts are kept
+ * as AnalysisFeedback so they survive re-analysis and can be measured.
+ */
+class AnalysisFeedbackService {
+  /**
+   * Record a verdict on one of an entry's analysis tags and update the entry
+   * @param {Object} entry - Journal entry document, analysis completed
+   * @param {Object} review - { namespace, name, action, correction }
+   *   action is 'accepted', 'rejected' or 'edited'; correction is the
+   *   { namespace, name } an edited tag should become
+   * @returns {Promise<Object>} The updated entry
+   */
+  async reviewTag(entry, { namespace, name, action, correction }) {
+    const tag = entry.tags.find(item => item.namespace === namespace && item.name === name);
+    // Editing a tag into itself is keeping it
+    const unchanged = action === 'edited' && tagKey(correction) === tagKey(tag);
+
+    await AnalysisFeedback.findOneAndUpdate(
+      { entryId: entry._id, target: 'tag', 'tag.namespace': namespace, 'tag.name': name },
+      {
+        $set: {
+          userId: entry.userId,
+          action: unchanged ? 'accepted' : action,
+          'tag.confidence': tag.confidence,
+          ...(action === 'edited' && !unchanged && { correction }),
+        },
+        ...((action !== 'edited' || unchanged) && { $unset: { correction: '' } }),
+      },
+      { upsert: true }
+    );
+
+    const feedback = await this.tagFeedbackFor(entry._id);
+    entry.tags = applyTagFeedback(entry.tags.map(item => item.toObject()), feedback);
+    await entry.save();
+    await invalidateInsights(entry.userId);
+
+    return entry;
+  }
+
+  /**
+   * Record a verdict on an entry's summary and update the entry. A rejected
+   * summary is removed; an edited one is replaced with the user's text.
+   * @param {Object} entry - Journal entry document, analysis completed
+   * @param {Object} review - { action, summary }
+   * @returns {Promise<Object>} The updated entry
+   */
+  async reviewSummary(entry, { action, summary }) {
+    await AnalysisFeedback.findOneAndUpdate(
+      { entryId: entry._id, target: 'summary' },
+      { $set: { userId: entry.userId, action } },
+      { upsert: true }
+    );
+
+    entry.summaryReview = action;
+    if (action === 'rejected') {
+      entry.summary = undefined;
+    } else if (action === 'edited') {
+      entry.summary = summary;
+    }
+    await entry.save();
+
+    return entry;
+  }
+
+  /**
+   * Tag verdicts recorded for an entry
+   * @param {string} entryId - Journal entry ID
+   * @returns {Promise<Object[]>} Lean feedback
+   */
+  async tagFeedbackFor(entryId) {
+    return AnalysisFeedback.find({ entryId, target: 'tag' }).select('action tag correction').lean();
+  }
+
+  /**
+   * Drop the verdicts on an entry, e.g. once it is deleted or nothing
+   * derived from its plaintext may be kept
+   * @param {string} entryId - Journal entry ID
+   * @param {Object} options - { session }
+   */
+  async clearEntry(entryId, { session = null } = {}) {
+    await AnalysisFeedback.deleteMany({ entryId }, { session });
+  }
+
+  /**
+   * Precision of the analysis as judged by users' verdicts: per tag
+   * namespace, and for summaries
+   * @param {Object} query - { since, userId } both optional
+   * @returns {Promise<Object>} { tags, summaries } tags per namespace as
+   *   summarizePrecision, summaries as tallyVerdicts
+   */
+  async precision({ since, userId } = {}) {
+    const match = {
+      ...(since && { updatedAt: { $gte: since } }),
+      ...(userId && { userId: new mongoose.Types.ObjectId(userId.toString()) }),
+    };
+
+    const rows = await AnalysisFeedback.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { target: '$target', namespace: '$tag.namespace', action: '$action' },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const tagRows = rows
+      .filter(row => row._id.target === 'tag')
+      .map(row => ({ namespace: row._id.namespace, action: row._id.action, count: row.count }));
+    const summaryRows = rows
+      .filter(row => row._id.target === 'summary')
+      .map(row => ({ action: row._id.action, count: row.count }));
+
+    return {
+      tags: summarizePrecision(tagRows),
+      summaries: tallyVerdicts(summaryRows),
+    };
+  }
+}
+
+module.exports = {
+  AnalysisFeedbackService,
+  applyTagFeedback,
+  tallyVerdicts,
+  summarizePrecision,
+};
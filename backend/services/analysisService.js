@@ -0,0 +1,176 @@
+const JournalEntry = require('../models/JournalEntry');
+const AnalysisFeedback = require('../models/AnalysisFeedback');
+const { JobQueue } = require('./jobQueue');
+const { createAnalysisProvider, normalizeAnalysis } = require('./analysis');
+const { EMBED_ENTRY_JOB } = require('./embeddingService');
+const { invalidateInsights } = require('./insightsService');
+const { applyTagFeedback } = require('./analysisFeedbackService');
+
+const ANALYZE_ENTRY_JOB = 'analyze-entry';
+
+/**
+ * Moves journal entries through processingStatus:
+ * pending → queued → processing → completed | failed.
+ * Editing an entry's content resets it to pending, which makes any
+ * in-flight analysis for the old content discard its result.
+ */
+class AnalysisService {
+  /**
+   * @param {Object} options - { provider, queue }
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || createAnalysisProvider();
+    this.queue = options.queue || new JobQueue();
+  }
+
+  /**
+   * Queue analysis jobs for pending entries
+   * @param {Object} options - { limit }
+   * @returns {Promise<number>} Number of entries queued
+   */
+  async enqueuePendingEntries({ limit = 50 } = {}) {
+    const pending = await JournalEntry.find({
+      processingStatus: 'pending',
+      ...JournalEntry.ANALYZABLE_FILTER,
+    })
+      .select('_id userId')
+      .sort({ updatedAt: 1 })
+      .limit(limit);
+
+    let queued = 0;
+
+    for (const entry of pending) {
+      // Conditional update so two workers can't both queue the same entry
+      const { modifiedCount } = await JournalEntry.updateOne(
+        { _id: entry._id, processingStatus: 'pending' },
+        { $set: { processingStatus: 'queued' } }
+      );
+
+      if (modifiedCount) {
+        await this.queue.enqueue(ANALYZE_ENTRY_JOB, {
+          entryId: entry._id.toString(),
+          userId: entry.userId.toString(),
+        });
+        queued += 1;
+      }
+    }
+
+    return queued;
+  }
+
+  /**
+   * Queue analysis for entries created in bulk, one every intervalMs, so a
+   * large import doesn't crowd out new entries or exhaust provider quotas.
+   * The entries must already be 'queued' so the pending sweep skips them.
+   * @param {Object[]} entries - Created journal entries
+   * @param {Object} options - { startAt, intervalMs, session }
+   * @returns {Promise<Date>} Time the next entry's analysis could start
+   */
+  async scheduleEntries(entries, { startAt = new Date(), intervalMs = 0, session = null } = {}) {
+    let runAt = startAt;
+
+    for (const entry of entries) {
+      await this.queue.enqueue(ANALYZE_ENTRY_JOB, {
+        entryId: entry._id.toString(),
+        userId: entry.userId.toString(),
+      }, { runAt, session });
+      runAt = new Date(runAt.getTime() + intervalMs);
+    }
+
+    return runAt;
+  }
+
+  /**
+   * Job handler: analyze one entry and write the results back
+   * @param {Object} job - Claimed analyze-entry job
+   * @returns {Promise<Object>} Job result summary
+   */
+  async analyzeEntry(job) {
+    const { entryId } = job.payload;
+
+    const entry = await JournalEntry.findOneAndUpdate(
+      { _id: entryId, processingStatus: { $in: ['queued', 'processing'] } },
+      { $set: { processingStatus: 'processing' } },
+      { new: true }
+    );
+
+    // Deleted, or edited back to pending (a fresh job will be queued)
+    if (!entry) {
+      return { skipped: true };
+    }
+
+    let analysis;
+    try {
+      analysis = normalizeAnalysis(
+        await this.provider.analyze({ content: entry.content, date: entry.date })
+      );
+    } catch (error) {
+      await JournalEntry.updateOne(
+        { _id: entry._id, processingStatus: 'processing', updatedAt: entry.updatedAt },
+        { $set: { processingStatus: 'queued' } },
+        { timestamps: false }
+      );
+      throw error;
+    }
+
+    // Tags the user rejected or corrected stay that way, and a summary they
+    // rejected or rewrote isn't replaced
+    const feedback = await AnalysisFeedback.find({ entryId: entry._id, target: 'tag' })
+      .select('action tag correction')
+      .lean();
+    const keepSummary = ['rejected', 'edited'].includes(entry.summaryReview);
+
+    // Only write back if nobody touched the entry while we were waiting
+    const { modifiedCount } = await JournalEntry.updateOne(
+      { _id: entry._id, processingStatus: 'processing', updatedAt: entry.updatedAt },
+      {
+        $set: {
+          ...(!keepSummary && { summary: analysis.summary }),
+          moodScore: analysis.moodScore,
+          tags: applyTagFeedback(analysis.tags, feedback),
+          processingStatus: 'completed',
+        },
+      }
+    );
+
+    if (modifiedCount) {
+      await invalidateInsights(entry.userId);
+      await this.queue.enqueue(EMBED_ENTRY_JOB, {
+        entryId: entry._id.toString(),
+        userId: entry.userId.toString(),
+      });
+    }
+
+    return {
+      skipped: !modifiedCount,
+      provider: this.provider.name,
+      tagCount: analysis.tags.length,
+    };
+  }
+
+  /**
+   * Job failure hook: mark the entry failed once retries are exhausted
+   * @param {Object} job - Failed analyze-entry job
+   */
+  async markFailed(job) {
+    await JournalEntry.updateOne(
+      { _id: job.payload.entryId, processingStatus: { $in: ['queued', 'processing'] } },
+      { $set: { processingStatus: 'failed' } }
+    );
+  }
+
+  /**
+   * Send a failed entry back through the pipeline
+   * @param {string} entryId - Journal entry ID
+   * @returns {Promise<boolean>} Whether the entry was reset
+   */
+  async retryEntry(entryId) {
+    const { modifiedCount } = await JournalEntry.updateOne(
+      { _id: entryId, processingStatus: 'failed' },
+      { $set: { processingStatus: 'pending' } }
+    );
+    return modifiedCount > 0;
+  }
+}
+
+module.exports = { AnalysisService, ANALYZE_ENTRY_JOB };
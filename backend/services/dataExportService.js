@@ -0,0 +1,353 @@
+const path = require('path');
+const { finished } = require('stream/promises');
+const archiver = require('archiver');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const Persona = require('../models/Persona');
+const PersonaSnapshot = require('../models/PersonaSnapshot');
+const MoodCheckIn = require('../models/MoodCheckIn');
+const AnalysisFeedback = require('../models/AnalysisFeedback');
+const DataExport = require('../models/DataExport');
+const { JobQueue } = require('./jobQueue');
+const { UploadService } = require('./uploadService');
+const { withTransaction } = require('./transaction');
+const { entryToMarkdown } = require('./export/markdown');
+const { EncryptionService } = require('./encryptionService');
+const { toLocalDay } = require('./localTime');
+
+const EXPORT_DATA_JOB = 'export-data';
+const EXPIRE_EXPORT_JOB = 'expire-export';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How to decrypt an end-to-end encrypted journal without the app
+const ENCRYPTION_FORMAT = {
+  dataKey: 'Derive a 32-byte key from your passphrase with scrypt using kdf, then decrypt passphraseKey '
+    + '(or, with your recovery key, recoveryKey) with XChaCha20-Poly1305. Both are base64.',
+  entries: 'Each entry\'s encrypted.ciphertext is XChaCha20-Poly1305 over the UTF-8 text under the data key, '
+    + 'with encrypted.nonce and your user ID (profile.json _id) as associated data.',
+};
+
+/**
+ * Copy a record without the given fields
+ * @param {Object} record - Lean document
+ * @param {string[]} fields - Top-level fields to drop
+ * @returns {Object} Copy without those fields
+ */
+const omit = (record, fields) => Object.fromEntries(
+  Object.entries(record).filter(([field]) => !fields.includes(field))
+);
+
+// Bookkeeping left out of the archive. A profile's deletion block only
+// matters while it's pending and holds the undo token hash.
+const INTERNAL_FIELDS = ['__v', 'userId'];
+const PROFILE_INTERNAL_FIELDS = ['__v', 'deletion'];
+
+/**
+ * Archive location for a stored file, named after the record using it
+ * @param {Object} source - { url } of a public file or { key } of a private one
+ * @param {string} folder - Folder under media/
+ * @param {string} baseName - File name without extension
+ * @returns {Object} { url, name } or { key, name }
+ */
+const mediaFile = (source, folder, baseName) => ({
+  ...source,
+  name: `media/${folder}/${baseName}${path.extname(source.key || new URL(source.url).pathname)}`,
+});
+
+/**
+ * Where a media reference was stored, as listed in the manifest
+ * @param {Object} reference - mediaFile result
+ * @returns {string} URL or object key
+ */
+const mediaSource = reference => reference.url || reference.key;
+
+/**
+ * Shape an export record for API responses
+ * @param {Object} dataExport - DataExport document or lean object
+ * @param {Object} download - { url, expiresAt } when a link was signed
+ * @returns {Object} Public export fields
+ */
+const serializeExport = (dataExport, download = null) => ({
+  id: dataExport._id.toString(),
+  status: dataExport.status,
+  requestedAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt || null,
+  expiresAt: dataExport.expiresAt || null,
+  size: dataExport.size || null,
+  counts: dataExport.status === 'completed' ? dataExport.counts : null,
+  error: dataExport.status === 'failed' ? dataExport.error : null,
+  downloadUrl: download?.url || null,
+  downloadUrlExpiresAt: download?.expiresAt || null,
+});
+
+/**
+ * Builds personal data exports. A request queues an export-data job, which
+ * zips the profile, journal (as JSON and Markdown, with AI tags and
+ * summaries), personas and the media they reference, streaming the archive
+ * privately into Spaces as it is written. The archive is deleted after
+ * retentionMs; until then each status check signs a fresh, short-lived
+ * download link.
+ */
+class DataExportService {
+  /**
+   * @param {Object} options - { queue, uploadService, encryptionService, retentionMs,
+   *   linkTtlSeconds }
+   */
+  constructor(options = {}) {
+    this.queue = options.queue || new JobQueue();
+    this.uploadService = options.uploadService || new UploadService();
+    this.encryptionService = options.encryptionService || new EncryptionService();
+    this.retentionMs = options.retentionMs ?? Number(process.env.DATA_EXPORT_RETENTION_DAYS || 7) * DAY_MS;
+    this.linkTtlSeconds = options.linkTtlSeconds ?? Number(process.env.DATA_EXPORT_LINK_TTL_MINUTES || 60) * 60;
+  }
+
+  /**
+   * Start an export, unless one is already being built
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} { status, dataExport } where status is
+   *   'created' or 'in-progress'
+   */
+  async requestExport(user) {
+    const pending = await DataExport.findOne({
+      userId: user._id,
+      status: { $in: ['queued', 'processing'] },
+    });
+    if (pending) {
+      return { status: 'in-progress', dataExport: pending };
+    }
+
+    const dataExport = await withTransaction(async (session) => {
+      const [created] = await DataExport.create([{ userId: user._id }], { session });
+      await this.queue.enqueue(EXPORT_DATA_JOB, {
+        exportId: created._id.toString(),
+        userId: user._id.toString(),
+      }, { maxAttempts: 3, session });
+      return created;
+    });
+
+    return { status: 'created', dataExport };
+  }
+
+  /**
+   * Look up one of a user's exports, signing a download link if it's ready
+   * @param {string} userId - Export owner
+   * @param {string} exportId - Export ID
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Serialized export, or null if there is
+   *   no such export or it has expired
+   */
+  async getExport(userId, exportId, now = new Date()) {
+    const dataExport = await DataExport.findOne({ _id: exportId, userId }).lean();
+    if (!dataExport || (dataExport.expiresAt && dataExport.expiresAt <= now)) {
+      return null;
+    }
+
+    if (dataExport.status !== 'completed') {
+      return serializeExport(dataExport);
+    }
+
+    // A link never outlives the archive it points to
+    const expiresInSeconds = Math.min(
+      this.linkTtlSeconds,
+      Math.floor((dataExport.expiresAt.getTime() - now.getTime()) / 1000)
+    );
+    const url = await this.uploadService.getSignedDownloadUrl(
+      dataExport.key,
+      expiresInSeconds,
+      path.basename(dataExport.key)
+    );
+
+    return serializeExport(dataExport, {
+      url,
+      expiresAt: new Date(now.getTime() + expiresInSeconds * 1000),
+    });
+  }
+
+  /**
+   * Job handler: build an export archive and upload it
+   * @param {Object} job - Claimed export-data job
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Job result summary
+   */
+  async buildExport(job, now = new Date()) {
+    const { exportId, userId } = job.payload;
+    const dataExport = await DataExport.findOneAndUpdate(
+      { _id: exportId, status: { $in: ['queued', 'processing'] } },
+      { $set: { status: 'processing' } },
+      { new: true }
+    );
+    const user = await User.findById(userId).lean();
+
+    // Finished by an earlier attempt, or the account was purged meanwhile
+    if (!dataExport || !user) {
+      return { skipped: true };
+    }
+
+    const key = `exports/${userId}/persona-arcana-export-${toLocalDay(now, user.timezone)}-${exportId}.zip`;
+    const { counts, size } = await this.writeArchive(user, key, now);
+
+    const expiresAt = new Date(now.getTime() + this.retentionMs);
+    await this.queue.enqueue(EXPIRE_EXPORT_JOB, { key }, { runAt: expiresAt });
+
+    await DataExport.updateOne(
+      { _id: exportId },
+      { $set: { status: 'completed', key, size, counts, completedAt: now, expiresAt } }
+    );
+
+    return { exportId, size, ...counts };
+  }
+
+  /**
+   * Write a user's archive straight into private storage. Media are fetched
+   * one object at a time and piped through the zip writer, so neither they
+   * nor the archive are held in memory. A failed export leaves no object
+   * behind, as the upload is aborted with the archive.
+   * @param {Object} user - User (lean)
+   * @param {string} key - Object key for the archive
+   * @param {Date} now - Export time
+   * @returns {Promise<Object>} { counts, size } with size in bytes
+   */
+  async writeArchive(user, key, now) {
+    const archive = archiver('zip');
+    const failed = new Promise((resolve, reject) => archive.on('error', reject));
+    const uploaded = this.uploadService.uploadPrivateFile(key, archive, 'application/zip')
+      .catch((error) => {
+        archive.destroy(error);
+        throw error;
+      });
+    // Both are awaited below; until then a failure surfaces through the race
+    failed.catch(() => {});
+    uploaded.catch(() => {});
+    const untilFailure = promise => Promise.race([promise, failed]);
+
+    try {
+      const { files, media: references, counts: recordCounts } = await this.collectFiles(user);
+      files.forEach(({ name, data, date }) => archive.append(data, { name, date }));
+
+      const media = [];
+      const missingMedia = [];
+      for (const reference of references) {
+        const stream = await untilFailure(reference.key
+          ? this.uploadService.streamObject(reference.key)
+          : this.uploadService.streamFile(reference.url));
+        if (!stream) {
+          missingMedia.push(mediaSource(reference));
+          continue;
+        }
+        // Images and audio are compressed already
+        archive.append(stream, { name: reference.name, store: true });
+        await untilFailure(finished(stream));
+        media.push(reference);
+      }
+
+      const counts = { ...recordCounts, media: media.length };
+      archive.append(JSON.stringify({ exportedAt: now, format: 1, counts, media, missingMedia }, null, 2), {
+        name: 'manifest.json',
+      });
+      await untilFailure(archive.finalize());
+      await uploaded;
+
+      return { counts, size: archive.pointer() };
+    } catch (error) {
+      archive.destroy(error);
+      await uploaded.catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Gather the records that go into a user's archive and the media they
+   * reference
+   * @param {Object} user - User (lean)
+   * @returns {Promise<Object>} { files, media, counts } where files are
+   *   { name, data, date? } and media are mediaFile references
+   */
+  async collectFiles(user) {
+    const [entries, personas, snapshots, checkIns, feedback, encryption] = await Promise.all([
+      JournalEntry.find({ userId: user._id }).sort({ date: 1 }).lean(),
+      Persona.find({ userId: user._id }).sort({ discoveredAt: 1 }).lean(),
+      PersonaSnapshot.find({ userId: user._id }).sort({ runAt: 1 }).lean(),
+      MoodCheckIn.find({ userId: user._id }).sort({ checkedAt: 1 }).lean(),
+      AnalysisFeedback.find({ userId: user._id }).sort({ createdAt: 1 }).lean(),
+      this.encryptionService.getKeys(user._id),
+    ]);
+
+    const references = [
+      user.profileImage && mediaFile({ url: user.profileImage }, 'profile', 'profile'),
+      ...personas.flatMap(persona => [
+        persona.giftForm?.imageUrl
+          && mediaFile({ url: persona.giftForm.imageUrl }, 'personas', `${persona._id}-gift`),
+        persona.shadowForm?.imageUrl
+          && mediaFile({ url: persona.shadowForm.imageUrl }, 'personas', `${persona._id}-shadow`),
+      ]),
+      ...entries.map(entry => entry.audio?.key && mediaFile({ key: entry.audio.key }, 'audio', entry._id)),
+      ...entries.flatMap(entry => (entry.photos || [])
+        .map((photo, index) => mediaFile({ key: photo.key }, 'photos', `${entry._id}-${index + 1}`))),
+    ].filter(Boolean);
+
+    const json = value => JSON.stringify(value, null, 2);
+    return {
+      counts: {
+        journalEntries: entries.length,
+        personas: personas.length,
+        moodCheckIns: checkIns.length,
+      },
+      media: references,
+      files: [
+        { name: 'profile.json', data: json(omit(user, PROFILE_INTERNAL_FIELDS)) },
+        { name: 'journal/entries.json', data: json(entries.map(entry => omit(entry, INTERNAL_FIELDS))) },
+        ...entries.map(entry => ({
+          name: `journal/markdown/${entry.journalDay || toLocalDay(entry.date, user.timezone)}-${entry._id}.md`,
+          data: entryToMarkdown(entry, user.timezone),
+          date: entry.lastEditedAt || entry.createdAt,
+        })),
+        ...(encryption.enabled
+          ? [{ name: 'encryption.json', data: json({ ...encryption, format: ENCRYPTION_FORMAT }) }]
+          : []),
+        { name: 'journal/analysis-feedback.json', data: json(feedback.map(item => omit(item, INTERNAL_FIELDS))) },
+        { name: 'moods/check-ins.json', data: json(checkIns.map(checkIn => omit(checkIn, INTERNAL_FIELDS))) },
+        { name: 'personas/personas.json', data: json(personas.map(persona => omit(persona, INTERNAL_FIELDS))) },
+        { name: 'personas/history.json', data: json(snapshots.map(snapshot => omit(snapshot, INTERNAL_FIELDS))) },
+      ],
+    };
+  }
+
+  /**
+   * Job failure hook: record that the export could not be built
+   * @param {Object} job - Failed export-data job
+   * @param {Error} error - Final failure cause
+   * @param {Date} now - Current time
+   */
+  async markFailed(job, error, now = new Date()) {
+    await DataExport.updateOne(
+      { _id: job.payload.exportId, status: { $in: ['queued', 'processing'] } },
+      {
+        $set: {
+          status: 'failed',
+          error: 'The export could not be created. Please try again.',
+          completedAt: now,
+          expiresAt: new Date(now.getTime() + this.retentionMs),
+        },
+      }
+    );
+    console.error(`Data export ${job.payload.exportId} failed:`, error?.message);
+  }
+
+  /**
+   * Job handler: delete an archive once its retention period is over.
+   * The DataExport record expires through its TTL index.
+   * @param {Object} job - Claimed expire-export job
+   * @returns {Promise<Object>} Job result summary
+   */
+  async expireExport(job) {
+    await this.uploadService.deleteObject(job.payload.key);
+    return { deleted: job.payload.key };
+  }
+}
+
+module.exports = {
+  DataExportService,
+  EXPORT_DATA_JOB,
+  EXPIRE_EXPORT_JOB,
+  serializeExport,
+};
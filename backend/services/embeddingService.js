@@ -0,0 +1,47 @@
+const JournalEntry = require('../models/JournalEntry');
+const { createEmbeddingProvider } = require('./embeddings');
+
+const EMBED_ENTRY_JOB = 'embed-entry';
+
+class EmbeddingService {
+  /**
+   * @param {Object} options - { provider }
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || createEmbeddingProvider();
+  }
+
+  /**
+   * Job handler: compute and store embeddings for an analyzed entry
+   * @param {Object} job - Claimed embed-entry job
+   * @returns {Promise<Object>} Job result summary
+   */
+  async embedEntry(job) {
+    const entry = await JournalEntry.findOne({
+      _id: job.payload.entryId,
+      processingStatus: 'completed',
+    }).select('content updatedAt');
+
+    // Deleted or edited since analysis; re-analysis will queue a new job
+    if (!entry) {
+      return { skipped: true };
+    }
+
+    const [embeddings] = await this.provider.embed([entry.content]);
+
+    // Skip the write if the entry changed while we were embedding it
+    const { modifiedCount } = await JournalEntry.updateOne(
+      { _id: entry._id, updatedAt: entry.updatedAt },
+      { $set: { embeddings, embeddingModel: this.provider.model } },
+      { timestamps: false }
+    );
+
+    return {
+      skipped: !modifiedCount,
+      model: this.provider.model,
+      dimensions: embeddings.length,
+    };
+  }
+}
+
+module.exports = { EmbeddingService, EMBED_ENTRY_JOB };
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'had',
+  'has', 'have', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or',
+  'so', 'that', 'the', 'then', 'this', 'to', 'was', 'were', 'with',
+]);
+
+/**
+ * Offline embedding provider using the hashing trick: unigrams and bigrams
+ * are hashed into a fixed number of signed buckets with sublinear term
+ * frequency, then L2-normalized. No vocabulary or network access needed,
+ * and the same text always maps to the same vector.
+ */
+class HashingEmbeddingProvider {
+  /**
+   * @param {Object} options - { dimensions }
+   */
+  constructor({ dimensions = 256 } = {}) {
+    this.dimensions = dimensions;
+    this.name = 'hashing';
+    this.model = `hashing-v1-${dimensions}`;
+  }
+
+  tokenize(text) {
+    const words = (text.toLowerCase().match(/[a-z0-9']+/g) || [])
+      .filter(word => !STOP_WORDS.has(word));
+
+    const bigrams = words.slice(1).map((word, index) => `${words[index]} ${word}`);
+    return [...words, ...bigrams];
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>} One vector per text
+   */
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  embedOne(text) {
+    const counts = new Map();
+    for (const token of this.tokenize(text)) {
+      counts.set(token, (counts.get(token) || 0) + 1);
+    }
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [token, count] of counts) {
+      const digest = crypto.createHash('md5').update(token).digest();
+      const bucket = digest.readUInt32BE(0) % this.dimensions;
+      const sign = digest[4] & 1 ? 1 : -1;
+      vector[bucket] += sign * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm ? vector.map(value => value / norm) : vector;
+  }
+}
+
+module.exports = { HashingEmbeddingProvider };
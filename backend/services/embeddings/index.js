@@ -0,0 +1,49 @@
+const { HashingEmbeddingProvider } = require('./hashingProvider');
+const { OpenAIEmbeddingProvider } = require('./openaiProvider');
+
+/**
+ * Create the embedding provider named by EMBEDDING_PROVIDER. Defaults to
+ * OpenAI when an API key is configured and offline hashing otherwise.
+ * Providers expose { name, model, embed(texts) }; model is stored on each
+ * entry so vectors from different models are never compared.
+ * @param {string} name - 'openai' or 'hashing'
+ * @returns {Object} Embedding provider
+ */
+const createEmbeddingProvider = (name = process.env.EMBEDDING_PROVIDER) => {
+  const providerName = name || (process.env.OPENAI_API_KEY ? 'openai' : 'hashing');
+
+  switch (providerName) {
+    case 'openai':
+      return new OpenAIEmbeddingProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_EMBEDDING_MODEL,
+      });
+    case 'hashing':
+      return new HashingEmbeddingProvider();
+    default:
+      throw new Error(`Unknown embedding provider: ${providerName}`);
+  }
+};
+
+/**
+ * Cosine similarity between two vectors of equal length
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} Similarity in [-1, 1], or 0 if either vector is empty
+ */
+const cosineSimilarity = (a, b) => {
+  if (!a?.length || a.length !== b?.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+module.exports = { createEmbeddingProvider, cosineSimilarity };
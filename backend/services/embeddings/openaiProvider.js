@@ -0,0 +1,50 @@
+const { AnalysisProviderError } = require('../analysis/errors');
+
+class OpenAIEmbeddingProvider {
+  /**
+   * @param {Object} options - { apiKey, model, timeoutMs }
+   */
+  constructor({ apiKey, model = 'text-embedding-3-small', timeoutMs = 30000 } = {}) {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is required for the OpenAI embedding provider');
+    }
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>} One vector per text
+   */
+  async embed(texts) {
+    let response;
+    try {
+      response = await fetch('https://api.openai.com/v1/embeddings', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${this.apiKey}`,
+        },
+        body: JSON.stringify({ model: this.model, input: texts }),
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (error) {
+      throw new AnalysisProviderError(`OpenAI embedding request failed: ${error.message}`, { cause: error });
+    }
+
+    if (!response.ok) {
+      const retryable = response.status === 429 || response.status >= 500;
+      throw new AnalysisProviderError(`OpenAI embeddings responded with ${response.status}`, { retryable });
+    }
+
+    const body = await response.json();
+    return body.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+module.exports = { OpenAIEmbeddingProvider };
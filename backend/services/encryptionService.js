@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Persona = require('../models/Persona');
+
+const KEY_FIELDS = '+encryption.kdf +encryption.passphraseKey +encryption.recoveryKey';
+
+// The proof is derived from the data key on the device; only its digest
+// is stored, so the database alone can't be used to replace the keys
+const hashKeyProof = (keyProof) => crypto.createHash('sha256').update(keyProof).digest('hex');
+
+/**
+ * Shape a user's encryption settings for API responses
+ * @param {Object} user - User with the key fields selected
+ * @returns {Object} { enabled, enabledAt, kdf, passphraseKey, recoveryKey }
+ */
+const serializeEncryption = (user) => {
+  const { enabled, enabledAt, kdf, passphraseKey, recoveryKey } = user.encryption || {};
+
+  if (!enabled) {
+    return { enabled: false };
+  }
+  return { enabled: true, enabledAt, kdf, passphraseKey, recoveryKey };
+};
+
+/**
+ * Stores the key material for end-to-end encrypted journals. Entries are
+ * encrypted on the device with a random data key; the server keeps that
+ * key wrapped by the user's passphrase (and separately by their recovery
+ * key) so a new device can unlock it, but never sees it unwrapped.
+ */
+class EncryptionService {
+  /**
+   * The user's wrapped keys and key derivation settings, for unlocking
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Serialized encryption settings
+   */
+  async getKeys(userId) {
+    const user = await User.findById(userId).select(KEY_FIELDS).lean();
+    return serializeEncryption(user);
+  }
+
+  /**
+   * Turn on end-to-end encryption. It can't be turned on twice, which
+   * would orphan entries encrypted under the first key. Evidence quotes
+   * copied from entries into personas are dropped; discovery stops
+   * copying them once encryption is on.
+   * @param {Object} user - User document
+   * @param {Object} keys - { kdf, passphraseKey, recoveryKey, keyProof }
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { status, encryption } where status is
+   *   'enabled' or 'already-enabled'
+   */
+  async enable(user, { kdf, passphraseKey, recoveryKey, keyProof }, now = new Date()) {
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, 'encryption.enabled': { $ne: true } },
+      {
+        $set: {
+          encryption: {
+            enabled: true,
+            enabledAt: now,
+            kdf,
+            passphraseKey,
+            recoveryKey,
+            keyProofHash: hashKeyProof(keyProof),
+          },
+        },
+      },
+      { new: true }
+    ).select(KEY_FIELDS).lean();
+
+    if (!updated) {
+      return { status: 'already-enabled' };
+    }
+
+    await Persona.updateMany({ userId: user._id }, { $unset: { evidenceQuotes: '' } });
+
+    return { status: 'enabled', encryption: serializeEncryption(updated) };
+  }
+
+  /**
+   * Re-wrap the data key, after a passphrase change or a recovery. The key
+   * itself stays the same, so existing entries still decrypt.
+   * @param {string} userId - User ID
+   * @param {Object} keys - { keyProof, kdf, passphraseKey, recoveryKey }
+   * @returns {Promise<Object>} { status, encryption } where status is
+   *   'updated', 'not-enabled' or 'invalid-proof'
+   */
+  async updateKeys(userId, { keyProof, kdf, passphraseKey, recoveryKey }) {
+    const user = await User.findById(userId).select('+encryption.keyProofHash');
+
+    if (!user?.hasEncryption()) {
+      return { status: 'not-enabled' };
+    }
+
+    const expected = Buffer.from(user.encryption.keyProofHash, 'hex');
+    const actual = Buffer.from(hashKeyProof(keyProof), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return { status: 'invalid-proof' };
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      userId,
+      {
+        $set: {
+          'encryption.kdf': kdf,
+          'encryption.passphraseKey': passphraseKey,
+          ...(recoveryKey && { 'encryption.recoveryKey': recoveryKey }),
+        },
+      },
+      { new: true }
+    ).select(KEY_FIELDS).lean();
+
+    return { status: 'updated', encryption: serializeEncryption(updated) };
+  }
+}
+
+module.exports = { EncryptionService, serializeEncryption };
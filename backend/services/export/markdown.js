@@ -0,0 +1,51 @@
+const { toLocalDay } = require('../localTime');
+
+// Quote a YAML scalar only when it could be misread
+const yamlValue = (value) => (/^[\w:.+-]+$/.test(String(value)) ? String(value) : JSON.stringify(String(value)));
+
+/**
+ * Render a journal entry as Markdown with YAML front matter, so the export
+ * opens in note apps such as Obsidian with date, mood and tags attached
+ * @param {Object} entry - Journal entry (lean)
+ * @param {string} timeZone - User's IANA timezone, for entries without a journal day
+ * @returns {string} Markdown document
+ */
+const entryToMarkdown = (entry, timeZone = 'UTC') => {
+  const day = entry.journalDay || toLocalDay(entry.date, timeZone);
+  // Tags the user rejected are left out, as everywhere else in the app
+  const kept = (entry.tags || []).filter(tag => tag.status !== 'rejected');
+  const tags = kept.map(tag => `${tag.namespace}:${tag.name}`);
+
+  const frontMatter = [
+    '---',
+    `id: ${entry._id}`,
+    `date: ${day}`,
+    `source: ${entry.source || 'text'}`,
+    ...(entry.encrypted?.ciphertext ? ['encrypted: true'] : []),
+    ...(entry.moodScore ? [`mood: ${entry.moodScore}`] : []),
+    ...(tags.length ? ['tags:', ...tags.map(tag => `  - ${yamlValue(tag)}`)] : []),
+    '---',
+  ];
+
+  const body = entry.encrypted?.ciphertext
+    ? '_End-to-end encrypted. See encryption.json to decrypt it with your passphrase._'
+    : entry.content || '_No transcript_';
+  const sections = [frontMatter.join('\n'), `# ${day}`, body];
+
+  if (entry.summary) {
+    sections.push(`## Summary\n\n${entry.summary}`);
+  }
+
+  const evidence = kept.filter(tag => tag.evidence?.quote);
+  if (evidence.length) {
+    sections.push([
+      '## Tag Evidence',
+      '',
+      ...evidence.map(tag => `- **${tag.namespace}:${tag.name}**: "${tag.evidence.quote}"`),
+    ].join('\n'));
+  }
+
+  return `${sections.join('\n\n')}\n`;
+};
+
+module.exports = { entryToMarkdown };
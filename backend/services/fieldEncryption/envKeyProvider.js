@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+/**
+ * Parse FIELD_ENCRYPTION_KEYS: comma-separated `keyId:base64Key` pairs,
+ * each key 32 random bytes, e.g. `2025-01:q3v...=,2025-07:Zk1...=`
+ * @param {string} value - Key list
+ * @returns {Map<string, Buffer>} Keys by ID, in the order listed
+ * @throws {Error} If a pair is malformed or a key isn't 32 bytes
+ */
+const parseKeys = (value = '') => {
+  const keys = new Map();
+
+  value.split(',').map(pair => pair.trim()).filter(Boolean).forEach((pair) => {
+    const separator = pair.indexOf(':');
+    const keyId = pair.slice(0, separator);
+    const key = Buffer.from(pair.slice(separator + 1), 'base64');
+
+    if (separator < 1 || key.length !== 32) {
+      throw new Error('FIELD_ENCRYPTION_KEYS entries must be keyId:base64 with 32-byte keys');
+    }
+    keys.set(keyId, key);
+  });
+
+  return keys;
+};
+
+/**
+ * Master keys from the environment, for local development and small
+ * deployments. Data keys are wrapped with AES-256-GCM under the current
+ * master key; older keys stay listed so their data keys can still be
+ * unwrapped until scripts/rotate-field-keys.js has re-wrapped them.
+ */
+class EnvKeyProvider {
+  /**
+   * @param {Object} options - { keys, currentKeyId } where keys is the
+   *   FIELD_ENCRYPTION_KEYS string; currentKeyId defaults to the last key
+   */
+  constructor(options = {}) {
+    this.name = 'env';
+    this.keys = parseKeys(options.keys);
+
+    if (!this.keys.size) {
+      throw new Error('FIELD_ENCRYPTION_KEYS is required for the env key provider');
+    }
+
+    this.currentKeyId = options.currentKeyId || [...this.keys.keys()].pop();
+    if (!this.keys.has(this.currentKeyId)) {
+      throw new Error(`FIELD_ENCRYPTION_KEY_ID "${this.currentKeyId}" is not in FIELD_ENCRYPTION_KEYS`);
+    }
+  }
+
+  /**
+   * Wrap a data key under the current master key
+   * @param {Buffer} dataKey - Plaintext data key
+   * @returns {Promise<Object>} { keyId, wrappedKey } with wrappedKey in base64
+   */
+  async wrapKey(dataKey) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.keys.get(this.currentKeyId), iv);
+    cipher.setAAD(Buffer.from(this.currentKeyId));
+    const ciphertext = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return {
+      keyId: this.currentKeyId,
+      wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64'),
+    };
+  }
+
+  /**
+   * Unwrap a data key
+   * @param {Object} wrapped - { keyId, wrappedKey } as returned by wrapKey
+   * @returns {Promise<Buffer>} Plaintext data key
+   * @throws {Error} If the master key is unknown or the data key was tampered with
+   */
+  async unwrapKey({ keyId, wrappedKey }) {
+    const masterKey = this.keys.get(keyId);
+    if (!masterKey) {
+      throw new Error(`Field encryption key "${keyId}" is not configured`);
+    }
+
+    const data = Buffer.from(wrappedKey, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, data.subarray(0, 12));
+    decipher.setAAD(Buffer.from(keyId));
+    decipher.setAuthTag(data.subarray(12, 28));
+    return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+  }
+}
+
+module.exports = { EnvKeyProvider, parseKeys };
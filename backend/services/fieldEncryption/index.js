@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { EnvKeyProvider } = require('./envKeyProvider');
+
+// Marks a stored value as ciphertext; the rest is base64(iv | tag | ciphertext)
+const ENCRYPTED_PREFIX = 'enc1:';
+const UNWRAPPED_CACHE_SIZE = 1000;
+
+/**
+ * Create the key provider named by FIELD_ENCRYPTION_PROVIDER. Defaults to
+ * the environment provider when FIELD_ENCRYPTION_KEYS is set, and to none
+ * (fields stored as plaintext) otherwise.
+ *
+ * A provider wraps and unwraps data keys under a master key it never
+ * reveals, the way a KMS does: { name, currentKeyId, wrapKey(dataKey),
+ * unwrapKey({ keyId, wrappedKey }) }. A KMS-backed provider implements the
+ * same members with calls to the KMS and is added here.
+ * @param {string} name - 'env' or 'none'
+ * @returns {Object|null} Key provider, or null when encryption is off
+ */
+const createKeyProvider = (name = process.env.FIELD_ENCRYPTION_PROVIDER) => {
+  const providerName = name || (process.env.FIELD_ENCRYPTION_KEYS ? 'env' : 'none');
+
+  switch (providerName) {
+    case 'env':
+      return new EnvKeyProvider({
+        keys: process.env.FIELD_ENCRYPTION_KEYS,
+        currentKeyId: process.env.FIELD_ENCRYPTION_KEY_ID,
+      });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown field encryption provider: ${providerName}`);
+  }
+};
+
+/**
+ * Envelope encryption for individual document fields. Each document gets
+ * its own random data key, stored wrapped by the key provider as
+ * `{ keyId, dataKey }`; field values are AES-256-GCM encrypted under the
+ * data key, authenticated with the field's path so values can't be
+ * swapped between fields. Rotating the master key only re-wraps data keys.
+ */
+class FieldCipher {
+  /**
+   * @param {Object} options - { provider } from createKeyProvider; without
+   *   one, encryption is off and only unwrapping fails
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || null;
+    this.unwrapped = new Map();
+  }
+
+  get enabled() {
+    return Boolean(this.provider);
+  }
+
+  get currentKeyId() {
+    return this.provider?.currentKeyId || null;
+  }
+
+  /**
+   * Generate a data key for a new document
+   * @returns {Promise<Object>} { atRest: { keyId, dataKey }, key } where key
+   *   is the plaintext data key
+   */
+  async createDataKey() {
+    const key = crypto.randomBytes(32);
+    const { keyId, wrappedKey } = await this.provider.wrapKey(key);
+    const atRest = { keyId, dataKey: wrappedKey };
+
+    this.remember(atRest, key);
+    return { atRest, key };
+  }
+
+  /**
+   * Unwrap a document's data key, caching recent ones so reading a page of
+   * entries doesn't call the provider once per entry
+   * @param {Object} atRest - { keyId, dataKey }
+   * @returns {Promise<Buffer>} Plaintext data key
+   * @throws {Error} If encryption isn't configured or the key won't unwrap
+   */
+  async unwrap(atRest) {
+    const cacheKey = `${atRest.keyId}:${atRest.dataKey}`;
+    if (this.unwrapped.has(cacheKey)) {
+      return this.unwrapped.get(cacheKey);
+    }
+
+    if (!this.provider) {
+      throw new Error('Field encryption keys are not configured; set FIELD_ENCRYPTION_KEYS');
+    }
+    const key = await this.provider.unwrapKey({ keyId: atRest.keyId, wrappedKey: atRest.dataKey });
+
+    this.remember(atRest, key);
+    return key;
+  }
+
+  remember(atRest, key) {
+    if (this.unwrapped.size >= UNWRAPPED_CACHE_SIZE) {
+      this.unwrapped.delete(this.unwrapped.keys().next().value);
+    }
+    this.unwrapped.set(`${atRest.keyId}:${atRest.dataKey}`, key);
+  }
+
+  /**
+   * Re-wrap a data key under the current master key
+   * @param {Object} atRest - { keyId, dataKey }
+   * @returns {Promise<Object>} New { keyId, dataKey } for the same data key
+   */
+  async rewrap(atRest) {
+    const key = await this.unwrap(atRest);
+    const { keyId, wrappedKey } = await this.provider.wrapKey(key);
+    const rewrapped = { keyId, dataKey: wrappedKey };
+
+    this.remember(rewrapped, key);
+    return rewrapped;
+  }
+
+  /**
+   * Whether a stored value is ciphertext
+   * @param {*} value - Stored field value
+   * @returns {boolean}
+   */
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+  }
+
+  /**
+   * Encrypt a field value
+   * @param {Buffer} key - Document data key
+   * @param {string} path - Field path, bound to the ciphertext
+   * @param {string} value - Plaintext
+   * @returns {string} Stored form
+   */
+  encrypt(key, path, value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(path));
+    const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+    return ENCRYPTED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  }
+
+  /**
+   * Decrypt a field value
+   * @param {Buffer} key - Document data key
+   * @param {string} path - Field path it was encrypted for
+   * @param {string} value - Stored form
+   * @returns {string} Plaintext
+   * @throws {Error} If the value was encrypted under another key or path, or altered
+   */
+  decrypt(key, path, value) {
+    const data = Buffer.from(value.slice(ENCRYPTED_PREFIX.length), 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, 12));
+    decipher.setAAD(Buffer.from(path));
+    decipher.setAuthTag(data.subarray(12, 28));
+
+    return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+  }
+}
+
+let defaultCipher = null;
+
+/**
+ * The process-wide cipher used by the model layer, configured from the
+ * environment on first use
+ * @returns {FieldCipher}
+ */
+const getFieldCipher = () => {
+  if (!defaultCipher) {
+    defaultCipher = new FieldCipher({ provider: createKeyProvider() });
+  }
+  return defaultCipher;
+};
+
+/**
+ * Replace the process-wide cipher (tests, or a provider built at startup)
+ * @param {FieldCipher|null} cipher - Cipher, or null to reconfigure from the environment
+ */
+const setFieldCipher = (cipher) => {
+  defaultCipher = cipher;
+};
+
+module.exports = {
+  FieldCipher,
+  createKeyProvider,
+  getFieldCipher,
+  setFieldCipher,
+  ENCRYPTED_PREFIX,
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { IdentityTokenError } = require('./errors');
+
+const APPLE_ISSUER = 'https://appleid.apple.com';
+const APPLE_JWKS_URL = 'https://appleid.apple.com/auth/keys';
+const KEYS_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Verifies identity tokens from Sign in with Apple against Apple's
+ * published signing keys. The JWKS URL is configurable so tests and
+ * staging can point at their own key set.
+ */
+class AppleTokenVerifier {
+  /**
+   * @param {Object} options - { audience, jwksUrl, issuer, keysTtlMs, fetchImpl }
+   *   audience is the app's bundle ID, or a list of accepted IDs
+   */
+  constructor({
+    audience = (process.env.APPLE_CLIENT_ID || '').split(',').map(id => id.trim()).filter(Boolean),
+    jwksUrl = process.env.APPLE_JWKS_URL || APPLE_JWKS_URL,
+    issuer = APPLE_ISSUER,
+    keysTtlMs = KEYS_TTL_MS,
+    fetchImpl = (...args) => fetch(...args),
+  } = {}) {
+    this.audience = audience;
+    this.jwksUrl = jwksUrl;
+    this.issuer = issuer;
+    this.keysTtlMs = keysTtlMs;
+    this.fetchImpl = fetchImpl;
+    this.keys = null;
+    this.keysFetchedAt = 0;
+  }
+
+  /**
+   * Load the signing keys, refetching when stale or when a token names a
+   * key we haven't seen (Apple rotates keys without notice)
+   * @param {string} kid - Key ID the token was signed with
+   * @returns {Promise<Object|undefined>} Public KeyObject
+   */
+  async getKey(kid) {
+    const stale = Date.now() - this.keysFetchedAt > this.keysTtlMs;
+    if (!this.keys || stale || !this.keys.has(kid)) {
+      let response;
+      try {
+        response = await this.fetchImpl(this.jwksUrl, { signal: AbortSignal.timeout(10000) });
+      } catch (error) {
+        throw new Error(`Could not fetch Apple signing keys: ${error.message}`);
+      }
+      if (!response.ok) {
+        throw new Error(`Apple signing keys responded with ${response.status}`);
+      }
+
+      const { keys = [] } = await response.json();
+      this.keys = new Map(keys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+      this.keysFetchedAt = Date.now();
+    }
+    return this.keys.get(kid);
+  }
+
+  /**
+   * Verify an identity token and return its claims
+   * @param {string} identityToken - JWT from the Apple sign-in sheet
+   * @param {Object} options - { nonce } raw nonce whose SHA-256 the app sent to Apple
+   * @returns {Promise<Object>} { subject, email, emailVerified }
+   */
+  async verify(identityToken, { nonce }) {
+    if (!this.audience.length) {
+      throw new Error('APPLE_CLIENT_ID is required to verify Sign in with Apple');
+    }
+
+    const decoded = jwt.decode(identityToken, { complete: true });
+    if (!decoded?.header?.kid) {
+      throw new IdentityTokenError('Identity token is malformed');
+    }
+
+    const key = await this.getKey(decoded.header.kid);
+    if (!key) {
+      throw new IdentityTokenError('Identity token was signed with an unknown key');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(identityToken, key, {
+        algorithms: ['RS256'],
+        audience: this.audience,
+        issuer: this.issuer,
+      });
+    } catch (error) {
+      throw new IdentityTokenError(`Identity token rejected: ${error.message}`, { cause: error });
+    }
+
+    const expectedNonce = crypto.createHash('sha256').update(nonce).digest('hex');
+    if (claims.nonce !== expectedNonce) {
+      throw new IdentityTokenError('Identity token nonce does not match');
+    }
+
+    return {
+      subject: claims.sub,
+      email: claims.email || null,
+      // Apple sends this as a boolean or as the string 'true'
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    };
+  }
+}
+
+module.exports = { AppleTokenVerifier, APPLE_ISSUER };
@@ -0,0 +1,13 @@
+/**
+ * Error raised when a third-party identity token can't be trusted: bad
+ * signature, wrong audience or issuer, expired, or replayed nonce.
+ */
+class IdentityTokenError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message);
+    this.name = 'IdentityTokenError';
+    this.cause = cause;
+  }
+}
+
+module.exports = { IdentityTokenError };
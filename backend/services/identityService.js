@@ -0,0 +1,80 @@
+const User = require('../models/User');
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+class IdentityService {
+  /**
+   * Find the user an identity is linked to. Google sign-ins also match the
+   * legacy googleId field of accounts created before identities existed.
+   * @param {string} provider - 'google', 'apple' or 'email'
+   * @param {string} subject - Provider's stable user ID
+   * @returns {Promise<Object|null>} User document
+   */
+  async findByIdentity(provider, subject) {
+    const byIdentity = { identities: { $elemMatch: { provider, subject } } };
+    return User.findOne(provider === 'google' ? { $or: [byIdentity, { googleId: subject }] } : byIdentity);
+  }
+
+  /**
+   * Resolve a sign-in the provider has already authenticated. A new
+   * identity is linked to an existing account only when the provider
+   * vouches for the email address; otherwise anyone able to create an
+   * unverified account elsewhere could take over the matching user.
+   * @param {Object} identity - { provider, subject, email, emailVerified, name, image }
+   * @returns {Promise<Object>} { status, user } where status is 'existing',
+   *   'linked', 'created', 'unverified-email', 'missing-email' or
+   *   'pending-deletion' (the account awaits purging; only its undo link
+   *   brings it back)
+   */
+  async resolveUser({ provider, subject, email, emailVerified = false, name, image }) {
+    const normalizedEmail = email ? email.trim().toLowerCase() : null;
+
+    const existing = await this.findByIdentity(provider, subject);
+    if (existing?.isPendingDeletion()) {
+      return { status: 'pending-deletion' };
+    }
+    if (existing) {
+      if (!existing.findIdentity(provider)) {
+        existing.identities.push({ provider, subject, email: normalizedEmail });
+        await existing.save();
+      }
+      return { status: 'existing', user: existing };
+    }
+
+    if (!normalizedEmail) {
+      return { status: 'missing-email' };
+    }
+
+    const byEmail = await User.findOne({ email: normalizedEmail });
+    if (byEmail?.isPendingDeletion()) {
+      return { status: 'pending-deletion' };
+    }
+    if (byEmail) {
+      if (!emailVerified) {
+        return { status: 'unverified-email' };
+      }
+      byEmail.identities.push({ provider, subject, email: normalizedEmail });
+      await byEmail.save();
+      return { status: 'linked', user: byEmail };
+    }
+
+    try {
+      const user = await User.create({
+        email: normalizedEmail,
+        name: name || normalizedEmail.split('@')[0],
+        googleImage: provider === 'google' ? image || null : null,
+        identities: [{ provider, subject, email: normalizedEmail }],
+      });
+      return { status: 'created', user };
+    } catch (error) {
+      // A concurrent sign-in created the account first
+      if (isDuplicateKeyError(error)) {
+        const user = await this.findByIdentity(provider, subject);
+        if (user) return { status: 'existing', user };
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { IdentityService };
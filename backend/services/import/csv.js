@@ -0,0 +1,99 @@
+const { parseImportDate } = require('./dates');
+
+const DATE_COLUMNS = ['date', 'created', 'created_at', 'createdat', 'timestamp', 'datetime'];
+const CONTENT_COLUMNS = ['content', 'text', 'entry', 'body', 'note'];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold commas, quotes and
+ * newlines). Semicolon-separated files, as spreadsheet apps in many
+ * locales save them, are detected from the header line.
+ * @param {string} text - CSV contents
+ * @returns {string[][]} Rows of fields
+ */
+const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const headerLine = source.split(/\r?\n/, 1)[0];
+  const separator = headerLine.split(';').length > headerLine.split(',').length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+};
+
+/**
+ * Turn a CSV file into entries, one per row. The header must name a date
+ * column (date, created, timestamp...) and a text column (content, text,
+ * entry...). Rows that can't be read are reported, not fatal.
+ * @param {string} name - File path
+ * @param {string} text - File contents
+ * @param {Object} options - { timeZone }
+ * @returns {{entries: Object[], errors: Object[]}}
+ * @throws {Error} If the header lacks a date or text column
+ */
+const parseCsvEntries = (name, text, { timeZone = 'UTC' } = {}) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(column => column.trim().toLowerCase().replace(/\s+/g, '_'));
+  const dateColumn = columns.findIndex(column => DATE_COLUMNS.includes(column));
+  const contentColumn = columns.findIndex(column => CONTENT_COLUMNS.includes(column));
+
+  if (dateColumn === -1 || contentColumn === -1) {
+    throw new Error(`CSV needs a header with a date column (${DATE_COLUMNS.join(', ')}) and a text column (${CONTENT_COLUMNS.join(', ')})`);
+  }
+
+  const entries = [];
+  const errors = [];
+
+  rows.forEach((fields, index) => {
+    const item = `${name} row ${index + 2}`; // 1-based, after the header
+    const date = parseImportDate(fields[dateColumn], timeZone);
+    const content = (fields[contentColumn] || '').trim();
+
+    if (!date) {
+      errors.push({ item, message: `Unreadable date "${fields[dateColumn] || ''}"` });
+    } else if (!content) {
+      errors.push({ item, message: 'Entry text is empty' });
+    } else {
+      entries.push({ date, content, originalId: item, photos: [] });
+    }
+  });
+
+  return { entries, errors };
+};
+
+module.exports = { parseCsv, parseCsvEntries };
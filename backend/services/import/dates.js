@@ -0,0 +1,41 @@
+const { zonedTime } = require('../localTime');
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATE_IN_NAME = /(\d{4})-(\d{2})-(\d{2})(?:[ T_](\d{2})[-:.h]?(\d{2}))?/;
+
+/**
+ * Parse a date from an import. Plain days ('2021-06-01') mean noon on that
+ * day in the user's timezone, so the entry lands on the right calendar day.
+ * @param {string|number} value - Date string or epoch milliseconds
+ * @param {string} timeZone - IANA timezone for dates without a time
+ * @returns {Date|null} Date, or null if it can't be read
+ */
+const parseImportDate = (value, timeZone = 'UTC') => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).trim();
+  const dayOnly = text.match(DATE_ONLY);
+  if (dayOnly) {
+    return zonedTime(dayOnly.slice(1).map(Number), timeZone);
+  }
+
+  const date = typeof value === 'number' ? new Date(value) : new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Read a date from a file name such as '2021-06-01.md' or
+ * 'journal/2021-06-01 0730 Morning pages.md'
+ * @param {string} name - File name or path
+ * @param {string} timeZone - IANA timezone the name is in
+ * @returns {Date|null}
+ */
+const dateFromFileName = (name, timeZone = 'UTC') => {
+  const match = name.match(DATE_IN_NAME);
+  if (!match) return null;
+
+  const [year, month, day, hour, minute] = match.slice(1).map(part => (part === undefined ? undefined : Number(part)));
+  return zonedTime([year, month, day, hour, minute], timeZone);
+};
+
+module.exports = { parseImportDate, dateFromFileName };
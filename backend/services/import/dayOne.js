@@ -0,0 +1,65 @@
+const MOMENT_LINK = /!\[[^\]]*\]\(dayone-moment:\/{1,2}[^)]*\)\s*/g;
+const MARKDOWN_ESCAPE = /\\([\\`*_{}[\]()#+\-.!>|])/g;
+
+/**
+ * Whether parsed JSON is a Day One export: { metadata, entries: [...] }
+ * @param {*} json - Parsed JSON
+ * @returns {boolean}
+ */
+const isDayOneExport = json => Boolean(json && Array.isArray(json.entries) && json.metadata);
+
+/**
+ * Clean Day One's Markdown: drop inline photo placeholders (photos are
+ * attached separately) and the backslash escapes it adds to punctuation
+ * @param {string} text - Entry text
+ * @returns {string}
+ */
+const cleanDayOneText = text => (text || '')
+  .replace(MOMENT_LINK, '')
+  .replace(MARKDOWN_ESCAPE, '$1')
+  .trim();
+
+/**
+ * Turn a Day One JSON export into entries. Photos are looked up as
+ * photos/<md5>.<type>, where Day One's zip export puts them.
+ * @param {Object} json - Parsed export
+ * @param {Object} options - { name, findFile } where name labels errors and
+ *   findFile(path) returns an attachment's Buffer or null
+ * @returns {{entries: Object[], errors: Object[]}}
+ */
+const parseDayOneExport = (json, { name = 'Day One export', findFile = () => null } = {}) => {
+  const entries = [];
+  const errors = [];
+
+  json.entries.forEach((raw, index) => {
+    const item = `${name} entry ${raw.uuid || index + 1}`;
+    const date = new Date(raw.creationDate);
+    const content = cleanDayOneText(raw.text);
+
+    if (Number.isNaN(date.getTime())) {
+      errors.push({ item, message: 'Entry has no creation date' });
+      return;
+    }
+    if (!content && !raw.photos?.length) {
+      errors.push({ item, message: 'Entry is empty' });
+      return;
+    }
+
+    const photos = [];
+    for (const photo of raw.photos || []) {
+      const file = `photos/${photo.md5}.${photo.type}`;
+      const data = findFile(file);
+      if (data) {
+        photos.push({ name: file, data });
+      } else {
+        errors.push({ item, message: `Photo ${file} is missing from the export` });
+      }
+    }
+
+    entries.push({ date, content, originalId: raw.uuid, photos });
+  });
+
+  return { entries, errors };
+};
+
+module.exports = { isDayOneExport, parseDayOneExport, cleanDayOneText };
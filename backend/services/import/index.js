@@ -0,0 +1,182 @@
+const path = require('path');
+const { readZip } = require('./zip');
+const { parseMarkdownEntry } = require('./markdown');
+const { parseCsvEntries } = require('./csv');
+const { isDayOneExport, parseDayOneExport } = require('./dayOne');
+const { isJourneyEntry, parseJourneyEntry } = require('./journey');
+
+// Formats an uploaded file can be; 'folder' is a zip of Markdown/CSV files
+const IMPORT_FORMATS = ['day-one', 'journey', 'markdown', 'csv', 'folder'];
+const IMPORT_EXTENSIONS = ['.json', '.zip', '.md', '.markdown', '.txt', '.csv'];
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.txt'];
+
+const PHOTO_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+};
+
+/**
+ * MIME type of an imported photo, from its file name
+ * @param {string} name - Photo file name
+ * @returns {string|null} null for types we don't store
+ */
+const photoMimeType = name => PHOTO_TYPES[path.extname(name).toLowerCase()] || null;
+
+/**
+ * Parse JSON, naming the file when it isn't valid
+ * @param {string} name - File path
+ * @param {Buffer} data - File contents
+ * @returns {*} Parsed JSON
+ */
+const readJson = (name, data) => {
+  try {
+    return JSON.parse(data.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON`);
+  }
+};
+
+/**
+ * Tag each parsed entry with the format it came from
+ * @param {Object} result - { entries, errors }
+ * @param {string} format - Entry format
+ * @returns {Object} The same result
+ */
+const withFormat = (result, format) => {
+  result.entries.forEach((entry) => {
+    entry.format = format;
+  });
+  return result;
+};
+
+/**
+ * Parse a zip: a Day One export (Journal.json plus photos/), a Journey
+ * export (one JSON file per entry plus photos) or a folder of Markdown
+ * and CSV files
+ * @param {string} name - Zip file name
+ * @param {Buffer} data - Zip contents
+ * @param {Object} options - { timeZone }
+ * @returns {Promise<Object>} { format, entries, errors }
+ */
+const parseZip = async (name, data, { timeZone }) => {
+  const files = (await readZip(data))
+    .filter(file => !file.name.startsWith('__MACOSX/') && !path.basename(file.name).startsWith('.'));
+  const byName = new Map(files.map(file => [file.name, file.data]));
+
+  // Exports are often zipped inside a top-level folder
+  const findFile = (wanted) => {
+    if (byName.has(wanted)) return byName.get(wanted);
+    const nested = files.find(file => file.name.endsWith(`/${wanted}`));
+    return nested ? nested.data : null;
+  };
+
+  // Unreadable JSON is reported with the other files below
+  const dayOne = files
+    .filter(file => path.extname(file.name).toLowerCase() === '.json')
+    .map((file) => {
+      try {
+        return { file, json: readJson(file.name, file.data) };
+      } catch (error) {
+        return { file, json: null };
+      }
+    })
+    .filter(({ json }) => isDayOneExport(json));
+
+  if (dayOne.length) {
+    const entries = [];
+    const errors = [];
+    for (const { file, json } of dayOne) {
+      const result = parseDayOneExport(json, { name: file.name, findFile });
+      entries.push(...result.entries);
+      errors.push(...result.errors);
+    }
+    return { format: 'day-one', ...withFormat({ entries, errors }, 'day-one') };
+  }
+
+  const entries = [];
+  const errors = [];
+  let format = null;
+
+  for (const file of files) {
+    const extension = path.extname(file.name).toLowerCase();
+    let result = null;
+
+    try {
+      if (extension === '.json') {
+        const json = readJson(file.name, file.data);
+        if (isJourneyEntry(json)) {
+          result = withFormat(parseJourneyEntry(json, { name: file.name, findFile }), 'journey');
+          format = 'journey';
+        }
+      } else if (MARKDOWN_EXTENSIONS.includes(extension)) {
+        const entry = parseMarkdownEntry(file.name, file.data.toString('utf8'), { timeZone });
+        result = withFormat({ entries: [entry], errors: [] }, 'markdown');
+        format = format || 'folder';
+      } else if (extension === '.csv') {
+        result = withFormat(parseCsvEntries(file.name, file.data.toString('utf8'), { timeZone }), 'csv');
+        format = format || 'folder';
+      }
+    } catch (error) {
+      errors.push({ item: file.name, message: error.message });
+    }
+
+    if (result) {
+      entries.push(...result.entries);
+      errors.push(...result.errors);
+    }
+  }
+
+  if (!format && !errors.length) {
+    throw new Error(`${name} has no Day One, Journey, Markdown or CSV entries`);
+  }
+
+  return { format: format || 'folder', entries, errors };
+};
+
+/**
+ * Parse an uploaded import file into entries. Problems with individual
+ * entries are collected in `errors` rather than failing the whole file.
+ * @param {Object} file - { name, data } with the original file name
+ * @param {Object} options - { timeZone } for dates that have no time
+ * @returns {Promise<Object>} { format, entries, errors } where each entry is
+ *   { date, content, originalId, format, photos: [{ name, data }] }; content
+ *   is empty for photo-only entries
+ * @throws {Error} If the file can't be read as any supported format
+ */
+const parseImportFile = async ({ name, data }, { timeZone = 'UTC' } = {}) => {
+  const extension = path.extname(name).toLowerCase();
+
+  switch (extension) {
+    case '.zip':
+      return parseZip(name, data, { timeZone });
+    case '.json': {
+      const json = readJson(name, data);
+      if (isDayOneExport(json)) {
+        return { format: 'day-one', ...withFormat(parseDayOneExport(json, { name }), 'day-one') };
+      }
+      if (isJourneyEntry(json)) {
+        return { format: 'journey', ...withFormat(parseJourneyEntry(json, { name }), 'journey') };
+      }
+      throw new Error(`${name} is not a Day One or Journey export`);
+    }
+    case '.csv':
+      return { format: 'csv', ...withFormat(parseCsvEntries(name, data.toString('utf8'), { timeZone }), 'csv') };
+    default:
+      if (MARKDOWN_EXTENSIONS.includes(extension)) {
+        const entry = parseMarkdownEntry(name, data.toString('utf8'), { timeZone });
+        return { format: 'markdown', ...withFormat({ entries: [entry], errors: [] }, 'markdown') };
+      }
+      throw new Error(`${name} is not a supported import file`);
+  }
+};
+
+module.exports = {
+  parseImportFile,
+  photoMimeType,
+  IMPORT_FORMATS,
+  IMPORT_EXTENSIONS,
+};
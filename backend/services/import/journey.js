@@ -0,0 +1,66 @@
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", apos: "'", nbsp: ' ' };
+
+/**
+ * Whether parsed JSON is one Journey entry, as found in Journey's zip
+ * export (one <id>.json file per entry)
+ * @param {*} json - Parsed JSON
+ * @returns {boolean}
+ */
+const isJourneyEntry = json => Boolean(json && typeof json === 'object' && 'date_journal' in json);
+
+/**
+ * Journey stores rich text as HTML; flatten it to plain paragraphs
+ * @param {string} text - Entry text, HTML or plain
+ * @returns {string}
+ */
+const journeyText = (text) => {
+  if (!/<\/?[a-z][^>]*>/i.test(text || '')) return (text || '').trim();
+
+  return text
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li)>/gi, '\n\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|apos|nbsp);/g, (entity, name) => HTML_ENTITIES[name])
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Turn one Journey entry into an import entry. Photos are listed by file
+ * name and sit next to the entry JSON in the export.
+ * @param {Object} json - Parsed entry
+ * @param {Object} options - { name, findFile } where name is the entry's
+ *   path and findFile(path) returns an attachment's Buffer or null
+ * @returns {{entries: Object[], errors: Object[]}}
+ */
+const parseJourneyEntry = (json, { name, findFile = () => null }) => {
+  const date = new Date(Number(json.date_journal));
+  const content = journeyText(json.text);
+  const errors = [];
+
+  if (Number.isNaN(date.getTime())) {
+    return { entries: [], errors: [{ item: name, message: 'Entry has no date' }] };
+  }
+  if (!content && !json.photos?.length) {
+    return { entries: [], errors: [{ item: name, message: 'Entry is empty' }] };
+  }
+
+  const folder = name.includes('/') ? name.slice(0, name.lastIndexOf('/') + 1) : '';
+  const photos = [];
+  for (const photo of json.photos || []) {
+    const data = findFile(`${folder}${photo}`);
+    if (data) {
+      photos.push({ name: photo, data });
+    } else {
+      errors.push({ item: name, message: `Photo ${photo} is missing from the export` });
+    }
+  }
+
+  return {
+    entries: [{ date, content, originalId: json.id || name, photos }],
+    errors,
+  };
+};
+
+module.exports = { isJourneyEntry, parseJourneyEntry, journeyText };
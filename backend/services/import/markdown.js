@@ -0,0 +1,53 @@
+const path = require('path');
+const { parseImportDate, dateFromFileName } = require('./dates');
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+/**
+ * Split YAML front matter from a Markdown document. Only flat `key: value`
+ * lines are read, which covers the date fields journaling apps write.
+ * @param {string} text - Markdown document
+ * @returns {{attributes: Object, body: string}}
+ */
+const parseFrontMatter = (text) => {
+  const match = text.match(FRONT_MATTER);
+  if (!match) return { attributes: {}, body: text };
+
+  const attributes = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = line.match(/^([\w-]+):\s*(.*)$/);
+    if (field) {
+      attributes[field[1].toLowerCase()] = field[2].replace(/^(['"])(.*)\1$/, '$2');
+    }
+  }
+
+  return { attributes, body: text.slice(match[0].length) };
+};
+
+/**
+ * Turn one Markdown or text file into an entry. The date comes from front
+ * matter (`date`, `created`) or else from the file name.
+ * @param {string} name - File path, e.g. 'Journal/2021-06-01.md'
+ * @param {string} text - File contents
+ * @param {Object} options - { timeZone }
+ * @returns {Object} Import entry { date, content, originalId, photos }
+ * @throws {Error} If the file has no date or no text
+ */
+const parseMarkdownEntry = (name, text, { timeZone = 'UTC' } = {}) => {
+  const { attributes, body } = parseFrontMatter(text.replace(/^\uFEFF/, ''));
+  const date = parseImportDate(attributes.date || attributes.created, timeZone)
+    || dateFromFileName(path.basename(name), timeZone);
+
+  if (!date) {
+    throw new Error('No date found; add a date to the front matter or name the file YYYY-MM-DD.md');
+  }
+
+  const content = body.trim();
+  if (!content) {
+    throw new Error('File is empty');
+  }
+
+  return { date, content, originalId: name, photos: [] };
+};
+
+module.exports = { parseMarkdownEntry, parseFrontMatter };
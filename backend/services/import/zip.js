@@ -0,0 +1,55 @@
+const yauzl = require('yauzl');
+const { buffer } = require('stream/consumers');
+
+/**
+ * Read the files in a zip archive. Folders are skipped.
+ * @param {Buffer} archive - Zip file contents
+ * @param {Object} options - { maxSize } total uncompressed bytes allowed,
+ *   so a small upload can't expand without bound
+ * @returns {Promise<Array<{name: string, data: Buffer}>>} Files in archive order
+ * @throws {Error} If the archive is damaged, too large or can't be read
+ */
+const readZip = (archive, { maxSize = 512 * 1024 * 1024 } = {}) => new Promise((resolve, reject) => {
+  yauzl.fromBuffer(archive, { lazyEntries: true }, (openError, zipfile) => {
+    if (openError) {
+      reject(new Error(/end of central directory/i.test(openError.message) ? 'Not a zip archive' : openError.message));
+      return;
+    }
+
+    const files = [];
+    let remaining = maxSize;
+    const fail = (error) => {
+      zipfile.close();
+      reject(error);
+    };
+
+    zipfile.on('error', fail);
+    zipfile.on('end', () => resolve(files));
+    zipfile.on('entry', (entry) => {
+      if (entry.fileName.endsWith('/')) {
+        zipfile.readEntry();
+        return;
+      }
+      // yauzl checks the declared size against what the entry inflates to
+      if (entry.uncompressedSize > remaining) {
+        fail(new Error('Zip contents are too large'));
+        return;
+      }
+
+      zipfile.openReadStream(entry, (streamError, stream) => {
+        if (streamError) {
+          fail(new Error(`${entry.fileName} is damaged`));
+          return;
+        }
+        buffer(stream).then((data) => {
+          remaining -= data.length;
+          files.push({ name: entry.fileName, data });
+          zipfile.readEntry();
+        }, () => fail(new Error(`${entry.fileName} is damaged`)));
+      });
+    });
+    zipfile.readEntry();
+  });
+});
+
+module.exports = { readZip };
@@ -0,0 +1,334 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const JournalImport = require('../models/JournalImport');
+const { JobQueue } = require('./jobQueue');
+const { UploadService } = require('./uploadService');
+const { AnalysisService } = require('./analysisService');
+const { StatsService } = require('./statsService');
+const { toLocalDay } = require('./localTime');
+const { invalidateInsights } = require('./insightsService');
+const { withTransaction } = require('./transaction');
+const { parseImportFile, photoMimeType } = require('./import');
+
+const IMPORT_JOURNAL_JOB = 'import-journal';
+const BATCH_SIZE = 100;
+const REPORT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Shape an import record for API responses
+ * @param {Object} journalImport - JournalImport document or lean object
+ * @returns {Object} Public import fields with per-file results and totals
+ */
+const serializeImport = (journalImport) => {
+  const files = journalImport.files.map(file => ({
+    name: file.name,
+    format: file.format || null,
+    status: file.status,
+    imported: file.imported,
+    duplicates: file.duplicates,
+    photos: file.photos,
+    errorCount: file.errorCount,
+    errors: file.itemErrors,
+  }));
+  const total = field => files.reduce((sum, file) => sum + (file[field] || 0), 0);
+
+  return {
+    id: journalImport._id.toString(),
+    status: journalImport.status,
+    requestedAt: journalImport.createdAt,
+    completedAt: journalImport.completedAt || null,
+    error: journalImport.status === 'failed' ? journalImport.error : null,
+    totals: {
+      imported: total('imported'),
+      duplicates: total('duplicates'),
+      photos: total('photos'),
+      errors: total('errorCount'),
+    },
+    files,
+  };
+};
+
+/**
+ * Imports journals from other apps: Day One JSON and zip exports, Journey
+ * zip exports, and Markdown or CSV files (alone or zipped as a folder).
+ * Uploads are stored privately until the import-journal job has parsed
+ * them. Entries keep their original dates, are skipped when an entry with
+ * the same content hash exists, and have their analysis spread out over
+ * time. Each file's outcome, including per-entry errors, is reported.
+ */
+class ImportService {
+  /**
+   * @param {Object} options - { queue, uploadService, analysisService,
+   *   statsService, analysisIntervalMs }
+   */
+  constructor(options = {}) {
+    this.queue = options.queue || new JobQueue();
+    this.uploadService = options.uploadService || new UploadService();
+    this.analysisService = options.analysisService || new AnalysisService({ queue: this.queue });
+    this.statsService = options.statsService || new StatsService();
+    this.analysisIntervalMs = options.analysisIntervalMs
+      ?? 60 * 1000 / Number(process.env.IMPORT_ANALYSIS_PER_MINUTE || 10);
+  }
+
+  /**
+   * Store uploaded files and queue their import
+   * @param {Object} user - User document
+   * @param {Object[]} files - Multer files
+   * @returns {Promise<Object>} Created JournalImport
+   */
+  async createImport(user, files) {
+    const importId = new mongoose.Types.ObjectId();
+    const prefix = `imports/${user._id}/${importId}/`;
+
+    try {
+      const stored = [];
+      for (const [index, file] of files.entries()) {
+        const key = `${prefix}${index}${path.extname(file.originalname).toLowerCase()}`;
+        await this.uploadService.uploadPrivateFile(key, file.buffer, file.mimetype);
+        stored.push({ name: file.originalname, key, size: file.size });
+      }
+
+      return await withTransaction(async (session) => {
+        const [created] = await JournalImport.create(
+          [{ _id: importId, userId: user._id, files: stored }],
+          { session }
+        );
+        await this.queue.enqueue(IMPORT_JOURNAL_JOB, {
+          importId: importId.toString(),
+          userId: user._id.toString(),
+        }, { maxAttempts: 3, session });
+        return created;
+      });
+    } catch (error) {
+      // Don't leave orphaned uploads behind
+      await this.uploadService.deletePrefix(prefix).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Look up one of a user's imports
+   * @param {string} userId - Import owner
+   * @param {string} importId - Import ID
+   * @returns {Promise<Object|null>} Serialized import, or null if not found
+   */
+  async getImport(userId, importId) {
+    const journalImport = await JournalImport.findOne({ _id: importId, userId }).lean();
+    return journalImport ? serializeImport(journalImport) : null;
+  }
+
+  /**
+   * Job handler: import each pending file, saving its result as it goes so
+   * a retry resumes with the next file. Entries a crashed attempt already
+   * created are counted as duplicates the second time round.
+   * @param {Object} job - Claimed import-journal job
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Job result summary
+   */
+  async runImport(job, now = new Date()) {
+    const { importId, userId } = job.payload;
+    const journalImport = await JournalImport.findOneAndUpdate(
+      { _id: importId, status: { $in: ['queued', 'processing'] } },
+      { $set: { status: 'processing' } },
+      { new: true }
+    );
+    const user = await User.findById(userId).select('timezone encryption.enabled');
+
+    // Finished by an earlier attempt, or the account was purged meanwhile
+    if (!journalImport || !user) {
+      return { skipped: true };
+    }
+
+    let nextAnalysisAt = new Date(Math.max(now.getTime(), journalImport.analysisScheduledUntil?.getTime() || 0));
+
+    for (const [index, file] of journalImport.files.entries()) {
+      if (file.status !== 'pending') continue;
+
+      const result = await this.importFile(journalImport, file, user, nextAnalysisAt);
+      nextAnalysisAt = result.nextAnalysisAt;
+
+      await JournalImport.updateOne(
+        { _id: importId },
+        {
+          $set: {
+            [`files.${index}`]: { ...file.toObject(), ...result.file },
+            analysisScheduledUntil: nextAnalysisAt,
+          },
+        }
+      );
+    }
+
+    await this.uploadService.deletePrefix(`imports/${userId}/${importId}/`).catch((error) => {
+      console.error(`Failed to delete import ${importId} uploads:`, error.message);
+    });
+    await this.statsService.recomputeUserStats(userId, { now });
+    await invalidateInsights(userId);
+
+    const completed = await JournalImport.findByIdAndUpdate(
+      importId,
+      { $set: { status: 'completed', completedAt: now, expiresAt: new Date(now.getTime() + REPORT_RETENTION_MS) } },
+      { new: true }
+    ).lean();
+
+    return { importId, ...serializeImport(completed).totals };
+  }
+
+  /**
+   * Import one uploaded file
+   * @param {Object} journalImport - Import being run
+   * @param {Object} file - The file's subdocument
+   * @param {Object} user - Importing user, with timezone and encryption
+   * @param {Date} startAt - First free analysis slot
+   * @returns {Promise<Object>} { file, nextAnalysisAt } where file holds the
+   *   fields to save on the file's subdocument
+   */
+  async importFile(journalImport, file, user, startAt) {
+    const failed = message => ({
+      file: { status: 'failed', itemErrors: [{ item: file.name, message }], errorCount: 1 },
+      nextAnalysisAt: startAt,
+    });
+
+    // Imported entries are plaintext, which an encrypted journal can't hold
+    if (user.hasEncryption()) {
+      return failed('End-to-end encryption was turned on before this file was imported');
+    }
+
+    const data = await this.uploadService.downloadObject(file.key);
+
+    if (!data) {
+      return failed('Uploaded file is missing; please upload it again');
+    }
+
+    let parsed;
+    try {
+      parsed = await parseImportFile({ name: file.name, data }, { timeZone: user.timezone });
+    } catch (error) {
+      return failed(error.message);
+    }
+
+    const errors = [...parsed.errors];
+    const counts = { imported: 0, duplicates: 0, photos: 0 };
+    const seen = new Set();
+    let nextAnalysisAt = startAt;
+
+    for (let start = 0; start < parsed.entries.length; start += BATCH_SIZE) {
+      const batch = parsed.entries.slice(start, start + BATCH_SIZE);
+
+      // Text entries match on content; photo-only ones on their source ID
+      const keys = batch.map(entry => (entry.content
+        ? JournalEntry.hashContent(entry.content)
+        : `${entry.format}:${entry.originalId}`));
+      const [hashes, originals] = await Promise.all([
+        JournalEntry.distinct('contentHash', { userId: user._id, contentHash: { $in: keys } }),
+        JournalEntry.find({
+          userId: user._id,
+          'import.originalId': { $in: batch.filter(entry => !entry.content).map(entry => entry.originalId) },
+        }).select('import').lean(),
+      ]);
+      const existing = new Set([
+        ...hashes,
+        ...originals.map(({ import: source }) => `${source.format}:${source.originalId}`),
+      ]);
+
+      const docs = [];
+      for (const [index, entry] of batch.entries()) {
+        if (existing.has(keys[index]) || seen.has(keys[index])) {
+          counts.duplicates += 1;
+          continue;
+        }
+        seen.add(keys[index]);
+
+        if (!entry.content && !entry.photos.length) {
+          errors.push({ item: entry.originalId, message: 'Entry is empty' });
+          continue;
+        }
+
+        const content = entry.content || 'Photo entry';
+        const doc = new JournalEntry({
+          userId: user._id,
+          content,
+          wordCount: JournalEntry.countWords(content),
+          date: entry.date,
+          ...(entry.date && { journalDay: toLocalDay(entry.date, user.timezone) }),
+          processingStatus: 'queued',
+          import: { importId: journalImport._id, format: entry.format, originalId: entry.originalId },
+        });
+        const invalid = doc.validateSync();
+        if (invalid) {
+          errors.push({ item: entry.originalId, message: invalid.message });
+          continue;
+        }
+
+        // Photos go up first so no entry points at a missing file
+        for (const photo of entry.photos) {
+          const mimeType = photoMimeType(photo.name);
+          if (!mimeType) {
+            errors.push({ item: entry.originalId, message: `Photo ${photo.name} is not a supported image type` });
+            continue;
+          }
+          const key = await this.uploadService.uploadJournalPhoto(user._id.toString(), {
+            data: photo.data,
+            mimeType,
+            extension: path.extname(photo.name).toLowerCase(),
+          });
+          doc.photos.push({ key, mimeType, size: photo.data.length });
+        }
+        docs.push(doc);
+      }
+
+      if (!docs.length) continue;
+
+      nextAnalysisAt = await withTransaction(async (session) => {
+        const created = await JournalEntry.create(docs.map(doc => doc.toObject()), { session, ordered: true });
+        return this.analysisService.scheduleEntries(created, {
+          startAt: nextAnalysisAt,
+          intervalMs: this.analysisIntervalMs,
+          session,
+        });
+      });
+
+      counts.imported += docs.length;
+      counts.photos += docs.reduce((sum, doc) => sum + doc.photos.length, 0);
+    }
+
+    return {
+      file: {
+        status: 'imported',
+        format: parsed.format,
+        ...counts,
+        itemErrors: errors.slice(0, JournalImport.MAX_FILE_ERRORS),
+        errorCount: errors.length,
+      },
+      nextAnalysisAt,
+    };
+  }
+
+  /**
+   * Job failure hook: record that the import stopped, keeping the results
+   * of files already imported, and remove the uploads
+   * @param {Object} job - Failed import-journal job
+   * @param {Error} error - Final failure cause
+   * @param {Date} now - Current time
+   */
+  async markFailed(job, error, now = new Date()) {
+    const { importId, userId } = job.payload;
+
+    await JournalImport.updateOne(
+      { _id: importId, status: { $in: ['queued', 'processing'] } },
+      {
+        $set: {
+          status: 'failed',
+          error: 'The import stopped before finishing. Entries imported so far were kept.',
+          completedAt: now,
+          expiresAt: new Date(now.getTime() + REPORT_RETENTION_MS),
+        },
+      }
+    );
+    await this.uploadService.deletePrefix(`imports/${userId}/${importId}/`).catch(() => {});
+    console.error(`Journal import ${importId} failed:`, error?.message);
+  }
+}
+
+module.exports = { ImportService, IMPORT_JOURNAL_JOB, serializeImport };
@@ -0,0 +1,434 @@
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const Persona = require('../models/Persona');
+const MoodCheckIn = require('../models/MoodCheckIn');
+const InsightCache = require('../models/InsightCache');
+const { toLocalDay, shiftDay } = require('./localTime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default lookback when no `from` is given, per bucket size
+const DEFAULT_LOOKBACK_DAYS = { day: 30, week: 26 * 7, month: 365 };
+
+/**
+ * Start of the bucket containing a local day (weeks start on Monday)
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {string} granularity - 'day' | 'week' | 'month'
+ * @returns {string} Bucket start as YYYY-MM-DD
+ */
+const truncateDay = (dayKey, granularity) => {
+  if (granularity === 'month') return `${dayKey.slice(0, 7)}-01`;
+  if (granularity === 'week') {
+    const weekday = new Date(`${dayKey}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+    return shiftDay(dayKey, -((weekday + 6) % 7));
+  }
+  return dayKey;
+};
+
+/**
+ * Every bucket start between two local days, inclusive
+ * @param {string} fromKey - First day (YYYY-MM-DD)
+ * @param {string} toKey - Last day (YYYY-MM-DD)
+ * @param {string} granularity - 'day' | 'week' | 'month'
+ * @returns {string[]} Bucket starts in order
+ */
+const bucketKeys = (fromKey, toKey, granularity) => {
+  const keys = [];
+  let cursor = truncateDay(fromKey, granularity);
+
+  while (cursor <= toKey) {
+    keys.push(cursor);
+    if (granularity === 'month') {
+      const [year, month] = cursor.split('-').map(Number);
+      cursor = `${month === 12 ? year + 1 : year}-${String((month % 12) + 1).padStart(2, '0')}-01`;
+    } else {
+      cursor = shiftDay(cursor, granularity === 'week' ? 7 : 1);
+    }
+  }
+
+  return keys;
+};
+
+/**
+ * Aggregation expression for the day an entry belongs to: its journal day
+ * where recorded, otherwise its date
+ * @param {string} timeZone - IANA timezone name
+ * @param {string} prefix - Path to the entry, e.g. 'entries.' inside a lookup
+ */
+const journalDate = (timeZone, prefix = '') => ({
+  $ifNull: [
+    { $dateFromString: { dateString: `$${prefix}journalDay`, format: '%Y-%m-%d', timezone: timeZone } },
+    `$${prefix}date`,
+  ],
+});
+
+/**
+ * Aggregation expression for the local bucket key of a date field
+ */
+const bucketExpression = (field, granularity, timeZone) => ({
+  $dateToString: {
+    format: '%Y-%m-%d',
+    timezone: timeZone,
+    date: {
+      $dateTrunc: {
+        date: field,
+        unit: granularity,
+        timezone: timeZone,
+        ...(granularity === 'week' && { startOfWeek: 'monday' }),
+      },
+    },
+  },
+});
+
+/**
+ * Cache key for a bucketed query. Open-ended ranges key on their bucket
+ * span, so they stay cached until the day rolls over; the timezone is part
+ * of the key because buckets are local days.
+ */
+const cacheKey = (name, query, buckets, timeZone) =>
+  `${name}:${JSON.stringify({ ...query, timeZone, span: [buckets[0], buckets[buckets.length - 1]] })}`;
+
+/**
+ * Drop every cached insight for a user. Call whenever their entries,
+ * analysis or personas change. Bumping the generation first stops a
+ * computation that started before the change from caching its result.
+ * @param {string} userId - User ID
+ */
+const invalidateInsights = async (userId) => {
+  const { GENERATION_KEY } = InsightCache;
+  await InsightCache.updateOne({ userId, key: GENERATION_KEY }, { $inc: { generation: 1 } }, { upsert: true });
+  await InsightCache.deleteMany({ userId, key: { $ne: GENERATION_KEY } });
+};
+
+class InsightsService {
+  /**
+   * @param {Object} options - { cacheTtlMs }
+   */
+  constructor(options = {}) {
+    this.cacheTtlMs = options.cacheTtlMs ?? 60 * 60 * 1000;
+  }
+
+  /**
+   * Return a cached value or compute and cache it
+   * @param {string} userId - User ID
+   * @param {string} key - Cache key unique per query
+   * @param {function(): Promise<Object>} compute - Produces the value
+   * @returns {Promise<Object>} Cached or fresh value
+   */
+  async getCached(userId, key, compute) {
+    const { GENERATION_KEY } = InsightCache;
+    const cached = await InsightCache.find({ userId, key: { $in: [key, GENERATION_KEY] } }).lean();
+    const generation = cached.find(doc => doc.key === GENERATION_KEY)?.generation ?? 0;
+    const hit = cached.find(doc => doc.key === key);
+    if (hit && hit.generation === generation && hit.expiresAt > new Date()) return hit.value;
+
+    const value = { ...(await compute()), generatedAt: new Date().toISOString() };
+
+    // Never replace a value from a later generation. A value computed
+    // across an invalidation is stored under its old generation, so it
+    // isn't served.
+    try {
+      await InsightCache.updateOne(
+        { userId, key, generation: { $lte: generation } },
+        { $set: { value, generation, expiresAt: new Date(Date.now() + this.cacheTtlMs) } },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    return value;
+  }
+
+  /**
+   * Resolve the query window and its bucket keys
+   */
+  resolveRange({ from, to, granularity }, timeZone, now = new Date()) {
+    const end = to ? new Date(to) : now;
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_LOOKBACK_DAYS[granularity] * DAY_MS);
+
+    return {
+      start,
+      end,
+      buckets: bucketKeys(toLocalDay(start, timeZone), toLocalDay(end, timeZone), granularity),
+    };
+  }
+
+  /**
+   * Tag volumes per time bucket, shaped for a streamgraph: the top tags as
+   * aligned series plus an 'other' series for the rest
+   * @param {Object} user - User document (needs _id and timezone)
+   * @param {Object} query - { granularity, from, to, namespace, limit }
+   */
+  async themeVolumes(user, query) {
+    const { granularity, namespace, limit } = query;
+    const timeZone = user.timezone || 'UTC';
+    const { start, end, buckets } = this.resolveRange(query, timeZone);
+
+    return this.getCached(user._id, cacheKey('themes', query, buckets, timeZone), async () => {
+      const rows = await JournalEntry.aggregate([
+        {
+          $match: {
+            userId: new mongoose.Types.ObjectId(user._id.toString()),
+            processingStatus: 'completed',
+            date: { $gte: start, $lte: end },
+          },
+        },
+        { $unwind: '$tags' },
+        {
+          $match: {
+            'tags.namespace': namespace || { $ne: 'system' },
+            'tags.status': { $ne: 'rejected' },
+          },
+        },
+        {
+          $group: {
+            _id: {
+              bucket: bucketExpression(journalDate(timeZone), granularity, timeZone),
+              tag: { $concat: ['$tags.namespace', ':', '$tags.name'] },
+            },
+            count: { $sum: 1 },
+          },
+        },
+      ]);
+
+      const totals = new Map();
+      for (const row of rows) {
+        totals.set(row._id.tag, (totals.get(row._id.tag) || 0) + row.count);
+      }
+      const topTags = [...totals.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([tag]) => tag);
+
+      const index = new Map(buckets.map((bucket, i) => [bucket, i]));
+      const series = new Map(topTags.map(tag => [tag, new Array(buckets.length).fill(0)]));
+      const other = new Array(buckets.length).fill(0);
+
+      for (const row of rows) {
+        const i = index.get(row._id.bucket);
+        if (i === undefined) continue;
+        (series.get(row._id.tag) || other)[i] += row.count;
+      }
+
+      return {
+        granularity,
+        timezone: timeZone,
+        buckets,
+        series: [
+          ...topTags.map(tag => ({
+            tag,
+            namespace: tag.slice(0, tag.indexOf(':')),
+            name: tag.slice(tag.indexOf(':') + 1),
+            values: series.get(tag),
+          })),
+          ...(other.some(Boolean) ? [{ tag: 'other', namespace: null, name: 'other', values: other }] : []),
+        ],
+      };
+    });
+  }
+
+  /**
+   * Average AI-inferred mood per bucket with a trailing moving average
+   * over the last `window` buckets that have entries, next to the average
+   * self-reported mood from check-ins in the same bucket
+   * @param {Object} user - User document
+   * @param {Object} query - { granularity, from, to, window }
+   */
+  async moodTrend(user, query) {
+    const { granularity, window } = query;
+    const timeZone = user.timezone || 'UTC';
+    const { start, end, buckets } = this.resolveRange(query, timeZone);
+    const userId = new mongoose.Types.ObjectId(user._id.toString());
+
+    return this.getCached(user._id, cacheKey('mood', query, buckets, timeZone), async () => {
+      const checkIns = await MoodCheckIn.aggregate([
+        { $match: { userId, checkedAt: { $gte: start, $lte: end } } },
+        {
+          $group: {
+            _id: bucketExpression(
+              { $dateFromString: { dateString: '$journalDay', format: '%Y-%m-%d', timezone: timeZone } },
+              granularity,
+              timeZone
+            ),
+            selfReportedMood: { $avg: '$score' },
+            checkIns: { $sum: 1 },
+          },
+        },
+      ]);
+
+      const rows = await JournalEntry.aggregate([
+        {
+          $match: {
+            userId,
+            processingStatus: 'completed',
+            moodScore: { $ne: null },
+            date: { $gte: start, $lte: end },
+          },
+        },
+        {
+          $group: {
+            _id: bucketExpression(journalDate(timeZone), granularity, timeZone),
+            averageMood: { $avg: '$moodScore' },
+            entries: { $sum: 1 },
+          },
+        },
+        {
+          $setWindowFields: {
+            sortBy: { _id: 1 },
+            output: {
+              movingAverage: {
+                $avg: '$averageMood',
+                window: { documents: [-(window - 1), 0] },
+              },
+            },
+          },
+        },
+      ]);
+
+      const byBucket = new Map(rows.map(row => [row._id, row]));
+      const checkInsByBucket = new Map(checkIns.map(row => [row._id, row]));
+      const round = value => (value === null ? null : Math.round(value * 100) / 100);
+
+      return {
+        granularity,
+        timezone: timeZone,
+        window,
+        points: buckets.map((bucket) => {
+          const row = byBucket.get(bucket);
+          const reported = checkInsByBucket.get(bucket);
+          const averageMood = round(row?.averageMood ?? null);
+          const selfReportedMood = round(reported?.selfReportedMood ?? null);
+          return {
+            bucket,
+            entries: row?.entries || 0,
+            averageMood,
+            movingAverage: round(row?.movingAverage ?? null),
+            checkIns: reported?.checkIns || 0,
+            selfReportedMood,
+            // Positive when the user reports feeling better than their entries read
+            moodGap: averageMood === null || selfReportedMood === null
+              ? null
+              : round(selfReportedMood - averageMood),
+          };
+        }),
+      };
+    });
+  }
+
+  /**
+   * Tags whose use grew or shrank most between the last `days` days and
+   * the `days` before that
+   * @param {Object} user - User document
+   * @param {Object} query - { days, limit }
+   */
+  async tagTrends(user, query, now = new Date()) {
+    const { days, limit } = query;
+    const middle = new Date(now.getTime() - days * DAY_MS);
+    const start = new Date(now.getTime() - 2 * days * DAY_MS);
+
+    return this.getCached(user._id, `trends:${days}:${limit}:${toLocalDay(now, user.timezone || 'UTC')}`, async () => {
+      const rows = await JournalEntry.aggregate([
+        {
+          $match: {
+            userId: new mongoose.Types.ObjectId(user._id.toString()),
+            processingStatus: 'completed',
+            date: { $gte: start, $lte: now },
+          },
+        },
+        { $unwind: '$tags' },
+        { $match: { 'tags.namespace': { $ne: 'system' }, 'tags.status': { $ne: 'rejected' } } },
+        {
+          $group: {
+            _id: { $concat: ['$tags.namespace', ':', '$tags.name'] },
+            current: { $sum: { $cond: [{ $gte: ['$date', middle] }, 1, 0] } },
+            previous: { $sum: { $cond: [{ $lt: ['$date', middle] }, 1, 0] } },
+          },
+        },
+      ]);
+
+      const trends = rows.map(row => ({
+        tag: row._id,
+        current: row.current,
+        previous: row.previous,
+        change: row.current - row.previous,
+      }));
+      const byChange = direction => (a, b) => direction * (b.change - a.change) || a.tag.localeCompare(b.tag);
+
+      return {
+        days,
+        emerging: trends.filter(t => t.change > 0).sort(byChange(1)).slice(0, limit),
+        fading: trends.filter(t => t.change < 0).sort(byChange(-1)).slice(0, limit),
+      };
+    });
+  }
+
+  /**
+   * Evidence entries per persona per bucket, for persona evolution charts
+   * @param {Object} user - User document
+   * @param {Object} query - { granularity, from, to }
+   */
+  async personaActivity(user, query) {
+    const { granularity } = query;
+    const timeZone = user.timezone || 'UTC';
+    const { start, end, buckets } = this.resolveRange(query, timeZone);
+
+    return this.getCached(user._id, cacheKey('personas', query, buckets, timeZone), async () => {
+      const personas = await Persona.find({ userId: user._id }).select('name archetype').lean();
+
+      const rows = await Persona.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(user._id.toString()) } },
+        {
+          $lookup: {
+            from: JournalEntry.collection.name,
+            localField: 'evidenceEntryIds',
+            foreignField: '_id',
+            as: 'entries',
+            pipeline: [
+              { $match: { date: { $gte: start, $lte: end } } },
+              { $project: { date: 1, journalDay: 1 } },
+            ],
+          },
+        },
+        { $unwind: '$entries' },
+        {
+          $group: {
+            _id: {
+              personaId: '$_id',
+              bucket: bucketExpression(journalDate(timeZone, 'entries.'), granularity, timeZone),
+            },
+            count: { $sum: 1 },
+          },
+        },
+      ]);
+
+      const index = new Map(buckets.map((bucket, i) => [bucket, i]));
+      const series = new Map(personas.map(p => [String(p._id), new Array(buckets.length).fill(0)]));
+
+      for (const row of rows) {
+        const i = index.get(row._id.bucket);
+        const values = series.get(String(row._id.personaId));
+        if (i !== undefined && values) values[i] += row.count;
+      }
+
+      return {
+        granularity,
+        timezone: timeZone,
+        buckets,
+        series: personas.map(persona => ({
+          personaId: persona._id,
+          name: persona.name,
+          archetype: persona.archetype,
+          values: series.get(String(persona._id)),
+        })),
+      };
+    });
+  }
+}
+
+module.exports = {
+  InsightsService,
+  invalidateInsights,
+  truncateDay,
+  bucketKeys,
+};
@@ -0,0 +1,169 @@
+const Job = require('../models/Job');
+
+const LOCK_EXPIRED = 'Worker lock expired';
+
+/**
+ * Exponential backoff delay for a retry
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {number} baseDelayMs - Delay after the first failure
+ * @param {number} maxDelayMs - Upper bound on the delay
+ * @returns {number} Delay in milliseconds
+ */
+const computeBackoff = (attempts, baseDelayMs = 5000, maxDelayMs = 15 * 60 * 1000) => {
+  return Math.min(baseDelayMs * 2 ** Math.max(attempts - 1, 0), maxDelayMs);
+};
+
+class JobQueue {
+  /**
+   * @param {Object} options - { baseDelayMs, maxDelayMs, lockTimeoutMs }
+   */
+  constructor(options = {}) {
+    this.baseDelayMs = options.baseDelayMs ?? 5000;
+    this.maxDelayMs = options.maxDelayMs ?? 15 * 60 * 1000;
+    this.lockTimeoutMs = options.lockTimeoutMs ?? 10 * 60 * 1000;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Handler name
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} options - { runAt, maxAttempts, session }
+   * @returns {Promise<Object>} Created job
+   */
+  async enqueue(type, payload = {}, { runAt = new Date(), maxAttempts, session = null } = {}) {
+    const [job] = await Job.create(
+      [{ type, payload, runAt, ...(maxAttempts && { maxAttempts }) }],
+      { session }
+    );
+    return job;
+  }
+
+  /**
+   * Atomically claim the next due job of the given types
+   * @param {string[]} types - Handler names this worker can run
+   * @param {string} workerId - ID recorded on the lock
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Claimed job, or null if none are due
+   */
+  async claimNext(types, workerId, now = new Date()) {
+    return Job.findOneAndUpdate(
+      { status: 'queued', type: { $in: types }, runAt: { $lte: now } },
+      {
+        $set: { status: 'running', lockedAt: now, lockedBy: workerId },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Mark a job as completed
+   * @param {Object} job - Claimed job
+   * @param {*} result - Handler result to store
+   */
+  async complete(job, result = null) {
+    await Job.updateOne(
+      { _id: job._id, lockedBy: job.lockedBy },
+      {
+        $set: { status: 'completed', result, completedAt: new Date() },
+        $unset: { lockedAt: '', lockedBy: '' },
+      }
+    );
+  }
+
+  /**
+   * Record a failed attempt, scheduling a retry with backoff unless the
+   * job is out of attempts or the error is marked non-retryable
+   * @param {Object} job - Claimed job
+   * @param {Error} error - Failure cause
+   * @param {Date} now - Current time
+   * @returns {Promise<{willRetry: boolean, runAt?: Date}>}
+   */
+  async fail(job, error, now = new Date()) {
+    const willRetry = error.retryable !== false && job.attempts < job.maxAttempts;
+
+    if (!willRetry) {
+      await Job.updateOne(
+        { _id: job._id, lockedBy: job.lockedBy },
+        {
+          $set: { status: 'failed', lastError: error.message, completedAt: now },
+          $unset: { lockedAt: '', lockedBy: '' },
+        }
+      );
+      return { willRetry };
+    }
+
+    const runAt = new Date(
+      now.getTime() + computeBackoff(job.attempts, this.baseDelayMs, this.maxDelayMs)
+    );
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: job.lockedBy },
+      {
+        $set: { status: 'queued', lastError: error.message, runAt },
+        $unset: { lockedAt: '', lockedBy: '' },
+      }
+    );
+    return { willRetry, runAt };
+  }
+
+  /**
+   * Keep a running job's lock fresh so it isn't released as stale while
+   * its worker is still busy with it
+   * @param {Object} job - Claimed job
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} Whether the worker still holds the job
+   */
+  async renewLock(job, now = new Date()) {
+    const { modifiedCount } = await Job.updateOne(
+      { _id: job._id, status: 'running', lockedBy: job.lockedBy },
+      { $set: { lockedAt: now } }
+    );
+    return modifiedCount > 0;
+  }
+
+  /**
+   * Requeue jobs whose worker died while holding them. A job that is out
+   * of attempts fails instead, so one that keeps killing its worker isn't
+   * retried forever.
+   * @param {string[]} types - Job types to release
+   * @param {Date} now - Current time
+   * @returns {Promise<{released: number, failed: Object[]}>} Count requeued,
+   *   and the jobs this call failed, for their failure hooks
+   */
+  async releaseStale(types, now = new Date()) {
+    const stale = {
+      status: 'running',
+      type: { $in: types },
+      lockedAt: { $lt: new Date(now.getTime() - this.lockTimeoutMs) },
+    };
+
+    const { modifiedCount: released } = await Job.updateMany(
+      { ...stale, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+      {
+        $set: { status: 'queued', runAt: now, lastError: LOCK_EXPIRED },
+        $unset: { lockedAt: '', lockedBy: '' },
+      }
+    );
+
+    const exhausted = await Job.find({ ...stale, $expr: { $gte: ['$attempts', '$maxAttempts'] } });
+    const failed = [];
+
+    for (const job of exhausted) {
+      // Conditional on the lock we saw, so only one worker fails each job
+      const claimed = await Job.findOneAndUpdate(
+        { _id: job._id, status: 'running', lockedAt: job.lockedAt },
+        {
+          $set: { status: 'failed', lastError: LOCK_EXPIRED, completedAt: now },
+          $unset: { lockedAt: '', lockedBy: '' },
+        },
+        { new: true }
+      );
+      if (claimed) failed.push(claimed);
+    }
+
+    return { released, failed };
+  }
+}
+
+module.exports = { JobQueue, computeBackoff };
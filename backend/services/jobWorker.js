@@ -0,0 +1,165 @@
+const os = require('os');
+const { JobQueue } = require('./jobQueue');
+
+class JobWorker {
+  /**
+   * @param {Object} options - { queue, pollIntervalMs, lockRenewalMs,
+   *   maxJobsPerTick, workerId } lockRenewalMs must stay well under the
+   *   queue's lock timeout
+   */
+  constructor(options = {}) {
+    this.queue = options.queue || new JobQueue();
+    this.pollIntervalMs = options.pollIntervalMs ?? 5000;
+    this.lockRenewalMs = options.lockRenewalMs ?? 60 * 1000;
+    this.maxJobsPerTick = options.maxJobsPerTick ?? 25;
+    this.workerId = options.workerId || `${os.hostname()}-${process.pid}`;
+    this.handlers = new Map();
+    this.periodicTasks = [];
+    this.timer = null;
+    this.running = false;
+    this.currentTick = null;
+  }
+
+  /**
+   * Register a handler for a job type
+   * @param {string} type - Job type
+   * @param {function(Object): Promise<*>} run - Runs the job, result is stored
+   * @param {Object} hooks - { onFailed(job, error) } called once retries are exhausted
+   * @returns {JobWorker} this, for chaining
+   */
+  register(type, run, hooks = {}) {
+    this.handlers.set(type, { run, onFailed: hooks.onFailed });
+    return this;
+  }
+
+  /**
+   * Register work to run at the start of every tick (e.g. sweeping
+   * documents that need jobs enqueued)
+   * @param {string} name - Task name for logging
+   * @param {function(Date): Promise<*>} fn - Task body
+   * @returns {JobWorker} this, for chaining
+   */
+  addPeriodicTask(name, fn) {
+    this.periodicTasks.push({ name, fn });
+    return this;
+  }
+
+  /**
+   * Run a single job, recording success or failure on the queue. The job's
+   * lock is renewed while it runs, however long that takes.
+   * @param {Object} job - Claimed job
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    const renewal = setInterval(() => {
+      this.queue.renewLock(job).catch((error) => {
+        console.error(`❌ Failed to renew lock on job ${job.type} ${job._id}:`, error.message);
+      });
+    }, this.lockRenewalMs);
+
+    try {
+      const result = await handler.run(job);
+      await this.queue.complete(job, result);
+    } catch (error) {
+      const { willRetry } = await this.queue.fail(job, error);
+
+      if (willRetry) {
+        console.warn(`⚠️  Job ${job.type} ${job._id} failed (attempt ${job.attempts}), retrying:`, error.message);
+      } else {
+        await this.failedPermanently(job, error);
+      }
+    } finally {
+      clearInterval(renewal);
+    }
+  }
+
+  /**
+   * Report a job that won't be retried and run its failure hook
+   * @param {Object} job - Failed job
+   * @param {Error} error - Final failure cause
+   */
+  async failedPermanently(job, error) {
+    console.error(`❌ Job ${job.type} ${job._id} failed permanently:`, error.message);
+
+    const { onFailed } = this.handlers.get(job.type);
+    if (onFailed) {
+      await onFailed(job, error);
+    }
+  }
+
+  /**
+   * Run periodic tasks, then process due jobs until none remain or the
+   * per-tick limit is reached
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of jobs processed
+   */
+  async tick(now = new Date()) {
+    for (const task of this.periodicTasks) {
+      try {
+        await task.fn(now);
+      } catch (error) {
+        console.error(`❌ Periodic task ${task.name} failed:`, error.message);
+      }
+    }
+
+    const types = [...this.handlers.keys()];
+
+    // Jobs whose worker died while running them, out of attempts
+    const { failed } = await this.queue.releaseStale(types, now);
+    for (const job of failed) {
+      try {
+        await this.failedPermanently(job, new Error(job.lastError));
+      } catch (error) {
+        console.error(`❌ Failure hook for job ${job.type} ${job._id} failed:`, error.message);
+      }
+    }
+    let processed = 0;
+
+    while (processed < this.maxJobsPerTick) {
+      const job = await this.queue.claimNext(types, this.workerId, now);
+      if (!job) break;
+
+      await this.runJob(job);
+      processed += 1;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const loop = async () => {
+      this.currentTick = this.tick().catch((error) => {
+        console.error('❌ Job worker tick failed:', error);
+      });
+      await this.currentTick;
+      this.currentTick = null;
+
+      if (this.running) {
+        this.timer = setTimeout(loop, this.pollIntervalMs);
+      }
+    };
+
+    console.log(`✅ Job worker ${this.workerId} started (${[...this.handlers.keys()].join(', ')})`);
+    loop();
+  }
+
+  /**
+   * Stop polling, waiting for any in-flight tick to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    if (this.currentTick) {
+      await this.currentTick;
+    }
+  }
+}
+
+module.exports = { JobWorker };
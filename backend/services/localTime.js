@@ -0,0 +1,119 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a string names a timezone in the IANA database
+ * @param {string} value - e.g. 'Europe/London'
+ * @returns {boolean}
+ */
+const isValidTimeZone = (value) => {
+  if (typeof value !== 'string' || !value) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Canonical form of a BCP 47 locale tag, e.g. 'en_gb' becomes 'en-GB'
+ * @param {string} value - Locale tag as reported by a device
+ * @returns {string|null} Canonical tag, or null if it isn't one
+ */
+const canonicalLocale = (value) => {
+  if (typeof value !== 'string' || !value) return null;
+  try {
+    return Intl.getCanonicalLocales(value.replace(/_/g, '-'))[0] || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Format a date as the user's local calendar day
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} Day key in YYYY-MM-DD form
+ */
+const toLocalDay = (date, timeZone = 'UTC') => {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+};
+
+/**
+ * Step a YYYY-MM-DD day key by a number of calendar days
+ * @param {string} dayKey - Day key
+ * @param {number} delta - Days to add (negative to go back)
+ * @returns {string} Shifted day key
+ */
+const shiftDay = (dayKey, delta) => {
+  const shifted = new Date(Date.parse(`${dayKey}T00:00:00Z`) + delta * DAY_MS);
+  return shifted.toISOString().slice(0, 10);
+};
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const timeZoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant a wall-clock time occurs in a timezone
+ * @param {number[]} fields - [year, month (1-12), day, hour, minute]; the
+ *   time defaults to noon
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date|null} null for impossible dates such as month 13
+ */
+const zonedTime = ([year, month, day, hour = 12, minute = 0], timeZone = 'UTC') => {
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) {
+    return null;
+  }
+
+  const guess = new Date(Date.UTC(year, month - 1, day, hour, minute));
+  return new Date(guess.getTime() - timeZoneOffset(guess, timeZone));
+};
+
+/**
+ * The instant a wall-clock time occurs on a local day
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {string} timeZone - IANA timezone name
+ * @param {number[]} time - [hour, minute]; defaults to the start of the day
+ * @returns {Date}
+ */
+const atLocalTime = (dayKey, timeZone = 'UTC', [hour, minute] = [0, 0]) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return zonedTime([year, month, day, hour, minute], timeZone);
+};
+
+module.exports = {
+  isValidTimeZone,
+  canonicalLocale,
+  toLocalDay,
+  shiftDay,
+  zonedTime,
+  atLocalTime,
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const MagicLink = require('../models/MagicLink');
+const { createMailer } = require('./mail');
+const { hashToken, pkceChallenge } = require('./tokenService');
+
+const MINUTE_MS = 60 * 1000;
+
+class MagicLinkService {
+  /**
+   * @param {Object} options - { mailer, ttlMs, linkUrl }
+   *   linkUrl is the app deep link the token is appended to
+   */
+  constructor({
+    mailer = createMailer(),
+    ttlMs = Number(process.env.MAGIC_LINK_TTL_MINUTES || 15) * MINUTE_MS,
+    linkUrl = process.env.MAGIC_LINK_URL || 'personaarcana://auth/magic',
+  } = {}) {
+    this.mailer = mailer;
+    this.ttlMs = ttlMs;
+    this.linkUrl = linkUrl;
+  }
+
+  /**
+   * Email a sign-in link. Sent whether or not an account exists, so the
+   * response can't be used to probe for registered addresses.
+   * @param {string} email - Address to sign in as
+   * @param {Object} binding - { codeChallenge } from the requesting app
+   * @returns {Promise<void>}
+   */
+  async requestLink(email, { codeChallenge }) {
+    const normalizedEmail = email.trim().toLowerCase();
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await MagicLink.create({
+      email: normalizedEmail,
+      tokenHash: hashToken(token),
+      codeChallenge,
+      expiresAt: new Date(Date.now() + this.ttlMs),
+    });
+
+    const separator = this.linkUrl.includes('?') ? '&' : '?';
+    const link = `${this.linkUrl}${separator}token=${encodeURIComponent(token)}`;
+    const minutes = Math.round(this.ttlMs / MINUTE_MS);
+
+    await this.mailer.send({
+      to: normalizedEmail,
+      subject: 'Your Persona Arcana sign-in link',
+      text: [
+        'Tap the link below on the device where you asked to sign in:',
+        '',
+        link,
+        '',
+        `The link works once and expires in ${minutes} minutes.`,
+        "If you didn't ask to sign in, you can ignore this email.",
+      ].join('\n'),
+    });
+  }
+
+  /**
+   * Redeem a link token. The token is spent even when the verifier is
+   * wrong, so it can't be guessed against.
+   * @param {string} token - Token from the link
+   * @param {Object} proof - { codeVerifier }
+   * @returns {Promise<Object>} { status, email } where status is 'verified' or 'invalid'
+   */
+  async redeem(token, { codeVerifier }) {
+    const now = new Date();
+    const link = await MagicLink.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now } },
+      { new: true }
+    );
+
+    if (!link || link.codeChallenge !== pkceChallenge(codeVerifier)) {
+      return { status: 'invalid' };
+    }
+    return { status: 'verified', email: link.email };
+  }
+}
+
+module.exports = { MagicLinkService };
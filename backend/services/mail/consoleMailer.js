@@ -0,0 +1,19 @@
+/**
+ * Development mailer that prints messages to the server log instead of
+ * sending them. Magic links can be copied straight from the console.
+ */
+class ConsoleMailer {
+  constructor({ from } = {}) {
+    this.name = 'console';
+    this.from = from;
+  }
+
+  /**
+   * @param {Object} message - { to, subject, text }
+   */
+  async send({ to, subject, text }) {
+    console.log(`📧 Mail to ${to} from ${this.from}\nSubject: ${subject}\n\n${text}`);
+  }
+}
+
+module.exports = { ConsoleMailer };
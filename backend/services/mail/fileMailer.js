@@ -0,0 +1,33 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Mailer that writes each message to a JSON file, one per message. Useful
+ * on staging boxes and in end-to-end tests that need to read the link.
+ */
+class FileMailer {
+  /**
+   * @param {Object} options - { from, directory }
+   */
+  constructor({ from, directory = path.join(process.cwd(), 'tmp', 'mail') } = {}) {
+    this.name = 'file';
+    this.from = from;
+    this.directory = directory;
+  }
+
+  /**
+   * @param {Object} message - { to, subject, text }
+   * @returns {Promise<string>} Path of the written file
+   */
+  async send({ to, subject, text }) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const sentAt = new Date();
+    const file = path.join(this.directory, `${sentAt.getTime()}-${crypto.randomUUID()}.json`);
+    await fs.writeFile(file, JSON.stringify({ from: this.from, to, subject, text, sentAt }, null, 2));
+    return file;
+  }
+}
+
+module.exports = { FileMailer };
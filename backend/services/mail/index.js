@@ -0,0 +1,24 @@
+const { ConsoleMailer } = require('./consoleMailer');
+const { FileMailer } = require('./fileMailer');
+
+/**
+ * Create the mailer named by MAIL_TRANSPORT. Every mailer exposes
+ * send({ to, subject, text }); add a transport here to deliver real mail.
+ * @param {string} name - 'console' or 'file'
+ * @returns {Object} Mailer
+ */
+const createMailer = (name = process.env.MAIL_TRANSPORT) => {
+  const transport = name || 'console';
+  const from = process.env.MAIL_FROM || 'Persona Arcana <no-reply@personaarcana.app>';
+
+  switch (transport) {
+    case 'console':
+      return new ConsoleMailer({ from });
+    case 'file':
+      return new FileMailer({ from, directory: process.env.MAIL_FILE_DIR });
+    default:
+      throw new Error(`Unknown mail transport: ${transport}`);
+  }
+};
+
+module.exports = { createMailer };
@@ -0,0 +1,407 @@
+const JournalEntry = require('../models/JournalEntry');
+const Persona = require('../models/Persona');
+const PersonaSnapshot = require('../models/PersonaSnapshot');
+const User = require('../models/User');
+const { JobQueue } = require('./jobQueue');
+const { cosineSimilarity } = require('./embeddings');
+const { invalidateInsights } = require('./insightsService');
+
+const DISCOVER_PERSONAS_JOB = 'discover-personas';
+
+const DEFAULT_OPTIONS = {
+  minTagConfidence: 0.5, // Ignore tags the analysis wasn't sure about
+  minSupport: 3, // Entries a tag (and a theme) must appear in
+  minCooccurrence: 2, // Entries two tags must share to be linked
+  minJaccard: 0.3, // Overlap two tags' entry sets need to be linked
+  maxThemes: 7,
+  maxEvidenceQuotes: 10,
+  matchThreshold: 0.4, // Tag overlap needed to update an existing persona
+};
+
+// Persona shape by a theme's dominant namespace; order breaks ties
+const ARCHETYPES = {
+  relationship: { archetype: 'The Caregiver', noun: 'Caregiver', gift: 'The Nurturer', shadow: 'The Martyr' },
+  growth: { archetype: 'The Seeker', noun: 'Seeker', gift: 'The Pathfinder', shadow: 'The Restless Wanderer' },
+  challenge: { archetype: 'The Warrior', noun: 'Warrior', gift: 'The Champion', shadow: 'The Weary Soldier' },
+  insight: { archetype: 'The Sage', noun: 'Sage', gift: 'The Wise Observer', shadow: 'The Detached Overthinker' },
+  activity: { archetype: 'The Explorer', noun: 'Explorer', gift: 'The Adventurer', shadow: 'The Escapist' },
+  emotion: { archetype: 'The Empath', noun: 'Empath', gift: 'The Open Heart', shadow: 'The Overwhelmed Sponge' },
+};
+
+const tagKey = tag => `${tag.namespace}:${tag.name}`;
+const tagName = key => key.slice(key.indexOf(':') + 1);
+const tagNamespace = key => key.slice(0, key.indexOf(':'));
+const titleCase = text => text.replace(/\b\w/g, char => char.toUpperCase());
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+const compareEntries = (a, b) => {
+  return new Date(a.date) - new Date(b.date) || String(a._id).localeCompare(String(b._id));
+};
+
+const jaccard = (a, b) => {
+  const setB = new Set(b);
+  const intersection = [...new Set(a)].filter(item => setB.has(item)).length;
+  const union = new Set([...a, ...b]).size;
+  return union ? intersection / union : 0;
+};
+
+/**
+ * Mean cosine similarity of vectors to their centroid
+ * @param {number[][]} vectors - Embeddings of equal length
+ * @returns {number|null} Cohesion in [-1, 1], or null with fewer than two vectors
+ */
+const computeCohesion = (vectors) => {
+  if (vectors.length < 2) return null;
+
+  const centroid = vectors[0].map((_, i) => vectors.reduce((sum, v) => sum + v[i], 0) / vectors.length);
+  return vectors.reduce((sum, v) => sum + cosineSimilarity(v, centroid), 0) / vectors.length;
+};
+
+/**
+ * Most frequent tag names among a subset of entries
+ */
+const topTraits = (entries, entryTags, limit = 5) => {
+  const counts = new Map();
+  for (const entry of entries) {
+    for (const key of entryTags.get(String(entry._id))) {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([key]) => tagName(key));
+};
+
+/**
+ * Find recurring themes in a user's analyzed entries. Tags that appear
+ * often enough are linked when they co-occur in the same entries; each
+ * connected group of tags is a theme, supported by the entries that
+ * mention at least two of its tags. Pure and deterministic: the same
+ * entries always produce the same themes in the same order.
+ * @param {Object[]} entries - Entries with tags, moodScore, date and optional embeddings
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Object[]} Themes, strongest first
+ */
+const discoverThemes = (entries, options = {}) => {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const sorted = [...entries].sort(compareEntries);
+
+  // Confident, non-system tag keys per entry, less any the user rejected
+  const entryTags = new Map();
+  const support = new Map();
+  for (const entry of sorted) {
+    const keys = new Set(
+      (entry.tags || [])
+        .filter(tag => tag.namespace !== 'system'
+          && tag.status !== 'rejected'
+          && (tag.confidence ?? 1) >= opts.minTagConfidence)
+        .map(tagKey)
+    );
+    entryTags.set(String(entry._id), keys);
+    for (const key of keys) {
+      support.set(key, (support.get(key) || 0) + 1);
+    }
+  }
+
+  const frequent = [...support.keys()].filter(key => support.get(key) >= opts.minSupport).sort();
+
+  // Union-find over frequent tags linked by co-occurrence
+  const parent = new Map(frequent.map(key => [key, key]));
+  const find = (key) => {
+    while (parent.get(key) !== key) {
+      parent.set(key, parent.get(parent.get(key)));
+      key = parent.get(key);
+    }
+    return key;
+  };
+
+  for (let i = 0; i < frequent.length; i += 1) {
+    for (let j = i + 1; j < frequent.length; j += 1) {
+      const [a, b] = [frequent[i], frequent[j]];
+      let together = 0;
+      for (const keys of entryTags.values()) {
+        if (keys.has(a) && keys.has(b)) together += 1;
+      }
+
+      const overlap = together / (support.get(a) + support.get(b) - together);
+      if (together >= opts.minCooccurrence && overlap >= opts.minJaccard) {
+        const [rootA, rootB] = [find(a), find(b)].sort();
+        parent.set(rootB, rootA);
+      }
+    }
+  }
+
+  const components = new Map();
+  for (const key of frequent) {
+    const root = find(key);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(key);
+  }
+
+  const themes = [];
+  for (const themeTags of components.values()) {
+    if (themeTags.length < 2) continue;
+
+    const themeSet = new Set(themeTags);
+    const supporting = sorted.filter(entry => {
+      const keys = entryTags.get(String(entry._id));
+      return [...keys].filter(key => themeSet.has(key)).length >= 2;
+    });
+    if (supporting.length < opts.minSupport) continue;
+
+    // Dominant namespace decides the archetype
+    const namespaceWeight = {};
+    for (const key of themeTags) {
+      const namespace = tagNamespace(key);
+      namespaceWeight[namespace] = (namespaceWeight[namespace] || 0) + support.get(key);
+    }
+    const dominantNamespace = Object.keys(ARCHETYPES)
+      .filter(namespace => namespaceWeight[namespace])
+      .sort((a, b) => namespaceWeight[b] - namespaceWeight[a])[0];
+    if (!dominantNamespace) continue;
+
+    const moods = supporting.map(entry => entry.moodScore).filter(Number.isFinite);
+    const moodAverage = moods.length ? moods.reduce((sum, mood) => sum + mood, 0) / moods.length : null;
+
+    const vectors = supporting
+      .map(entry => entry.embeddings)
+      .filter(vector => vector?.length);
+    const cohesion = vectors.every(v => v.length === vectors[0]?.length) ? computeCohesion(vectors) : null;
+
+    // Strongest quote per supporting entry, newest first
+    const evidenceQuotes = [];
+    for (const entry of [...supporting].reverse()) {
+      const best = (entry.tags || [])
+        .filter(tag => themeSet.has(tagKey(tag)) && tag.status !== 'rejected' && tag.evidence?.quote)
+        .sort((a, b) => (b.confidence ?? 0) - (a.confidence ?? 0) || tagKey(a).localeCompare(tagKey(b)))[0];
+      if (best) {
+        evidenceQuotes.push({ entryId: entry._id, quote: best.evidence.quote, tag: tagKey(best) });
+      }
+      if (evidenceQuotes.length >= opts.maxEvidenceQuotes) break;
+    }
+
+    const uplifting = supporting.filter(entry => entry.moodScore >= 6);
+    const heavy = supporting.filter(entry => entry.moodScore <= 4);
+    const rankedTags = [...themeTags].sort((a, b) => support.get(b) - support.get(a) || a.localeCompare(b));
+
+    // Evidence volume, tag agreement and (when available) semantic cohesion
+    const coverage = supporting.length / sorted.length;
+    const confidence = round(Math.min(
+      1,
+      0.45 * Math.min(1, supporting.length / 10) +
+      0.25 * Math.min(1, coverage * 2) +
+      0.3 * (cohesion === null ? 0.5 : Math.max(0, cohesion))
+    ));
+
+    themes.push({
+      themeTags: [...themeTags].sort(),
+      dominantNamespace,
+      topTag: rankedTags[0],
+      entryIds: supporting.map(entry => entry._id),
+      evidenceQuotes,
+      moodAverage: moodAverage === null ? null : round(moodAverage, 2),
+      cohesion: cohesion === null ? null : round(cohesion),
+      confidence,
+      giftTraits: uplifting.length ? topTraits(uplifting, entryTags) : rankedTags.slice(0, 3).map(tagName),
+      shadowTraits: heavy.length ? topTraits(heavy, entryTags) : rankedTags.slice(-3).map(tagName),
+    });
+  }
+
+  return themes
+    .sort((a, b) => b.entryIds.length - a.entryIds.length || b.confidence - a.confidence || a.themeTags.join().localeCompare(b.themeTags.join()))
+    .slice(0, opts.maxThemes);
+};
+
+/**
+ * Turn a theme into fields for a new Persona
+ * @param {Object} theme - Theme from discoverThemes
+ * @returns {Object} Persona fields (without userId)
+ */
+const buildPersonaProposal = (theme) => {
+  const shape = ARCHETYPES[theme.dominantNamespace];
+  const focus = titleCase(tagName(theme.topTag));
+  const count = theme.entryIds.length;
+
+  return {
+    name: `The ${focus} ${shape.noun}`,
+    archetype: shape.archetype,
+    giftForm: {
+      title: shape.gift,
+      description: `Drawn from ${count} entries about ${theme.themeTags.map(tagName).join(', ')}, at your best.`,
+      traits: theme.giftTraits,
+    },
+    shadowForm: {
+      title: shape.shadow,
+      description: `The same pattern on harder days, when ${theme.shadowTraits.join(', ')} take over.`,
+      traits: theme.shadowTraits,
+    },
+  };
+};
+
+class PersonaDiscoveryService {
+  /**
+   * @param {Object} options - { queue, intervalMs, engineOptions }
+   */
+  constructor(options = {}) {
+    this.queue = options.queue || new JobQueue();
+    this.intervalMs = options.intervalMs ?? 6 * 60 * 60 * 1000;
+    this.engineOptions = options.engineOptions || {};
+  }
+
+  /**
+   * Analyzed entries that discovery should consider for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object[]>} Lean entries
+   */
+  async loadEntries(userId) {
+    return JournalEntry.find({ userId, processingStatus: 'completed' })
+      .select('date moodScore tags +embeddings')
+      .lean();
+  }
+
+  /**
+   * Run discovery for one user, creating or updating personas
+   * @param {string} userId - User ID
+   * @param {Object} options - { now }
+   * @returns {Promise<{created: string[], updated: string[]}>} Affected persona IDs
+   */
+  async runForUser(userId, { now = new Date() } = {}) {
+    const entries = await this.loadEntries(userId);
+    const themes = discoverThemes(entries, this.engineOptions);
+    // Quotes from an end-to-end encrypted journal stay on the device
+    const user = await User.findById(userId).select('encryption.enabled');
+    const keepQuotes = !user?.hasEncryption();
+    const matchThreshold = this.engineOptions.matchThreshold ?? DEFAULT_OPTIONS.matchThreshold;
+
+    const personas = await Persona.find({ userId });
+    const claimed = new Set();
+    const created = [];
+    const updated = [];
+
+    for (const theme of themes) {
+      // Best unclaimed persona whose theme overlaps enough
+      const match = personas
+        .filter(persona => !claimed.has(String(persona._id)) && persona.themeTags?.length)
+        .map(persona => ({ persona, score: jaccard(persona.themeTags, theme.themeTags) }))
+        .filter(({ score }) => score >= matchThreshold)
+        .sort((a, b) => b.score - a.score || String(a.persona._id).localeCompare(String(b.persona._id)))[0];
+
+      let persona;
+      let event;
+
+      if (match) {
+        // Keep names and descriptions the user may have edited
+        persona = match.persona;
+        persona.themeTags = theme.themeTags;
+        persona.giftForm.traits = theme.giftTraits;
+        persona.shadowForm.traits = theme.shadowTraits;
+        event = 'updated';
+      } else {
+        persona = new Persona({
+          userId,
+          ...buildPersonaProposal(theme),
+          themeTags: theme.themeTags,
+          source: 'discovery',
+          discoveredAt: now,
+        });
+        event = 'discovered';
+      }
+
+      persona.evidenceEntryIds = theme.entryIds;
+      persona.evidenceQuotes = keepQuotes ? theme.evidenceQuotes : [];
+      persona.confidence = theme.confidence;
+      await persona.save();
+
+      claimed.add(String(persona._id));
+      (event === 'discovered' ? created : updated).push(String(persona._id));
+
+      await PersonaSnapshot.create({
+        personaId: persona._id,
+        userId,
+        event,
+        runAt: now,
+        confidence: theme.confidence,
+        evidenceCount: theme.entryIds.length,
+        themeTags: theme.themeTags,
+        moodAverage: theme.moodAverage,
+        cohesion: theme.cohesion,
+        giftTraits: theme.giftTraits,
+        shadowTraits: theme.shadowTraits,
+      });
+    }
+
+    await invalidateInsights(userId);
+
+    return { created, updated };
+  }
+
+  /**
+   * Job handler for discover-personas
+   * @param {Object} job - Claimed job with payload.userId
+   */
+  async handleJob(job) {
+    return this.runForUser(job.payload.userId);
+  }
+
+  /**
+   * Queue a discovery run for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Queued job
+   */
+  async requestRun(userId) {
+    await User.updateOne({ _id: userId }, { $set: { 'personaDiscovery.lastRunAt': new Date() } });
+    return this.queue.enqueue(DISCOVER_PERSONAS_JOB, { userId: userId.toString() });
+  }
+
+  /**
+   * Periodic task: queue discovery for users whose last run is older than
+   * the interval and who have had entries analyzed since
+   * @param {Date} now - Current time
+   * @param {Object} options - { limit }
+   * @returns {Promise<number>} Number of runs queued
+   */
+  async enqueueDueRuns(now = new Date(), { limit = 100 } = {}) {
+    const cutoff = new Date(now.getTime() - this.intervalMs);
+    const users = await User.find({
+      $or: [
+        { 'personaDiscovery.lastRunAt': { $lt: cutoff } },
+        { 'personaDiscovery.lastRunAt': { $exists: false } },
+      ],
+    })
+      .select('personaDiscovery')
+      .limit(limit);
+
+    let queued = 0;
+
+    for (const user of users) {
+      const since = user.personaDiscovery?.lastRunAt || new Date(0);
+      const hasNewAnalysis = await JournalEntry.exists({
+        userId: user._id,
+        processingStatus: 'completed',
+        updatedAt: { $gt: since },
+      });
+
+      // Claim the slot either way so idle users aren't rechecked every tick
+      const { modifiedCount } = await User.updateOne(
+        { _id: user._id, 'personaDiscovery.lastRunAt': user.personaDiscovery?.lastRunAt ?? null },
+        { $set: { 'personaDiscovery.lastRunAt': now } }
+      );
+
+      if (modifiedCount && hasNewAnalysis) {
+        await this.queue.enqueue(DISCOVER_PERSONAS_JOB, { userId: user._id.toString() });
+        queued += 1;
+      }
+    }
+
+    return queued;
+  }
+}
+
+module.exports = {
+  PersonaDiscoveryService,
+  DISCOVER_PERSONAS_JOB,
+  discoverThemes,
+  buildPersonaProposal,
+};
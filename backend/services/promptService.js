@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const JournalEntry = require('../models/JournalEntry');
+const Prompt = require('../models/Prompt');
+const { PROMPT_LIBRARY } = require('./prompts/library');
+const { toLocalDay } = require('./localTime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  recentDays: 14, // Themes from this window count as current
+  historyDays: 90, // Older themes in this window count as neglected
+  moodDays: 7, // Window for the current mood
+  reuseDays: 30, // Prompts answered this recently aren't suggested again
+  lowMood: 4.5, // Average mood at or below this is low
+  highMood: 7, // Average mood at or above this is high
+  moodDrop: 1.5, // A fall this large against the rest of the history is low too
+  maxEntries: 500,
+};
+
+// How much each kind of match adds to a prompt's score
+const WEIGHTS = {
+  neglectedTag: 3,
+  recentTag: 2,
+  mood: 2,
+  neglectedNamespace: 1.5,
+  moodMismatch: -3,
+};
+
+const average = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Work out what to prompt for from a user's recent analyzed entries
+ * @param {Object[]} entries - Entries with date, moodScore, tags and promptId
+ * @param {Date} now - Current time
+ * @param {Object} options - Windows and mood thresholds, as DEFAULT_OPTIONS
+ * @returns {Object} { recentTags, neglectedTags, neglectedNamespaces, mood, usedPromptIds }
+ *   recentTags maps tag names to how many recent entries carry them
+ */
+const summarizeHistory = (entries, now = new Date(), options = {}) => {
+  const { recentDays, moodDays, reuseDays, lowMood, highMood, moodDrop } = { ...DEFAULT_OPTIONS, ...options };
+  const since = days => now.getTime() - days * DAY_MS;
+
+  const recentTags = new Map();
+  const olderTags = new Set();
+  const recentNamespaces = new Set();
+  const recentMoods = [];
+  const olderMoods = [];
+  const usedPromptIds = new Set();
+
+  for (const entry of entries) {
+    const time = new Date(entry.date).getTime();
+    const recent = time >= since(recentDays);
+
+    if (entry.promptId && time >= since(reuseDays)) {
+      usedPromptIds.add(String(entry.promptId));
+    }
+
+    if (typeof entry.moodScore === 'number') {
+      (time >= since(moodDays) ? recentMoods : olderMoods).push(entry.moodScore);
+    }
+
+    const names = new Set((entry.tags || [])
+      .filter(tag => tag.namespace !== 'system' && tag.status !== 'rejected' && tag.name)
+      .map((tag) => {
+        if (recent) recentNamespaces.add(tag.namespace);
+        return tag.name;
+      }));
+
+    names.forEach((name) => {
+      if (recent) {
+        recentTags.set(name, (recentTags.get(name) || 0) + 1);
+      } else {
+        olderTags.add(name);
+      }
+    });
+  }
+
+  const recentMood = average(recentMoods);
+  const olderMood = average(olderMoods);
+  let mood = null;
+  if (recentMood !== null) {
+    if (recentMood <= lowMood || (olderMood !== null && olderMood - recentMood >= moodDrop)) {
+      mood = 'low';
+    } else if (recentMood >= highMood) {
+      mood = 'high';
+    } else {
+      mood = 'steady';
+    }
+  }
+
+  return {
+    recentTags,
+    neglectedTags: new Set([...olderTags].filter(name => !recentTags.has(name))),
+    // Only meaningful once the user has been writing for a while
+    neglectedNamespaces: new Set(entries.length
+      ? Prompt.PROMPT_NAMESPACES.filter(namespace => !recentNamespaces.has(namespace))
+      : []),
+    mood,
+    usedPromptIds,
+  };
+};
+
+/**
+ * Stable pseudo-random order for a prompt on a given day, so suggestions
+ * with equal scores rotate daily instead of always being the same
+ */
+const dailyOrder = (key, day) => crypto.createHash('sha1').update(`${day}:${key}`).digest().readUInt32BE(0);
+
+/**
+ * Score prompts against a user's history and pick the best few, spread
+ * across namespaces
+ * @param {Object[]} prompts - Active prompts
+ * @param {Object} signals - From summarizeHistory
+ * @param {Object} options - { limit, day } day is the user's local YYYY-MM-DD
+ * @returns {Object[]} Prompts with a reason ('neglected-theme', 'recent-theme',
+ *   'mood' or 'explore') and the tags that matched, best first
+ */
+const rankPrompts = (prompts, signals, { limit = 3, day = '' } = {}) => {
+  const scored = prompts
+    .filter(prompt => !signals.usedPromptIds.has(String(prompt._id)))
+    .map((prompt) => {
+      const tags = prompt.tags || [];
+      const moods = prompt.moods || [];
+      const neglected = tags.filter(tag => signals.neglectedTags.has(tag));
+      const recent = tags.filter(tag => signals.recentTags.has(tag));
+
+      const contributions = {
+        'neglected-theme': (neglected.length ? WEIGHTS.neglectedTag : 0)
+          + (signals.neglectedNamespaces.has(prompt.namespace) ? WEIGHTS.neglectedNamespace : 0),
+        'recent-theme': recent.length ? WEIGHTS.recentTag : 0,
+        mood: signals.mood && moods.includes(signals.mood) ? WEIGHTS.mood : 0,
+      };
+      const mismatch = signals.mood && moods.length && !moods.includes(signals.mood) ? WEIGHTS.moodMismatch : 0;
+      const [reason, best] = Object.entries(contributions).sort((a, b) => b[1] - a[1])[0];
+
+      return {
+        prompt,
+        score: Object.values(contributions).reduce((sum, value) => sum + value, mismatch),
+        reason: best > 0 ? reason : 'explore',
+        matchedTags: [...neglected, ...recent],
+        order: dailyOrder(prompt.key, day),
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.order - b.order);
+
+  // Best prompt per namespace first, then the rest by score
+  const namespaces = new Set();
+  const picked = [];
+  for (const pass of [true, false]) {
+    for (const candidate of scored) {
+      if (picked.length >= limit) break;
+      if (picked.includes(candidate) || (pass && namespaces.has(candidate.prompt.namespace))) continue;
+      namespaces.add(candidate.prompt.namespace);
+      picked.push(candidate);
+    }
+  }
+
+  return picked.map(({ prompt, reason, matchedTags }) => ({
+    _id: prompt._id,
+    key: prompt.key,
+    text: prompt.text,
+    namespace: prompt.namespace,
+    reason,
+    matchedTags,
+  }));
+};
+
+/**
+ * Journaling prompts: the shared library and suggestions picked for each
+ * user from the themes and mood of their recent entries
+ */
+class PromptService {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Insert or update every prompt in the library, keyed on `key`
+   * @param {Object[]} library - Prompt definitions
+   * @returns {Promise<Object>} { inserted, updated }
+   */
+  async seedLibrary(library = PROMPT_LIBRARY) {
+    const result = await Prompt.bulkWrite(library.map(({ key, text, namespace, tags = [], moods = [], active = true }) => ({
+      updateOne: {
+        filter: { key },
+        update: { $set: { text, namespace, tags, moods, active } },
+        upsert: true,
+      },
+    })));
+
+    return { inserted: result.upsertedCount, updated: result.modifiedCount };
+  }
+
+  /**
+   * Active prompts, optionally in one namespace
+   * @param {Object} query - { namespace }
+   * @returns {Promise<Object[]>}
+   */
+  async listPrompts({ namespace } = {}) {
+    return Prompt.find({ active: true, ...(namespace && { namespace }) })
+      .select('key text namespace tags moods')
+      .sort({ namespace: 1, key: 1 })
+      .lean();
+  }
+
+  /**
+   * Prompts suited to a user today: ones that return to themes they have
+   * stopped writing about, follow up on what they write about now, or fit
+   * their mood, without repeating prompts they answered recently
+   * @param {Object} user - User document (needs _id and timezone)
+   * @param {Object} query - { limit }
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { mood, suggestions }
+   */
+  async suggest(user, { limit = 3 } = {}, now = new Date()) {
+    const entries = await JournalEntry.find({
+      userId: user._id,
+      date: { $gte: new Date(now.getTime() - this.options.historyDays * DAY_MS), $lte: now },
+      $or: [{ processingStatus: 'completed' }, { promptId: { $exists: true } }],
+    })
+      .select('date moodScore tags.name tags.namespace tags.status promptId')
+      .sort({ date: -1 })
+      .limit(this.options.maxEntries)
+      .lean();
+
+    const signals = summarizeHistory(entries, now, this.options);
+    const prompts = await this.listPrompts();
+
+    return {
+      mood: signals.mood,
+      suggestions: rankPrompts(prompts, signals, { limit, day: toLocalDay(now, user.timezone || 'UTC') }),
+    };
+  }
+}
+
+module.exports = {
+  PromptService,
+  summarizeHistory,
+  rankPrompts,
+};
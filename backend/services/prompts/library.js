@@ -0,0 +1,56 @@
+/**
+ * The journaling prompt library, seeded into the Prompt collection by
+ * `npm run prompts:seed`. Keys are permanent: entries refer to prompts by
+ * the seeded document, so edit a prompt's text in place and retire it with
+ * `active: false` instead of removing it.
+ *
+ * tags are the lowercase analysis tag names a prompt explores, so users
+ * whose entries carry those tags are offered it; moods limit a prompt to a
+ * mood trend ('low', 'steady' or 'high'), and an empty list suits any.
+ */
+const PROMPT_LIBRARY = [
+  // Emotion
+  { key: 'emotion-named', namespace: 'emotion', text: 'Name the strongest feeling you had today. Where did you feel it in your body?', tags: [], moods: [] },
+  { key: 'emotion-heavy', namespace: 'emotion', text: 'What has been weighing on you lately? Write it down as if you were telling a kind friend.', tags: ['sad', 'lonely', 'stressed', 'anxious'], moods: ['low'] },
+  { key: 'emotion-worry', namespace: 'emotion', text: 'What are you worried might happen? What would you do if it did?', tags: ['anxious', 'afraid', 'stressed'], moods: ['low', 'steady'] },
+  { key: 'emotion-grateful', namespace: 'emotion', text: 'List three small things that went right today, and why each one mattered.', tags: ['grateful', 'happy', 'calm'], moods: [] },
+  { key: 'emotion-joy', namespace: 'emotion', text: 'What lifted your mood recently? How could you make room for more of it?', tags: ['happy', 'excited', 'proud'], moods: ['high'] },
+  { key: 'emotion-anger', namespace: 'emotion', text: 'When did you last feel frustrated or angry? What need of yours wasn\'t being met?', tags: ['angry', 'frustrated'], moods: ['low', 'steady'] },
+
+  // Relationship
+  { key: 'relationship-thinking-of', namespace: 'relationship', text: 'Who have you been thinking about this week, and what would you say to them if you could?', tags: [], moods: [] },
+  { key: 'relationship-support', namespace: 'relationship', text: 'Who could you lean on right now? What makes it easy or hard to reach out?', tags: ['friend', 'family', 'lonely'], moods: ['low'] },
+  { key: 'relationship-family', namespace: 'relationship', text: 'Describe a recent moment with family that stayed with you. What did it show you about them, or about you?', tags: ['family', 'mother', 'mom', 'father', 'dad', 'sister', 'brother', 'child'], moods: [] },
+  { key: 'relationship-work', namespace: 'relationship', text: 'How are things with the people you work with? Is there a conversation you keep putting off?', tags: ['colleague', 'boss', 'work'], moods: ['steady'] },
+  { key: 'relationship-appreciation', namespace: 'relationship', text: 'Who made your life a little better lately? What exactly did they do?', tags: ['friend', 'partner', 'grateful'], moods: ['steady', 'high'] },
+
+  // Growth
+  { key: 'growth-learned', namespace: 'growth', text: 'What did you learn this week, about the world or about yourself?', tags: ['learn'], moods: [] },
+  { key: 'growth-goal', namespace: 'growth', text: 'Which goal matters most to you right now? What is one small step you could take tomorrow?', tags: ['goal', 'progress'], moods: ['steady', 'high'] },
+  { key: 'growth-habit', namespace: 'growth', text: 'Which habit is serving you well, and which one would you like to let go of?', tags: ['habit', 'practice'], moods: [] },
+  { key: 'growth-future-self', namespace: 'growth', text: 'Imagine yourself a year from now. What would that person thank you for starting today?', tags: [], moods: ['high'] },
+  { key: 'growth-small-win', namespace: 'growth', text: 'Even on hard days something moves forward. What is one thing you handled better than you would have a year ago?', tags: ['progress', 'improvement'], moods: ['low'] },
+
+  // Activity
+  { key: 'activity-today', namespace: 'activity', text: 'Walk through your day from waking up to now. Which part would you like to live again?', tags: [], moods: [] },
+  { key: 'activity-energy', namespace: 'activity', text: 'What gave you energy today, and what drained it?', tags: ['work', 'run', 'gym', 'walk'], moods: [] },
+  { key: 'activity-rest', namespace: 'activity', text: 'When did you last truly rest? What would a restful hour look like for you this week?', tags: ['work', 'stressed', 'overwhelmed'], moods: ['low', 'steady'] },
+  { key: 'activity-play', namespace: 'activity', text: 'What did you enjoy doing as a child that you rarely do now?', tags: ['read', 'cook', 'travel'], moods: ['steady', 'high'] },
+  { key: 'activity-body', namespace: 'activity', text: 'How did you look after your body today? How did it feel afterwards?', tags: ['run', 'walk', 'gym', 'meditate'], moods: [] },
+
+  // Challenge
+  { key: 'challenge-current', namespace: 'challenge', text: 'What is the hardest thing you are dealing with right now? Describe it without judging yourself.', tags: [], moods: ['low', 'steady'] },
+  { key: 'challenge-overwhelm', namespace: 'challenge', text: 'If everything on your plate feels urgent, write it all down. Which one thing could wait?', tags: ['overwhelmed', 'deadline', 'stressed'], moods: ['low'] },
+  { key: 'challenge-past', namespace: 'challenge', text: 'Think of a difficult time you got through. What helped then that might help now?', tags: ['struggle', 'difficult'], moods: ['low'] },
+  { key: 'challenge-conflict', namespace: 'challenge', text: 'Is there a disagreement on your mind? Write the other person\'s side as fairly as you can.', tags: ['conflict', 'angry', 'frustrated'], moods: [] },
+  { key: 'challenge-setback', namespace: 'challenge', text: 'What didn\'t go the way you hoped recently? What would you tell a friend in the same spot?', tags: ['fail', 'problem'], moods: ['low', 'steady'] },
+
+  // Insight
+  { key: 'insight-noticed', namespace: 'insight', text: 'What did you notice about yourself today that surprised you?', tags: ['notice', 'realize'], moods: [] },
+  { key: 'insight-pattern', namespace: 'insight', text: 'Is there something that keeps coming up in your life lately? What might it be trying to tell you?', tags: ['reflect', 'understand'], moods: [] },
+  { key: 'insight-values', namespace: 'insight', text: 'When did you act most in line with what you value this week? When did you act least?', tags: [], moods: ['steady', 'high'] },
+  { key: 'insight-belief', namespace: 'insight', text: 'Which belief about yourself would you like to question? Where did it come from?', tags: ['realize', 'discover'], moods: [] },
+  { key: 'insight-letter', namespace: 'insight', text: 'Write a short letter to yourself from someone who knows you well and loves you.', tags: [], moods: ['low'] },
+];
+
+module.exports = { PROMPT_LIBRARY };
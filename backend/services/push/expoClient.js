@@ -0,0 +1,86 @@
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push';
+// Expo's documented per-request limits
+const SEND_CHUNK_SIZE = 100;
+const RECEIPTS_CHUNK_SIZE = 300;
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Sends through Expo's push service, which relays to APNs and FCM.
+ * Sending returns a ticket per message; whether the device accepted it is
+ * only known from the receipt, available for about a day after sending.
+ */
+class ExpoPushClient {
+  /**
+   * @param {Object} options - { accessToken, timeoutMs, fetchImpl }; the
+   *   access token is only needed when the Expo project enforces it
+   */
+  constructor({ accessToken, timeoutMs = 30000, fetchImpl = (...args) => fetch(...args) } = {}) {
+    this.name = 'expo';
+    this.accessToken = accessToken;
+    this.timeoutMs = timeoutMs;
+    this.fetchImpl = fetchImpl;
+  }
+
+  async post(path, body) {
+    let response;
+    try {
+      response = await this.fetchImpl(`${EXPO_PUSH_URL}/${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+          ...(this.accessToken && { Authorization: `Bearer ${this.accessToken}` }),
+        },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (error) {
+      throw new Error(`Expo push request failed: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Expo push service responded with ${response.status}`);
+    }
+
+    const { data } = await response.json();
+    return data;
+  }
+
+  /**
+   * Send messages
+   * @param {Object[]} messages - { to, title, body, data, sound }
+   * @returns {Promise<Object[]>} One ticket per message, in order:
+   *   { status: 'ok', id } or { status: 'error', message, details: { error } }
+   */
+  async send(messages) {
+    const tickets = [];
+    for (const batch of chunk(messages, SEND_CHUNK_SIZE)) {
+      tickets.push(...await this.post('send', batch));
+    }
+    return tickets;
+  }
+
+  /**
+   * Fetch receipts for sent tickets. Tickets without a receipt yet are
+   * missing from the result.
+   * @param {string[]} ids - Ticket IDs
+   * @returns {Promise<Object>} Receipts by ticket ID:
+   *   { status: 'ok' } or { status: 'error', message, details: { error } }
+   */
+  async getReceipts(ids) {
+    const receipts = {};
+    for (const batch of chunk(ids, RECEIPTS_CHUNK_SIZE)) {
+      Object.assign(receipts, await this.post('getReceipts', { ids: batch }));
+    }
+    return receipts;
+  }
+}
+
+module.exports = { ExpoPushClient };
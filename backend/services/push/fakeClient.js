@@ -0,0 +1,52 @@
+/**
+ * Offline push client for tests and local development. Messages are
+ * printed to the log and kept in `sent`; tokens listed as unregistered
+ * fail the way Expo reports an uninstalled app.
+ */
+class FakePushClient {
+  /**
+   * @param {Object} options - { unregisteredTokens, silent }
+   */
+  constructor({ unregisteredTokens = [], silent = false } = {}) {
+    this.name = 'fake';
+    this.unregisteredTokens = new Set(unregisteredTokens);
+    this.silent = silent;
+    this.sent = [];
+    this.receipts = new Map();
+  }
+
+  /**
+   * @param {Object[]} messages - { to, title, body, data }
+   * @returns {Promise<Object[]>} One ticket per message
+   */
+  async send(messages) {
+    return messages.map((message) => {
+      if (this.unregisteredTokens.has(message.to)) {
+        return {
+          status: 'error',
+          message: `"${message.to}" is not a registered push notification recipient`,
+          details: { error: 'DeviceNotRegistered' },
+        };
+      }
+
+      const id = `fake-${this.sent.length + 1}`;
+      this.sent.push({ id, ...message });
+      this.receipts.set(id, { status: 'ok' });
+      if (!this.silent) {
+        console.log(`📱 Push to ${message.to}: ${message.title} - ${message.body}`);
+      }
+      return { status: 'ok', id };
+    });
+  }
+
+  /**
+   * @param {string[]} ids - Ticket IDs
+   * @returns {Promise<Object>} Receipts by ticket ID; overwrite entries in
+   *   `receipts` to simulate failures
+   */
+  async getReceipts(ids) {
+    return Object.fromEntries(ids.filter(id => this.receipts.has(id)).map(id => [id, this.receipts.get(id)]));
+  }
+}
+
+module.exports = { FakePushClient };
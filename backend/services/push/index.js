@@ -0,0 +1,29 @@
+const { ExpoPushClient } = require('./expoClient');
+const { FakePushClient } = require('./fakeClient');
+
+// Ticket and receipt error meaning the app was uninstalled or the token
+// is no longer valid; the token must not be used again
+const DEVICE_NOT_REGISTERED = 'DeviceNotRegistered';
+
+/**
+ * Create the push client named by PUSH_PROVIDER. Defaults to Expo when
+ * EXPO_ACCESS_TOKEN is configured and to the offline fake otherwise.
+ * Clients expose { name, send(messages), getReceipts(ids) } with Expo's
+ * ticket and receipt shapes.
+ * @param {string} name - 'expo' or 'fake'
+ * @returns {Object} Push client
+ */
+const createPushClient = (name = process.env.PUSH_PROVIDER) => {
+  const providerName = name || (process.env.EXPO_ACCESS_TOKEN ? 'expo' : 'fake');
+
+  switch (providerName) {
+    case 'expo':
+      return new ExpoPushClient({ accessToken: process.env.EXPO_ACCESS_TOKEN });
+    case 'fake':
+      return new FakePushClient();
+    default:
+      throw new Error(`Unknown push provider: ${providerName}`);
+  }
+};
+
+module.exports = { createPushClient, DEVICE_NOT_REGISTERED };
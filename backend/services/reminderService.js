@@ -0,0 +1,264 @@
+const User = require('../models/User');
+const Device = require('../models/Device');
+const JournalEntry = require('../models/JournalEntry');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { createPushClient, DEVICE_NOT_REGISTERED } = require('./push');
+const { currentStreak } = require('./statsService');
+const { toLocalDay, shiftDay, atLocalTime } = require('./localTime');
+
+const DAILY_REMINDER = 'daily-reminder';
+const DEFAULT_REMINDER_TIME = '20:00';
+const RECEIPT_DELAY_MS = 15 * 60 * 1000;
+// Expo keeps receipts for about a day
+const RECEIPT_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Next time a daily reminder is due, strictly after a given instant
+ * @param {string} reminderTime - Local time as 'HH:MM'
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} after - Instant to schedule after
+ * @returns {Date}
+ */
+const nextReminderAt = (reminderTime = DEFAULT_REMINDER_TIME, timeZone = 'UTC', after = new Date()) => {
+  const time = reminderTime.split(':').map(Number);
+  const today = toLocalDay(after, timeZone);
+  const dueToday = atLocalTime(today, timeZone, time);
+
+  return dueToday > after ? dueToday : atLocalTime(shiftDay(today, 1), timeZone, time);
+};
+
+/**
+ * Text of the daily reminder, nudging harder when a streak is at stake
+ * @param {number} streakDays - Current streak
+ * @returns {Object} { title, body }
+ */
+const reminderMessage = (streakDays) => {
+  if (streakDays > 1) {
+    return {
+      title: `Keep your ${streakDays}-day streak going`,
+      body: 'A few lines about today is all it takes.',
+    };
+  }
+  return {
+    title: 'Time to journal',
+    body: 'Take a few minutes to write about your day.',
+  };
+};
+
+/**
+ * Sends each user's daily journaling reminder at their reminder time, in
+ * their timezone, unless they have already written an entry for the day.
+ * The next due time is kept on the user (reminders.nextAt) and claimed
+ * atomically, so several workers never remind the same user twice.
+ */
+class ReminderService {
+  /**
+   * @param {Object} options - { pushClient, receiptDelayMs, batchSize }
+   */
+  constructor(options = {}) {
+    this.pushClient = options.pushClient || createPushClient();
+    this.receiptDelayMs = options.receiptDelayMs ?? RECEIPT_DELAY_MS;
+    this.batchSize = options.batchSize ?? 100;
+  }
+
+  /**
+   * Periodic task: send reminders that are due, and schedule users who
+   * have no reminder time worked out yet
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of reminders sent
+   */
+  async sendDueReminders(now = new Date()) {
+    const users = await User.find({
+      'preferences.notifications.enabled': { $ne: false },
+      'preferences.notifications.dailyReminder': { $ne: false },
+      'deletion.requestedAt': { $exists: false },
+      $or: [
+        { 'reminders.nextAt': { $lte: now } },
+        { 'reminders.nextAt': { $exists: false } },
+      ],
+    })
+      .select('timezone preferences.notifications reminders stats')
+      .limit(this.batchSize);
+
+    let sent = 0;
+
+    for (const user of users) {
+      const timeZone = user.timezone || 'UTC';
+      const dueAt = user.reminders?.nextAt;
+      const { modifiedCount } = await User.updateOne(
+        { _id: user._id, 'reminders.nextAt': dueAt ?? null },
+        { $set: { 'reminders.nextAt': nextReminderAt(user.preferences.notifications.reminderTime, timeZone, now) } }
+      );
+
+      // Newly scheduled users start with their next reminder time, and a
+      // reminder missed while the worker was down is dropped once its day is over
+      if (!modifiedCount || !dueAt || toLocalDay(dueAt, timeZone) !== toLocalDay(now, timeZone)) {
+        continue;
+      }
+
+      try {
+        const delivery = await this.remind(user, now);
+        if (delivery?.status === 'sent') sent += 1;
+      } catch (error) {
+        console.error(`❌ Daily reminder for user ${user._id} failed:`, error.message);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send one user today's reminder, unless they already journaled today,
+   * have no devices to send to, or were already reminded today
+   * @param {Object} user - User with timezone, preferences and stats
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} The delivery, or null if nothing was sent
+   */
+  async remind(user, now = new Date()) {
+    const timeZone = user.timezone || 'UTC';
+    const today = toLocalDay(now, timeZone);
+
+    const journaledToday = await JournalEntry.exists({
+      userId: user._id,
+      $or: [
+        { journalDay: today },
+        {
+          journalDay: { $exists: false },
+          date: { $gte: atLocalTime(today, timeZone), $lt: atLocalTime(shiftDay(today, 1), timeZone) },
+        },
+      ],
+    });
+    if (journaledToday) return null;
+
+    const tokens = await this.getPushTokens(user);
+    if (!tokens.length) return null;
+
+    let delivery;
+    try {
+      delivery = await NotificationDelivery.create({ userId: user._id, type: DAILY_REMINDER, day: today });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    const { title, body } = reminderMessage(currentStreak(user.stats, timeZone, now));
+    const messages = tokens.map(to => ({ to, title, body, sound: 'default', data: { type: DAILY_REMINDER } }));
+
+    let tickets;
+    try {
+      tickets = await this.pushClient.send(messages);
+    } catch (error) {
+      delivery.set({ status: 'failed', error: error.message });
+      await delivery.save();
+      throw error;
+    }
+
+    delivery.set({
+      tickets: tickets.map((ticket, index) => ({
+        token: tokens[index],
+        ...(ticket.status === 'ok'
+          ? { ticketId: ticket.id, status: 'pending' }
+          : { status: 'failed', error: ticket.details?.error, message: ticket.message }),
+      })),
+      status: tickets.some(ticket => ticket.status === 'ok') ? 'sent' : 'failed',
+      sentAt: now,
+    });
+    await delivery.save();
+
+    await this.clearDeadTokens(delivery.tickets);
+    return delivery;
+  }
+
+  /**
+   * Push tokens to remind a user on: the one saved in their preferences
+   * and those of their signed-in devices
+   * @param {Object} user - User with preferences
+   * @returns {Promise<string[]>} Distinct tokens
+   */
+  async getPushTokens(user) {
+    const devices = await Device.find({
+      userId: user._id,
+      revokedAt: null,
+      pushToken: { $exists: true },
+    }).select('pushToken');
+
+    return [...new Set([
+      user.preferences.notifications.pushToken,
+      ...devices.map(device => device.pushToken),
+    ])].filter(Boolean);
+  }
+
+  /**
+   * Periodic task: fetch receipts for tickets old enough to have one, and
+   * record whether each device took its notification
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of tickets resolved
+   */
+  async checkReceipts(now = new Date()) {
+    const deliveries = await NotificationDelivery.find({
+      'tickets.status': 'pending',
+      sentAt: { $lte: new Date(now.getTime() - this.receiptDelayMs) },
+    })
+      .sort({ sentAt: 1 })
+      .limit(this.batchSize);
+    if (!deliveries.length) return 0;
+
+    const ids = deliveries.flatMap(delivery => delivery.tickets
+      .filter(ticket => ticket.status === 'pending')
+      .map(ticket => ticket.ticketId));
+    const receipts = await this.pushClient.getReceipts(ids);
+
+    let resolved = 0;
+    const failed = [];
+
+    for (const delivery of deliveries) {
+      const expired = now - delivery.sentAt > RECEIPT_TTL_MS;
+
+      delivery.tickets
+        .filter(ticket => ticket.status === 'pending')
+        .forEach((ticket) => {
+          const receipt = receipts[ticket.ticketId];
+          if (receipt?.status === 'ok') {
+            ticket.status = 'delivered';
+          } else if (receipt) {
+            ticket.set({ status: 'failed', error: receipt.details?.error, message: receipt.message });
+            failed.push(ticket);
+          } else if (expired) {
+            ticket.set({ status: 'failed', error: 'ReceiptUnavailable' });
+          } else {
+            return;
+          }
+          resolved += 1;
+        });
+
+      delivery.receiptsCheckedAt = now;
+      await delivery.save();
+    }
+
+    await this.clearDeadTokens(failed);
+    return resolved;
+  }
+
+  /**
+   * Forget push tokens the push service reported as no longer registered,
+   * wherever they are stored
+   * @param {Object[]} tickets - Delivery tickets
+   */
+  async clearDeadTokens(tickets) {
+    const tokens = tickets.filter(ticket => ticket.error === DEVICE_NOT_REGISTERED).map(ticket => ticket.token);
+    if (!tokens.length) return;
+
+    await User.updateMany(
+      { 'preferences.notifications.pushToken': { $in: tokens } },
+      { $unset: { 'preferences.notifications.pushToken': 1 } }
+    );
+    await Device.updateMany({ pushToken: { $in: tokens } }, { $unset: { pushToken: 1 } });
+  }
+}
+
+module.exports = {
+  ReminderService,
+  nextReminderAt,
+  reminderMessage,
+  DAILY_REMINDER,
+};
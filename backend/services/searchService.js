@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const { createEmbeddingProvider, cosineSimilarity } = require('./embeddings');
+
+class SearchService {
+  /**
+   * @param {Object} options - { provider, mode, atlasIndex }
+   *   mode: 'atlas' uses $vectorSearch, falling back to 'memory' on error;
+   *   'memory' scores the user's entries in-process
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || createEmbeddingProvider();
+    this.mode = options.mode || process.env.VECTOR_SEARCH_MODE || 'memory';
+    this.atlasIndex = options.atlasIndex || process.env.ATLAS_VECTOR_INDEX || 'journal_embeddings';
+  }
+
+  /**
+   * Find the user's entries most similar to a free-text query
+   * @param {string} userId - Owner of the entries
+   * @param {string} query - Search text
+   * @param {Object} options - { limit, minScore }
+   * @returns {Promise<{results: Array<{entry: Object, score: number}>, strategy: string}>}
+   */
+  async search(userId, query, { limit = 10, minScore = 0 } = {}) {
+    const [queryVector] = await this.provider.embed([query]);
+
+    if (this.mode === 'atlas') {
+      try {
+        const results = await this.searchAtlas(userId, queryVector, limit);
+        return { results: results.filter(r => r.score >= minScore), strategy: 'atlas' };
+      } catch (error) {
+        console.warn('⚠️  Atlas vector search unavailable, using in-process search:', error.message);
+      }
+    }
+
+    const results = await this.searchInProcess(userId, queryVector, limit);
+    return { results: results.filter(r => r.score >= minScore), strategy: 'memory' };
+  }
+
+  /**
+   * Atlas Vector Search. The Atlas index must define `embeddings` as the
+   * vector path and `userId` and `embeddingModel` as filter fields.
+   */
+  async searchAtlas(userId, queryVector, limit) {
+    const docs = await JournalEntry.aggregate([
+      {
+        $vectorSearch: {
+          index: this.atlasIndex,
+          path: 'embeddings',
+          queryVector,
+          numCandidates: limit * 10,
+          limit,
+          filter: {
+            userId: new mongoose.Types.ObjectId(userId.toString()),
+            embeddingModel: this.provider.model,
+          },
+        },
+      },
+      { $addFields: { score: { $meta: 'vectorSearchScore' } } },
+      { $project: { embeddings: 0, __v: 0 } },
+    ]);
+
+    return docs.map(({ score, ...entry }) => ({ entry, score }));
+  }
+
+  /**
+   * Brute-force cosine similarity over the user's embedded entries
+   */
+  async searchInProcess(userId, queryVector, limit) {
+    const cursor = JournalEntry.find({
+      userId,
+      embeddingModel: this.provider.model,
+    })
+      .select('+embeddings -__v')
+      .lean()
+      .cursor();
+
+    const scored = [];
+    for await (const { embeddings, ...entry } of cursor) {
+      scored.push({ entry, score: cosineSimilarity(queryVector, embeddings) });
+    }
+
+    const top = scored.sort((a, b) => b.score - a.score).slice(0, limit);
+    // Cursors skip the model's decryption middleware
+    await JournalEntry.decryptFields(top.map(({ entry }) => entry));
+    return top;
+  }
+}
+
+module.exports = { SearchService };
@@ -0,0 +1,158 @@
+const User = require('../models/User');
+const Device = require('../models/Device');
+const RefreshToken = require('../models/RefreshToken');
+const { isValidTimeZone, canonicalLocale } = require('./localTime');
+
+/**
+ * Shape a device record for API responses
+ * @param {Object} device - Device document or lean object
+ * @param {string} currentSessionId - sid of the requesting access token
+ * @returns {Object} Public session fields
+ */
+const serializeSession = (device, currentSessionId) => ({
+  id: device.sessionId,
+  platform: device.platform || null,
+  appVersion: device.appVersion || null,
+  name: device.name || null,
+  lastSeenIp: device.lastSeenIp || null,
+  lastSeenAt: device.lastSeenAt,
+  signedInAt: device.createdAt,
+  current: device.sessionId === currentSessionId,
+});
+
+class SessionService {
+  /**
+   * Record that a session was used, creating its device row on sign-in
+   * @param {Object} user - Session owner
+   * @param {string} sessionId - Refresh token family ID
+   * @param {Object} activity - { device, ip, expiresAt } device holds the
+   *   client-reported platform, appVersion, name, pushToken, timezone and locale
+   * @returns {Promise<void>}
+   */
+  async recordActivity(user, sessionId, { device = {}, ip, expiresAt }) {
+    await this.adoptDeviceSettings(user, device);
+
+    const reported = Object.fromEntries(
+      ['platform', 'appVersion', 'name', 'pushToken']
+        .filter(field => device[field] !== undefined)
+        .map(field => [field, device[field]])
+    );
+
+    await Device.updateOne(
+      { sessionId },
+      {
+        $set: { ...reported, lastSeenIp: ip, lastSeenAt: new Date(), expiresAt },
+        $setOnInsert: { userId: user._id },
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Follow the timezone and locale the user's device reports at sign-in and
+   * refresh, so someone who travels gets days and reminders in local time.
+   * Values the server doesn't recognize are ignored.
+   * @param {Object} user - User document, updated in place
+   * @param {Object} device - { timezone, locale } as reported
+   * @returns {Promise<void>}
+   */
+  async adoptDeviceSettings(user, { timezone, locale } = {}) {
+    const reported = {
+      timezone: isValidTimeZone(timezone) ? timezone : null,
+      locale: canonicalLocale(locale),
+    };
+    const changes = Object.fromEntries(
+      Object.entries(reported).filter(([field, value]) => value && value !== user[field])
+    );
+    if (!Object.keys(changes).length) return;
+
+    await User.updateOne({ _id: user._id }, { $set: changes });
+    Object.assign(user, changes);
+  }
+
+  /**
+   * Whether a session was revoked. A session without a device row counts
+   * as revoked: its row is gone with a deleted account, or it predates
+   * device tracking, in which case refreshing records a new row.
+   * @param {string} sessionId - Access token `sid` claim
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked(sessionId) {
+    return !(await Device.exists({ sessionId, revokedAt: null }));
+  }
+
+  /**
+   * End a session: its refresh tokens stop rotating and its access tokens
+   * are refused from the next request on
+   * @param {string} sessionId - Refresh token family ID
+   * @param {string} reason - 'logout', 'reuse' or 'revoked'
+   * @returns {Promise<number>} Number of refresh tokens revoked
+   */
+  async revoke(sessionId, reason) {
+    const revokedAt = new Date();
+    const [{ modifiedCount }] = await Promise.all([
+      RefreshToken.updateMany(
+        { familyId: sessionId, revokedAt: null },
+        { $set: { revokedAt, revokedReason: reason } }
+      ),
+      Device.updateOne(
+        { sessionId, revokedAt: null },
+        { $set: { revokedAt, revokedReason: reason } }
+      ),
+    ]);
+    return modifiedCount;
+  }
+
+  /**
+   * List a user's active sessions, most recently used first
+   * @param {string} userId - Session owner
+   * @param {string} currentSessionId - sid of the requesting access token
+   * @returns {Promise<Array>} Serialized sessions
+   */
+  async listActive(userId, currentSessionId) {
+    const devices = await Device.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    return devices.map(device => serializeSession(device, currentSessionId));
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} userId - Session owner
+   * @param {string} sessionId - Session to end
+   * @returns {Promise<Object>} { status } where status is 'revoked' or 'not-found'
+   */
+  async revokeForUser(userId, sessionId) {
+    const device = await Device.exists({ userId, sessionId, revokedAt: null });
+    if (!device) return { status: 'not-found' };
+
+    await this.revoke(sessionId, 'revoked');
+    return { status: 'revoked' };
+  }
+
+  /**
+   * Revoke every session a user has, including ones signed in before
+   * device tracking
+   * @param {string} userId - Session owner
+   * @returns {Promise<number>} Number of sessions ended
+   */
+  async revokeAllForUser(userId) {
+    const [deviceSessions, tokenSessions] = await Promise.all([
+      Device.distinct('sessionId', { userId, revokedAt: null }),
+      RefreshToken.distinct('familyId', { userId, revokedAt: null, expiresAt: { $gt: new Date() } }),
+    ]);
+
+    const sessionIds = new Set([...deviceSessions, ...tokenSessions]);
+    for (const sessionId of sessionIds) {
+      await this.revoke(sessionId, 'revoked');
+    }
+    return sessionIds.size;
+  }
+}
+
+module.exports = { SessionService, serializeSession };
@@ -0,0 +1,374 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const { toLocalDay, shiftDay } = require('./localTime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Days of entries read per query when counting back through a run of days
+const RUN_WINDOW_DAYS = 31;
+
+/**
+ * Compute the current journaling streak from the days a user wrote on.
+ * A streak is only current if its latest day is today or yesterday.
+ * @param {string[]} dayKeys - Distinct local day keys, any order
+ * @param {string} today - Today's local day key
+ * @returns {number} Consecutive days in the current streak
+ */
+const computeStreak = (dayKeys, today) => {
+  const days = new Set(dayKeys);
+  let cursor = days.has(today) ? today : shiftDay(today, -1);
+  let streak = 0;
+
+  while (days.has(cursor)) {
+    streak += 1;
+    cursor = shiftDay(cursor, -1);
+  }
+
+  return streak;
+};
+
+/**
+ * The current streak and the day it runs to
+ * @param {string[]} dayKeys - Distinct local day keys, any order
+ * @param {string} today - Today's local day key
+ * @returns {{days: number, endDay: string|null}}
+ */
+const streakFromDays = (dayKeys, today) => {
+  const days = computeStreak(dayKeys, today);
+  if (!days) return { days: 0, endDay: null };
+  return { days, endDay: dayKeys.includes(today) ? today : shiftDay(today, -1) };
+};
+
+/**
+ * Move a streak on after one local day gained its first entry or lost its
+ * last. Only a day that joins the streak to an earlier run needs days read,
+ * and then only that run's.
+ * @param {Object} streak - { days, endDay } as stored
+ * @param {Object} change - { day, gained }
+ * @param {string} today - Today's local day key
+ * @param {function(string): Promise<number>} runEndingAt - Counts the
+ *   consecutive journal days ending on a day
+ * @returns {Promise<{days: number, endDay: string|null}>} Next streak
+ */
+const advanceStreak = async (streak, { day, gained }, today, runEndingAt) => {
+  const yesterday = shiftDay(today, -1);
+  // A streak that ended before yesterday has lapsed
+  const current = streak.days && [today, yesterday].includes(streak.endDay)
+    ? streak
+    : { days: 0, endDay: null };
+  const startDay = current.days ? shiftDay(current.endDay, -(current.days - 1)) : null;
+
+  if (gained) {
+    if (day > today) return current;
+    if (!current.days) {
+      return [today, yesterday].includes(day)
+        ? { days: 1 + await runEndingAt(shiftDay(day, -1)), endDay: day }
+        : current;
+    }
+    if (day === shiftDay(current.endDay, 1)) {
+      return { days: current.days + 1, endDay: day };
+    }
+    if (day === shiftDay(startDay, -1)) {
+      return { days: current.days + 1 + await runEndingAt(shiftDay(day, -1)), endDay: current.endDay };
+    }
+    return current;
+  }
+
+  if (!current.days || day < startDay || day > current.endDay) return current;
+  if (day === current.endDay) {
+    // Losing today leaves the run up to yesterday; losing yesterday, nothing
+    return day === today && current.days > 1
+      ? { days: current.days - 1, endDay: yesterday }
+      : { days: 0, endDay: null };
+  }
+  return { days: Math.round((Date.parse(current.endDay) - Date.parse(day)) / DAY_MS), endDay: current.endDay };
+};
+
+/**
+ * Streak to report right now for stored stats, which go stale when a
+ * user stops writing (nothing writes a 0 on the day a streak breaks)
+ * @param {Object} stats - User.stats subdocument
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} now - Current instant
+ * @returns {number} Current streak in days
+ */
+const currentStreak = (stats, timeZone = 'UTC', now = new Date()) => {
+  if (!stats?.streakDays || !(stats.streakEndDay || stats.lastEntryDate)) return 0;
+
+  const today = toLocalDay(now, timeZone);
+  const lastDay = stats.streakEndDay || toLocalDay(stats.lastEntryDate, timeZone);
+
+  return lastDay === today || lastDay === shiftDay(today, -1)
+    ? stats.streakDays
+    : 0;
+};
+
+class StatsService {
+  /**
+   * Distinct local days the user journaled on, newest first
+   * @param {string} userId - User ID
+   * @param {string} timeZone - IANA timezone name
+   * @param {Object} options - { session }
+   * @returns {Promise<{days: string[], lastEntryDate: Date|null}>}
+   */
+  async getJournalDays(userId, timeZone, { session = null } = {}) {
+    const [result] = await JournalEntry.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId.toString()) } },
+      {
+        $group: {
+          _id: null,
+          days: {
+            // Entries keep the day they were written for; older ones
+            // without a journal day fall back to the user's timezone
+            $addToSet: {
+              $ifNull: [
+                '$journalDay',
+                { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: timeZone } },
+              ],
+            },
+          },
+          lastEntryDate: { $max: '$date' },
+        },
+      },
+    ]).session(session);
+
+    return {
+      days: result ? result.days.sort().reverse() : [],
+      lastEntryDate: result ? result.lastEntryDate : null,
+    };
+  }
+
+  /**
+   * Recalculate streakDays and lastEntryDate from all of the user's entries
+   * @param {string} userId - User ID
+   * @param {Object} options - { session, now }
+   * @returns {Promise<void>}
+   */
+  async refreshStreak(userId, { session = null, now = new Date() } = {}) {
+    const user = await User.findById(userId).select('timezone').session(session);
+    if (!user) return;
+
+    const { days, lastEntryDate } = await this.getJournalDays(userId, user.timezone, { session });
+    const streak = streakFromDays(days, toLocalDay(now, user.timezone));
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          'stats.streakDays': streak.days,
+          'stats.streakEndDay': streak.endDay,
+          'stats.lastEntryDate': lastEntryDate,
+        },
+      },
+      { session }
+    );
+  }
+
+  /**
+   * Count the consecutive days with entries ending on a day, reading a
+   * window of days at a time. Entries without a journal day (written
+   * before they had one) are left to the full recompute.
+   * @param {string} userId - User ID
+   * @param {string} day - Last day of the run (YYYY-MM-DD)
+   * @param {Object} options - { session }
+   * @returns {Promise<number>} Days in the run
+   */
+  async countRunEndingAt(userId, day, { session = null } = {}) {
+    let count = 0;
+    let cursor = day;
+
+    for (;;) {
+      const from = shiftDay(cursor, -(RUN_WINDOW_DAYS - 1));
+      const days = new Set(
+        await JournalEntry.distinct('journalDay', { userId, journalDay: { $gte: from, $lte: cursor } })
+          .session(session)
+      );
+      while (days.has(cursor)) {
+        count += 1;
+        cursor = shiftDay(cursor, -1);
+      }
+      // The run stopped inside this window
+      if (cursor >= from) return count;
+    }
+  }
+
+  /**
+   * Move the stored streak on after a local day gained its first entry or
+   * lost its last
+   * @param {string} userId - User ID
+   * @param {Object} change - { day, gained }
+   * @param {Object} options - { session, now }
+   */
+  async updateStreak(userId, change, { session = null, now = new Date() } = {}) {
+    const user = await User.findById(userId).select('timezone stats').session(session);
+    if (!user) return;
+
+    // Stats from before the streak's last day was stored can't be moved on
+    if (user.stats.streakDays && !user.stats.streakEndDay) {
+      await this.refreshStreak(userId, { session, now });
+      return;
+    }
+
+    const streak = await advanceStreak(
+      { days: user.stats.streakDays, endDay: user.stats.streakEndDay || null },
+      change,
+      toLocalDay(now, user.timezone),
+      day => this.countRunEndingAt(userId, day, { session })
+    );
+
+    await User.updateOne(
+      { _id: userId },
+      { $set: { 'stats.streakDays': streak.days, 'stats.streakEndDay': streak.endDay } },
+      { session }
+    );
+  }
+
+  /**
+   * Number of the user's entries on a local day, up to 2
+   * @param {string} userId - User ID
+   * @param {string} day - Local day (YYYY-MM-DD)
+   * @param {Object} options - { session }
+   * @returns {Promise<number>} 0, 1 or 2 (meaning 2 or more)
+   */
+  async countEntriesOn(userId, day, { session = null } = {}) {
+    return JournalEntry.countDocuments({ userId, journalDay: day }, { limit: 2 }).session(session);
+  }
+
+  /**
+   * Point lastEntryDate at the user's latest remaining entry
+   * @param {string} userId - User ID
+   * @param {Object} options - { session }
+   */
+  async refreshLastEntryDate(userId, { session = null } = {}) {
+    const latest = await JournalEntry.findOne({ userId }).sort({ date: -1 }).select('date').session(session).lean();
+    await User.updateOne(
+      { _id: userId },
+      { $set: { 'stats.lastEntryDate': latest ? latest.date : null } },
+      { session }
+    );
+  }
+
+  /**
+   * Update stats after a journal entry is created
+   * @param {Object} entry - Created journal entry
+   * @param {Object} options - { session }
+   */
+  async recordEntryCreated(entry, { session = null } = {}) {
+    await User.updateOne(
+      { _id: entry.userId },
+      { $inc: { 'stats.totalEntries': 1 }, $max: { 'stats.lastEntryDate': entry.date } },
+      { session }
+    );
+    if (await this.countEntriesOn(entry.userId, entry.journalDay, { session }) === 1) {
+      await this.updateStreak(entry.userId, { day: entry.journalDay, gained: true }, { session });
+    }
+  }
+
+  /**
+   * Update stats after a journal entry's date changes
+   * @param {Object} entry - Updated journal entry
+   * @param {Object} options - { session, previousDay } previousDay is the
+   *   entry's journal day before the change
+   */
+  async recordEntryDateChanged(entry, { session = null, previousDay } = {}) {
+    if (previousDay !== entry.journalDay) {
+      if (await this.countEntriesOn(entry.userId, previousDay, { session }) === 0) {
+        await this.updateStreak(entry.userId, { day: previousDay, gained: false }, { session });
+      }
+      if (await this.countEntriesOn(entry.userId, entry.journalDay, { session }) === 1) {
+        await this.updateStreak(entry.userId, { day: entry.journalDay, gained: true }, { session });
+      }
+    }
+    await this.refreshLastEntryDate(entry.userId, { session });
+  }
+
+  /**
+   * Update stats after a journal entry is deleted
+   * @param {Object} entry - Deleted journal entry
+   * @param {Object} options - { session }
+   */
+  async recordEntryDeleted(entry, { session = null } = {}) {
+    await User.updateOne(
+      { _id: entry.userId, 'stats.totalEntries': { $gt: 0 } },
+      { $inc: { 'stats.totalEntries': -1 } },
+      { session }
+    );
+    if (await this.countEntriesOn(entry.userId, entry.journalDay, { session }) === 0) {
+      await this.updateStreak(entry.userId, { day: entry.journalDay, gained: false }, { session });
+    }
+    await this.refreshLastEntryDate(entry.userId, { session });
+  }
+
+  /**
+   * Rebuild a user's stats from the JournalEntry collection
+   * @param {string} userId - User ID
+   * @param {Object} options - { now }
+   * @returns {Promise<{changed: boolean, stats: Object}|null>} null if the user doesn't exist
+   */
+  async recomputeUserStats(userId, { now = new Date() } = {}) {
+    const user = await User.findById(userId).select('timezone stats');
+    if (!user) return null;
+
+    const [totalEntries, { days, lastEntryDate }] = await Promise.all([
+      JournalEntry.countDocuments({ userId }),
+      this.getJournalDays(userId, user.timezone),
+    ]);
+
+    const streak = streakFromDays(days, toLocalDay(now, user.timezone));
+    const stats = {
+      totalEntries,
+      streakDays: streak.days,
+      streakEndDay: streak.endDay,
+      lastEntryDate,
+    };
+
+    const changed =
+      user.stats.totalEntries !== stats.totalEntries ||
+      user.stats.streakDays !== stats.streakDays ||
+      (user.stats.streakEndDay || null) !== stats.streakEndDay ||
+      user.stats.lastEntryDate?.getTime() !== stats.lastEntryDate?.getTime();
+
+    if (changed) {
+      await User.updateOne(
+        { _id: userId },
+        {
+          $set: {
+            'stats.totalEntries': stats.totalEntries,
+            'stats.streakDays': stats.streakDays,
+            'stats.streakEndDay': stats.streakEndDay,
+            'stats.lastEntryDate': stats.lastEntryDate,
+          },
+        }
+      );
+    }
+
+    return { changed, stats };
+  }
+
+  /**
+   * Rebuild stats for every user, correcting any that drifted
+   * @param {Object} options - { now }
+   * @returns {Promise<{processed: number, corrected: number}>}
+   */
+  async recomputeAllStats({ now = new Date() } = {}) {
+    let processed = 0;
+    let corrected = 0;
+
+    for await (const user of User.find().select('_id').cursor()) {
+      const result = await this.recomputeUserStats(user._id, { now });
+      processed += 1;
+      if (result?.changed) corrected += 1;
+    }
+
+    return { processed, corrected };
+  }
+}
+
+module.exports = {
+  StatsService,
+  toLocalDay,
+  shiftDay,
+  computeStreak,
+  advanceStreak,
+  currentStreak,
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const AuthorizationCode = require('../models/AuthorizationCode');
+const User = require('../models/User');
+const { generateToken } = require('../middleware/auth');
+const { SessionService } = require('./sessionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AUTHORIZATION_CODE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Hash a refresh token or authorization code for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Derive the S256 PKCE challenge for a verifier (RFC 7636)
+ * @param {string} codeVerifier - Verifier the client generated
+ * @returns {string} base64url SHA-256 digest
+ */
+const pkceChallenge = (codeVerifier) => crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+class TokenService {
+  constructor({
+    refreshTokenTtlMs = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * DAY_MS,
+    authorizationCodeTtlMs = AUTHORIZATION_CODE_TTL_MS,
+    sessionService = new SessionService(),
+  } = {}) {
+    this.refreshTokenTtlMs = refreshTokenTtlMs;
+    this.authorizationCodeTtlMs = authorizationCodeTtlMs;
+    this.sessionService = sessionService;
+  }
+
+  /**
+   * Create a single-use authorization code for the end of an OAuth redirect
+   * @param {Object} user - Signed-in user
+   * @param {Object} binding - { codeChallenge, redirectUri } from the flow's start
+   * @returns {Promise<string>} Raw code to put in the redirect
+   */
+  async createAuthorizationCode(user, { codeChallenge, redirectUri }) {
+    const code = crypto.randomBytes(32).toString('base64url');
+
+    await AuthorizationCode.create({
+      userId: user._id,
+      codeHash: hashToken(code),
+      codeChallenge,
+      redirectUri,
+      expiresAt: new Date(Date.now() + this.authorizationCodeTtlMs),
+    });
+
+    return code;
+  }
+
+  /**
+   * Redeem an authorization code for a new session. The code is spent even
+   * when the verifier is wrong, so it can't be guessed against.
+   * @param {string} code - Raw authorization code
+   * @param {Object} proof - { codeVerifier, redirectUri }
+   * @param {Object} context - { device, ip } of the client signing in
+   * @returns {Promise<Object>} { status, user, tokens } where status is
+   *   'issued' or 'invalid'
+   */
+  async redeemAuthorizationCode(code, { codeVerifier, redirectUri }, context = {}) {
+    const now = new Date();
+    const record = await AuthorizationCode.findOneAndUpdate(
+      { codeHash: hashToken(code), usedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now } },
+      { new: true }
+    );
+
+    if (!record || record.redirectUri !== redirectUri || record.codeChallenge !== pkceChallenge(codeVerifier)) {
+      return { status: 'invalid' };
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user) return { status: 'invalid' };
+
+    const tokens = await this.issueTokens(user, context);
+    return { status: 'issued', user, tokens };
+  }
+
+  /**
+   * Issue an access token and a refresh token for a user. Without a
+   * familyId this starts a new sign-in session.
+   * @param {Object} user - User document
+   * @param {Object} options - { familyId, device, ip } device is what the
+   *   client reports about itself (see SessionService.recordActivity)
+   * @returns {Promise<Object>} { accessToken, refreshToken, refreshTokenExpiresAt, sessionId }
+   */
+  async issueTokens(user, { familyId = crypto.randomUUID(), device, ip } = {}) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const refreshTokenExpiresAt = new Date(Date.now() + this.refreshTokenTtlMs);
+
+    await RefreshToken.create({
+      userId: user._id,
+      familyId,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: refreshTokenExpiresAt,
+    });
+    await this.sessionService.recordActivity(user, familyId, { device, ip, expiresAt: refreshTokenExpiresAt });
+
+    return {
+      accessToken: generateToken(user, { sessionId: familyId }),
+      refreshToken,
+      refreshTokenExpiresAt,
+      sessionId: familyId,
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. Each refresh token works
+   * once; presenting one that was already rotated means it leaked, so the
+   * whole family is revoked and the legitimate holder must sign in again.
+   * @param {string} refreshToken - Raw refresh token
+   * @param {Object} context - { device, ip } of the refreshing client
+   * @returns {Promise<Object>} { status, tokens } where status is 'rotated',
+   *   'invalid', 'expired', 'revoked' or 'reused'
+   */
+  async rotate(refreshToken, { device, ip } = {}) {
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    // Claim the token atomically so two concurrent refreshes can't both win
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, rotatedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { rotatedAt: now } },
+      { new: true }
+    );
+
+    if (!current) {
+      const existing = await RefreshToken.findOne({ tokenHash });
+      if (!existing) return { status: 'invalid' };
+      if (existing.revokedAt) return { status: 'revoked' };
+      if (existing.rotatedAt) {
+        await this.revokeFamily(existing.familyId, 'reuse');
+        console.warn(`Refresh token reuse detected for user ${existing.userId}; revoked session ${existing.familyId}`);
+        return { status: 'reused' };
+      }
+      return { status: 'expired' };
+    }
+
+    const user = await User.findById(current.userId);
+    if (!user) return { status: 'invalid' };
+
+    const tokens = await this.issueTokens(user, { familyId: current.familyId, device, ip });
+    return { status: 'rotated', tokens };
+  }
+
+  /**
+   * Revoke every refresh token issued in a sign-in session, and the
+   * session's access tokens with them
+   * @param {string} familyId - Session (token family) ID
+   * @param {string} reason - 'logout', 'reuse' or 'revoked'
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeFamily(familyId, reason) {
+    return this.sessionService.revoke(familyId, reason);
+  }
+
+  /**
+   * Find the session a refresh token belongs to
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Promise<Object|null>} { familyId, userId } or null
+   */
+  async findFamily(refreshToken) {
+    return RefreshToken.findOne({ tokenHash: hashToken(refreshToken) })
+      .select('familyId userId')
+      .lean();
+  }
+}
+
+module.exports = { TokenService, hashToken, pkceChallenge };
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Whether an error means the connected deployment can't run transactions
+ * (e.g. a standalone local mongod rather than an Atlas replica set)
+ * @param {Error} error - Error thrown by the driver
+ * @returns {boolean}
+ */
+const isTransactionUnsupported = (error) => {
+  return (
+    error?.code === 20 ||
+    /Transaction numbers are only allowed on a replica set member or mongos/.test(
+      error?.message || ''
+    )
+  );
+};
+
+/**
+ * Run work inside a MongoDB transaction, retrying on transient errors.
+ * Falls back to running without a session on deployments that don't
+ * support transactions so local development keeps working.
+ * @param {function(mongoose.ClientSession|null): Promise<*>} work - Unit of work
+ * @returns {Promise<*>} Whatever work resolves to
+ */
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (isTransactionUnsupported(error)) {
+      return work(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { withTransaction, isTransactionUnsupported };
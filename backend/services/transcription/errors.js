@@ -0,0 +1,14 @@
+/**
+ * Error raised by a transcription provider. Set retryable to false for
+ * failures that won't succeed on retry (unsupported audio, invalid key).
+ */
+class TranscriptionProviderError extends Error {
+  constructor(message, { retryable = true, cause } = {}) {
+    super(message);
+    this.name = 'TranscriptionProviderError';
+    this.retryable = retryable;
+    this.cause = cause;
+  }
+}
+
+module.exports = { TranscriptionProviderError };
@@ -0,0 +1,31 @@
+const { StubTranscriptionProvider } = require('./stubProvider');
+const { OpenAITranscriptionProvider } = require('./openaiProvider');
+const { TranscriptionProviderError } = require('./errors');
+
+/**
+ * Create the transcription provider named by TRANSCRIPTION_PROVIDER.
+ * Defaults to OpenAI when an API key is configured and the offline stub
+ * otherwise.
+ * @param {string} name - 'openai' or 'stub'
+ * @returns {Object} Provider exposing transcribe({ url, mimeType, language })
+ */
+const createTranscriptionProvider = (name = process.env.TRANSCRIPTION_PROVIDER) => {
+  const providerName = name || (process.env.OPENAI_API_KEY ? 'openai' : 'stub');
+
+  switch (providerName) {
+    case 'openai':
+      return new OpenAITranscriptionProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_TRANSCRIPTION_MODEL,
+      });
+    case 'stub':
+      return new StubTranscriptionProvider();
+    default:
+      throw new Error(`Unknown transcription provider: ${providerName}`);
+  }
+};
+
+module.exports = {
+  createTranscriptionProvider,
+  TranscriptionProviderError,
+};
@@ -0,0 +1,64 @@
+const path = require('path');
+const { TranscriptionProviderError } = require('./errors');
+
+class OpenAITranscriptionProvider {
+  /**
+   * @param {Object} options - { apiKey, model, timeoutMs }
+   */
+  constructor({ apiKey, model = 'whisper-1', timeoutMs = 120000 } = {}) {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is required for the OpenAI transcription provider');
+    }
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Download a stored recording and transcribe it
+   * @param {Object} input - { url, mimeType, language }
+   * @returns {Promise<Object>} { text, language }
+   */
+  async transcribe({ url, mimeType, language }) {
+    let audio;
+    try {
+      const download = await fetch(url, { signal: AbortSignal.timeout(this.timeoutMs) });
+      if (!download.ok) {
+        throw new Error(`download responded with ${download.status}`);
+      }
+      audio = await download.blob();
+    } catch (error) {
+      throw new TranscriptionProviderError(`Could not fetch audio: ${error.message}`, { cause: error });
+    }
+
+    const form = new FormData();
+    form.append('file', new Blob([audio], { type: mimeType }), path.basename(new URL(url).pathname));
+    form.append('model', this.model);
+    form.append('response_format', 'json');
+    if (language) form.append('language', language);
+
+    let response;
+    try {
+      response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${this.apiKey}` },
+        body: form,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (error) {
+      throw new TranscriptionProviderError(`OpenAI request failed: ${error.message}`, { cause: error });
+    }
+
+    if (!response.ok) {
+      // Rate limits and server errors are worth retrying; other 4xx are not
+      const retryable = response.status === 429 || response.status >= 500;
+      throw new TranscriptionProviderError(`OpenAI responded with ${response.status}`, { retryable });
+    }
+
+    const body = await response.json();
+    return { text: body.text || '', language: language || body.language };
+  }
+}
+
+module.exports = { OpenAITranscriptionProvider };
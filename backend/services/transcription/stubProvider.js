@@ -0,0 +1,30 @@
+/**
+ * Offline transcription provider for tests and local development. It
+ * can't hear anything, so it returns a fixed transcript (or one chosen
+ * per audio URL) without downloading the recording.
+ */
+const DEFAULT_TRANSCRIPT = 'This is a voice note transcribed by the local stub provider.';
+
+class StubTranscriptionProvider {
+  /**
+   * @param {Object} options - { transcripts: { [audioUrl]: text } }
+   */
+  constructor({ transcripts = {} } = {}) {
+    this.name = 'stub';
+    this.transcripts = transcripts;
+  }
+
+  /**
+   * Transcribe a stored recording
+   * @param {Object} input - { url, mimeType, language }
+   * @returns {Promise<Object>} { text, language }
+   */
+  async transcribe({ url, language }) {
+    return {
+      text: this.transcripts[url] ?? DEFAULT_TRANSCRIPT,
+      language: language || 'en',
+    };
+  }
+}
+
+module.exports = { StubTranscriptionProvider, DEFAULT_TRANSCRIPT };
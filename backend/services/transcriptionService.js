@@ -0,0 +1,140 @@
+const JournalEntry = require('../models/JournalEntry');
+const { JobQueue } = require('./jobQueue');
+const { UploadService } = require('./uploadService');
+const { createTranscriptionProvider } = require('./transcription');
+
+const TRANSCRIBE_ENTRY_JOB = 'transcribe-entry';
+// Long enough for the provider to fetch the recording
+const RECORDING_LINK_TTL_SECONDS = 15 * 60;
+
+/**
+ * Moves voice entries through transcription.status:
+ * pending → processing → completed → reviewed (or failed).
+ * A completed transcript waits for the user to review or edit it; only
+ * reviewed entries go on to AI analysis. Transcripts left unreviewed for
+ * reviewWindowMs are released to analysis as they are.
+ */
+class TranscriptionService {
+  /**
+   * @param {Object} options - { provider, queue, uploadService, reviewWindowMs }
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || createTranscriptionProvider();
+    this.queue = options.queue || new JobQueue();
+    this.uploadService = options.uploadService || new UploadService();
+    this.reviewWindowMs = options.reviewWindowMs ?? 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Queue transcription for a voice entry
+   * @param {Object} entry - Voice journal entry
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} Queued job
+   */
+  async requestTranscription(entry, { session = null } = {}) {
+    return this.queue.enqueue(TRANSCRIBE_ENTRY_JOB, {
+      entryId: entry._id.toString(),
+      userId: entry.userId.toString(),
+    }, { session });
+  }
+
+  /**
+   * Job handler: transcribe one voice entry and store the transcript
+   * @param {Object} job - Claimed transcribe-entry job
+   * @returns {Promise<Object>} Job result summary
+   */
+  async transcribeEntry(job) {
+    const entry = await JournalEntry.findOneAndUpdate(
+      { _id: job.payload.entryId, 'transcription.status': { $in: ['pending', 'processing'] } },
+      { $set: { 'transcription.status': 'processing' } },
+      { new: true, timestamps: false }
+    );
+
+    // Deleted, or the user typed their own text in the meantime
+    if (!entry) {
+      return { skipped: true };
+    }
+
+    // Recordings are private; the provider gets a short-lived link
+    const { text, language } = await this.provider.transcribe({
+      url: await this.uploadService.getSignedDownloadUrl(entry.audio.key, RECORDING_LINK_TTL_SECONDS),
+      mimeType: entry.audio.mimeType,
+    });
+    const transcript = text.trim();
+    const now = new Date();
+
+    const { modifiedCount } = await JournalEntry.updateOne(
+      { _id: entry._id, 'transcription.status': 'processing' },
+      {
+        $set: {
+          content: transcript,
+          wordCount: JournalEntry.countWords(transcript),
+          contentHash: JournalEntry.hashContent(transcript),
+          lastEditedAt: now,
+          'transcription.status': 'completed',
+          'transcription.provider': this.provider.name,
+          'transcription.language': language,
+          'transcription.completedAt': now,
+        },
+        $unset: { 'transcription.error': '' },
+      }
+    );
+
+    return {
+      skipped: !modifiedCount,
+      provider: this.provider.name,
+      wordCount: JournalEntry.countWords(transcript),
+    };
+  }
+
+  /**
+   * Job failure hook: mark the transcription failed once retries are exhausted
+   * @param {Object} job - Failed transcribe-entry job
+   * @param {Error} error - Last error
+   */
+  async markFailed(job, error) {
+    await JournalEntry.updateOne(
+      { _id: job.payload.entryId, 'transcription.status': { $in: ['pending', 'processing'] } },
+      { $set: { 'transcription.status': 'failed', 'transcription.error': error?.message } },
+      { timestamps: false }
+    );
+  }
+
+  /**
+   * Send a failed transcription back through the pipeline
+   * @param {Object} entry - Voice journal entry document
+   * @returns {Promise<boolean>} Whether the entry was reset
+   */
+  async retryEntry(entry) {
+    const { modifiedCount } = await JournalEntry.updateOne(
+      { _id: entry._id, 'transcription.status': 'failed' },
+      { $set: { 'transcription.status': 'pending' }, $unset: { 'transcription.error': '' } },
+      { timestamps: false }
+    );
+
+    if (modifiedCount) {
+      await this.requestTranscription(entry);
+    }
+    return modifiedCount > 0;
+  }
+
+  /**
+   * Periodic task: release transcripts nobody reviewed to analysis
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of entries released
+   */
+  async releaseUnreviewed(now = new Date()) {
+    const { modifiedCount } = await JournalEntry.updateMany(
+      {
+        'transcription.status': 'completed',
+        'transcription.completedAt': { $lte: new Date(now.getTime() - this.reviewWindowMs) },
+        content: { $nin: [null, ''] },
+      },
+      { $set: { 'transcription.status': 'reviewed', 'transcription.reviewedAt': now } },
+      { timestamps: false }
+    );
+    return modifiedCount;
+  }
+}
+
+module.exports = { TranscriptionService, TRANSCRIBE_ENTRY_JOB };
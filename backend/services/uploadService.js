@@ -2,6 +2,8 @@ const AWS = require('aws-sdk');
 const multer = require('multer');
 const sharp = require('sharp');
 const path = require('path');
+const crypto = require('crypto');
+const { IMPORT_EXTENSIONS } = require('./import');
 
 // Configure DigitalOcean Spaces (S3-compatible)
 const spacesEndpoint = new AWS.Endpoint(process.env.DO_SPACES_ENDPOINT);
@@ -36,6 +38,49 @@ const upload = multer({
   fileFilter,
 });
 
+// Voice recordings from the app (m4a/AAC on iOS, mp4/webm/3gp on Android)
+const AUDIO_TYPES = [
+  'audio/mp4',
+  'audio/m4a',
+  'audio/x-m4a',
+  'audio/aac',
+  'audio/mpeg',
+  'audio/wav',
+  'audio/x-wav',
+  'audio/webm',
+  'audio/3gpp',
+];
+
+const audioUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 25 * 1024 * 1024, // 25MB, the transcription API's limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (AUDIO_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only M4A, AAC, MP3, WAV, WebM and 3GP audio are allowed.'), false);
+    }
+  },
+});
+
+// Journal imports: app exports (JSON, zip) and Markdown or CSV files
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB, room for exports with photos
+    files: 10,
+  },
+  fileFilter: (req, file, cb) => {
+    if (IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type. Import ${IMPORT_EXTENSIONS.join(', ')} files.`), false);
+    }
+  },
+});
+
 class UploadService {
   /**
    * Upload profile image to DigitalOcean Spaces
@@ -128,6 +173,18 @@ class UploadService {
     }
   }
 
+  /**
+   * Store a voice journal recording privately. Spoken entries are as
+   * personal as written ones, so they are only readable through signed URLs.
+   * @param {string} userId - User ID for organizing files
+   * @param {Object} file - Multer file object
+   * @returns {Promise<string>} - Key of the stored recording
+   */
+  async uploadVoiceRecording(userId, file) {
+    const key = `audio/${userId}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${path.extname(file.originalname)}`;
+    return this.uploadPrivateFile(key, file.buffer, file.mimetype);
+  }
+
   /**
    * Delete file from DigitalOcean Spaces
    * @param {string} fileUrl - Full URL of the file to delete
@@ -151,6 +208,210 @@ class UploadService {
     }
   }
 
+  /**
+   * Store a photo attached to a journal entry privately; it is only
+   * readable through signed URLs
+   * @param {string} userId - User ID for organizing files
+   * @param {Object} photo - { data, mimeType, extension }
+   * @returns {Promise<string>} - Key of the stored photo
+   */
+  async uploadJournalPhoto(userId, { data, mimeType, extension }) {
+    const key = `photos/${userId}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+    return this.uploadPrivateFile(key, data, mimeType);
+  }
+
+  /**
+   * Upload a file only its owner may read, through signed URLs
+   * @param {string} key - Object key
+   * @param {Buffer} body - File contents
+   * @param {string} contentType - MIME type
+   * @returns {Promise<string>} - Key of the uploaded file
+   */
+  async uploadPrivateFile(key, body, contentType) {
+    try {
+      await s3.upload({
+        Bucket: process.env.DO_SPACES_BUCKET,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        ACL: 'private',
+      }).promise();
+      return key;
+    } catch (error) {
+      throw new Error(`Private file upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a time-limited link to a private file
+   * @param {string} key - Object key
+   * @param {number} expiresInSeconds - Link lifetime
+   * @param {string} filename - Name the browser saves the file as; without
+   *   one the file is served inline, e.g. for playback
+   * @returns {Promise<string>} - Signed URL
+   */
+  async getSignedDownloadUrl(key, expiresInSeconds, filename) {
+    return s3.getSignedUrlPromise('getObject', {
+      Bucket: process.env.DO_SPACES_BUCKET,
+      Key: key,
+      Expires: expiresInSeconds,
+      ...(filename && { ResponseContentDisposition: `attachment; filename="${filename}"` }),
+    });
+  }
+
+  /**
+   * Make a stored file private, e.g. one uploaded public-read before its
+   * kind of file was kept private
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>} - Success status
+   */
+  async makePrivate(key) {
+    try {
+      await s3.putObjectAcl({ Bucket: process.env.DO_SPACES_BUCKET, Key: key, ACL: 'private' }).promise();
+      return true;
+    } catch (error) {
+      throw new Error(`Making ${key} private failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Object key behind a URL returned by a public upload
+   * @param {string} fileUrl - Public URL
+   * @returns {string|null} - Key, or null if the URL points outside the bucket
+   */
+  keyForUrl(fileUrl) {
+    const url = new URL(fileUrl);
+    if (!url.hostname.startsWith(`${process.env.DO_SPACES_BUCKET}.`)) {
+      return null;
+    }
+    return decodeURIComponent(url.pathname.substring(1));
+  }
+
+  /**
+   * Download a file by key, public or private
+   * @param {string} key - Object key
+   * @returns {Promise<Buffer|null>} - Contents, or null if it doesn't exist
+   */
+  async downloadObject(key) {
+    try {
+      const object = await s3.getObject({
+        Bucket: process.env.DO_SPACES_BUCKET,
+        Key: key,
+      }).promise();
+      return object.Body;
+    } catch (error) {
+      if (error.code === 'NoSuchKey') return null;
+      throw new Error(`File download failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stream a file by key, public or private, without holding it in memory
+   * @param {string} key - Object key
+   * @returns {Promise<Readable|null>} - Contents, or null if it doesn't exist
+   */
+  async streamObject(key) {
+    const params = { Bucket: process.env.DO_SPACES_BUCKET, Key: key };
+    try {
+      await s3.headObject(params).promise();
+    } catch (error) {
+      if (error.code === 'NotFound') return null;
+      throw new Error(`File download failed: ${error.message}`);
+    }
+    return s3.getObject(params).createReadStream();
+  }
+
+  /**
+   * Stream a file by the URL a public upload returned
+   * @param {string} fileUrl - Public URL
+   * @returns {Promise<Readable|null>} - Contents, or null if the file isn't
+   *   in the bucket or doesn't exist
+   */
+  async streamFile(fileUrl) {
+    const key = this.keyForUrl(fileUrl);
+    return key ? this.streamObject(key) : null;
+  }
+
+  /**
+   * Delete a file by key, e.g. a private file that has no public URL
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deleteObject(key) {
+    try {
+      await s3.deleteObject({ Bucket: process.env.DO_SPACES_BUCKET, Key: key }).promise();
+      return true;
+    } catch (error) {
+      throw new Error(`File deletion failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete every object under a key prefix, e.g. 'audio/<userId>/'
+   * @param {string} prefix - Key prefix, ending in '/'
+   * @returns {Promise<number>} - Number of objects deleted
+   */
+  async deletePrefix(prefix) {
+    let deleted = 0;
+    let ContinuationToken;
+
+    try {
+      do {
+        const page = await s3.listObjectsV2({
+          Bucket: process.env.DO_SPACES_BUCKET,
+          Prefix: prefix,
+          ContinuationToken,
+        }).promise();
+
+        // A listing page holds at most 1000 keys, the deleteObjects limit
+        if (page.Contents.length) {
+          const result = await s3.deleteObjects({
+            Bucket: process.env.DO_SPACES_BUCKET,
+            Delete: {
+              Objects: page.Contents.map(({ Key }) => ({ Key })),
+              Quiet: true,
+            },
+          }).promise();
+
+          if (result.Errors?.length) {
+            throw new Error(`${result.Errors.length} object(s) could not be deleted, first: ${result.Errors[0].Key}`);
+          }
+          deleted += page.Contents.length;
+        }
+
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+
+      return deleted;
+    } catch (error) {
+      throw new Error(`Deleting ${prefix} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete every file stored for a user: profile images, voice recordings,
+   * journal photos, imports and exports, and the images of their personas
+   * @param {string} userId - User ID
+   * @param {string[]} personaIds - IDs of the user's personas
+   * @returns {Promise<number>} - Number of objects deleted
+   */
+  async deleteUserFiles(userId, personaIds = []) {
+    const prefixes = [
+      `profiles/${userId}/`,
+      `audio/${userId}/`,
+      `photos/${userId}/`,
+      `imports/${userId}/`,
+      `exports/${userId}/`,
+      ...personaIds.map(personaId => `personas/${personaId}/`),
+    ];
+
+    let deleted = 0;
+    for (const prefix of prefixes) {
+      deleted += await this.deletePrefix(prefix);
+    }
+    return deleted;
+  }
+
   /**
    * Test connection to DigitalOcean Spaces
    * @returns {Promise<Object>} - Connection test result
@@ -213,4 +474,4 @@ class UploadService {
   }
 }
 
-module.exports = { UploadService, upload };
\ No newline at end of file
+module.exports = { UploadService, upload, audioUpload, importUpload };
\ No newline at end of file
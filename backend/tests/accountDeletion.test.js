@@ -0,0 +1,174 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Persona = require('../models/Persona');
+const JournalEntry = require('../models/JournalEntry');
+const Job = require('../models/Job');
+const RefreshToken = require('../models/RefreshToken');
+const Device = require('../models/Device');
+const AccountTombstone = require('../models/AccountTombstone');
+const { ConsoleMailer } = require('../services/mail/consoleMailer');
+const { AccountDeletionService, PURGE_ACCOUNT_JOB } = require('../services/accountDeletionService');
+const { createTestApp, signToken } = require('./fixtures/testApp');
+
+const clearCollections = () => Promise.all(
+  [User, Persona, JournalEntry, Job, RefreshToken, Device, AccountTombstone].map(model => model.deleteMany({}))
+);
+
+describe('Account deletion', () => {
+  let app;
+  let testUser;
+  let sendMail;
+
+  const undoTokenFromMail = () => {
+    const { text } = sendMail.mock.calls[sendMail.mock.calls.length - 1][0];
+    return decodeURIComponent(text.match(/token=([^\s]+)/)[1]);
+  };
+
+  beforeAll(async () => {
+    sendMail = jest.spyOn(ConsoleMailer.prototype, 'send').mockResolvedValue();
+    app = createTestApp({ '/api/users': require('../routes/users') });
+
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    sendMail.mockClear();
+    await clearCollections();
+
+    testUser = await User.create({ googleId: 'google-delete', email: 'leaving@example.com', name: 'Leaving' });
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await clearCollections();
+    await mongoose.connection.close();
+  });
+
+  describe('DELETE /api/users/:id', () => {
+    it('should schedule deletion, sign out and email an undo link', async () => {
+      const { TokenService } = require('../services/tokenService');
+      const session = await new TokenService().issueTokens(testUser);
+
+      const response = await request(app)
+        .delete(`/api/users/${testUser._id}`)
+        .set('Authorization', `Bearer ${session.accessToken}`)
+        .expect(202);
+
+      const user = await User.findById(testUser._id);
+      expect(user.isPendingDeletion()).toBe(true);
+      expect(new Date(response.body.data.scheduledFor)).toEqual(user.deletion.scheduledFor);
+
+      const job = await Job.findOne({ type: PURGE_ACCOUNT_JOB });
+      expect(job.payload.userId).toBe(testUser._id.toString());
+      expect(job.runAt).toEqual(user.deletion.scheduledFor);
+
+      expect(await RefreshToken.countDocuments({ userId: testUser._id, revokedAt: null })).toBe(0);
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'leaving@example.com' }));
+    });
+
+    it('should refuse access to an account pending deletion', async () => {
+      const authToken = await signToken(testUser);
+      await request(app)
+        .delete(`/api/users/${testUser._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(202);
+
+      const revoked = await request(app)
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(401);
+      expect(revoked.body.code).toBe('SESSION_REVOKED');
+
+      // A session that somehow outlived the deletion request is still refused
+      const response = await request(app)
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${await signToken(testUser)}`)
+        .expect(401);
+      expect(response.body.code).toBe('ACCOUNT_PENDING_DELETION');
+    });
+
+    it("should not delete another user's account", async () => {
+      const other = await User.create({ googleId: 'google-other', email: 'other@example.com', name: 'Other' });
+
+      await request(app)
+        .delete(`/api/users/${other._id}`)
+        .set('Authorization', `Bearer ${await signToken(testUser)}`)
+        .expect(403);
+
+      expect((await User.findById(other._id)).isPendingDeletion()).toBe(false);
+    });
+  });
+
+  describe('POST /api/users/restore', () => {
+    it('should cancel the deletion once', async () => {
+      await request(app)
+        .delete(`/api/users/${testUser._id}`)
+        .set('Authorization', `Bearer ${await signToken(testUser)}`)
+        .expect(202);
+      const token = undoTokenFromMail();
+
+      await request(app).post('/api/users/restore').send({ token }).expect(200);
+      expect((await User.findById(testUser._id)).isPendingDeletion()).toBe(false);
+
+      const replay = await request(app).post('/api/users/restore').send({ token }).expect(400);
+      expect(replay.body.code).toBe('INVALID_RESTORE_TOKEN');
+    });
+  });
+
+  describe('purge job', () => {
+    let uploadService;
+    let service;
+
+    beforeEach(() => {
+      uploadService = { deleteUserFiles: jest.fn().mockResolvedValue(4) };
+      service = new AccountDeletionService({
+        uploadService,
+        mailer: { send: jest.fn() },
+        graceMs: 0,
+      });
+    });
+
+    it('should remove the account, its data and files, and leave a tombstone', async () => {
+      const persona = await Persona.create({
+        userId: testUser._id,
+        name: 'The Seeker',
+        archetype: 'The Seeker',
+        giftForm: { title: 'The Pathfinder' },
+        shadowForm: { title: 'The Restless Wanderer' },
+      });
+      await JournalEntry.create({ userId: testUser._id, content: 'Last entry', date: new Date() });
+      const bystander = await User.create({ googleId: 'google-stays', email: 'stays@example.com', name: 'Stays' });
+      await JournalEntry.create({ userId: bystander._id, content: 'Still here', date: new Date() });
+
+      await service.requestDeletion(testUser);
+      const result = await service.purgeAccount({ payload: { userId: testUser._id.toString() } });
+
+      expect(result.purged).toBe(true);
+      expect(uploadService.deleteUserFiles).toHaveBeenCalledWith(testUser._id.toString(), [persona._id.toString()]);
+      expect(await User.findById(testUser._id)).toBeNull();
+      expect(await JournalEntry.countDocuments({ userId: testUser._id })).toBe(0);
+      expect(await Persona.countDocuments({ userId: testUser._id })).toBe(0);
+      expect(await JournalEntry.countDocuments({ userId: bystander._id })).toBe(1);
+
+      const tombstone = await AccountTombstone.findOne({ userId: testUser._id }).lean();
+      expect(tombstone.removed).toMatchObject({ journalEntries: 1, personas: 1, files: 4 });
+      expect(JSON.stringify(tombstone)).not.toContain('leaving@example.com');
+    });
+
+    it('should skip accounts that were restored or are not yet due', async () => {
+      const job = { payload: { userId: testUser._id.toString() } };
+
+      await new AccountDeletionService({ uploadService, mailer: { send: jest.fn() } }).requestDeletion(testUser);
+      expect(await service.purgeAccount(job)).toEqual({ skipped: true });
+
+      await User.updateOne({ _id: testUser._id }, { $unset: { deletion: '' } });
+      expect(await service.purgeAccount(job, new Date(Date.now() + 365 * 24 * 60 * 60 * 1000))).toEqual({ skipped: true });
+
+      expect(uploadService.deleteUserFiles).not.toHaveBeenCalled();
+      expect(await User.findById(testUser._id)).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const Job = require('../models/Job');
+const { StubAnalysisProvider } = require('../services/analysis/stubProvider');
+const { normalizeAnalysis, AnalysisProviderError } = require('../services/analysis');
+const { computeBackoff } = require('../services/jobQueue');
+const { JobWorker } = require('../services/jobWorker');
+const { AnalysisService } = require('../services/analysisService');
+const { createWorker } = require('../workers');
+
+const SAMPLE_ENTRY = 'I felt anxious before the deadline. Then I went for a run with my friend and felt calm and grateful.';
+
+// In-memory stand-in for JobQueue so worker behaviour can be tested without MongoDB
+const createFakeQueue = (jobs) => ({
+  jobs,
+  completed: [],
+  failed: [],
+  stale: [],
+  renewals: 0,
+  async releaseStale() {
+    const failed = this.stale.splice(0);
+    failed.forEach((job) => {
+      job.status = 'failed';
+      job.lastError = 'Worker lock expired';
+    });
+    return { released: 0, failed };
+  },
+  async renewLock() {
+    this.renewals += 1;
+    return true;
+  },
+  async claimNext(types) {
+    const job = this.jobs.find(j => j.status === 'queued' && types.includes(j.type));
+    if (!job) return null;
+    job.status = 'running';
+    job.attempts += 1;
+    return job;
+  },
+  async complete(job, result) {
+    job.status = 'completed';
+    this.completed.push({ job, result });
+  },
+  async fail(job, error) {
+    const willRetry = error.retryable !== false && job.attempts < job.maxAttempts;
+    job.status = willRetry ? 'queued' : 'failed';
+    this.failed.push({ job, error, willRetry });
+    return { willRetry };
+  },
+});
+
+describe('Stub analysis provider', () => {
+  const provider = new StubAnalysisProvider();
+
+  it('should be deterministic', async () => {
+    const first = await provider.analyze({ content: SAMPLE_ENTRY, date: new Date() });
+    const second = await provider.analyze({ content: SAMPLE_ENTRY, date: new Date() });
+
+    expect(first).toEqual(second);
+  });
+
+  it('should tag entries with evidence quotes from the content', async () => {
+    const { tags } = await provider.analyze({ content: SAMPLE_ENTRY, date: new Date() });
+
+    const friend = tags.find(tag => tag.name === 'friend');
+    expect(friend.namespace).toBe('relationship');
+    expect(SAMPLE_ENTRY).toContain(friend.evidence.quote);
+    expect(tags.map(tag => tag.namespace)).toEqual(
+      expect.arrayContaining(['emotion', 'activity', 'challenge'])
+    );
+  });
+
+  it('should score mood within the schema range', async () => {
+    const low = await provider.analyze({ content: 'sad sad sad lonely tired stressed', date: new Date() });
+    const high = await provider.analyze({ content: 'happy grateful calm proud joy love', date: new Date() });
+
+    expect(low.moodScore).toBe(1);
+    expect(high.moodScore).toBe(10);
+  });
+});
+
+describe('normalizeAnalysis', () => {
+  it('should drop tags with unknown or reserved namespaces and clamp values', () => {
+    const result = normalizeAnalysis({
+      summary: '  A day.  ',
+      moodScore: 14,
+      tags: [
+        { name: 'Hope', namespace: 'emotion', confidence: 1.5, evidence: { quote: 'q' } },
+        { name: 'x', namespace: 'made-up' },
+        { name: 'internal', namespace: 'system' },
+      ],
+    });
+
+    expect(result.summary).toBe('A day.');
+    expect(result.moodScore).toBe(10);
+    expect(result.tags).toEqual([
+      { name: 'hope', namespace: 'emotion', confidence: 1, evidence: { quote: 'q', reasoning: '' } },
+    ]);
+  });
+
+  it('should reject empty results', () => {
+    expect(() => normalizeAnalysis(null)).toThrow(AnalysisProviderError);
+  });
+});
+
+describe('computeBackoff', () => {
+  it('should double the delay per attempt up to the cap', () => {
+    expect(computeBackoff(1, 1000, 10000)).toBe(1000);
+    expect(computeBackoff(2, 1000, 10000)).toBe(2000);
+    expect(computeBackoff(3, 1000, 10000)).toBe(4000);
+    expect(computeBackoff(10, 1000, 10000)).toBe(10000);
+  });
+});
+
+describe('JobWorker', () => {
+  const makeJob = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    type: 'test-job',
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: 3,
+    payload: {},
+    ...overrides,
+  });
+
+  it('should retry failing jobs and call onFailed once attempts are exhausted', async () => {
+    const queue = createFakeQueue([makeJob()]);
+    const onFailed = jest.fn();
+    const worker = new JobWorker({ queue })
+      .register('test-job', async () => {
+        throw new Error('provider down');
+      }, { onFailed });
+
+    await worker.tick();
+
+    expect(queue.failed.map(f => f.willRetry)).toEqual([true, true, false]);
+    expect(onFailed).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not retry non-retryable errors', async () => {
+    const queue = createFakeQueue([makeJob()]);
+    const worker = new JobWorker({ queue })
+      .register('test-job', async () => {
+        throw new AnalysisProviderError('bad request', { retryable: false });
+      });
+
+    await worker.tick();
+
+    expect(queue.failed).toHaveLength(1);
+    expect(queue.failed[0].willRetry).toBe(false);
+  });
+
+  it('should call onFailed for jobs whose worker died on their last attempt', async () => {
+    const queue = createFakeQueue([]);
+    queue.stale.push(makeJob({ status: 'running', attempts: 3 }));
+    const onFailed = jest.fn();
+    const worker = new JobWorker({ queue }).register('test-job', async () => {}, { onFailed });
+
+    await worker.tick();
+
+    expect(onFailed).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'failed' }),
+      expect.objectContaining({ message: 'Worker lock expired' })
+    );
+  });
+
+  it('should renew the lock while a long job runs', async () => {
+    const queue = createFakeQueue([makeJob()]);
+    const worker = new JobWorker({ queue, lockRenewalMs: 5 })
+      .register('test-job', () => new Promise(resolve => setTimeout(resolve, 40)));
+
+    await worker.tick();
+
+    expect(queue.renewals).toBeGreaterThan(0);
+    expect(queue.completed).toHaveLength(1);
+  });
+
+  it('should store handler results on success', async () => {
+    const queue = createFakeQueue([makeJob()]);
+    const worker = new JobWorker({ queue })
+      .register('test-job', async () => ({ ok: true }));
+
+    const processed = await worker.tick();
+
+    expect(processed).toBe(1);
+    expect(queue.completed[0].result).toEqual({ ok: true });
+  });
+});
+
+describe('Analysis pipeline', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await JournalEntry.deleteMany({});
+    await Job.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await JournalEntry.deleteMany({});
+    await Job.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  it('should take a pending entry through to completed', async () => {
+    const entry = await JournalEntry.create({ userId, content: SAMPLE_ENTRY, date: new Date() });
+    const worker = createWorker({ analysisProvider: new StubAnalysisProvider() });
+
+    await worker.tick();
+
+    const analyzed = await JournalEntry.findById(entry._id);
+    expect(analyzed.processingStatus).toBe('completed');
+    expect(analyzed.summary).toBeTruthy();
+    expect(analyzed.moodScore).toBeGreaterThanOrEqual(1);
+    expect(analyzed.tags.length).toBeGreaterThan(0);
+  });
+
+  it('should discard results when the entry is edited mid-analysis', async () => {
+    const entry = await JournalEntry.create({ userId, content: SAMPLE_ENTRY, date: new Date() });
+    const provider = {
+      name: 'editing',
+      async analyze(input) {
+        await JournalEntry.findById(entry._id).then(doc => {
+          doc.content = 'Rewritten while analysis was running';
+          doc.processingStatus = 'pending';
+          return doc.save();
+        });
+        return new StubAnalysisProvider().analyze(input);
+      },
+    };
+    const service = new AnalysisService({ provider });
+
+    await service.enqueuePendingEntries();
+    const job = await Job.findOne({ 'payload.entryId': entry._id.toString() });
+    const result = await service.analyzeEntry(job);
+
+    expect(result.skipped).toBe(true);
+    const current = await JournalEntry.findById(entry._id);
+    expect(current.processingStatus).toBe('pending');
+    expect(current.tags).toHaveLength(0);
+  });
+
+  it('should mark the entry failed when retries are exhausted', async () => {
+    const entry = await JournalEntry.create({ userId, content: SAMPLE_ENTRY, date: new Date() });
+    const provider = {
+      name: 'broken',
+      async analyze() {
+        throw new AnalysisProviderError('invalid key', { retryable: false });
+      },
+    };
+    const worker = createWorker({ analysisProvider: provider });
+
+    await worker.tick();
+
+    const failed = await JournalEntry.findById(entry._id);
+    expect(failed.processingStatus).toBe('failed');
+  });
+});
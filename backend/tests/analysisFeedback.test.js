@@ -0,0 +1,293 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const AnalysisFeedback = require('../models/AnalysisFeedback');
+const InsightCache = require('../models/InsightCache');
+const { AnalysisService } = require('../services/analysisService');
+const {
+  AnalysisFeedbackService,
+  applyTagFeedback,
+  tallyVerdicts,
+  summarizePrecision,
+} = require('../services/analysisFeedbackService');
+const { discoverThemes } = require('../services/personaDiscoveryService');
+const { entryToMarkdown } = require('../services/export/markdown');
+const { analyzedEntries } = require('./fixtures/analyzedEntries');
+const { createTestApp, signToken } = require('./fixtures/testApp');
+
+// Keep recordings off DigitalOcean Spaces
+jest.mock('../services/uploadService', () => ({
+  UploadService: jest.fn().mockImplementation(() => ({
+    deleteFile: jest.fn().mockResolvedValue(true),
+  })),
+  audioUpload: { single: () => (req, res, next) => next() },
+  importUpload: { array: () => (req, res, next) => next() },
+}));
+
+const tag = (namespace, name, extra = {}) => ({ namespace, name, confidence: 0.8, ...extra });
+const verdict = (namespace, name, action, correction) => ({ tag: { namespace, name }, action, correction });
+
+describe('applyTagFeedback', () => {
+  const tags = [tag('activity', 'running'), tag('emotion', 'calm'), tag('relationship', 'friend')];
+
+  it('should mark reviewed tags and leave the rest alone', () => {
+    const result = applyTagFeedback(tags, [
+      verdict('activity', 'running', 'rejected'),
+      verdict('emotion', 'calm', 'accepted'),
+    ]);
+
+    expect(result.map(({ name, status }) => [name, status])).toEqual([
+      ['running', 'rejected'],
+      ['calm', 'accepted'],
+      ['friend', undefined],
+    ]);
+  });
+
+  it('should put the user\'s correction in place of an edited tag', () => {
+    const result = applyTagFeedback(tags, [
+      verdict('relationship', 'friend', 'edited', { namespace: 'relationship', name: 'sister' }),
+    ]);
+
+    expect(result.find(({ name }) => name === 'friend').status).toBe('rejected');
+    expect(result.find(({ name }) => name === 'sister')).toMatchObject({ source: 'user', status: 'accepted' });
+  });
+
+  it('should accept an existing tag rather than duplicate it', () => {
+    const result = applyTagFeedback(tags, [
+      verdict('activity', 'running', 'edited', { namespace: 'emotion', name: 'calm' }),
+    ]);
+
+    expect(result).toHaveLength(3);
+    expect(result.find(({ name }) => name === 'calm').status).toBe('accepted');
+  });
+
+  it('should rebuild user tags from the latest feedback only', () => {
+    const stored = [...tags, tag('relationship', 'sister', { source: 'user', status: 'accepted' })];
+
+    const result = applyTagFeedback(stored, [verdict('relationship', 'friend', 'accepted')]);
+
+    expect(result.map(({ name }) => name)).toEqual(['running', 'calm', 'friend']);
+  });
+});
+
+describe('Analysis precision', () => {
+  it('should count edits and rejections against precision', () => {
+    expect(tallyVerdicts([
+      { action: 'accepted', count: 6 },
+      { action: 'rejected', count: 3 },
+      { action: 'edited', count: 1 },
+    ])).toEqual({ reviewed: 10, accepted: 6, rejected: 3, edited: 1, precision: 0.6 });
+    expect(tallyVerdicts([]).precision).toBeNull();
+  });
+
+  it('should report precision per namespace, most reviewed first', () => {
+    const metrics = summarizePrecision([
+      { namespace: 'emotion', action: 'accepted', count: 1 },
+      { namespace: 'activity', action: 'accepted', count: 3 },
+      { namespace: 'activity', action: 'rejected', count: 1 },
+    ]);
+
+    expect(metrics.map(({ namespace, precision }) => [namespace, precision])).toEqual([
+      ['activity', 0.75],
+      ['emotion', 1],
+    ]);
+  });
+});
+
+describe('Rejected tags', () => {
+  it('should not shape discovered personas', () => {
+    const corrected = analyzedEntries.map(entry => ({
+      ...entry,
+      tags: entry.tags.map(item => (item.name === 'mother' ? { ...item, status: 'rejected' } : item)),
+    }));
+
+    const themes = discoverThemes(corrected).map(theme => theme.themeTags);
+
+    expect(themes).toContainEqual(['activity:running', 'emotion:calm']);
+    expect(themes.flat()).not.toContain('relationship:mother');
+  });
+
+  it('should be left out of Markdown exports', () => {
+    const markdown = entryToMarkdown({
+      _id: 'entry',
+      journalDay: '2024-03-04',
+      content: 'Ran by the river.',
+      tags: [
+        tag('activity', 'running', { evidence: { quote: 'Ran' } }),
+        tag('activity', 'swimming', { status: 'rejected', evidence: { quote: 'river' } }),
+      ],
+    });
+
+    expect(markdown).toContain('activity:running');
+    expect(markdown).not.toContain('swimming');
+  });
+});
+
+describe('Analysis feedback', () => {
+  let app;
+  let testUser;
+  let authToken;
+  let entry;
+
+  beforeAll(async () => {
+    app = createTestApp({
+      '/api/journal': require('../routes/journal'),
+      '/api/insights': require('../routes/insights'),
+    });
+
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      JournalEntry.deleteMany({}),
+      AnalysisFeedback.deleteMany({}),
+      InsightCache.deleteMany({}),
+    ]);
+
+    testUser = await User.create({
+      googleId: 'google-feedback',
+      email: 'feedback@example.com',
+      name: 'Careful Reader',
+    });
+    authToken = await signToken(testUser);
+    entry = await JournalEntry.create({
+      userId: testUser._id,
+      content: 'Went for a run with my sister.',
+      date: new Date('2024-03-04T12:00:00Z'),
+      processingStatus: 'completed',
+      summary: 'A run with a friend.',
+      moodScore: 7,
+      tags: [tag('activity', 'running'), tag('relationship', 'friend'), tag('emotion', 'anxious', { confidence: 0.4 })],
+    });
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      JournalEntry.deleteMany({}),
+      AnalysisFeedback.deleteMany({}),
+      InsightCache.deleteMany({}),
+    ]);
+    await mongoose.connection.close();
+  });
+
+  const review = (path, body) => request(app)
+    .post(`/api/journal/${entry._id}/${path}`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(body);
+
+  it('should store a rejection and keep the tag out of insights', async () => {
+    const response = await review('tags/review', { namespace: 'emotion', name: 'anxious', action: 'rejected' })
+      .expect(200);
+
+    expect(response.body.data.tags.find(({ name }) => name === 'anxious').status).toBe('rejected');
+
+    const feedback = await AnalysisFeedback.findOne({ entryId: entry._id });
+    expect(feedback).toMatchObject({ target: 'tag', action: 'rejected', tag: { name: 'anxious', confidence: 0.4 } });
+
+    const themes = await request(app)
+      .get('/api/insights/themes')
+      .query({ granularity: 'week', from: '2024-03-01T00:00:00Z', to: '2024-03-08T00:00:00Z' })
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    expect(themes.body.data.series.map(series => series.tag)).not.toContain('emotion:anxious');
+  });
+
+  it('should replace an edited tag with the correction', async () => {
+    const response = await review('tags/review', {
+      namespace: 'relationship',
+      name: 'friend',
+      action: 'edited',
+      correction: { namespace: 'relationship', name: 'Sister' },
+    }).expect(200);
+
+    expect(response.body.data.tags).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'friend', status: 'rejected' }),
+      expect.objectContaining({ name: 'sister', source: 'user', status: 'accepted' }),
+    ]));
+  });
+
+  it('should let a later verdict replace an earlier one', async () => {
+    await review('tags/review', { namespace: 'activity', name: 'running', action: 'rejected' }).expect(200);
+    const response = await review('tags/review', { namespace: 'activity', name: 'running', action: 'accepted' })
+      .expect(200);
+
+    expect(response.body.data.tags.find(({ name }) => name === 'running').status).toBe('accepted');
+    expect(await AnalysisFeedback.countDocuments({ entryId: entry._id })).toBe(1);
+  });
+
+  it('should refuse feedback on tags the analysis didn\'t produce', async () => {
+    const response = await review('tags/review', { namespace: 'growth', name: 'patience', action: 'accepted' })
+      .expect(404);
+    expect(response.body.code).toBe('TAG_NOT_FOUND');
+
+    await review('tags/review', { namespace: 'activity', name: 'running', action: 'edited' }).expect(400);
+  });
+
+  it('should refuse feedback before analysis completes', async () => {
+    await JournalEntry.updateOne({ _id: entry._id }, { $set: { processingStatus: 'pending' } });
+
+    const response = await review('summary/review', { action: 'accepted' }).expect(409);
+    expect(response.body.code).toBe('ANALYSIS_NOT_COMPLETE');
+  });
+
+  it('should remove a rejected summary and keep an edited one', async () => {
+    let response = await review('summary/review', { action: 'rejected' }).expect(200);
+    expect(response.body.data.summary).toBeUndefined();
+    expect(response.body.data.summaryReview).toBe('rejected');
+
+    response = await review('summary/review', { action: 'edited', summary: 'A run with my sister.' }).expect(200);
+    expect(response.body.data.summary).toBe('A run with my sister.');
+    expect(await AnalysisFeedback.countDocuments({ entryId: entry._id, target: 'summary' })).toBe(1);
+  });
+
+  it('should keep corrections when the entry is analyzed again', async () => {
+    await review('tags/review', { namespace: 'activity', name: 'running', action: 'rejected' }).expect(200);
+    await review('summary/review', { action: 'edited', summary: 'My words.' }).expect(200);
+    await JournalEntry.updateOne({ _id: entry._id }, { $set: { processingStatus: 'queued' } });
+
+    const provider = {
+      name: 'fixed',
+      async analyze() {
+        return { summary: 'Fresh summary.', moodScore: 6, tags: [tag('activity', 'running'), tag('emotion', 'calm')] };
+      },
+    };
+    const service = new AnalysisService({ provider, queue: { enqueue: jest.fn() } });
+    await service.analyzeEntry({ payload: { entryId: entry._id.toString() } });
+
+    const analyzed = await JournalEntry.findById(entry._id);
+    expect(analyzed.summary).toBe('My words.');
+    expect(analyzed.tags.find(({ name }) => name === 'running').status).toBe('rejected');
+    expect(analyzed.tags.find(({ name }) => name === 'calm').status).toBeUndefined();
+  });
+
+  it('should drop feedback with the entry', async () => {
+    await review('tags/review', { namespace: 'activity', name: 'running', action: 'accepted' }).expect(200);
+
+    await request(app)
+      .delete(`/api/journal/${entry._id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(await AnalysisFeedback.countDocuments()).toBe(0);
+  });
+
+  it('should measure precision per namespace', async () => {
+    await review('tags/review', { namespace: 'activity', name: 'running', action: 'accepted' }).expect(200);
+    await review('tags/review', { namespace: 'relationship', name: 'friend', action: 'rejected' }).expect(200);
+    await review('summary/review', { action: 'accepted' }).expect(200);
+
+    const { tags, summaries } = await new AnalysisFeedbackService().precision();
+
+    expect(tags).toEqual(expect.arrayContaining([
+      expect.objectContaining({ namespace: 'activity', reviewed: 1, precision: 1 }),
+      expect.objectContaining({ namespace: 'relationship', reviewed: 1, precision: 0 }),
+    ]));
+    expect(summaries).toMatchObject({ reviewed: 1, accepted: 1, precision: 1 });
+  });
+});
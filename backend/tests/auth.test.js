@@ -3,6 +3,9 @@ const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const express = require('express');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const AuthorizationCode = require('../models/AuthorizationCode');
+const Device = require('../models/Device');
 
 // Create a test app without starting the server
 const createTestApp = () => {
@@ -43,6 +46,10 @@ const createTestApp = () => {
 process.env.JWT_SECRET = 'test-jwt-secret-at-least-32-characters-long';
 process.env.GOOGLE_CLIENT_ID = 'test-google-client-id';
 process.env.GOOGLE_CLIENT_SECRET = 'test-google-client-secret';
+process.env.OAUTH_REDIRECT_URIS = 'exp://localhost:19000/auth';
+
+// Loads passport, so it must come after the environment is set
+const { TokenService, hashToken, pkceChallenge } = require('../services/tokenService');
 
 describe('Authentication System', () => {
   let testUser;
@@ -60,8 +67,11 @@ describe('Authentication System', () => {
   });
 
   beforeEach(async () => {
-    // Clean up users collection
+    // Clean up users and sessions
     await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await AuthorizationCode.deleteMany({});
+    await Device.deleteMany({});
 
     // Create a test user
     testUser = await User.create({
@@ -72,19 +82,13 @@ describe('Authentication System', () => {
     });
 
     // Generate auth token
-    authToken = jwt.sign(
-      {
-        userId: testUser._id,
-        email: testUser.email,
-        name: testUser.name
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    ({ accessToken: authToken } = await new TokenService().issueTokens(testUser));
   });
 
   afterAll(async () => {
     await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Device.deleteMany({});
     await mongoose.connection.close();
   });
 
@@ -102,9 +106,11 @@ describe('Authentication System', () => {
   });
 
   describe('GET /auth/google', () => {
+    const codeChallenge = pkceChallenge('a'.repeat(64));
+
     it('should redirect to Google OAuth', async () => {
       const response = await request(app)
-        .get('/auth/google')
+        .get(`/auth/google?code_challenge=${codeChallenge}`)
         .expect(302);
 
       expect(response.headers.location).toContain('accounts.google.com');
@@ -114,11 +120,86 @@ describe('Authentication System', () => {
       const redirectUri = 'exp://localhost:19000/auth';
       
       await request(app)
-        .get(`/auth/google?redirect_uri=${encodeURIComponent(redirectUri)}`)
+        .get(`/auth/google?redirect_uri=${encodeURIComponent(redirectUri)}&code_challenge=${codeChallenge}`)
         .expect(302);
 
       // Session storage is tested implicitly through the OAuth flow
     });
+
+    it('should refuse a redirect URI that is not registered', async () => {
+      const response = await request(app)
+        .get(`/auth/google?redirect_uri=${encodeURIComponent('https://evil.example/collect')}&code_challenge=${codeChallenge}`)
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_REDIRECT_URI');
+    });
+
+    it('should require a PKCE code challenge', async () => {
+      const response = await request(app)
+        .get('/auth/google')
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('POST /auth/token', () => {
+    const codeVerifier = 'verifier-'.padEnd(64, 'x');
+    const redirectUri = 'personaarcana://auth';
+    let code;
+
+    beforeEach(async () => {
+      code = await new TokenService().createAuthorizationCode(testUser, {
+        codeChallenge: pkceChallenge(codeVerifier),
+        redirectUri,
+      });
+    });
+
+    it('should exchange a code and verifier for tokens and user data', async () => {
+      const response = await request(app)
+        .post('/auth/token')
+        .send({ code, codeVerifier, redirectUri })
+        .expect(200);
+
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(response.body.data.user.email).toBe(testUser.email);
+      const claims = jwt.verify(response.body.data.token, process.env.JWT_SECRET);
+      expect(claims.userId).toBe(testUser._id.toString());
+    });
+
+    it('should only redeem a code once', async () => {
+      await request(app)
+        .post('/auth/token')
+        .send({ code, codeVerifier, redirectUri })
+        .expect(200);
+
+      const replay = await request(app)
+        .post('/auth/token')
+        .send({ code, codeVerifier, redirectUri })
+        .expect(400);
+
+      expect(replay.body.code).toBe('INVALID_GRANT');
+    });
+
+    it('should reject a wrong verifier and burn the code', async () => {
+      const wrong = await request(app)
+        .post('/auth/token')
+        .send({ code, codeVerifier: 'wrong-'.padEnd(64, 'y'), redirectUri })
+        .expect(400);
+      expect(wrong.body.code).toBe('INVALID_GRANT');
+
+      await request(app)
+        .post('/auth/token')
+        .send({ code, codeVerifier, redirectUri })
+        .expect(400);
+    });
+
+    it('should reject a code redeemed for a different redirect URI', async () => {
+      await request(app)
+        .post('/auth/token')
+        .send({ code, codeVerifier, redirectUri: 'evil://auth' })
+        .expect(400);
+    });
   });
 
   describe('POST /auth/verify', () => {
@@ -168,6 +249,32 @@ describe('Authentication System', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error).toContain('Token expired');
     });
+
+    it('should reject a token that belongs to no session', async () => {
+      const legacyToken = jwt.sign(
+        { userId: testUser._id, email: testUser.email },
+        process.env.JWT_SECRET,
+        { expiresIn: '30d' }
+      );
+
+      const response = await request(app)
+        .post('/auth/verify')
+        .set('Authorization', `Bearer ${legacyToken}`)
+        .expect(401);
+
+      expect(response.body.code).toBe('SESSION_REVOKED');
+    });
+
+    it('should reject a token whose session has no device record', async () => {
+      await Device.deleteMany({ userId: testUser._id });
+
+      const response = await request(app)
+        .post('/auth/verify')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(401);
+
+      expect(response.body.code).toBe('SESSION_REVOKED');
+    });
   });
 
   describe('POST /auth/logout', () => {
@@ -188,6 +295,180 @@ describe('Authentication System', () => {
 
       expect(response.body.success).toBe(false);
     });
+
+    it('should revoke the session so its refresh token stops working', async () => {
+      const tokens = await new TokenService().issueTokens(testUser);
+
+      await request(app)
+        .post('/auth/logout')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+
+      expect(response.body.code).toBe('SESSION_REVOKED');
+    });
+  });
+
+  describe('POST /auth/refresh', () => {
+    let tokenService;
+
+    beforeEach(() => {
+      tokenService = new TokenService();
+    });
+
+    it('should rotate the refresh token and issue a new access token', async () => {
+      const tokens = await tokenService.issueTokens(testUser);
+
+      const response = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      expect(response.body.data.refreshToken).not.toBe(tokens.refreshToken);
+      const claims = jwt.verify(response.body.data.token, process.env.JWT_SECRET);
+      expect(claims.userId).toBe(testUser._id.toString());
+      expect(claims.sid).toBe(tokens.sessionId);
+
+      // Only hashes are stored, and the old token is marked rotated
+      const stored = await RefreshToken.find({ familyId: tokens.sessionId }).sort({ createdAt: 1 });
+      expect(stored).toHaveLength(2);
+      expect(stored[0].rotatedAt).toBeDefined();
+      expect(stored[1].tokenHash).toBe(hashToken(response.body.data.refreshToken));
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      const tokens = await tokenService.issueTokens(testUser);
+
+      const first = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      const replay = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+      expect(replay.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+      // The token handed out by the legitimate rotation is dead too
+      const followUp = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken })
+        .expect(401);
+      expect(followUp.body.code).toBe('SESSION_REVOKED');
+    });
+
+    it('should reject unknown and expired refresh tokens', async () => {
+      const unknown = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: 'not-a-real-token' })
+        .expect(401);
+      expect(unknown.body.code).toBe('INVALID_REFRESH_TOKEN');
+
+      const expired = await new TokenService({ refreshTokenTtlMs: -1000 }).issueTokens(testUser);
+      const response = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: expired.refreshToken })
+        .expect(401);
+      expect(response.body.code).toBe('REFRESH_TOKEN_EXPIRED');
+    });
+  });
+
+  describe('Device sessions', () => {
+    let tokenService;
+
+    beforeEach(async () => {
+      tokenService = new TokenService();
+      // Start without the session authToken belongs to
+      await RefreshToken.deleteMany({});
+      await Device.deleteMany({});
+    });
+
+    it('should record the device a session signs in and refreshes from', async () => {
+      const tokens = await tokenService.issueTokens(testUser, {
+        device: { platform: 'ios', appVersion: '1.0.0', name: 'Test iPhone' },
+        ip: '203.0.113.5'
+      });
+
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken, device: { appVersion: '1.1.0', pushToken: 'ExponentPushToken[abc]' } })
+        .expect(200);
+
+      const device = await Device.findOne({ sessionId: tokens.sessionId });
+      expect(device).toMatchObject({ platform: 'ios', appVersion: '1.1.0', name: 'Test iPhone', pushToken: 'ExponentPushToken[abc]' });
+      expect(device.lastSeenIp).toMatch(/127\.0\.0\.1$/);
+    });
+
+    it('should list active sessions and flag the current one', async () => {
+      const phone = await tokenService.issueTokens(testUser, { device: { platform: 'ios' } });
+      const tablet = await tokenService.issueTokens(testUser, { device: { platform: 'android' } });
+      await tokenService.revokeFamily(tablet.sessionId, 'logout');
+
+      const response = await request(app)
+        .get('/api/users/me/sessions')
+        .set('Authorization', `Bearer ${phone.accessToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toMatchObject({ id: phone.sessionId, platform: 'ios', current: true });
+      expect(response.body.data[0].pushToken).toBeUndefined();
+    });
+
+    it('should refuse access tokens of a revoked session', async () => {
+      const phone = await tokenService.issueTokens(testUser);
+      const laptop = await tokenService.issueTokens(testUser);
+
+      await request(app)
+        .delete(`/api/users/me/sessions/${laptop.sessionId}`)
+        .set('Authorization', `Bearer ${phone.accessToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${laptop.accessToken}`)
+        .expect(401);
+      expect(response.body.code).toBe('SESSION_REVOKED');
+
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: laptop.refreshToken })
+        .expect(401);
+    });
+
+    it("should not revoke another user's session", async () => {
+      const otherUser = await User.create({ googleId: 'other-google', email: 'other@example.com', name: 'Other' });
+      const theirs = await tokenService.issueTokens(otherUser);
+      const mine = await tokenService.issueTokens(testUser);
+
+      const response = await request(app)
+        .delete(`/api/users/me/sessions/${theirs.sessionId}`)
+        .set('Authorization', `Bearer ${mine.accessToken}`)
+        .expect(404);
+      expect(response.body.code).toBe('SESSION_NOT_FOUND');
+    });
+
+    it('should sign out everywhere', async () => {
+      const phone = await tokenService.issueTokens(testUser);
+      const laptop = await tokenService.issueTokens(testUser);
+
+      const response = await request(app)
+        .delete('/api/users/me/sessions')
+        .set('Authorization', `Bearer ${phone.accessToken}`)
+        .expect(200);
+      expect(response.body.data.revokedSessions).toBe(2);
+
+      for (const { accessToken } of [phone, laptop]) {
+        await request(app)
+          .get('/api/users/me')
+          .set('Authorization', `Bearer ${accessToken}`)
+          .expect(401);
+      }
+    });
   });
 
   describe('Authentication Middleware', () => {
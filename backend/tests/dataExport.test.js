@@ -0,0 +1,245 @@
+const { Readable } = require('stream');
+const { buffer } = require('stream/consumers');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const Persona = require('../models/Persona');
+const DataExport = require('../models/DataExport');
+const Job = require('../models/Job');
+const { entryToMarkdown } = require('../services/export/markdown');
+const { readZip } = require('../services/import/zip');
+const {
+  DataExportService,
+  EXPORT_DATA_JOB,
+  EXPIRE_EXPORT_JOB,
+} = require('../services/dataExportService');
+const { createTestApp, signToken } = require('./fixtures/testApp');
+
+const SIGNED_URL = 'https://bucket.example.com/exports/archive.zip?signature=abc';
+
+// Keep archives off DigitalOcean Spaces
+jest.mock('../services/uploadService', () => ({
+  UploadService: jest.fn().mockImplementation(() => ({
+    getSignedDownloadUrl: jest.fn().mockResolvedValue('https://bucket.example.com/exports/archive.zip?signature=abc'),
+  })),
+}));
+
+/**
+ * Read an uploaded archive back
+ * @param {Buffer} archive - Zip contents
+ * @returns {Promise<Object>} File contents by name
+ */
+const readArchive = async archive => Object.fromEntries(
+  (await readZip(archive)).map(({ name, data }) => [name, data])
+);
+
+describe('entryToMarkdown', () => {
+  it('should render front matter, content, summary and tag evidence', () => {
+    const markdown = entryToMarkdown({
+      _id: 'entry-1',
+      date: new Date('2025-03-01T23:30:00Z'),
+      content: 'Long walk, long talk.',
+      moodScore: 7,
+      summary: 'A restorative evening.',
+      tags: [{ namespace: 'emotion', name: 'calm', evidence: { quote: 'Long walk' } }],
+    }, 'Asia/Tokyo');
+
+    expect(markdown).toContain('date: 2025-03-02');
+    expect(markdown).toContain('mood: 7');
+    expect(markdown).toContain('  - emotion:calm');
+    expect(markdown).toContain('## Summary\n\nA restorative evening.');
+    expect(markdown).toContain('- **emotion:calm**: "Long walk"');
+  });
+});
+
+describe('Data export', () => {
+  let app;
+  let testUser;
+  let authToken;
+
+  beforeAll(async () => {
+    app = createTestApp({ '/api/users': require('../routes/users') });
+
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await Promise.all([User, JournalEntry, Persona, DataExport, Job].map(model => model.deleteMany({})));
+
+    testUser = await User.create({
+      googleId: 'google-export',
+      email: 'export@example.com',
+      name: 'Exporter',
+      profileImage: 'https://bucket.example.com/profiles/me/photo.webp',
+    });
+    authToken = await signToken(testUser);
+  });
+
+  afterAll(async () => {
+    await Promise.all([User, JournalEntry, Persona, DataExport, Job].map(model => model.deleteMany({})));
+    await mongoose.connection.close();
+  });
+
+  describe('POST /api/users/me/export', () => {
+    it('should queue one export at a time', async () => {
+      const first = await request(app)
+        .post('/api/users/me/export')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(202);
+
+      expect(first.body.data.status).toBe('queued');
+      const job = await Job.findOne({ type: EXPORT_DATA_JOB });
+      expect(job.payload.exportId).toBe(first.body.data.id);
+
+      const second = await request(app)
+        .post('/api/users/me/export')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(202);
+
+      expect(second.body.data.id).toBe(first.body.data.id);
+      expect(await Job.countDocuments({ type: EXPORT_DATA_JOB })).toBe(1);
+    });
+  });
+
+  describe('GET /api/users/me/export/:exportId', () => {
+    it('should sign a download link once the export is complete', async () => {
+      const dataExport = await DataExport.create({
+        userId: testUser._id,
+        status: 'completed',
+        key: `exports/${testUser._id}/archive.zip`,
+        size: 1024,
+        counts: { journalEntries: 2, personas: 1, media: 0 },
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      });
+
+      const response = await request(app)
+        .get(`/api/users/me/export/${dataExport._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.status).toBe('completed');
+      expect(response.body.data.downloadUrl).toBe(SIGNED_URL);
+      expect(response.body.data.counts.journalEntries).toBe(2);
+    });
+
+    it("should not show another user's export", async () => {
+      const other = await User.create({ googleId: 'google-other', email: 'other@example.com', name: 'Other' });
+      const dataExport = await DataExport.create({ userId: other._id });
+
+      const response = await request(app)
+        .get(`/api/users/me/export/${dataExport._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body.code).toBe('EXPORT_NOT_FOUND');
+    });
+  });
+
+  describe('export job', () => {
+    let uploadService;
+    let service;
+    let archives;
+
+    beforeEach(() => {
+      archives = new Map();
+      uploadService = {
+        streamFile: jest.fn(async url => (url.includes('photo') ? Readable.from([Buffer.from('webp-bytes')]) : null)),
+        streamObject: jest.fn().mockResolvedValue(null),
+        uploadPrivateFile: jest.fn(async (key, body) => {
+          archives.set(key, await buffer(body));
+          return key;
+        }),
+        deleteObject: jest.fn().mockResolvedValue(true),
+      };
+      service = new DataExportService({ uploadService });
+    });
+
+    it('should zip the journal, personas and media and schedule the archive to expire', async () => {
+      await JournalEntry.create([
+        {
+          userId: testUser._id,
+          content: 'First entry',
+          date: new Date('2025-01-01T12:00:00Z'),
+          summary: 'A beginning',
+          tags: [{ namespace: 'growth', name: 'new-start', confidence: 0.9 }],
+        },
+        {
+          userId: testUser._id,
+          source: 'voice',
+          content: 'Spoken entry',
+          date: new Date('2025-01-02T12:00:00Z'),
+          audio: { key: 'audio/me/gone.m4a' },
+        },
+      ]);
+      await Persona.create({
+        userId: testUser._id,
+        name: 'The Seeker',
+        archetype: 'The Seeker',
+        giftForm: { title: 'The Pathfinder' },
+        shadowForm: { title: 'The Restless Wanderer' },
+      });
+
+      const { dataExport } = await service.requestExport(testUser);
+      const job = await Job.findOne({ type: EXPORT_DATA_JOB });
+      const result = await service.buildExport(job);
+
+      expect(result).toMatchObject({ journalEntries: 2, personas: 1, media: 1 });
+
+      const [key] = uploadService.uploadPrivateFile.mock.calls[0];
+      expect(key).toMatch(new RegExp(`^exports/${testUser._id}/.*${dataExport._id}\\.zip$`));
+
+      const archive = archives.get(key);
+      const files = await readArchive(archive);
+      const profile = JSON.parse(files['profile.json']);
+      expect(profile.email).toBe('export@example.com');
+      expect(JSON.parse(files['journal/entries.json'])[0].summary).toBe('A beginning');
+      expect(Object.keys(files).filter(name => name.startsWith('journal/markdown/'))).toHaveLength(2);
+      expect(JSON.parse(files['personas/personas.json'])[0].name).toBe('The Seeker');
+      expect(files['media/profile/profile.webp'].toString()).toBe('webp-bytes');
+      expect(JSON.parse(files['manifest.json']).missingMedia).toEqual(['audio/me/gone.m4a']);
+
+      const stored = await DataExport.findById(dataExport._id);
+      expect(stored.status).toBe('completed');
+      expect(stored.size).toBe(archive.length);
+
+      const expiry = await Job.findOne({ type: EXPIRE_EXPORT_JOB });
+      expect(expiry.payload.key).toBe(key);
+      expect(expiry.runAt).toEqual(stored.expiresAt);
+    });
+
+    it('should abort the upload when a file cannot be fetched', async () => {
+      uploadService.streamFile.mockRejectedValue(new Error('File download failed: Spaces unavailable'));
+      let uploadError;
+      uploadService.uploadPrivateFile.mockImplementation((key, body) => buffer(body).catch((error) => {
+        uploadError = error;
+        throw error;
+      }));
+
+      const { dataExport } = await service.requestExport(testUser);
+      const job = await Job.findOne({ type: EXPORT_DATA_JOB });
+
+      await expect(service.buildExport(job)).rejects.toThrow('Spaces unavailable');
+      expect(uploadError.message).toMatch('Spaces unavailable');
+      expect((await DataExport.findById(dataExport._id)).status).toBe('processing');
+    });
+
+    it('should record a failure once the job gives up', async () => {
+      const { dataExport } = await service.requestExport(testUser);
+      const job = await Job.findOne({ type: EXPORT_DATA_JOB });
+
+      await service.markFailed(job, new Error('Spaces unavailable'));
+
+      const stored = await DataExport.findById(dataExport._id);
+      expect(stored.status).toBe('failed');
+      expect(stored.expiresAt).toBeInstanceOf(Date);
+
+      // A failed export doesn't block a new one
+      const retry = await service.requestExport(testUser);
+      expect(retry.status).toBe('created');
+    });
+  });
+});
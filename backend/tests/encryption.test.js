@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const Persona = require('../models/Persona');
+const { entryToMarkdown } = require('../services/export/markdown');
+const { createTestApp, signToken } = require('./fixtures/testApp');
+
+// Keep recordings off DigitalOcean Spaces
+jest.mock('../services/uploadService', () => ({
+  UploadService: jest.fn().mockImplementation(() => ({
+    deleteFile: jest.fn().mockResolvedValue(true),
+  })),
+  audioUpload: { single: () => (req, res, next) => next() },
+  importUpload: { array: () => (req, res, next) => next() },
+}));
+
+const base64 = bytes => crypto.randomBytes(bytes).toString('base64');
+
+// What the app sends; the server treats all of it as opaque
+const wrapped = () => ({ nonce: base64(24), ciphertext: base64(48) });
+const encryptedContent = () => ({ algorithm: 'xchacha20-poly1305', nonce: base64(24), ciphertext: base64(64) });
+
+describe('entryToMarkdown for encrypted entries', () => {
+  it('should point at encryption.json instead of showing content', () => {
+    const markdown = entryToMarkdown({
+      _id: 'entry-1',
+      date: new Date('2025-03-01T12:00:00Z'),
+      encrypted: encryptedContent(),
+    });
+
+    expect(markdown).toContain('encrypted: true');
+    expect(markdown).toContain('See encryption.json');
+  });
+});
+
+describe('End-to-end encryption', () => {
+  let app;
+  let testUser;
+  let authToken;
+  let keys;
+
+  beforeAll(async () => {
+    app = createTestApp({
+      '/api/users': require('../routes/users'),
+      '/api/journal': require('../routes/journal'),
+    });
+
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await JournalEntry.deleteMany({});
+    await Persona.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      googleId: 'google-encryption',
+      email: 'encryption@example.com',
+      name: 'Private Writer',
+    });
+    authToken = await signToken(testUser);
+    keys = {
+      kdf: { algorithm: 'scrypt', salt: base64(16), cost: 2 ** 15, blockSize: 8, parallelism: 1 },
+      passphraseKey: wrapped(),
+      recoveryKey: wrapped(),
+      keyProof: base64(32),
+    };
+  });
+
+  afterAll(async () => {
+    await JournalEntry.deleteMany({});
+    await Persona.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  const enable = () => request(app)
+    .post('/api/users/me/encryption')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(keys);
+
+  describe('POST /api/users/me/encryption', () => {
+    it('should store the wrapped keys but not the key proof', async () => {
+      const response = await enable().expect(201);
+
+      expect(response.body.data).toMatchObject({ enabled: true, passphraseKey: keys.passphraseKey });
+      expect(response.body.data.keyProofHash).toBeUndefined();
+
+      const { body } = await request(app)
+        .get('/api/users/me/encryption')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(body.data.recoveryKey).toEqual(keys.recoveryKey);
+
+      // Wrapped keys stay out of the regular profile
+      const profile = await request(app).get('/api/users/me').set('Authorization', `Bearer ${authToken}`);
+      expect(profile.body.data.encryption).toEqual({ enabled: true, enabledAt: expect.any(String) });
+    });
+
+    it('should drop evidence quotes copied into personas', async () => {
+      const persona = await Persona.create({
+        userId: testUser._id,
+        name: 'The Quiet Seeker',
+        archetype: 'The Seeker',
+        giftForm: { title: 'Presence' },
+        shadowForm: { title: 'Avoidance' },
+        evidenceQuotes: [{ entryId: new mongoose.Types.ObjectId(), quote: 'I need time alone', tag: 'theme:solitude' }],
+      });
+
+      await enable().expect(201);
+
+      const stored = await Persona.findById(persona._id).lean();
+      expect(stored.evidenceQuotes).toBeUndefined();
+    });
+
+    it('should refuse to replace the keys by enabling again', async () => {
+      await enable().expect(201);
+      const response = await enable().expect(409);
+
+      expect(response.body.code).toBe('ENCRYPTION_ALREADY_ENABLED');
+    });
+  });
+
+  describe('PUT /api/users/me/encryption/keys', () => {
+    it('should re-wrap the data key only with the matching key proof', async () => {
+      await enable();
+      const passphraseKey = wrapped();
+
+      const refused = await request(app)
+        .put('/api/users/me/encryption/keys')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ keyProof: base64(32), kdf: keys.kdf, passphraseKey })
+        .expect(403);
+      expect(refused.body.code).toBe('INVALID_KEY_PROOF');
+
+      const response = await request(app)
+        .put('/api/users/me/encryption/keys')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ keyProof: keys.keyProof, kdf: keys.kdf, passphraseKey })
+        .expect(200);
+      expect(response.body.data.passphraseKey).toEqual(passphraseKey);
+      expect(response.body.data.recoveryKey).toEqual(keys.recoveryKey);
+    });
+  });
+
+  describe('journal entries', () => {
+    it('should store ciphertext without analyzing it', async () => {
+      await enable();
+      const encrypted = encryptedContent();
+
+      const response = await request(app)
+        .post('/api/journal')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ encrypted, wordCount: 12 })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ encrypted, wordCount: 12, processingStatus: 'skipped' });
+      expect(response.body.data.content).toBeUndefined();
+    });
+
+    it('should refuse plaintext once encryption is on', async () => {
+      await enable();
+
+      const response = await request(app)
+        .post('/api/journal')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'Readable by the server' })
+        .expect(409);
+
+      expect(response.body.code).toBe('ENCRYPTION_REQUIRED');
+    });
+
+    it('should drop plaintext and its analysis when an existing entry is encrypted', async () => {
+      const entry = await JournalEntry.create({
+        userId: testUser._id,
+        content: 'Written before encryption',
+        date: new Date(),
+        summary: 'A summary of it',
+        moodScore: 6,
+        tags: [{ namespace: 'emotion', name: 'calm', evidence: { quote: 'Written before' } }],
+        processingStatus: 'completed',
+      });
+      await enable();
+
+      const pending = await request(app)
+        .get('/api/journal?encrypted=false')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(pending.body.data.entries).toHaveLength(1);
+
+      await request(app)
+        .put(`/api/journal/${entry._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ encrypted: encryptedContent(), wordCount: 3 })
+        .expect(200);
+
+      const stored = await JournalEntry.findById(entry._id).lean();
+      expect(stored.content).toBeUndefined();
+      expect(stored.contentHash).toBeUndefined();
+      expect(stored.summary).toBeUndefined();
+      expect(stored.tags).toEqual([]);
+      expect(stored.processingStatus).toBe('skipped');
+
+      const remaining = await request(app)
+        .get('/api/journal?encrypted=false')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(remaining.body.data.entries).toHaveLength(0);
+    });
+
+    it('should turn away features that read entry text', async () => {
+      await enable();
+
+      const search = await request(app)
+        .get('/api/journal/search?q=calm')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+      expect(search.body.code).toBe('ENCRYPTION_ENABLED');
+
+      const voice = await request(app)
+        .post('/api/journal/voice')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+      expect(voice.body.code).toBe('ENCRYPTION_ENABLED');
+    });
+  });
+});
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const Persona = require('../models/Persona');
+const { EnvKeyProvider, parseKeys } = require('../services/fieldEncryption/envKeyProvider');
+const { FieldCipher, setFieldCipher, ENCRYPTED_PREFIX } = require('../services/fieldEncryption');
+
+const masterKey = () => crypto.randomBytes(32).toString('base64');
+
+const useKeys = (keys, currentKeyId) => {
+  const cipher = new FieldCipher({ provider: new EnvKeyProvider({ keys, currentKeyId }) });
+  setFieldCipher(cipher);
+  return cipher;
+};
+
+describe('parseKeys', () => {
+  it('should read keyId:base64 pairs in order', () => {
+    const keys = parseKeys(`2025-01:${masterKey()}, 2025-07:${masterKey()}`);
+
+    expect([...keys.keys()]).toEqual(['2025-01', '2025-07']);
+    expect(keys.get('2025-07')).toHaveLength(32);
+  });
+
+  it('should reject keys that are not 32 bytes', () => {
+    expect(() => parseKeys(`short:${crypto.randomBytes(16).toString('base64')}`)).toThrow('32-byte keys');
+    expect(() => parseKeys(masterKey())).toThrow('keyId:base64');
+  });
+});
+
+describe('EnvKeyProvider', () => {
+  it('should wrap with the last key by default and unwrap with any listed key', async () => {
+    const oldKeys = `old:${masterKey()}`;
+    const provider = new EnvKeyProvider({ keys: oldKeys });
+    const dataKey = crypto.randomBytes(32);
+    const wrapped = await provider.wrapKey(dataKey);
+
+    const rotated = new EnvKeyProvider({ keys: `${oldKeys},new:${masterKey()}` });
+
+    expect(rotated.currentKeyId).toBe('new');
+    expect(await rotated.unwrapKey(wrapped)).toEqual(dataKey);
+  });
+
+  it('should refuse a current key that is not configured', () => {
+    expect(() => new EnvKeyProvider({ keys: `a:${masterKey()}`, currentKeyId: 'b' })).toThrow('not in FIELD_ENCRYPTION_KEYS');
+  });
+
+  it('should refuse to unwrap under a removed key', async () => {
+    const provider = new EnvKeyProvider({ keys: `old:${masterKey()}` });
+    const wrapped = await provider.wrapKey(crypto.randomBytes(32));
+
+    await expect(new EnvKeyProvider({ keys: `new:${masterKey()}` }).unwrapKey(wrapped)).rejects.toThrow('"old" is not configured');
+  });
+});
+
+describe('FieldCipher', () => {
+  let cipher;
+
+  beforeAll(() => {
+    cipher = new FieldCipher({ provider: new EnvKeyProvider({ keys: `k1:${masterKey()}` }) });
+  });
+
+  it('should round-trip values bound to their path', async () => {
+    const { key } = await cipher.createDataKey();
+    const stored = cipher.encrypt(key, 'content', 'Dear diary');
+
+    expect(stored.startsWith(ENCRYPTED_PREFIX)).toBe(true);
+    expect(stored).not.toContain('diary');
+    expect(cipher.decrypt(key, 'content', stored)).toBe('Dear diary');
+    expect(() => cipher.decrypt(key, 'summary', stored)).toThrow();
+  });
+
+  it('should re-wrap data keys without changing them', async () => {
+    const keys = `k1:${masterKey()}`;
+    const before = new FieldCipher({ provider: new EnvKeyProvider({ keys }) });
+    const { atRest, key } = await before.createDataKey();
+
+    const after = new FieldCipher({ provider: new EnvKeyProvider({ keys: `${keys},k2:${masterKey()}` }) });
+    const rewrapped = await after.rewrap(atRest);
+
+    expect(rewrapped.keyId).toBe('k2');
+    expect(await new FieldCipher({ provider: after.provider }).unwrap(rewrapped)).toEqual(key);
+  });
+
+  it('should fail to unwrap when no keys are configured', async () => {
+    await expect(new FieldCipher().unwrap({ keyId: 'k1', dataKey: 'AAAA' })).rejects.toThrow('FIELD_ENCRYPTION_KEYS');
+  });
+});
+
+describe('JournalEntry.decryptFields', () => {
+  let cipher;
+  let stored;
+
+  beforeAll(async () => {
+    cipher = useKeys(`k1:${masterKey()}`);
+    const { atRest, key } = await cipher.createDataKey();
+    stored = {
+      _id: new mongoose.Types.ObjectId(),
+      userId: new mongoose.Types.ObjectId(),
+      date: new Date(),
+      wordCount: 2,
+      content: cipher.encrypt(key, 'content', 'Hello there'),
+      summary: cipher.encrypt(key, 'summary', 'Greeting'),
+      tags: [{ name: 'hello', namespace: 'insight', evidence: { quote: cipher.encrypt(key, 'tags.evidence.quote', 'Hello'), reasoning: 'Greets' } }],
+      atRest,
+    };
+  });
+
+  afterAll(() => {
+    setFieldCipher(null);
+  });
+
+  it('should decrypt hydrated documents without marking them modified', async () => {
+    const [entry] = await JournalEntry.decryptFields([JournalEntry.hydrate(structuredClone(stored))]);
+
+    expect(entry.content).toBe('Hello there');
+    expect(entry.summary).toBe('Greeting');
+    expect(entry.tags[0].evidence.quote).toBe('Hello');
+    expect(entry.modifiedPaths()).toEqual([]);
+    expect(entry.toJSON().atRest).toBeUndefined();
+  });
+
+  it('should decrypt lean documents and drop their wrapped key', async () => {
+    const [entry] = await JournalEntry.decryptFields([structuredClone(stored)]);
+
+    expect(entry.content).toBe('Hello there');
+    expect(entry.tags[0].evidence.quote).toBe('Hello');
+    expect(entry.atRest).toBeUndefined();
+  });
+});
+
+describe('Field encryption at rest', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let oldKeys;
+
+  const raw = id => JournalEntry.collection.findOne({ _id: id });
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await JournalEntry.deleteMany({});
+    await Persona.deleteMany({});
+    oldKeys = `k1:${masterKey()}`;
+    useKeys(oldKeys);
+  });
+
+  afterAll(async () => {
+    await JournalEntry.deleteMany({});
+    await Persona.deleteMany({});
+    setFieldCipher(null);
+    await mongoose.connection.close();
+  });
+
+  it('should store ciphertext and read back plaintext', async () => {
+    const entry = await JournalEntry.create({ userId, content: 'Walked by the river', date: new Date() });
+
+    expect(entry.content).toBe('Walked by the river');
+    expect(entry.wordCount).toBe(4);
+
+    const stored = await raw(entry._id);
+    expect(stored.content.startsWith(ENCRYPTED_PREFIX)).toBe(true);
+    expect(stored.atRest.keyId).toBe('k1');
+    expect(stored.contentHash).toBe(JournalEntry.hashContent('Walked by the river'));
+
+    const found = await JournalEntry.findById(entry._id);
+    expect(found.content).toBe('Walked by the river');
+    expect(found.toJSON().atRest).toBeUndefined();
+
+    const [lean] = await JournalEntry.find({ userId }).select('content').lean();
+    expect(lean.content).toBe('Walked by the river');
+    expect(lean.atRest).toBeUndefined();
+  });
+
+  it('should encrypt analysis results written with updateOne', async () => {
+    const entry = await JournalEntry.create({ userId, content: 'A calm morning', date: new Date() });
+
+    await JournalEntry.updateOne(
+      { _id: entry._id },
+      {
+        summary: 'Felt calm',
+        tags: [{ name: 'calm', namespace: 'emotion', confidence: 0.9, evidence: { quote: 'calm morning', reasoning: 'Says so' } }],
+      }
+    );
+
+    const stored = await raw(entry._id);
+    expect(stored.summary.startsWith(ENCRYPTED_PREFIX)).toBe(true);
+    expect(stored.tags[0].evidence.quote.startsWith(ENCRYPTED_PREFIX)).toBe(true);
+    expect(stored.tags[0].evidence.reasoning).toBe('Says so');
+
+    const found = await JournalEntry.findById(entry._id).lean();
+    expect(found.summary).toBe('Felt calm');
+    expect(found.tags[0].evidence.quote).toBe('calm morning');
+  });
+
+  it('should encrypt evidence quotes copied into personas', async () => {
+    const entryId = new mongoose.Types.ObjectId();
+    const persona = await Persona.create({
+      userId,
+      name: 'The Calm Seeker',
+      archetype: 'The Seeker',
+      giftForm: { title: 'Presence' },
+      shadowForm: { title: 'Avoidance' },
+      evidenceQuotes: [{ entryId, quote: 'calm morning', tag: 'emotion:calm' }],
+    });
+
+    const stored = await Persona.collection.findOne({ _id: persona._id });
+    expect(stored.evidenceQuotes[0].quote.startsWith(ENCRYPTED_PREFIX)).toBe(true);
+    expect(stored.evidenceQuotes[0].tag).toBe('emotion:calm');
+
+    const [lean] = await Persona.find({ userId }).lean();
+    expect(lean.evidenceQuotes[0].quote).toBe('calm morning');
+  });
+
+  it('should refuse bulk writes to encrypted fields', async () => {
+    await expect(JournalEntry.updateMany({ userId }, { summary: 'Same for all' })).rejects.toThrow('one document at a time');
+  });
+
+  it('should re-wrap old keys and encrypt legacy plaintext on rotation', async () => {
+    const entry = await JournalEntry.create({ userId, content: 'Old secret', date: new Date() });
+    const legacyId = new mongoose.Types.ObjectId();
+    await JournalEntry.collection.insertOne({
+      _id: legacyId, userId, content: 'Written before encryption', date: new Date(), wordCount: 3, tags: [],
+    });
+
+    const newKey = `k2:${masterKey()}`;
+    useKeys(`${oldKeys},${newKey}`);
+    const counts = await JournalEntry.rotateFieldKeys();
+
+    expect(counts).toEqual({ scanned: 2, rewrapped: 1, encrypted: 1, skipped: 0 });
+    expect((await raw(entry._id)).atRest.keyId).toBe('k2');
+    expect((await raw(legacyId)).content.startsWith(ENCRYPTED_PREFIX)).toBe(true);
+    expect(await JournalEntry.rotateFieldKeys({ dryRun: true })).toMatchObject({ scanned: 0 });
+
+    // The old master key is no longer needed
+    useKeys(newKey);
+    const entries = await JournalEntry.find({ userId }).lean();
+    expect(entries.map(({ content }) => content).sort()).toEqual(['Old secret', 'Written before encryption']);
+  });
+});
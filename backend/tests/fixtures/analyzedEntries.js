@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Analyzed journal entries with two recurring themes (caring for mum,
+// running to decompress) plus one-off noise, for persona discovery tests
+const tag = (namespace, name, quote, confidence = 0.8) => ({
+  namespace,
+  name,
+  confidence,
+  evidence: { quote, reasoning: `Mentions ${name}` },
+});
+
+const entry = (day, moodScore, tags, embeddings) => ({
+  _id: new mongoose.Types.ObjectId(`6500000000000000000000${String(day).padStart(2, '0')}`),
+  date: new Date(Date.UTC(2024, 4, day)),
+  moodScore,
+  tags,
+  embeddings,
+});
+
+const analyzedEntries = [
+  entry(1, 3, [
+    tag('relationship', 'mother', 'Mum called three times today.'),
+    tag('emotion', 'stressed', 'I feel stretched thin.'),
+    tag('activity', 'cooking', 'Cooked for her again.'),
+  ], [1, 0, 0]),
+  entry(2, 7, [
+    tag('activity', 'running', 'Went for a long run.'),
+    tag('emotion', 'calm', 'Felt calm afterwards.'),
+  ], [0, 1, 0]),
+  entry(3, 4, [
+    tag('relationship', 'mother', 'Took mum to the doctor.', 0.9),
+    tag('emotion', 'stressed', 'Work piled up while I was out.'),
+  ], [0.9, 0.1, 0]),
+  entry(4, 8, [
+    tag('activity', 'running', 'Ran by the river.'),
+    tag('emotion', 'calm', 'My head cleared.'),
+    tag('insight', 'routine', 'Running keeps me steady.', 0.3),
+  ], [0.1, 0.9, 0]),
+  entry(5, 6, [
+    tag('relationship', 'mother', 'Mum seemed happier today.'),
+    tag('activity', 'cooking', 'We cooked together.'),
+    tag('emotion', 'stressed', 'Still worried about next week.', 0.6),
+  ], [0.8, 0, 0.2]),
+  entry(6, 7, [
+    tag('activity', 'running', 'Short run before work.'),
+    tag('emotion', 'calm', 'Started the day calm.'),
+  ], [0, 0.95, 0.05]),
+  entry(7, 5, [
+    tag('growth', 'pottery', 'First pottery class.'),
+  ], [0, 0, 1]),
+  entry(8, 2, [
+    tag('relationship', 'mother', 'Argued with mum about the move.'),
+    tag('emotion', 'stressed', 'Could not sleep.'),
+    tag('challenge', 'conflict', 'We both said things we regret.'),
+  ], [0.85, 0, 0.15]),
+];
+
+module.exports = { analyzedEntries, tag, entry };
@@ -0,0 +1,46 @@
+const express = require('express');
+
+// Auth configuration for route tests; set before anything loads the
+// passport config
+process.env.JWT_SECRET = 'test-jwt-secret-at-least-32-characters-long';
+process.env.GOOGLE_CLIENT_ID = 'test-google-client-id';
+process.env.GOOGLE_CLIENT_SECRET = 'test-google-client-secret';
+
+/**
+ * Create a test app without starting the server. Require the routers in
+ * the test, after its environment and mocks are in place.
+ * @param {Object<string, express.Router>} routes - Routers by mount path
+ * @returns {express.Application} App with JSON bodies, passport and the
+ *   API's error handling around the routers
+ */
+const createTestApp = (routes) => {
+  const app = express();
+
+  const { errorHandler, notFound } = require('../../middleware/errorHandler');
+  const passport = require('../../config/passport');
+
+  app.use(express.json());
+  app.use(passport.initialize());
+
+  for (const [path, router] of Object.entries(routes)) {
+    app.use(path, router);
+  }
+
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+/**
+ * Issue an access token for a user, as sign-in would
+ * @param {Object} user - User document
+ * @returns {Promise<string>} Access token
+ */
+const signToken = async (user) => {
+  const { TokenService } = require('../../services/tokenService');
+  const { accessToken } = await new TokenService().issueTokens(user);
+  return accessToken;
+};
+
+module.exports = { createTestApp, signToken };
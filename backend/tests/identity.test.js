@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const MagicLink = require('../models/MagicLink');
+const RefreshToken = require('../models/RefreshToken');
+const { AppleTokenVerifier, APPLE_ISSUER } = require('../services/identity/appleTokenVerifier');
+const { IdentityTokenError } = require('../services/identity/errors');
+const { ConsoleMailer } = require('../services/mail/consoleMailer');
+const { createTestApp } = require('./fixtures/testApp');
+
+// Apple identity tokens must be issued for this app
+process.env.APPLE_CLIENT_ID = 'com.personaarcana.app';
+
+const BUNDLE_ID = 'com.personaarcana.app';
+const NONCE = 'raw-nonce-from-the-app-0123456789';
+const CODE_VERIFIER = 'magic-link-verifier-'.padEnd(64, 'v');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const JWKS = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' }] };
+
+const jwksFetch = jest.fn(async () => ({ ok: true, json: async () => JWKS }));
+
+const signAppleToken = (claims = {}, { keyid = 'test-key', audience = BUNDLE_ID } = {}) => jwt.sign(
+  {
+    sub: 'apple-user-1',
+    email: 'apple@example.com',
+    email_verified: 'true',
+    nonce: crypto.createHash('sha256').update(NONCE).digest('hex'),
+    ...claims,
+  },
+  privateKey,
+  { algorithm: 'RS256', keyid, audience, issuer: APPLE_ISSUER, expiresIn: '5m' }
+);
+
+describe('Apple identity token verification', () => {
+  let verifier;
+
+  beforeEach(() => {
+    jwksFetch.mockClear();
+    verifier = new AppleTokenVerifier({ audience: [BUNDLE_ID], fetchImpl: jwksFetch });
+  });
+
+  it('should return the subject and verified email from a valid token', async () => {
+    const claims = await verifier.verify(signAppleToken(), { nonce: NONCE });
+
+    expect(claims).toEqual({ subject: 'apple-user-1', email: 'apple@example.com', emailVerified: true });
+  });
+
+  it('should reject tokens issued for another app', async () => {
+    const token = signAppleToken({}, { audience: 'com.someone.else' });
+
+    await expect(verifier.verify(token, { nonce: NONCE })).rejects.toThrow(IdentityTokenError);
+  });
+
+  it('should reject tokens whose nonce does not match', async () => {
+    await expect(verifier.verify(signAppleToken(), { nonce: 'a-different-nonce-value' }))
+      .rejects.toThrow('nonce');
+  });
+
+  it('should cache keys and refetch only for an unknown key ID', async () => {
+    await verifier.verify(signAppleToken(), { nonce: NONCE });
+    await verifier.verify(signAppleToken(), { nonce: NONCE });
+    expect(jwksFetch).toHaveBeenCalledTimes(1);
+
+    await expect(verifier.verify(signAppleToken({}, { keyid: 'rotated-key' }), { nonce: NONCE }))
+      .rejects.toThrow('unknown key');
+    expect(jwksFetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('Alternative sign-in methods', () => {
+  let app;
+  let sendMail;
+
+  const codeChallenge = crypto.createHash('sha256').update(CODE_VERIFIER).digest('base64url');
+
+  const requestMagicLink = async (email) => {
+    await request(app).post('/auth/magic-link').send({ email, codeChallenge }).expect(202);
+    const { text } = sendMail.mock.calls[sendMail.mock.calls.length - 1][0];
+    return decodeURIComponent(text.match(/token=([^\s]+)/)[1]);
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(global, 'fetch').mockImplementation(jwksFetch);
+    sendMail = jest.spyOn(ConsoleMailer.prototype, 'send').mockResolvedValue();
+    app = createTestApp({ '/auth': require('../routes/auth') });
+
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    sendMail.mockClear();
+    await Promise.all([User.deleteMany({}), MagicLink.deleteMany({}), RefreshToken.deleteMany({})]);
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await Promise.all([User.deleteMany({}), MagicLink.deleteMany({}), RefreshToken.deleteMany({})]);
+    await mongoose.connection.close();
+  });
+
+  it('should mirror googleId as a linked Google identity', async () => {
+    const user = await User.create({ googleId: 'google-1', email: 'mirror@example.com', name: 'Mirror' });
+
+    expect(user.findIdentity('google')).toMatchObject({ subject: 'google-1', email: 'mirror@example.com' });
+  });
+
+  it('should sign in with a magic link and link it to the existing account', async () => {
+    const existing = await User.create({ googleId: 'google-2', email: 'writer@example.com', name: 'Writer' });
+
+    const token = await requestMagicLink('Writer@Example.com');
+    const response = await request(app)
+      .post('/auth/magic-link/verify')
+      .send({ token, codeVerifier: CODE_VERIFIER })
+      .expect(200);
+
+    expect(response.body.data.user.id).toBe(existing._id.toString());
+    expect(response.body.data.user.identities).toEqual(['google', 'email']);
+    expect(response.body.data.refreshToken).toBeDefined();
+  });
+
+  it('should not redeem a magic link twice or with the wrong verifier', async () => {
+    const token = await requestMagicLink('new@example.com');
+
+    const wrong = await request(app)
+      .post('/auth/magic-link/verify')
+      .send({ token, codeVerifier: 'someone-elses-verifier-'.padEnd(64, 'x') })
+      .expect(400);
+    expect(wrong.body.code).toBe('INVALID_MAGIC_LINK');
+
+    // The failed attempt spent the link
+    await request(app)
+      .post('/auth/magic-link/verify')
+      .send({ token, codeVerifier: CODE_VERIFIER })
+      .expect(400);
+    expect(await User.countDocuments({ email: 'new@example.com' })).toBe(0);
+  });
+
+  it('should create an account from a Sign in with Apple token', async () => {
+    const response = await request(app)
+      .post('/auth/apple')
+      .send({ identityToken: signAppleToken(), nonce: NONCE, fullName: { givenName: 'Ada', familyName: 'Apple' } })
+      .expect(200);
+
+    expect(response.body.data.user.name).toBe('Ada Apple');
+    expect(response.body.data.user.identities).toEqual(['apple']);
+
+    const again = await request(app)
+      .post('/auth/apple')
+      .send({ identityToken: signAppleToken(), nonce: NONCE })
+      .expect(200);
+    expect(again.body.data.user.id).toBe(response.body.data.user.id);
+  });
+
+  it('should not link an Apple sign-in whose email is unverified', async () => {
+    await User.create({ googleId: 'google-3', email: 'apple@example.com', name: 'Existing' });
+
+    const response = await request(app)
+      .post('/auth/apple')
+      .send({ identityToken: signAppleToken({ email_verified: 'false' }), nonce: NONCE })
+      .expect(409);
+
+    expect(response.body.code).toBe('ACCOUNT_EXISTS');
+  });
+
+  it('should reject a forged Apple token', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const forged = jwt.sign({ sub: 'apple-user-1', nonce: 'x' }, otherKey, {
+      algorithm: 'RS256',
+      keyid: 'test-key',
+      audience: BUNDLE_ID,
+      issuer: APPLE_ISSUER,
+    });
+
+    const response = await request(app)
+      .post('/auth/apple')
+      .send({ identityToken: forged, nonce: NONCE })
+      .expect(401);
+
+    expect(response.body.code).toBe('INVALID_IDENTITY_TOKEN');
+  });
+});
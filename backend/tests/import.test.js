@@ -0,0 +1,244 @@
+const { buffer } = require('stream/consumers');
+const archiver = require('archiver');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const JournalImport = require('../models/JournalImport');
+const Job = require('../models/Job');
+const { readZip } = require('../services/import/zip');
+const { parseImportFile } = require('../services/import');
+const { parseCsv } = require('../services/import/csv');
+const { parseImportDate, dateFromFileName } = require('../services/import/dates');
+const { ANALYZE_ENTRY_JOB } = require('../services/analysisService');
+const { ImportService, IMPORT_JOURNAL_JOB } = require('../services/importService');
+
+// Keep uploads off DigitalOcean Spaces
+jest.mock('../services/uploadService', () => ({
+  UploadService: jest.fn().mockImplementation(() => ({})),
+}));
+
+/**
+ * Build a zip in memory, as an export from another app would arrive
+ * @param {Array<{name: string, data: Buffer|string}>} files - Archive contents
+ * @returns {Promise<Buffer>} Zip file contents
+ */
+const createZip = async (files) => {
+  const archive = archiver('zip');
+  files.forEach(({ name, data }) => archive.append(data, { name }));
+  archive.finalize();
+  return buffer(archive);
+};
+
+const dayOneExport = {
+  metadata: { version: '1.0' },
+  entries: [
+    {
+      uuid: 'D1-A',
+      creationDate: '2021-06-01T07:30:00Z',
+      text: 'Sunrise run\\. Felt great\\!\n\n![](dayone-moment://ABC)',
+      photos: [{ md5: 'abc123', type: 'jpeg' }],
+    },
+    { uuid: 'D1-B', creationDate: 'not a date', text: 'Lost' },
+  ],
+};
+
+describe('readZip', () => {
+  it('should read back the files in an archive', async () => {
+    const text = 'Dear journal, '.repeat(100);
+    const archive = await createZip([
+      { name: 'a.md', data: text },
+      { name: 'photos/b.jpeg', data: Buffer.from([1, 2, 3]) },
+    ]);
+
+    const files = await readZip(archive);
+    expect(files.map(file => file.name)).toEqual(['a.md', 'photos/b.jpeg']);
+    expect(files[0].data.toString()).toBe(text);
+  });
+
+  it('should reject files that are not zips', async () => {
+    await expect(readZip(Buffer.from('plain text'))).rejects.toThrow('Not a zip archive');
+  });
+
+  it('should refuse archives that expand past maxSize', async () => {
+    const archive = await createZip([{ name: 'big.md', data: 'a'.repeat(10000) }]);
+
+    await expect(readZip(archive, { maxSize: 1000 })).rejects.toThrow('Zip contents are too large');
+  });
+});
+
+describe('import dates', () => {
+  it("should put plain days at noon in the user's timezone", () => {
+    expect(parseImportDate('2021-06-01', 'America/New_York').toISOString()).toBe('2021-06-01T16:00:00.000Z');
+    expect(parseImportDate('2021-06-01T07:30:00Z', 'Asia/Tokyo').toISOString()).toBe('2021-06-01T07:30:00.000Z');
+    expect(parseImportDate('yesterday')).toBeNull();
+  });
+
+  it('should read dates and times from file names', () => {
+    expect(dateFromFileName('2021-06-01 0730 Morning pages.md', 'UTC').toISOString()).toBe('2021-06-01T07:30:00.000Z');
+    expect(dateFromFileName('2021-13-01.md')).toBeNull();
+    expect(dateFromFileName('notes.md')).toBeNull();
+  });
+});
+
+describe('parseImportFile', () => {
+  it('should read a Day One zip with its photos', async () => {
+    const archive = await createZip([
+      { name: 'Journal.json', data: JSON.stringify(dayOneExport) },
+      { name: 'photos/abc123.jpeg', data: Buffer.from('jpeg-bytes') },
+    ]);
+
+    const result = await parseImportFile({ name: 'export.zip', data: archive });
+
+    expect(result.format).toBe('day-one');
+    expect(result.entries).toHaveLength(1);
+    expect(result.entries[0]).toMatchObject({ content: 'Sunrise run. Felt great!', originalId: 'D1-A', format: 'day-one' });
+    expect(result.entries[0].photos[0].data.toString()).toBe('jpeg-bytes');
+    expect(result.errors).toEqual([{ item: 'Journal.json entry D1-B', message: 'Entry has no creation date' }]);
+  });
+
+  it('should read Journey entries and flatten their HTML', async () => {
+    const archive = await createZip([
+      { name: 'journey/1.json', data: JSON.stringify({ id: 'J-1', date_journal: 1622530800000, text: '<p>Tea &amp; toast</p><p>Slow morning</p>' }) },
+    ]);
+
+    const { format, entries } = await parseImportFile({ name: 'journey.zip', data: archive });
+
+    expect(format).toBe('journey');
+    expect(entries[0].content).toBe('Tea & toast\n\nSlow morning');
+    expect(entries[0].date.toISOString()).toBe('2021-06-01T07:00:00.000Z');
+  });
+
+  it('should read a folder of Markdown files, reporting the ones without dates', async () => {
+    const archive = await createZip([
+      { name: 'notes/2021-06-01.md', data: '# Day one\n\nStarted a journal.' },
+      { name: 'notes/ideas.md', data: '---\ndate: 2021-06-02T21:00:00Z\n---\nBuild a shed.' },
+      { name: 'notes/undated.md', data: 'No idea when.' },
+      { name: '__MACOSX/notes/._2021-06-01.md', data: 'resource fork' },
+    ]);
+
+    const { format, entries, errors } = await parseImportFile({ name: 'notes.zip', data: archive }, { timeZone: 'UTC' });
+
+    expect(format).toBe('folder');
+    expect(entries.map(entry => entry.content)).toEqual(['# Day one\n\nStarted a journal.', 'Build a shed.']);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].item).toBe('notes/undated.md');
+  });
+
+  it('should read CSV rows and report unreadable ones', async () => {
+    const csv = 'Date,Entry\n2021-06-01,"Quoted, with a comma\nand a newline"\nsoon,Too vague\n';
+
+    const { entries, errors } = await parseImportFile({ name: 'journal.csv', data: Buffer.from(csv) });
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0].content).toBe('Quoted, with a comma\nand a newline');
+    expect(errors).toEqual([{ item: 'journal.csv row 3', message: 'Unreadable date "soon"' }]);
+  });
+
+  it('should detect semicolon-separated CSV', () => {
+    expect(parseCsv('date;text\n2021-06-01;"a;b"')).toEqual([['date', 'text'], ['2021-06-01', 'a;b']]);
+  });
+
+  it('should reject files in no supported format', async () => {
+    await expect(parseImportFile({ name: 'data.json', data: Buffer.from('{"hello":1}') }))
+      .rejects.toThrow('not a Day One or Journey export');
+  });
+});
+
+describe('Journal import', () => {
+  let testUser;
+  let uploadService;
+  let service;
+  let uploads;
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await Promise.all([User, JournalEntry, JournalImport, Job].map(model => model.deleteMany({})));
+
+    testUser = await User.create({
+      googleId: 'google-import',
+      email: 'import@example.com',
+      name: 'Importer',
+      timezone: 'UTC',
+    });
+
+    uploads = new Map();
+    uploadService = {
+      uploadPrivateFile: jest.fn(async (key, body) => uploads.set(key, body)),
+      downloadObject: jest.fn(async key => uploads.get(key) || null),
+      uploadJournalPhoto: jest.fn(async userId => `photos/${userId}/photo.jpeg`),
+      deletePrefix: jest.fn().mockResolvedValue(0),
+    };
+    service = new ImportService({ uploadService, analysisIntervalMs: 6000 });
+  });
+
+  afterAll(async () => {
+    await Promise.all([User, JournalEntry, JournalImport, Job].map(model => model.deleteMany({})));
+    await mongoose.connection.close();
+  });
+
+  const upload = (name, data) => ({ originalname: name, buffer: Buffer.from(data), size: data.length, mimetype: 'text/plain' });
+
+  it('should import entries, skip duplicates and spread out their analysis', async () => {
+    await JournalEntry.create({ userId: testUser._id, content: 'Already here', date: new Date('2021-05-01T12:00:00Z') });
+    const archive = await createZip([
+      { name: 'Journal.json', data: JSON.stringify(dayOneExport) },
+      { name: 'photos/abc123.jpeg', data: Buffer.from('jpeg-bytes') },
+    ]);
+
+    const created = await service.createImport(testUser, [
+      upload('journal.csv', 'date,text\n2021-06-02,Already here\n2021-06-03,New thoughts\n2021-06-04,New thoughts\n'),
+      { ...upload('dayone.zip', ''), buffer: archive, size: archive.length },
+    ]);
+    const job = await Job.findOne({ type: IMPORT_JOURNAL_JOB });
+    const now = new Date('2025-01-01T00:00:00Z');
+
+    const result = await service.runImport(job, now);
+
+    expect(result).toMatchObject({ imported: 2, duplicates: 2, photos: 1, errors: 1 });
+
+    const imported = await JournalEntry.find({ 'import.importId': created._id }).sort({ date: 1 });
+    expect(imported.map(entry => entry.content)).toEqual(['Sunrise run. Felt great!', 'New thoughts']);
+    expect(imported[0].photos[0].key).toBe(`photos/${testUser._id}/photo.jpeg`);
+    expect(imported.every(entry => entry.processingStatus === 'queued')).toBe(true);
+
+    const analysis = await Job.find({ type: ANALYZE_ENTRY_JOB }).sort({ runAt: 1 });
+    expect(analysis.map(queued => queued.runAt.getTime() - now.getTime())).toEqual([0, 6000]);
+
+    const report = await service.getImport(testUser._id, created._id);
+    expect(report.status).toBe('completed');
+    expect(report.files.map(file => file.format)).toEqual(['csv', 'day-one']);
+    expect(report.files[1].errors[0].message).toBe('Entry has no creation date');
+    expect(uploadService.deletePrefix).toHaveBeenCalledWith(`imports/${testUser._id}/${created._id}/`);
+  });
+
+  it('should fail only the file that cannot be read', async () => {
+    await service.createImport(testUser, [
+      upload('broken.json', '{not json'),
+      upload('2021-06-01.md', 'A quiet day.'),
+    ]);
+    const job = await Job.findOne({ type: IMPORT_JOURNAL_JOB });
+
+    await service.runImport(job);
+
+    const [stored] = await JournalImport.find({ userId: testUser._id });
+    expect(stored.files.map(file => file.status)).toEqual(['failed', 'imported']);
+    expect(stored.files[0].itemErrors[0].message).toBe('broken.json is not valid JSON');
+    expect(await JournalEntry.countDocuments({ userId: testUser._id })).toBe(1);
+  });
+
+  it('should keep finished files when the job gives up', async () => {
+    const created = await service.createImport(testUser, [upload('2021-06-01.md', 'A quiet day.')]);
+    const job = await Job.findOne({ type: IMPORT_JOURNAL_JOB });
+
+    await service.markFailed(job, new Error('Spaces unavailable'));
+
+    const stored = await JournalImport.findById(created._id);
+    expect(stored.status).toBe('failed');
+    expect(stored.expiresAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,237 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Persona = require('../models/Persona');
+const JournalEntry = require('../models/JournalEntry');
+const InsightCache = require('../models/InsightCache');
+const {
+  InsightsService,
+  invalidateInsights,
+  truncateDay,
+  bucketKeys,
+} = require('../services/insightsService');
+const { createTestApp, signToken } = require('./fixtures/testApp');
+
+const tag = (namespace, name) => ({ namespace, name, confidence: 0.8 });
+
+describe('Insight buckets', () => {
+  it('should truncate days to week and month starts', () => {
+    expect(truncateDay('2024-03-14', 'day')).toBe('2024-03-14');
+    expect(truncateDay('2024-03-14', 'week')).toBe('2024-03-11'); // Thursday → Monday
+    expect(truncateDay('2024-03-10', 'week')).toBe('2024-03-04'); // Sunday → previous Monday
+    expect(truncateDay('2024-03-14', 'month')).toBe('2024-03-01');
+  });
+
+  it('should enumerate every bucket in a range, including empty ones', () => {
+    expect(bucketKeys('2024-02-27', '2024-03-02', 'day')).toEqual([
+      '2024-02-27', '2024-02-28', '2024-02-29', '2024-03-01', '2024-03-02',
+    ]);
+    expect(bucketKeys('2024-03-06', '2024-03-20', 'week')).toEqual([
+      '2024-03-04', '2024-03-11', '2024-03-18',
+    ]);
+    expect(bucketKeys('2023-11-15', '2024-02-01', 'month')).toEqual([
+      '2023-11-01', '2023-12-01', '2024-01-01', '2024-02-01',
+    ]);
+  });
+});
+
+describe('Insights API', () => {
+  let app;
+  let testUser;
+  let otherUser;
+  let authToken;
+
+  beforeAll(async () => {
+    app = createTestApp({ '/api/insights': require('../routes/insights') });
+
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      JournalEntry.deleteMany({}),
+      Persona.deleteMany({}),
+      InsightCache.deleteMany({}),
+      User.deleteMany({}),
+    ]);
+
+    testUser = await User.create({
+      googleId: 'insights-1',
+      email: 'insights@example.com',
+      name: 'Insights User',
+      timezone: 'America/New_York',
+    });
+    otherUser = await User.create({ googleId: 'insights-2', email: 'insights-other@example.com', name: 'Other' });
+    authToken = await signToken(testUser);
+
+    await JournalEntry.create([
+      {
+        userId: testUser._id,
+        content: 'Ran by the river',
+        date: new Date('2024-03-04T15:00:00Z'),
+        processingStatus: 'completed',
+        moodScore: 8,
+        tags: [tag('activity', 'running'), tag('emotion', 'calm')],
+      },
+      {
+        userId: testUser._id,
+        // 01:30 UTC on the 6th is still the 5th in New York
+        content: 'Long day with mum',
+        date: new Date('2024-03-06T01:30:00Z'),
+        processingStatus: 'completed',
+        moodScore: 4,
+        tags: [tag('relationship', 'mother'), tag('emotion', 'stressed')],
+      },
+      {
+        userId: testUser._id,
+        content: 'Ran again',
+        date: new Date('2024-03-12T12:00:00Z'),
+        processingStatus: 'completed',
+        moodScore: 7,
+        tags: [tag('activity', 'running')],
+      },
+      {
+        userId: testUser._id,
+        content: 'Not analyzed yet',
+        date: new Date('2024-03-12T13:00:00Z'),
+        processingStatus: 'pending',
+      },
+      {
+        userId: otherUser._id,
+        content: 'Someone else ran',
+        date: new Date('2024-03-12T12:00:00Z'),
+        processingStatus: 'completed',
+        moodScore: 10,
+        tags: [tag('activity', 'running')],
+      },
+    ]);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      JournalEntry.deleteMany({}),
+      Persona.deleteMany({}),
+      InsightCache.deleteMany({}),
+      User.deleteMany({}),
+    ]);
+    await mongoose.connection.close();
+  });
+
+  it('should return weekly theme volumes aligned to buckets', async () => {
+    const response = await request(app)
+      .get('/api/insights/themes')
+      .query({ granularity: 'week', from: '2024-03-01T12:00:00Z', to: '2024-03-15T12:00:00Z' })
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    const { buckets, series, timezone } = response.body.data;
+    expect(timezone).toBe('America/New_York');
+    expect(buckets).toEqual(['2024-02-26', '2024-03-04', '2024-03-11']);
+
+    const running = series.find(s => s.tag === 'activity:running');
+    expect(running.values).toEqual([0, 1, 1]); // Other user's entry excluded
+  });
+
+  it('should bucket by the user\'s local day', async () => {
+    const response = await request(app)
+      .get('/api/insights/mood')
+      .query({ granularity: 'day', from: '2024-03-04T12:00:00Z', to: '2024-03-06T12:00:00Z', window: 2 })
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    const { points } = response.body.data;
+    expect(points.map(p => p.bucket)).toEqual(['2024-03-04', '2024-03-05', '2024-03-06']);
+    expect(points[1]).toMatchObject({ entries: 1, averageMood: 4, movingAverage: 6 });
+    expect(points[2]).toMatchObject({ entries: 0, averageMood: null });
+  });
+
+  it('should report persona activity from evidence entries', async () => {
+    const [running] = await JournalEntry.find({ userId: testUser._id, content: /Ran/ }).sort({ date: 1 });
+    await Persona.create({
+      userId: testUser._id,
+      name: 'The Runner',
+      archetype: 'The Explorer',
+      giftForm: { title: 'The Pathfinder' },
+      shadowForm: { title: 'The Escapist' },
+      evidenceEntryIds: [running._id],
+    });
+
+    const response = await request(app)
+      .get('/api/insights/personas/activity')
+      .query({ granularity: 'week', from: '2024-03-04T12:00:00Z', to: '2024-03-15T12:00:00Z' })
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.data.series).toHaveLength(1);
+    expect(response.body.data.series[0].values).toEqual([1, 0]);
+  });
+
+  it('should serve cached results until entries change', async () => {
+    const query = { granularity: 'week', from: '2024-03-01T12:00:00Z', to: '2024-03-15T12:00:00Z' };
+
+    const first = await request(app)
+      .get('/api/insights/themes')
+      .query(query)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    await JournalEntry.create({
+      userId: testUser._id,
+      content: 'Sneaky write that skips invalidation',
+      date: new Date('2024-03-12T14:00:00Z'),
+      processingStatus: 'completed',
+      tags: [tag('activity', 'running')],
+    });
+
+    const second = await request(app)
+      .get('/api/insights/themes')
+      .query(query)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(second.body.data.generatedAt).toBe(first.body.data.generatedAt);
+    expect(await InsightCache.countDocuments({ userId: testUser._id })).toBe(1);
+  });
+
+  it("should recompute cached results when the user's timezone changes", async () => {
+    const query = { granularity: 'day', from: '2024-03-05T12:00:00Z', to: '2024-03-06T12:00:00Z' };
+    const themes = () => request(app)
+      .get('/api/insights/themes')
+      .query(query)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    await themes();
+    await User.updateOne({ _id: testUser._id }, { $set: { timezone: 'UTC' } });
+    const response = await themes();
+
+    expect(response.body.data.timezone).toBe('UTC');
+    expect(await InsightCache.countDocuments({ userId: testUser._id })).toBe(2);
+  });
+
+  it('should not serve a result computed across an invalidation', async () => {
+    const service = new InsightsService();
+
+    await service.getCached(testUser._id, 'test', async () => {
+      await invalidateInsights(testUser._id);
+      return { run: 1 };
+    });
+    const next = await service.getCached(testUser._id, 'test', async () => ({ run: 2 }));
+    const cached = await service.getCached(testUser._id, 'test', async () => ({ run: 3 }));
+
+    expect(next.run).toBe(2);
+    expect(cached.run).toBe(2);
+  });
+
+  it('should reject an unknown granularity', async () => {
+    const response = await request(app)
+      .get('/api/insights/themes')
+      .query({ granularity: 'year' })
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+  });
+});
@@ -0,0 +1,337 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const Persona = require('../models/Persona');
+const { EmbeddingService } = require('../services/embeddingService');
+const { UploadService } = require('../services/uploadService');
+const { createTestApp, signToken } = require('./fixtures/testApp');
+
+describe('JournalEntry word count', () => {
+  it('should count whitespace-delimited words', () => {
+    expect(JournalEntry.countWords('Today I  felt\ncalm.')).toBe(4);
+    expect(JournalEntry.countWords('   ')).toBe(0);
+    expect(JournalEntry.countWords(undefined)).toBe(0);
+  });
+});
+
+describe('Journal API', () => {
+  let app;
+  let testUser;
+  let otherUser;
+  let authToken;
+
+  beforeAll(async () => {
+    app = createTestApp({ '/api/journal': require('../routes/journal') });
+
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await JournalEntry.deleteMany({});
+    await Persona.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      googleId: 'journal-google-123',
+      email: 'journal@example.com',
+      name: 'Journal User',
+    });
+    otherUser = await User.create({
+      googleId: 'journal-google-456',
+      email: 'journal-other@example.com',
+      name: 'Other Journal User',
+    });
+    authToken = await signToken(testUser);
+  });
+
+  afterAll(async () => {
+    await JournalEntry.deleteMany({});
+    await Persona.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  describe('POST /api/journal', () => {
+    it('should create an entry and compute wordCount server-side', async () => {
+      const response = await request(app)
+        .post('/api/journal')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'A quiet morning with coffee', wordCount: 999 })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.wordCount).toBe(5);
+      expect(response.body.data.userId).toBe(testUser._id.toString());
+      expect(response.body.data.processingStatus).toBe('pending');
+    });
+
+    it('should keep the user\'s stats in sync', async () => {
+      await request(app)
+        .post('/api/journal')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'First entry' })
+        .expect(201);
+
+      const user = await User.findById(testUser._id);
+      expect(user.stats.totalEntries).toBe(1);
+      expect(user.stats.streakDays).toBe(1);
+      expect(user.stats.lastEntryDate).toBeDefined();
+    });
+
+    it('should return the original entry when an offline create is replayed', async () => {
+      const payload = { content: 'Written on the train', clientId: '6f1c2f9e-8a4b-4c1d-9e2f-3a5b7c9d1e2f' };
+
+      const first = await request(app)
+        .post('/api/journal')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(payload)
+        .expect(201);
+
+      const replay = await request(app)
+        .post('/api/journal')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(payload)
+        .expect(200);
+
+      expect(replay.body.data._id).toBe(first.body.data._id);
+      expect(await JournalEntry.countDocuments({ userId: testUser._id })).toBe(1);
+
+      const user = await User.findById(testUser._id);
+      expect(user.stats.totalEntries).toBe(1);
+    });
+
+    it('should reject empty content', async () => {
+      const response = await request(app)
+        .post('/api/journal')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: '' })
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/api/journal')
+        .send({ content: 'Anonymous' })
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/journal', () => {
+    beforeEach(async () => {
+      const entries = [1, 2, 3, 4, 5].map(day => ({
+        userId: testUser._id,
+        content: `Entry for day ${day}`,
+        date: new Date(Date.UTC(2024, 0, day)),
+      }));
+      await JournalEntry.create(entries);
+      await JournalEntry.create({
+        userId: otherUser._id,
+        content: 'Not yours',
+        date: new Date(Date.UTC(2024, 0, 3)),
+      });
+    });
+
+    it('should page through entries with a cursor', async () => {
+      const first = await request(app)
+        .get('/api/journal?limit=2')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(first.body.data.entries.map(e => e.content)).toEqual([
+        'Entry for day 5',
+        'Entry for day 4',
+      ]);
+      expect(first.body.data.pagination.hasMore).toBe(true);
+
+      const second = await request(app)
+        .get(`/api/journal?limit=2&cursor=${first.body.data.pagination.nextCursor}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(second.body.data.entries.map(e => e.content)).toEqual([
+        'Entry for day 3',
+        'Entry for day 2',
+      ]);
+    });
+
+    it('should filter by date range', async () => {
+      const response = await request(app)
+        .get('/api/journal?from=2024-01-02T00:00:00.000Z&to=2024-01-03T00:00:00.000Z')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.entries).toHaveLength(2);
+      expect(response.body.data.pagination.hasMore).toBe(false);
+    });
+
+    it('should reject a malformed cursor', async () => {
+      const response = await request(app)
+        .get('/api/journal?cursor=not-a-cursor')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_CURSOR');
+    });
+  });
+
+  describe('GET /api/journal/search', () => {
+    it('should sign the media of matching entries', async () => {
+      const signUrl = jest.spyOn(UploadService.prototype, 'getSignedDownloadUrl')
+        .mockResolvedValue('https://cdn.example.com/signed/voice-note.m4a');
+      const entry = await JournalEntry.create({
+        userId: testUser._id,
+        source: 'voice',
+        content: 'Talking through the move to a new city',
+        date: new Date(),
+        audio: { key: 'audio/journal-user/voice-note.m4a', mimeType: 'audio/m4a' },
+        transcription: { status: 'reviewed' },
+        processingStatus: 'completed',
+      });
+      await new EmbeddingService().embedEntry({ payload: { entryId: entry._id.toString() } });
+
+      const response = await request(app)
+        .get('/api/journal/search?q=moving to a new city')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const [result] = response.body.data.results;
+      expect(result.entry._id).toBe(entry._id.toString());
+      expect(result.entry.audio).toEqual({ url: 'https://cdn.example.com/signed/voice-note.m4a', mimeType: 'audio/m4a' });
+      expect(signUrl).toHaveBeenCalledWith('audio/journal-user/voice-note.m4a', expect.any(Number));
+      signUrl.mockRestore();
+    });
+  });
+
+  describe('GET/PUT/DELETE /api/journal/:id', () => {
+    let entry;
+
+    beforeEach(async () => {
+      entry = await JournalEntry.create({
+        userId: testUser._id,
+        content: 'Original words here',
+        date: new Date(),
+        processingStatus: 'completed',
+      });
+    });
+
+    it('should edit content, recount words and reset analysis status', async () => {
+      const response = await request(app)
+        .put(`/api/journal/${entry._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'Just two' })
+        .expect(200);
+
+      expect(response.body.data.wordCount).toBe(2);
+      expect(response.body.data.processingStatus).toBe('pending');
+    });
+
+    it('should refuse an edit based on a stale version', async () => {
+      const staleVersion = entry.lastEditedAt.toISOString();
+      await request(app)
+        .put(`/api/journal/${entry._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'Edited on the web' })
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/api/journal/${entry._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'Edited offline', baseEditedAt: staleVersion })
+        .expect(409);
+
+      expect(response.body.code).toBe('EDIT_CONFLICT');
+      expect((await JournalEntry.findById(entry._id)).content).toBe('Edited on the web');
+    });
+
+    it('should record the client edit time for an up-to-date edit', async () => {
+      const editedAt = new Date(Date.now() - 60 * 1000).toISOString();
+
+      const response = await request(app)
+        .put(`/api/journal/${entry._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'Edited offline', baseEditedAt: entry.lastEditedAt.toISOString(), editedAt })
+        .expect(200);
+
+      expect(response.body.data.lastEditedAt).toBe(editedAt);
+    });
+
+    it('should deny access to another user\'s entry even with a spoofed userId', async () => {
+      const response = await request(app)
+        .put(`/api/journal/${entry._id}`)
+        .set('Authorization', `Bearer ${await signToken(otherUser)}`)
+        .send({ content: 'Hijacked', userId: otherUser._id.toString() })
+        .expect(403);
+
+      expect(response.body.code).toBe('ACCESS_DENIED');
+    });
+
+    it('should return 404 for a missing entry', async () => {
+      const response = await request(app)
+        .get(`/api/journal/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body.code).toBe('JOURNAL_ENTRY_NOT_FOUND');
+    });
+
+    it('should retry analysis only for a failed entry', async () => {
+      const refused = await request(app)
+        .post(`/api/journal/${entry._id}/analyze`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+      expect(refused.body.code).toBe('ANALYSIS_NOT_RETRYABLE');
+
+      await JournalEntry.updateOne({ _id: entry._id }, { $set: { processingStatus: 'failed' } });
+      const response = await request(app)
+        .post(`/api/journal/${entry._id}/analyze`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(202);
+
+      expect(response.body.data.processingStatus).toBe('pending');
+      expect((await JournalEntry.findById(entry._id)).processingStatus).toBe('pending');
+    });
+
+    it('should delete an owned entry', async () => {
+      await request(app)
+        .delete(`/api/journal/${entry._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(await JournalEntry.findById(entry._id)).toBeNull();
+
+      const user = await User.findById(testUser._id);
+      expect(user.stats.totalEntries).toBe(0);
+      expect(user.stats.streakDays).toBe(0);
+    });
+
+    it('should drop a deleted entry from persona evidence', async () => {
+      const kept = await JournalEntry.create({ userId: testUser._id, content: 'Kept words', date: new Date() });
+      await Persona.create({
+        userId: testUser._id,
+        name: 'The Writer',
+        archetype: 'The Sage',
+        giftForm: { title: 'The Wise Observer' },
+        shadowForm: { title: 'The Detached Overthinker' },
+        evidenceEntryIds: [entry._id, kept._id],
+        evidenceQuotes: [
+          { entryId: entry._id, quote: 'Original words', tag: 'insight:writing' },
+          { entryId: kept._id, quote: 'Kept words', tag: 'insight:writing' },
+        ],
+      });
+
+      await request(app)
+        .delete(`/api/journal/${entry._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const persona = await Persona.findOne({ userId: testUser._id });
+      expect(persona.evidenceEntryIds.map(String)).toEqual([kept._id.toString()]);
+      expect(persona.evidenceQuotes.map(q => q.quote)).toEqual(['Kept words']);
+    });
+  });
+});
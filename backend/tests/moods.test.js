@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const MoodCheckIn = require('../models/MoodCheckIn');
+const InsightCache = require('../models/InsightCache');
+const { schemas } = require('../middleware/validation');
+const { FieldCipher, setFieldCipher, ENCRYPTED_PREFIX } = require('../services/fieldEncryption');
+const { EnvKeyProvider } = require('../services/fieldEncryption/envKeyProvider');
+const { createTestApp, signToken } = require('./fixtures/testApp');
+
+describe('Mood check-in validation', () => {
+  it('should accept a bare score', () => {
+    const { error } = schemas.createMoodCheckIn.validate({ score: 7 });
+    expect(error).toBeUndefined();
+  });
+
+  it('should reject scores outside 1-10 and unknown emotions', () => {
+    expect(schemas.createMoodCheckIn.validate({ score: 0 }).error).toBeDefined();
+    expect(schemas.createMoodCheckIn.validate({ score: 11 }).error).toBeDefined();
+    expect(schemas.createMoodCheckIn.validate({ score: 6.5 }).error).toBeDefined();
+    expect(schemas.createMoodCheckIn.validate({ score: 5, emotions: ['hangry'] }).error).toBeDefined();
+    expect(schemas.createMoodCheckIn.validate({ score: 5, emotions: ['sad', 'sad'] }).error).toBeDefined();
+  });
+
+  it('should list the emotion words a check-in can carry', () => {
+    expect(MoodCheckIn.MOOD_EMOTIONS).toEqual(expect.arrayContaining(['happy', 'anxious', 'calm']));
+  });
+});
+
+describe('Mood check-ins', () => {
+  let app;
+  let testUser;
+  let otherUser;
+  let authToken;
+
+  beforeAll(async () => {
+    app = createTestApp({
+      '/api/moods': require('../routes/moods'),
+      '/api/insights': require('../routes/insights'),
+    });
+    setFieldCipher(new FieldCipher({
+      provider: new EnvKeyProvider({ keys: `k1:${crypto.randomBytes(32).toString('base64')}` }),
+    }));
+
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      JournalEntry.deleteMany({}),
+      MoodCheckIn.deleteMany({}),
+      InsightCache.deleteMany({}),
+    ]);
+
+    testUser = await User.create({
+      googleId: 'google-moods',
+      email: 'moods@example.com',
+      name: 'Check In',
+      timezone: 'America/New_York',
+    });
+    otherUser = await User.create({
+      googleId: 'google-moods-other',
+      email: 'other-moods@example.com',
+      name: 'Someone Else',
+    });
+    authToken = await signToken(testUser);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      JournalEntry.deleteMany({}),
+      MoodCheckIn.deleteMany({}),
+      InsightCache.deleteMany({}),
+    ]);
+    setFieldCipher(null);
+    await mongoose.connection.close();
+  });
+
+  it('should log a check-in on the user\'s local day', async () => {
+    const response = await request(app)
+      .post('/api/moods')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ score: 6, emotions: ['tired'], checkedAt: '2024-03-05T02:00:00Z' })
+      .expect(201);
+
+    expect(response.body.data).toMatchObject({ score: 6, emotions: ['tired'], journalDay: '2024-03-04' });
+    expect(response.body.data.atRest).toBeUndefined();
+  });
+
+  it('should not log a check-in in the future', async () => {
+    const response = await request(app)
+      .post('/api/moods')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ score: 6, checkedAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() })
+      .expect(201);
+
+    expect(new Date(response.body.data.checkedAt).getTime()).toBeLessThanOrEqual(Date.now());
+  });
+
+  it('should encrypt notes at rest and return them decrypted', async () => {
+    const response = await request(app)
+      .post('/api/moods')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ score: 3, note: 'Rough meeting' })
+      .expect(201);
+
+    const raw = await MoodCheckIn.collection.findOne({ _id: new mongoose.Types.ObjectId(response.body.data._id) });
+    expect(raw.note.startsWith(ENCRYPTED_PREFIX)).toBe(true);
+
+    const list = await request(app)
+      .get('/api/moods')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    expect(list.body.data[0].note).toBe('Rough meeting');
+  });
+
+  it('should list only the user\'s check-ins, newest first', async () => {
+    await MoodCheckIn.create([
+      { userId: testUser._id, score: 4, checkedAt: new Date('2024-03-01T12:00:00Z'), journalDay: '2024-03-01' },
+      { userId: testUser._id, score: 8, checkedAt: new Date('2024-03-02T12:00:00Z'), journalDay: '2024-03-02' },
+      { userId: otherUser._id, score: 1, checkedAt: new Date('2024-03-02T12:00:00Z'), journalDay: '2024-03-02' },
+    ]);
+
+    const response = await request(app)
+      .get('/api/moods')
+      .query({ from: '2024-03-01T00:00:00Z' })
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.data.map(({ score }) => score)).toEqual([8, 4]);
+  });
+
+  it('should add details to a check-in and refuse other users\'', async () => {
+    const mine = await MoodCheckIn.create({
+      userId: testUser._id, score: 5, checkedAt: new Date(), journalDay: '2024-03-01',
+    });
+    const theirs = await MoodCheckIn.create({
+      userId: otherUser._id, score: 5, checkedAt: new Date(), journalDay: '2024-03-01',
+    });
+
+    const response = await request(app)
+      .patch(`/api/moods/${mine._id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ emotions: ['calm', 'grateful'] })
+      .expect(200);
+    expect(response.body.data.emotions).toEqual(['calm', 'grateful']);
+
+    await request(app)
+      .patch(`/api/moods/${theirs._id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ score: 1 })
+      .expect(403);
+
+    await request(app)
+      .delete(`/api/moods/${mine._id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    expect(await MoodCheckIn.countDocuments({ userId: testUser._id })).toBe(0);
+  });
+
+  it('should show self-reported mood next to AI-inferred mood', async () => {
+    await JournalEntry.create({
+      userId: testUser._id,
+      content: 'Everything is fine.',
+      date: new Date('2024-03-04T15:00:00Z'),
+      processingStatus: 'completed',
+      moodScore: 7,
+    });
+    await MoodCheckIn.create([
+      { userId: testUser._id, score: 3, checkedAt: new Date('2024-03-04T14:00:00Z'), journalDay: '2024-03-04' },
+      { userId: testUser._id, score: 4, checkedAt: new Date('2024-03-04T20:00:00Z'), journalDay: '2024-03-04' },
+      { userId: testUser._id, score: 9, checkedAt: new Date('2024-03-05T14:00:00Z'), journalDay: '2024-03-05' },
+    ]);
+
+    const response = await request(app)
+      .get('/api/insights/mood')
+      .query({ granularity: 'day', from: '2024-03-04T12:00:00Z', to: '2024-03-05T20:00:00Z' })
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    const [monday, tuesday] = response.body.data.points;
+    expect(monday).toMatchObject({ averageMood: 7, checkIns: 2, selfReportedMood: 3.5, moodGap: -3.5 });
+    expect(tuesday).toMatchObject({ entries: 0, averageMood: null, checkIns: 1, selfReportedMood: 9, moodGap: null });
+  });
+
+  it('should refresh insights when a check-in is logged', async () => {
+    const query = { granularity: 'day', from: '2024-03-04T12:00:00Z', to: '2024-03-04T20:00:00Z' };
+    await request(app).get('/api/insights/mood').query(query).set('Authorization', `Bearer ${authToken}`);
+
+    await request(app)
+      .post('/api/moods')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ score: 2, checkedAt: '2024-03-04T16:00:00Z' })
+      .expect(201);
+
+    const response = await request(app)
+      .get('/api/insights/mood')
+      .query(query)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    expect(response.body.data.points[0].selfReportedMood).toBe(2);
+  });
+});
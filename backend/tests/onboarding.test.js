@@ -0,0 +1,99 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { createTestApp, signToken } = require('./fixtures/testApp');
+
+// Keep account deletion off DigitalOcean Spaces
+jest.mock('../services/uploadService', () => ({
+  UploadService: jest.fn().mockImplementation(() => ({
+    deleteFile: jest.fn().mockResolvedValue(true),
+  })),
+}));
+
+describe('Onboarding', () => {
+  let app;
+  let testUser;
+  let authToken;
+
+  beforeAll(async () => {
+    app = createTestApp({ '/api/users': require('../routes/users') });
+
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      googleId: 'google-onboarding',
+      email: 'onboarding@example.com',
+      name: 'New Writer',
+    });
+    authToken = await signToken(testUser);
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  const moveTo = step => request(app)
+    .patch('/api/users/me/onboarding')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ step });
+
+  describe('PATCH /api/users/me/onboarding', () => {
+    it('should move the user to a later step', async () => {
+      const response = await moveTo('notifications').expect(200);
+
+      expect(response.body.data).toMatchObject({ step: 'notifications', completed: false });
+      expect((await User.findById(testUser._id)).onboarding.step).toBe('notifications');
+    });
+
+    it('should not move the user back to an earlier step', async () => {
+      await moveTo('persona-intro').expect(200);
+
+      const response = await moveTo('first-entry').expect(200);
+
+      expect(response.body.data.step).toBe('persona-intro');
+    });
+
+    it('should mark onboarding complete at the last step', async () => {
+      const response = await moveTo('completed').expect(200);
+
+      expect(response.body.data.completed).toBe(true);
+      expect(response.body.data.completedAt).toBeDefined();
+
+      // Replaying the last step keeps the original completion time
+      const replay = await moveTo('completed').expect(200);
+      expect(replay.body.data.completedAt).toBe(response.body.data.completedAt);
+    });
+
+    it('should reject unknown steps', async () => {
+      const response = await moveTo('tutorial').expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should require authentication', async () => {
+      await request(app).patch('/api/users/me/onboarding').send({ step: 'notifications' }).expect(401);
+    });
+  });
+
+  describe('PATCH /api/users/me/preferences', () => {
+    it('should keep notification settings the client did not send', async () => {
+      await request(app)
+        .patch('/api/users/me/preferences')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ notifications: { pushToken: 'ExponentPushToken[onboarding]' } })
+        .expect(200);
+
+      const { notifications } = (await User.findById(testUser._id)).preferences;
+      expect(notifications.pushToken).toBe('ExponentPushToken[onboarding]');
+      expect(notifications.reminderTime).toBe('20:00');
+      expect(notifications.dailyReminder).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Persona = require('../models/Persona');
+const PersonaSnapshot = require('../models/PersonaSnapshot');
+const JournalEntry = require('../models/JournalEntry');
+const {
+  discoverThemes,
+  buildPersonaProposal,
+  PersonaDiscoveryService,
+} = require('../services/personaDiscoveryService');
+const { analyzedEntries } = require('./fixtures/analyzedEntries');
+
+describe('Persona discovery engine', () => {
+  it('should find the recurring themes in fixture entries', () => {
+    const themes = discoverThemes(analyzedEntries);
+
+    expect(themes.map(theme => theme.themeTags)).toEqual([
+      ['emotion:stressed', 'relationship:mother'],
+      ['activity:running', 'emotion:calm'],
+    ]);
+  });
+
+  it('should be deterministic regardless of input order', () => {
+    const forward = discoverThemes(analyzedEntries);
+    const reversed = discoverThemes([...analyzedEntries].reverse());
+
+    expect(reversed).toEqual(forward);
+  });
+
+  it('should link themes back to supporting entries and quotes', () => {
+    const [caregiving] = discoverThemes(analyzedEntries);
+
+    expect(caregiving.entryIds.map(String)).toEqual(
+      [1, 3, 5, 8].map(day => `6500000000000000000000${String(day).padStart(2, '0')}`)
+    );
+    // Newest first, one quote per entry from its most confident theme tag
+    expect(caregiving.evidenceQuotes.map(e => e.quote)).toEqual([
+      'Could not sleep.',
+      'Mum seemed happier today.',
+      'Took mum to the doctor.',
+      'I feel stretched thin.',
+    ]);
+    expect(caregiving.dominantNamespace).toBe('relationship');
+    expect(caregiving.moodAverage).toBe(3.75);
+    expect(caregiving.cohesion).toBeGreaterThan(0.9);
+  });
+
+  it('should split gift and shadow traits by mood', () => {
+    const [caregiving] = discoverThemes(analyzedEntries);
+
+    // Traits come from every tag on those entries, not just the theme's
+    expect(caregiving.giftTraits).toEqual(['cooking', 'stressed', 'mother']);
+    expect(caregiving.shadowTraits).toEqual(['stressed', 'mother', 'cooking', 'conflict']);
+  });
+
+  it('should ignore low-confidence tags and themes without enough support', () => {
+    const themes = discoverThemes(analyzedEntries, { minSupport: 4 });
+
+    expect(themes).toHaveLength(1);
+    expect(themes.flatMap(theme => theme.themeTags)).not.toContain('insight:routine');
+  });
+
+  it('should propose a persona shaped by the dominant namespace', () => {
+    const [caregiving, running] = discoverThemes(analyzedEntries).map(buildPersonaProposal);
+
+    // Namespace ties resolve in archetype order (relationship before emotion)
+    expect(caregiving.archetype).toBe('The Caregiver');
+    expect(caregiving.giftForm.title).toBe('The Nurturer');
+    expect(running.name).toBe('The Running Explorer');
+    expect(running.shadowForm.title).toBe('The Escapist');
+  });
+});
+
+describe('PersonaDiscoveryService', () => {
+  const service = new PersonaDiscoveryService();
+  let user;
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Persona.deleteMany({}),
+      PersonaSnapshot.deleteMany({}),
+      JournalEntry.deleteMany({}),
+    ]);
+
+    user = await User.create({ googleId: 'discovery-1', email: 'discovery@example.com', name: 'Discovery User' });
+    await JournalEntry.create(analyzedEntries.map(({ embeddings, ...fixture }) => ({
+      ...fixture,
+      embeddings,
+      userId: user._id,
+      content: fixture.tags.map(t => t.evidence.quote).join(' '),
+      processingStatus: 'completed',
+    })));
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Persona.deleteMany({}),
+      PersonaSnapshot.deleteMany({}),
+      JournalEntry.deleteMany({}),
+    ]);
+    await mongoose.connection.close();
+  });
+
+  it('should create personas on the first run and update them afterwards', async () => {
+    const first = await service.runForUser(user._id, { now: new Date('2024-05-10') });
+    expect(first.created).toHaveLength(2);
+
+    // A user edit survives later runs
+    const persona = await Persona.findById(first.created[0]);
+    persona.name = 'Mum\'s Keeper';
+    await persona.save();
+
+    const second = await service.runForUser(user._id, { now: new Date('2024-05-11') });
+    expect(second.created).toHaveLength(0);
+    expect(second.updated.sort()).toEqual([...first.created].sort());
+
+    const updated = await Persona.findById(first.created[0]);
+    expect(updated.name).toBe('Mum\'s Keeper');
+    expect(updated.source).toBe('discovery');
+
+    const history = await PersonaSnapshot.find({ personaId: persona._id }).sort({ runAt: 1 });
+    expect(history.map(snapshot => snapshot.event)).toEqual(['discovered', 'updated']);
+  });
+});
@@ -0,0 +1,130 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Persona = require('../models/Persona');
+const JournalEntry = require('../models/JournalEntry');
+const { UploadService } = require('../services/uploadService');
+const { createTestApp, signToken } = require('./fixtures/testApp');
+
+const personaData = (overrides = {}) => ({
+  name: 'The Quiet Caretaker',
+  archetype: 'The Caregiver',
+  giftForm: { title: 'The Nurturer', description: 'Holds space for others', traits: ['empathy'] },
+  shadowForm: { title: 'The Martyr', description: 'Neglects own needs', traits: ['self-neglect'] },
+  confidence: 0.7,
+  ...overrides,
+});
+
+describe('Personas API', () => {
+  let app;
+  let testUser;
+  let otherUser;
+  let authToken;
+
+  beforeAll(async () => {
+    app = createTestApp({ '/api/personas': require('../routes/personas') });
+
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await Persona.deleteMany({});
+    await JournalEntry.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({ googleId: 'persona-1', email: 'persona@example.com', name: 'Persona User' });
+    otherUser = await User.create({ googleId: 'persona-2', email: 'persona-other@example.com', name: 'Other' });
+    authToken = await signToken(testUser);
+  });
+
+  afterAll(async () => {
+    await Persona.deleteMany({});
+    await JournalEntry.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  it('should create a persona with evidence from the user\'s own entries', async () => {
+    const entry = await JournalEntry.create({ userId: testUser._id, content: 'Helped mum again', date: new Date() });
+
+    const response = await request(app)
+      .post('/api/personas')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(personaData({ evidenceEntryIds: [entry._id.toString()] }))
+      .expect(201);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.giftForm.title).toBe('The Nurturer');
+    expect(response.body.data.evidenceEntryIds).toEqual([entry._id.toString()]);
+  });
+
+  it('should reject evidence entries owned by someone else', async () => {
+    const foreign = await JournalEntry.create({ userId: otherUser._id, content: 'Not yours', date: new Date() });
+
+    const response = await request(app)
+      .post('/api/personas')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(personaData({ evidenceEntryIds: [foreign._id.toString()] }))
+      .expect(400);
+
+    expect(response.body.code).toBe('INVALID_EVIDENCE');
+  });
+
+  it('should list only the user\'s personas', async () => {
+    await Persona.create({ userId: testUser._id, ...personaData() });
+    await Persona.create({ userId: otherUser._id, ...personaData({ name: 'Someone else' }) });
+
+    const response = await request(app)
+      .get('/api/personas')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].name).toBe('The Quiet Caretaker');
+  });
+
+  it('should keep uploaded card art when a form is edited', async () => {
+    const persona = await Persona.create({
+      userId: testUser._id,
+      ...personaData({
+        giftForm: { title: 'The Nurturer', imageUrl: 'https://cdn.example.com/gift.webp' },
+      }),
+    });
+
+    const response = await request(app)
+      .put(`/api/personas/${persona._id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ giftForm: { title: 'The Healer' } })
+      .expect(200);
+
+    expect(response.body.data.giftForm.title).toBe('The Healer');
+    expect(response.body.data.giftForm.imageUrl).toBe('https://cdn.example.com/gift.webp');
+  });
+
+  it('should delete a persona\'s card art with it', async () => {
+    const deletePrefix = jest.spyOn(UploadService.prototype, 'deletePrefix').mockResolvedValue(2);
+    const persona = await Persona.create({ userId: testUser._id, ...personaData() });
+
+    await request(app)
+      .delete(`/api/personas/${persona._id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(deletePrefix).toHaveBeenCalledWith(`personas/${persona._id}/`);
+    deletePrefix.mockRestore();
+  });
+
+  it('should deny access to another user\'s persona', async () => {
+    const persona = await Persona.create({ userId: otherUser._id, ...personaData() });
+
+    const response = await request(app)
+      .delete(`/api/personas/${persona._id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(403);
+
+    expect(response.body.code).toBe('ACCESS_DENIED');
+    expect(await Persona.findById(persona._id)).not.toBeNull();
+  });
+});
@@ -0,0 +1,221 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const Prompt = require('../models/Prompt');
+const { PromptService, summarizeHistory, rankPrompts } = require('../services/promptService');
+const { PROMPT_LIBRARY } = require('../services/prompts/library');
+const { createTestApp, signToken } = require('./fixtures/testApp');
+
+// Keep recordings off DigitalOcean Spaces
+jest.mock('../services/uploadService', () => ({
+  UploadService: jest.fn().mockImplementation(() => ({
+    deleteFile: jest.fn().mockResolvedValue(true),
+  })),
+  audioUpload: { single: () => (req, res, next) => next() },
+  importUpload: { array: () => (req, res, next) => next() },
+}));
+
+const now = new Date('2025-06-30T12:00:00Z');
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+const tag = (namespace, name) => ({ namespace, name });
+
+describe('Prompt library', () => {
+  it('should have unique keys and file every prompt under a known namespace', () => {
+    const keys = PROMPT_LIBRARY.map(({ key }) => key);
+
+    expect(new Set(keys).size).toBe(keys.length);
+    PROMPT_LIBRARY.forEach((prompt) => {
+      expect(Prompt.PROMPT_NAMESPACES).toContain(prompt.namespace);
+      prompt.moods.forEach(mood => expect(Prompt.PROMPT_MOODS).toContain(mood));
+    });
+  });
+
+  it('should cover every namespace', () => {
+    const namespaces = new Set(PROMPT_LIBRARY.map(({ namespace }) => namespace));
+    expect([...namespaces].sort()).toEqual([...Prompt.PROMPT_NAMESPACES].sort());
+  });
+});
+
+describe('summarizeHistory', () => {
+  it('should split current themes from neglected ones', () => {
+    const signals = summarizeHistory([
+      { date: daysAgo(2), tags: [tag('emotion', 'anxious'), tag('activity', 'work')] },
+      { date: daysAgo(40), tags: [tag('relationship', 'friend'), tag('activity', 'work')] },
+    ], now);
+
+    expect(signals.recentTags.get('anxious')).toBe(1);
+    expect([...signals.neglectedTags]).toEqual(['friend']);
+    expect(signals.neglectedNamespaces.has('relationship')).toBe(true);
+    expect(signals.neglectedNamespaces.has('emotion')).toBe(false);
+  });
+
+  it('should ignore system tags', () => {
+    const signals = summarizeHistory([{ date: daysAgo(1), tags: [tag('system', 'imported')] }], now);
+    expect(signals.recentTags.size).toBe(0);
+  });
+
+  it('should read a low mood from low scores or a sharp drop', () => {
+    expect(summarizeHistory([{ date: daysAgo(1), moodScore: 3 }], now).mood).toBe('low');
+    expect(summarizeHistory([
+      { date: daysAgo(1), moodScore: 6 },
+      { date: daysAgo(20), moodScore: 8 },
+    ], now).mood).toBe('low');
+    expect(summarizeHistory([{ date: daysAgo(1), moodScore: 8 }], now).mood).toBe('high');
+    expect(summarizeHistory([{ date: daysAgo(1), moodScore: 6 }], now).mood).toBe('steady');
+    expect(summarizeHistory([], now).mood).toBeNull();
+  });
+
+  it('should remember prompts answered recently', () => {
+    const signals = summarizeHistory([
+      { date: daysAgo(3), promptId: 'recent' },
+      { date: daysAgo(60), promptId: 'old' },
+    ], now);
+
+    expect([...signals.usedPromptIds]).toEqual(['recent']);
+  });
+});
+
+describe('rankPrompts', () => {
+  const prompts = [
+    { _id: 'a', key: 'friends', namespace: 'relationship', text: 'Friends?', tags: ['friend'], moods: [] },
+    { _id: 'b', key: 'worry', namespace: 'emotion', text: 'Worries?', tags: ['anxious'], moods: ['low'] },
+    { _id: 'c', key: 'joy', namespace: 'emotion', text: 'Joy?', tags: ['happy'], moods: ['high'] },
+    { _id: 'd', key: 'learned', namespace: 'growth', text: 'Learned?', tags: [], moods: [] },
+  ];
+  const signals = (overrides = {}) => ({
+    recentTags: new Map(),
+    neglectedTags: new Set(),
+    neglectedNamespaces: new Set(),
+    mood: null,
+    usedPromptIds: new Set(),
+    ...overrides,
+  });
+
+  it('should lead with themes the user has stopped writing about', () => {
+    const [first] = rankPrompts(prompts, signals({ neglectedTags: new Set(['friend']) }), { limit: 1 });
+
+    expect(first).toMatchObject({ key: 'friends', reason: 'neglected-theme', matchedTags: ['friend'] });
+  });
+
+  it('should match the mood and hold back prompts written for another', () => {
+    const keys = rankPrompts(prompts, signals({ mood: 'low', recentTags: new Map([['happy', 2]]) }), { limit: 4 })
+      .map(({ key }) => key);
+
+    expect(keys[0]).toBe('worry');
+    expect(keys[keys.length - 1]).toBe('joy');
+  });
+
+  it('should spread suggestions across namespaces', () => {
+    const suggestions = rankPrompts(prompts, signals({ recentTags: new Map([['anxious', 1], ['happy', 1]]) }), { limit: 3 });
+
+    expect(new Set(suggestions.map(({ namespace }) => namespace)).size).toBe(3);
+  });
+
+  it('should skip prompts answered recently', () => {
+    const suggestions = rankPrompts(prompts, signals({ usedPromptIds: new Set(['a', 'b', 'c']) }), { limit: 3 });
+
+    expect(suggestions.map(({ key }) => key)).toEqual(['learned']);
+  });
+
+  it('should offer new users a rotating selection', () => {
+    const day1 = rankPrompts(prompts, signals(), { limit: 4, day: '2025-06-01' });
+    const again = rankPrompts(prompts, signals(), { limit: 4, day: '2025-06-01' });
+
+    expect(day1).toEqual(again);
+    expect(day1.every(({ reason }) => reason === 'explore')).toBe(true);
+  });
+});
+
+describe('Prompts', () => {
+  let app;
+  let testUser;
+  let authToken;
+  const promptService = new PromptService();
+
+  beforeAll(async () => {
+    app = createTestApp({
+      '/api/prompts': require('../routes/prompts'),
+      '/api/journal': require('../routes/journal'),
+    });
+
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await Promise.all([User.deleteMany({}), JournalEntry.deleteMany({}), Prompt.deleteMany({})]);
+
+    await promptService.seedLibrary();
+    testUser = await User.create({
+      googleId: 'google-prompts',
+      email: 'prompts@example.com',
+      name: 'Stuck Writer',
+    });
+    authToken = await signToken(testUser);
+  });
+
+  afterAll(async () => {
+    await Promise.all([User.deleteMany({}), JournalEntry.deleteMany({}), Prompt.deleteMany({})]);
+    await mongoose.connection.close();
+  });
+
+  it('should seed the library idempotently', async () => {
+    const again = await promptService.seedLibrary();
+
+    expect(again.inserted).toBe(0);
+    expect(await Prompt.countDocuments()).toBe(PROMPT_LIBRARY.length);
+  });
+
+  it('should list the library by namespace', async () => {
+    const response = await request(app)
+      .get('/api/prompts?namespace=growth')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.data.length).toBeGreaterThan(0);
+    expect(response.body.data.every(({ namespace }) => namespace === 'growth')).toBe(true);
+  });
+
+  it('should suggest prompts for neglected themes', async () => {
+    await JournalEntry.create({
+      userId: testUser._id,
+      content: 'Dinner with a friend',
+      date: daysAgo(40),
+      processingStatus: 'completed',
+      tags: [tag('relationship', 'friend')],
+    });
+
+    const { suggestions } = await promptService.suggest(testUser, { limit: 3 }, now);
+
+    expect(suggestions).toHaveLength(3);
+    expect(suggestions[0].reason).toBe('neglected-theme');
+    expect(suggestions[0].matchedTags).toContain('friend');
+  });
+
+  it('should record the prompt that led to an entry', async () => {
+    const prompt = await Prompt.findOne({ key: 'growth-learned' });
+
+    const response = await request(app)
+      .post('/api/journal')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ content: 'I learned to say no.', promptId: prompt._id.toString() })
+      .expect(201);
+
+    expect(response.body.data.promptId).toBe(prompt._id.toString());
+
+    const { suggestions } = await promptService.suggest(testUser, { limit: 10 });
+    expect(suggestions.map(({ key }) => key)).not.toContain('growth-learned');
+  });
+
+  it('should reject unknown prompts', async () => {
+    const response = await request(app)
+      .post('/api/journal')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ content: 'Hello', promptId: new mongoose.Types.ObjectId().toString() })
+      .expect(400);
+
+    expect(response.body.code).toBe('PROMPT_NOT_FOUND');
+  });
+});
@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const JournalEntry = require('../models/JournalEntry');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { ReminderService, nextReminderAt, reminderMessage } = require('../services/reminderService');
+const { ExpoPushClient } = require('../services/push/expoClient');
+const { FakePushClient } = require('../services/push/fakeClient');
+
+describe('nextReminderAt', () => {
+  it('should use today when the reminder time is still ahead', () => {
+    const next = nextReminderAt('20:00', 'Europe/London', new Date('2025-06-01T12:00:00Z'));
+    expect(next.toISOString()).toBe('2025-06-01T19:00:00.000Z');
+  });
+
+  it('should move to tomorrow once the reminder time has passed', () => {
+    const next = nextReminderAt('20:00', 'Europe/London', new Date('2025-06-01T19:00:00Z'));
+    expect(next.toISOString()).toBe('2025-06-02T19:00:00.000Z');
+  });
+
+  it('should work in the user\'s local day, not UTC\'s', () => {
+    // 23:30 UTC on June 1st is already June 2nd in Tokyo
+    const next = nextReminderAt('08:30', 'Asia/Tokyo', new Date('2025-06-01T23:30:00Z'));
+    expect(next.toISOString()).toBe('2025-06-02T23:30:00.000Z');
+  });
+
+  it('should follow daylight saving changes', () => {
+    const winter = nextReminderAt('20:00', 'America/New_York', new Date('2025-03-08T12:00:00Z'));
+    const summer = nextReminderAt('20:00', 'America/New_York', new Date('2025-03-10T12:00:00Z'));
+
+    expect(winter.toISOString()).toBe('2025-03-09T01:00:00.000Z');
+    expect(summer.toISOString()).toBe('2025-03-11T00:00:00.000Z');
+  });
+});
+
+describe('reminderMessage', () => {
+  it('should mention a streak worth keeping', () => {
+    expect(reminderMessage(5).title).toContain('5-day streak');
+    expect(reminderMessage(0).title).toBe('Time to journal');
+  });
+});
+
+describe('ExpoPushClient', () => {
+  it('should send in chunks of 100 with the access token', async () => {
+    const requests = [];
+    const fetchImpl = async (url, init) => {
+      const body = JSON.parse(init.body);
+      requests.push({ url, headers: init.headers, body });
+      return { ok: true, json: async () => ({ data: body.map((_, i) => ({ status: 'ok', id: `${requests.length}-${i}` })) }) };
+    };
+    const client = new ExpoPushClient({ accessToken: 'expo-token', fetchImpl });
+    const messages = Array.from({ length: 150 }, (_, i) => ({ to: `ExponentPushToken[${i}]`, title: 'Hi' }));
+
+    const tickets = await client.send(messages);
+
+    expect(requests.map(({ body }) => body.length)).toEqual([100, 50]);
+    expect(requests[0].url).toBe('https://exp.host/--/api/v2/push/send');
+    expect(requests[0].headers.Authorization).toBe('Bearer expo-token');
+    expect(tickets).toHaveLength(150);
+    expect(tickets[100]).toEqual({ status: 'ok', id: '2-0' });
+  });
+
+  it('should merge receipts across requests', async () => {
+    const fetchImpl = async (url, init) => ({
+      ok: true,
+      json: async () => ({ data: Object.fromEntries(JSON.parse(init.body).ids.map(id => [id, { status: 'ok' }])) }),
+    });
+    const client = new ExpoPushClient({ fetchImpl });
+
+    const receipts = await client.getReceipts(Array.from({ length: 301 }, (_, i) => `t${i}`));
+
+    expect(Object.keys(receipts)).toHaveLength(301);
+  });
+
+  it('should fail on an error response', async () => {
+    const client = new ExpoPushClient({ fetchImpl: async () => ({ ok: false, status: 503 }) });
+    await expect(client.send([{ to: 'x' }])).rejects.toThrow('503');
+  });
+});
+
+describe('FakePushClient', () => {
+  it('should reject unregistered tokens like Expo does', async () => {
+    const client = new FakePushClient({ unregisteredTokens: ['gone'], silent: true });
+
+    const [ok, gone] = await client.send([{ to: 'here', title: 'Hi' }, { to: 'gone', title: 'Hi' }]);
+
+    expect(ok.status).toBe('ok');
+    expect(gone.details.error).toBe('DeviceNotRegistered');
+    expect(await client.getReceipts([ok.id])).toEqual({ [ok.id]: { status: 'ok' } });
+  });
+});
+
+describe('ReminderService', () => {
+  let pushClient;
+  let service;
+  let user;
+
+  // 20:00 in London on June 1st, 2025
+  const dueAt = new Date('2025-06-01T19:00:00Z');
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Device.deleteMany({}),
+      JournalEntry.deleteMany({}),
+      NotificationDelivery.deleteMany({}),
+    ]);
+
+    pushClient = new FakePushClient({ silent: true });
+    service = new ReminderService({ pushClient });
+    user = await User.create({
+      googleId: 'google-reminders',
+      email: 'reminders@example.com',
+      name: 'Evening Writer',
+      timezone: 'Europe/London',
+      preferences: { notifications: { pushToken: 'ExponentPushToken[user]', reminderTime: '20:00' } },
+    });
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Device.deleteMany({}),
+      JournalEntry.deleteMany({}),
+      NotificationDelivery.deleteMany({}),
+    ]);
+    await mongoose.connection.close();
+  });
+
+  it('should schedule new users without reminding them', async () => {
+    const sent = await service.sendDueReminders(new Date('2025-06-01T12:00:00Z'));
+
+    const scheduled = await User.findById(user._id);
+    expect(sent).toBe(0);
+    expect(scheduled.reminders.nextAt).toEqual(dueAt);
+    expect(pushClient.sent).toHaveLength(0);
+  });
+
+  it('should remind at the due time on every device and schedule tomorrow', async () => {
+    await User.updateOne({ _id: user._id }, { $set: { 'reminders.nextAt': dueAt } });
+    await Device.create({
+      userId: user._id,
+      sessionId: 'session-1',
+      pushToken: 'ExponentPushToken[phone]',
+      expiresAt: new Date('2025-07-01T00:00:00Z'),
+    });
+
+    const sent = await service.sendDueReminders(new Date('2025-06-01T19:00:05Z'));
+
+    expect(sent).toBe(1);
+    expect(pushClient.sent.map(({ to }) => to).sort()).toEqual(['ExponentPushToken[phone]', 'ExponentPushToken[user]']);
+
+    const delivery = await NotificationDelivery.findOne({ userId: user._id });
+    expect(delivery.day).toBe('2025-06-01');
+    expect(delivery.status).toBe('sent');
+    expect(delivery.tickets.map(({ status }) => status)).toEqual(['pending', 'pending']);
+
+    const scheduled = await User.findById(user._id);
+    expect(scheduled.reminders.nextAt.toISOString()).toBe('2025-06-02T19:00:00.000Z');
+
+    // A second worker tick finds nothing due
+    expect(await service.sendDueReminders(new Date('2025-06-01T19:00:10Z'))).toBe(0);
+  });
+
+  it('should skip users who already journaled today', async () => {
+    await User.updateOne({ _id: user._id }, { $set: { 'reminders.nextAt': dueAt } });
+    await JournalEntry.create({ userId: user._id, content: 'Wrote this morning', date: new Date('2025-06-01T07:00:00Z') });
+
+    expect(await service.sendDueReminders(new Date('2025-06-01T19:00:05Z'))).toBe(0);
+    expect(await NotificationDelivery.countDocuments()).toBe(0);
+  });
+
+  it('should drop reminders missed on an earlier day', async () => {
+    await User.updateOne({ _id: user._id }, { $set: { 'reminders.nextAt': dueAt } });
+
+    expect(await service.sendDueReminders(new Date('2025-06-02T09:00:00Z'))).toBe(0);
+    expect((await User.findById(user._id)).reminders.nextAt.toISOString()).toBe('2025-06-02T19:00:00.000Z');
+  });
+
+  it('should reschedule when reminder settings change', async () => {
+    await User.updateOne({ _id: user._id }, { $set: { 'reminders.nextAt': dueAt } });
+
+    await User.findByIdAndUpdate(user._id, { $set: { preferences: { notifications: { reminderTime: '07:00' } } } });
+
+    expect((await User.findById(user._id)).reminders?.nextAt).toBeUndefined();
+  });
+
+  it('should keep the schedule when only the push token changes', async () => {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'reminders.nextAt': dueAt, 'preferences.notifications.pushToken': 'ExponentPushToken[new]' } }
+    );
+
+    expect((await User.findById(user._id)).reminders.nextAt).toEqual(dueAt);
+  });
+
+  it('should clear tokens Expo reports as no longer registered', async () => {
+    await User.updateOne({ _id: user._id }, { $set: { 'reminders.nextAt': dueAt } });
+    await service.sendDueReminders(new Date('2025-06-01T19:00:05Z'));
+    const [{ id }] = pushClient.sent;
+    pushClient.receipts.set(id, {
+      status: 'error',
+      message: 'The device cannot receive push notifications anymore',
+      details: { error: 'DeviceNotRegistered' },
+    });
+
+    // Too early for receipts
+    expect(await service.checkReceipts(new Date('2025-06-01T19:05:00Z'))).toBe(0);
+
+    expect(await service.checkReceipts(new Date('2025-06-01T19:20:00Z'))).toBe(1);
+
+    const delivery = await NotificationDelivery.findOne({ userId: user._id });
+    expect(delivery.tickets[0].status).toBe('failed');
+    expect(delivery.tickets[0].error).toBe('DeviceNotRegistered');
+    expect((await User.findById(user._id)).preferences.notifications.pushToken).toBeUndefined();
+  });
+});
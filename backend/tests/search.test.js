@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const { HashingEmbeddingProvider } = require('../services/embeddings/hashingProvider');
+const { cosineSimilarity } = require('../services/embeddings');
+const { EmbeddingService } = require('../services/embeddingService');
+const { SearchService } = require('../services/searchService');
+
+describe('Hashing embedding provider', () => {
+  const provider = new HashingEmbeddingProvider({ dimensions: 128 });
+
+  it('should produce deterministic unit vectors', async () => {
+    const [first] = await provider.embed(['Walking by the river at dawn']);
+    const [second] = await provider.embed(['Walking by the river at dawn']);
+
+    expect(first).toEqual(second);
+    expect(first).toHaveLength(128);
+    expect(cosineSimilarity(first, first)).toBeCloseTo(1);
+  });
+
+  it('should rank related text above unrelated text', async () => {
+    const [query, related, unrelated] = await provider.embed([
+      'argument with my sister',
+      'Another argument with my sister about the holidays',
+      'Finished the quarterly budget spreadsheet at work',
+    ]);
+
+    expect(cosineSimilarity(query, related)).toBeGreaterThan(cosineSimilarity(query, unrelated));
+  });
+
+  it('should return a zero vector for text with no tokens', async () => {
+    const [empty] = await provider.embed(['...']);
+    expect(empty.every(value => value === 0)).toBe(true);
+  });
+});
+
+describe('cosineSimilarity', () => {
+  it('should handle orthogonal, opposite and mismatched vectors', () => {
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([1, 0], [-1, 0])).toBe(-1);
+    expect(cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+  });
+});
+
+describe('Semantic search', () => {
+  const provider = new HashingEmbeddingProvider();
+  const embeddingService = new EmbeddingService({ provider });
+  const searchService = new SearchService({ provider, mode: 'memory' });
+  const userId = new mongoose.Types.ObjectId();
+  const otherUserId = new mongoose.Types.ObjectId();
+
+  const createEmbeddedEntry = async (owner, content) => {
+    const entry = await JournalEntry.create({
+      userId: owner,
+      content,
+      date: new Date(),
+      processingStatus: 'completed',
+    });
+    await embeddingService.embedEntry({ payload: { entryId: entry._id.toString() } });
+    return entry;
+  };
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await JournalEntry.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await JournalEntry.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  it('should fill embeddings for completed entries', async () => {
+    const entry = await createEmbeddedEntry(userId, 'A long walk in the rain');
+
+    const stored = await JournalEntry.findById(entry._id).select('+embeddings');
+    expect(stored.embeddings).toHaveLength(provider.dimensions);
+    expect(stored.embeddingModel).toBe(provider.model);
+  });
+
+  it('should return the user\'s most similar entries only', async () => {
+    const rain = await createEmbeddedEntry(userId, 'A long walk in the rain with the dog');
+    await createEmbeddedEntry(userId, 'Cooked pasta for dinner and watched a film');
+    await createEmbeddedEntry(otherUserId, 'A long walk in the rain with the dog');
+
+    const { results, strategy } = await searchService.search(userId, 'walk in the rain', { limit: 5 });
+
+    expect(strategy).toBe('memory');
+    expect(results).toHaveLength(2);
+    expect(results[0].entry._id.toString()).toBe(rain._id.toString());
+    expect(results[0].entry.embeddings).toBeUndefined();
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+});
@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const {
+  StatsService,
+  toLocalDay,
+  shiftDay,
+  computeStreak,
+  advanceStreak,
+  currentStreak,
+} = require('../services/statsService');
+const { isValidTimeZone, canonicalLocale, atLocalTime } = require('../services/localTime');
+const { SessionService } = require('../services/sessionService');
+
+describe('Journal stats helpers', () => {
+  describe('toLocalDay', () => {
+    it('should use the user\'s timezone to pick the calendar day', () => {
+      const lateEvening = new Date('2024-03-10T23:30:00Z');
+
+      expect(toLocalDay(lateEvening, 'UTC')).toBe('2024-03-10');
+      expect(toLocalDay(lateEvening, 'Asia/Tokyo')).toBe('2024-03-11');
+      expect(toLocalDay(lateEvening, 'America/Los_Angeles')).toBe('2024-03-10');
+    });
+  });
+
+  describe('shiftDay', () => {
+    it('should step across month and year boundaries', () => {
+      expect(shiftDay('2024-03-01', -1)).toBe('2024-02-29');
+      expect(shiftDay('2023-12-31', 1)).toBe('2024-01-01');
+    });
+  });
+
+  describe('computeStreak', () => {
+    it('should count consecutive days ending today', () => {
+      const days = ['2024-05-10', '2024-05-09', '2024-05-08', '2024-05-06'];
+      expect(computeStreak(days, '2024-05-10')).toBe(3);
+    });
+
+    it('should keep a streak alive until the end of the next day', () => {
+      const days = ['2024-05-09', '2024-05-08'];
+      expect(computeStreak(days, '2024-05-10')).toBe(2);
+    });
+
+    it('should reset once a full day is missed', () => {
+      const days = ['2024-05-08', '2024-05-07'];
+      expect(computeStreak(days, '2024-05-10')).toBe(0);
+    });
+
+    it('should return 0 with no entries', () => {
+      expect(computeStreak([], '2024-05-10')).toBe(0);
+    });
+  });
+
+  describe('currentStreak', () => {
+    const stats = {
+      streakDays: 4,
+      lastEntryDate: new Date('2024-05-09T22:00:00Z'),
+    };
+
+    it('should report the stored streak while it is still current', () => {
+      expect(currentStreak(stats, 'UTC', new Date('2024-05-10T12:00:00Z'))).toBe(4);
+    });
+
+    it('should report 0 once the stored streak has lapsed', () => {
+      expect(currentStreak(stats, 'UTC', new Date('2024-05-11T12:00:00Z'))).toBe(0);
+    });
+
+    it('should evaluate staleness in the user\'s timezone', () => {
+      // 22:00 UTC on the 9th is already the 10th in Tokyo
+      expect(currentStreak(stats, 'Asia/Tokyo', new Date('2024-05-11T12:00:00Z'))).toBe(4);
+    });
+
+    it('should go by the streak\'s last day once it is stored', () => {
+      const moved = { ...stats, streakEndDay: '2024-05-11' };
+      expect(currentStreak(moved, 'UTC', new Date('2024-05-12T12:00:00Z'))).toBe(4);
+    });
+  });
+
+  describe('advanceStreak', () => {
+    const today = '2024-05-10';
+    const streak = { days: 3, endDay: '2024-05-09' }; // 7th to 9th
+    const runs = { '2024-05-05': 2 }; // 4th and 5th
+    const runEndingAt = async day => runs[day] || 0;
+    const advance = (change, from = streak) => advanceStreak(from, change, today, runEndingAt);
+
+    it('should extend the streak by today', async () => {
+      expect(await advance({ day: today, gained: true })).toEqual({ days: 4, endDay: today });
+    });
+
+    it('should join the run before the streak when the gap is filled', async () => {
+      expect(await advance({ day: '2024-05-06', gained: true })).toEqual({ days: 6, endDay: '2024-05-09' });
+    });
+
+    it('should start a streak from the run before a new day', async () => {
+      const lapsed = { days: 2, endDay: '2024-05-06' };
+      expect(await advance({ day: '2024-05-09', gained: true }, lapsed)).toEqual({ days: 1, endDay: '2024-05-09' });
+
+      const afterRun = await advanceStreak(lapsed, { day: '2024-05-09', gained: true }, today, async () => 2);
+      expect(afterRun).toEqual({ days: 3, endDay: '2024-05-09' });
+    });
+
+    it('should ignore days that don\'t touch the streak', async () => {
+      expect(await advance({ day: '2024-05-03', gained: true })).toEqual(streak);
+      expect(await advance({ day: '2024-05-11', gained: true })).toEqual(streak);
+      expect(await advance({ day: '2024-05-05', gained: false })).toEqual(streak);
+    });
+
+    it('should cut the streak at a day that lost its entries', async () => {
+      expect(await advance({ day: '2024-05-08', gained: false })).toEqual({ days: 1, endDay: '2024-05-09' });
+      expect(await advance({ day: '2024-05-07', gained: false })).toEqual({ days: 2, endDay: '2024-05-09' });
+    });
+
+    it('should fall back to yesterday when today loses its entries', async () => {
+      const throughToday = { days: 4, endDay: today };
+      expect(await advance({ day: today, gained: false }, throughToday)).toEqual({ days: 3, endDay: '2024-05-09' });
+      expect(await advance({ day: '2024-05-09', gained: false })).toEqual({ days: 0, endDay: null });
+    });
+  });
+});
+
+describe('Local time helpers', () => {
+  it('should recognize IANA timezones', () => {
+    expect(isValidTimeZone('Europe/London')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+
+  it('should canonicalize locale tags as devices report them', () => {
+    expect(canonicalLocale('en_gb')).toBe('en-GB');
+    expect(canonicalLocale('pt-br')).toBe('pt-BR');
+    expect(canonicalLocale('not a locale')).toBeNull();
+  });
+
+  it('should find the start of a local day', () => {
+    expect(atLocalTime('2024-03-11', 'Asia/Tokyo').toISOString()).toBe('2024-03-10T15:00:00.000Z');
+  });
+});
+
+describe('Timezone-aware journal days', () => {
+  let user;
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await JournalEntry.deleteMany({});
+    await User.deleteMany({});
+    user = await User.create({
+      googleId: 'google-traveller',
+      email: 'traveller@example.com',
+      name: 'Traveller',
+      timezone: 'Asia/Tokyo',
+    });
+  });
+
+  afterAll(async () => {
+    await JournalEntry.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  it('should stamp entries with the day in the user\'s timezone', async () => {
+    const entry = await JournalEntry.create({ userId: user._id, content: 'Late night', date: new Date('2024-03-10T23:30:00Z') });
+    expect(entry.journalDay).toBe('2024-03-11');
+
+    await User.updateOne({ _id: user._id }, { $set: { timezone: 'America/Los_Angeles' } });
+    entry.date = new Date('2024-03-12T04:00:00Z');
+    await entry.save();
+    expect(entry.journalDay).toBe('2024-03-11');
+  });
+
+  it('should keep streak days where they were written after the user moves', async () => {
+    await JournalEntry.create({ userId: user._id, content: 'Tokyo evening', date: new Date('2024-03-10T12:00:00Z') });
+    await JournalEntry.create({ userId: user._id, content: 'Tokyo morning', date: new Date('2024-03-10T23:30:00Z') });
+    await User.updateOne({ _id: user._id }, { $set: { timezone: 'America/Los_Angeles' } });
+
+    const { days } = await new StatsService().getJournalDays(user._id, 'America/Los_Angeles');
+
+    expect(days).toEqual(['2024-03-11', '2024-03-10']);
+  });
+
+  it('should move the streak on as entries come and go', async () => {
+    const stats = new StatsService();
+    const today = toLocalDay(new Date(), user.timezone);
+    const entries = [];
+    for (const offset of [-2, -1, 0]) {
+      const day = shiftDay(today, offset);
+      const entry = await JournalEntry.create({
+        userId: user._id,
+        content: `Entry ${offset}`,
+        date: new Date(Date.now() + offset * 24 * 60 * 60 * 1000),
+        journalDay: day,
+      });
+      await stats.recordEntryCreated(entry);
+      entries.push(entry);
+    }
+    expect((await User.findById(user._id)).stats).toMatchObject({ streakDays: 3, streakEndDay: today });
+
+    await entries[1].deleteOne();
+    await stats.recordEntryDeleted(entries[1]);
+    expect((await User.findById(user._id)).stats).toMatchObject({ streakDays: 1, streakEndDay: today });
+
+    // The full recompute agrees
+    expect((await stats.recomputeUserStats(user._id)).changed).toBe(false);
+  });
+
+  it('should adopt the timezone and locale the device reports', async () => {
+    await new SessionService().adoptDeviceSettings(user, { timezone: 'Europe/Paris', locale: 'fr_FR' });
+
+    const updated = await User.findById(user._id);
+    expect(updated.timezone).toBe('Europe/Paris');
+    expect(updated.locale).toBe('fr-FR');
+  });
+
+  it('should ignore a timezone it doesn\'t recognize', async () => {
+    await new SessionService().adoptDeviceSettings(user, { timezone: 'Nowhere/Special' });
+
+    expect((await User.findById(user._id)).timezone).toBe('Asia/Tokyo');
+  });
+});
@@ -0,0 +1,154 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const Job = require('../models/Job');
+const { StubTranscriptionProvider, DEFAULT_TRANSCRIPT } = require('../services/transcription/stubProvider');
+const { TranscriptionService, TRANSCRIBE_ENTRY_JOB } = require('../services/transcriptionService');
+const { AnalysisService } = require('../services/analysisService');
+const { createTestApp, signToken } = require('./fixtures/testApp');
+
+const AUDIO_URL = 'https://cdn.example.com/audio/voice-note.m4a';
+
+// Keep recordings off DigitalOcean Spaces
+jest.mock('../services/uploadService', () => {
+  const multer = require('multer');
+  return {
+    UploadService: jest.fn().mockImplementation(() => ({
+      uploadVoiceRecording: jest.fn().mockResolvedValue('audio/voice-user/voice-note.m4a'),
+      getSignedDownloadUrl: jest.fn().mockResolvedValue('https://cdn.example.com/audio/voice-note.m4a'),
+      deleteObject: jest.fn().mockResolvedValue(true),
+    })),
+    audioUpload: multer({ storage: multer.memoryStorage() }),
+  };
+});
+
+describe('Stub transcription provider', () => {
+  it('should return the configured transcript for a recording', async () => {
+    const provider = new StubTranscriptionProvider({ transcripts: { [AUDIO_URL]: 'Walked by the sea.' } });
+
+    expect(await provider.transcribe({ url: AUDIO_URL })).toEqual({ text: 'Walked by the sea.', language: 'en' });
+    expect((await provider.transcribe({ url: 'https://cdn.example.com/other.m4a' })).text).toBe(DEFAULT_TRANSCRIPT);
+  });
+});
+
+describe('Voice journaling', () => {
+  let app;
+  let testUser;
+  let authToken;
+  let transcriptionService;
+
+  const recordVoiceEntry = () => request(app)
+    .post('/api/journal/voice')
+    .set('Authorization', `Bearer ${authToken}`)
+    .field('durationSeconds', '42')
+    .attach('audio', Buffer.from('fake audio'), { filename: 'note.m4a', contentType: 'audio/m4a' });
+
+  const runTranscription = async (entryId) => {
+    const job = await Job.findOne({ type: TRANSCRIBE_ENTRY_JOB, 'payload.entryId': entryId });
+    return transcriptionService.transcribeEntry(job);
+  };
+
+  beforeAll(async () => {
+    app = createTestApp({ '/api/journal': require('../routes/journal') });
+    transcriptionService = new TranscriptionService({
+      provider: new StubTranscriptionProvider({
+        transcripts: { [AUDIO_URL]: 'I went running and felt calm afterwards.' },
+      }),
+    });
+
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/persona-arcana-test');
+    }
+  });
+
+  beforeEach(async () => {
+    await Promise.all([JournalEntry.deleteMany({}), Job.deleteMany({}), User.deleteMany({})]);
+
+    testUser = await User.create({ googleId: 'voice-1', email: 'voice@example.com', name: 'Voice User' });
+    authToken = await signToken(testUser);
+  });
+
+  afterAll(async () => {
+    await Promise.all([JournalEntry.deleteMany({}), Job.deleteMany({}), User.deleteMany({})]);
+    await mongoose.connection.close();
+  });
+
+  it('should create a voice entry and queue its transcription', async () => {
+    const response = await recordVoiceEntry().expect(202);
+
+    expect(response.body.data.source).toBe('voice');
+    expect(response.body.data.audio).toMatchObject({ url: AUDIO_URL, mimeType: 'audio/m4a', durationSeconds: 42 });
+    expect(response.body.data.audio.key).toBeUndefined();
+
+    const stored = await JournalEntry.findById(response.body.data._id);
+    expect(stored.audio.key).toBe('audio/voice-user/voice-note.m4a');
+    expect(response.body.data.transcription.status).toBe('pending');
+    expect(await Job.countDocuments({ type: TRANSCRIBE_ENTRY_JOB })).toBe(1);
+
+    const user = await User.findById(testUser._id);
+    expect(user.stats.totalEntries).toBe(1);
+  });
+
+  it('should hold analysis until the user confirms the transcript', async () => {
+    const { body } = await recordVoiceEntry().expect(202);
+    const entryId = body.data._id;
+    const analysisService = new AnalysisService();
+
+    await runTranscription(entryId);
+
+    const transcribed = await JournalEntry.findById(entryId);
+    expect(transcribed.content).toBe('I went running and felt calm afterwards.');
+    expect(transcribed.wordCount).toBe(6);
+    expect(transcribed.transcription.status).toBe('completed');
+    expect(await analysisService.enqueuePendingEntries()).toBe(0);
+
+    const confirmed = await request(app)
+      .post(`/api/journal/${entryId}/transcript`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ content: 'I went running and felt calm afterwards. Mostly.' })
+      .expect(200);
+
+    expect(confirmed.body.data.transcription.status).toBe('reviewed');
+    expect(confirmed.body.data.wordCount).toBe(7);
+    expect(await analysisService.enqueuePendingEntries()).toBe(1);
+  });
+
+  it('should refuse text edits while transcription is running', async () => {
+    const { body } = await recordVoiceEntry().expect(202);
+
+    const response = await request(app)
+      .put(`/api/journal/${body.data._id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ content: 'Typed over the top' })
+      .expect(409);
+
+    expect(response.body.code).toBe('TRANSCRIPTION_IN_PROGRESS');
+  });
+
+  it('should retry a failed transcription', async () => {
+    const { body } = await recordVoiceEntry().expect(202);
+    const job = await Job.findOne({ type: TRANSCRIBE_ENTRY_JOB });
+    await transcriptionService.markFailed(job, new Error('Audio could not be decoded'));
+
+    const failed = await JournalEntry.findById(body.data._id);
+    expect(failed.transcription).toMatchObject({ status: 'failed', error: 'Audio could not be decoded' });
+
+    await request(app)
+      .post(`/api/journal/${body.data._id}/transcribe`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(202);
+
+    expect((await JournalEntry.findById(body.data._id)).transcription.status).toBe('pending');
+    expect(await Job.countDocuments({ type: TRANSCRIBE_ENTRY_JOB })).toBe(2);
+  });
+
+  it('should release transcripts left unreviewed past the review window', async () => {
+    const { body } = await recordVoiceEntry().expect(202);
+    await runTranscription(body.data._id);
+
+    const later = new Date(Date.now() + 25 * 60 * 60 * 1000);
+    expect(await transcriptionService.releaseUnreviewed(later)).toBe(1);
+    expect((await JournalEntry.findById(body.data._id)).transcription.status).toBe('reviewed');
+  });
+});
@@ -1,6 +1,7 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
 const { app, User } = require('../server');
+const { TokenService } = require('../services/tokenService');
 
 // Test database connection
 describe('MongoDB Atlas Connection and User CRUD', () => {
@@ -102,7 +103,7 @@ describe('MongoDB Atlas Connection and User CRUD', () => {
       expect(response.body.data.preferences.notifications.enabled).toBe(false);
     });
 
-    it('should delete user', async () => {
+    it('should schedule user deletion', async () => {
       // Create a user first
       const user = new User({
         email: 'test4@example.com',
@@ -111,16 +112,18 @@ describe('MongoDB Atlas Connection and User CRUD', () => {
       });
       await user.save();
 
+      const { accessToken: authToken } = await new TokenService().issueTokens(user);
       const response = await request(app)
         .delete(`/api/users/${user._id}`)
-        .expect(200);
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(202);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.data.message).toBe('User deleted successfully');
+      expect(response.body.data.scheduledFor).toBeDefined();
 
-      // Verify user is deleted
+      // The account is kept, marked for the purge job, until the grace period ends
       const deletedUser = await User.findById(user._id);
-      expect(deletedUser).toBeNull();
+      expect(deletedUser.isPendingDeletion()).toBe(true);
     });
 
     it('should handle user not found', async () => {
@@ -0,0 +1,77 @@
+const { JobQueue } = require('../services/jobQueue');
+const { JobWorker } = require('../services/jobWorker');
+const { AnalysisService, ANALYZE_ENTRY_JOB } = require('../services/analysisService');
+const { EmbeddingService, EMBED_ENTRY_JOB } = require('../services/embeddingService');
+const {
+  TranscriptionService,
+  TRANSCRIBE_ENTRY_JOB,
+} = require('../services/transcriptionService');
+const {
+  PersonaDiscoveryService,
+  DISCOVER_PERSONAS_JOB,
+} = require('../services/personaDiscoveryService');
+const {
+  AccountDeletionService,
+  PURGE_ACCOUNT_JOB,
+} = require('../services/accountDeletionService');
+const {
+  DataExportService,
+  EXPORT_DATA_JOB,
+  EXPIRE_EXPORT_JOB,
+} = require('../services/dataExportService');
+const { ImportService, IMPORT_JOURNAL_JOB } = require('../services/importService');
+const { ReminderService } = require('../services/reminderService');
+
+/**
+ * Build the background worker with every job handler registered
+ * @param {Object} options - { pollIntervalMs, analysisProvider, embeddingProvider,
+ *   transcriptionProvider, pushClient, discoveryIntervalMs, transcriptReviewWindowMs }
+ * @returns {JobWorker} Configured (not yet started) worker
+ */
+const createWorker = (options = {}) => {
+  const queue = new JobQueue();
+  const worker = new JobWorker({ queue, pollIntervalMs: options.pollIntervalMs });
+
+  const analysisService = new AnalysisService({ queue, provider: options.analysisProvider });
+  const embeddingService = new EmbeddingService({ provider: options.embeddingProvider });
+  const transcriptionService = new TranscriptionService({
+    queue,
+    provider: options.transcriptionProvider,
+    reviewWindowMs: options.transcriptReviewWindowMs,
+  });
+  const discoveryService = new PersonaDiscoveryService({
+    queue,
+    intervalMs: options.discoveryIntervalMs,
+  });
+  const accountDeletionService = new AccountDeletionService({ queue });
+  const dataExportService = new DataExportService({ queue });
+  const importService = new ImportService({ queue, analysisService });
+  const reminderService = new ReminderService({ pushClient: options.pushClient });
+
+  worker
+    .addPeriodicTask('enqueue-pending-entries', () => analysisService.enqueuePendingEntries())
+    .register(ANALYZE_ENTRY_JOB, job => analysisService.analyzeEntry(job), {
+      onFailed: job => analysisService.markFailed(job),
+    })
+    .addPeriodicTask('enqueue-persona-discovery', now => discoveryService.enqueueDueRuns(now))
+    .register(EMBED_ENTRY_JOB, job => embeddingService.embedEntry(job))
+    .register(TRANSCRIBE_ENTRY_JOB, job => transcriptionService.transcribeEntry(job), {
+      onFailed: (job, error) => transcriptionService.markFailed(job, error),
+    })
+    .addPeriodicTask('release-unreviewed-transcripts', now => transcriptionService.releaseUnreviewed(now))
+    .register(DISCOVER_PERSONAS_JOB, job => discoveryService.handleJob(job))
+    .register(PURGE_ACCOUNT_JOB, job => accountDeletionService.purgeAccount(job))
+    .register(EXPORT_DATA_JOB, job => dataExportService.buildExport(job), {
+      onFailed: (job, error) => dataExportService.markFailed(job, error),
+    })
+    .register(EXPIRE_EXPORT_JOB, job => dataExportService.expireExport(job))
+    .register(IMPORT_JOURNAL_JOB, job => importService.runImport(job), {
+      onFailed: (job, error) => importService.markFailed(job, error),
+    })
+    .addPeriodicTask('send-daily-reminders', now => reminderService.sendDueReminders(now))
+    .addPeriodicTask('check-push-receipts', now => reminderService.checkReceipts(now));
+
+  return worker;
+};
+
+module.exports = { createWorker };
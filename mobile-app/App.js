@@ -10,21 +10,27 @@ import { SafeAreaProvider } from 'react-native-safe-area-context';
 // Import providers and navigation
 import { AuthProvider, useAuth } from './src/contexts/AuthContext';
 import AppNavigator from './src/navigation/AppNavigator';
+import OnboardingNavigator from './src/navigation/OnboardingNavigator';
 import AuthScreen from './src/screens/AuthScreen';
 import LoadingScreen from './src/screens/LoadingScreen';
 import ErrorBoundary from './src/components/ErrorBoundary';
 
 // Main app component that handles authentication state
 const AppContent = () => {
-  const { isAuthenticated, loading } = useAuth();
+  const { isAuthenticated, loading, user } = useAuth();
 
   if (loading) {
     return <LoadingScreen />;
   }
 
+  let content = <AuthScreen />;
+  if (isAuthenticated) {
+    content = user?.onboarding?.completed ? <AppNavigator /> : <OnboardingNavigator />;
+  }
+
   return (
     <NavigationContainer>
-      {isAuthenticated ? <AppNavigator /> : <AuthScreen />}
+      {content}
     </NavigationContainer>
   );
 };
@@ -7,7 +7,15 @@ module.exports = {
     icon: "./assets/icon.png",
     userInterfaceStyle: "light",
     plugins: [
-      "expo-web-browser"
+      "expo-web-browser",
+      "expo-apple-authentication",
+      "expo-notifications",
+      [
+        "expo-audio",
+        {
+          microphonePermission: "Allow Persona Arcana to record voice journal entries."
+        }
+      ]
     ],
     splash: {
       image: "./assets/splash-icon.png",
@@ -19,6 +27,7 @@ module.exports = {
     ],
     ios: {
       supportsTablet: true,
+      usesAppleSignIn: true,
       bundleIdentifier: "com.personaarcana.app"
     },
     android: {
@@ -0,0 +1,290 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { theme, colors } from '../../theme';
+import journalService, { countWords } from '../../services/journalService';
+import journalStore from '../../services/journalStore';
+import PromptPicker from './PromptPicker';
+
+const AUTOSAVE_DELAY_MS = 800;
+const MAX_LENGTH = 50000; // Matches the API limit
+
+const EntryComposer = ({ visible, entry, onClose, onSaved }) => {
+  const [content, setContent] = useState('');
+  const [draftRestored, setDraftRestored] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [prompt, setPrompt] = useState(null);
+  const [pickerVisible, setPickerVisible] = useState(false);
+  const autosaveTimer = useRef(null);
+  const entryId = entry?.localId || null;
+
+  // Start from the saved draft for this entry if there is one
+  useEffect(() => {
+    if (!visible) return;
+
+    let cancelled = false;
+    (async () => {
+      const draft = await journalService.loadDraft();
+      if (cancelled) return;
+
+      if (draft && draft.entryId === entryId && (draft.content || draft.prompt)) {
+        setContent(draft.content || '');
+        setPrompt(draft.prompt || null);
+        setDraftRestored(Boolean(draft.content) && draft.content !== (entry?.content || ''));
+      } else {
+        setContent(entry?.content || '');
+        setPrompt(null);
+        setDraftRestored(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [visible, entryId]);
+
+  useEffect(() => () => clearTimeout(autosaveTimer.current), []);
+
+  const handleChange = (text) => {
+    setContent(text);
+    clearTimeout(autosaveTimer.current);
+    autosaveTimer.current = setTimeout(() => {
+      journalService.saveDraft({ content: text, entryId, prompt });
+    }, AUTOSAVE_DELAY_MS);
+  };
+
+  // The chosen prompt is saved with the draft and recorded on the entry
+  const choosePrompt = (chosen) => {
+    const selected = chosen && { _id: chosen._id, text: chosen.text };
+    setPrompt(selected);
+    setPickerVisible(false);
+    journalService.saveDraft({ content, entryId, prompt: selected });
+  };
+
+  const handleSave = async () => {
+    if (!content.trim()) return;
+
+    clearTimeout(autosaveTimer.current);
+    setSaving(true);
+    try {
+      // Saved on the device first; the store syncs it when online
+      const saved = entryId
+        ? await journalStore.updateEntry(entryId, { content })
+        : await journalStore.createEntry({ content, promptId: prompt?._id });
+
+      await journalService.clearDraft();
+      onSaved(saved);
+    } catch (error) {
+      console.error('Failed to save journal entry:', error);
+      Alert.alert('Error', 'Failed to save your entry. Your draft is kept on this device.');
+      journalService.saveDraft({ content, entryId, prompt });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDiscard = () => {
+    Alert.alert('Discard draft?', 'Your unsaved changes will be lost.', [
+      { text: 'Keep editing', style: 'cancel' },
+      {
+        text: 'Discard',
+        style: 'destructive',
+        onPress: async () => {
+          clearTimeout(autosaveTimer.current);
+          await journalService.clearDraft();
+          onClose();
+        },
+      },
+    ]);
+  };
+
+  const wordCount = countWords(content);
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <KeyboardAvoidingView
+          style={styles.flex}
+          behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        >
+          <View style={styles.header}>
+            <TouchableOpacity onPress={onClose} style={styles.headerButton}>
+              <Ionicons name="chevron-down" size={24} color={theme.colors.text.primary} />
+            </TouchableOpacity>
+            <Text style={styles.title}>{entryId ? 'Edit entry' : 'New entry'}</Text>
+            <TouchableOpacity
+              onPress={handleSave}
+              style={styles.headerButton}
+              disabled={saving || !content.trim()}
+            >
+              {saving ? (
+                <ActivityIndicator size="small" color={theme.colors.primary} />
+              ) : (
+                <Text style={[styles.saveText, !content.trim() && styles.disabledText]}>Save</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+
+          {draftRestored && (
+            <View style={styles.draftBanner}>
+              <Text style={styles.draftText}>Restored your unsaved draft</Text>
+              <TouchableOpacity onPress={handleDiscard}>
+                <Text style={styles.discardText}>Discard</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {prompt ? (
+            <View style={styles.promptBanner}>
+              <Text style={styles.promptText}>{prompt.text}</Text>
+              <TouchableOpacity onPress={() => choosePrompt(null)} style={styles.headerButton}>
+                <Ionicons name="close" size={18} color={theme.colors.text.secondary} />
+              </TouchableOpacity>
+            </View>
+          ) : !entryId && (
+            <TouchableOpacity style={styles.inspiration} onPress={() => setPickerVisible(true)}>
+              <Ionicons name="bulb-outline" size={18} color={theme.colors.primary} />
+              <Text style={styles.inspirationText}>Need inspiration?</Text>
+            </TouchableOpacity>
+          )}
+
+          <TextInput
+            style={styles.input}
+            value={content}
+            onChangeText={handleChange}
+            placeholder="What's on your mind?"
+            placeholderTextColor={theme.colors.text.tertiary}
+            multiline
+            autoFocus
+            maxLength={MAX_LENGTH}
+            textAlignVertical="top"
+          />
+
+          <View style={styles.footer}>
+            <Text style={styles.footerText}>
+              {wordCount} {wordCount === 1 ? 'word' : 'words'}
+            </Text>
+            <Text style={styles.footerText}>
+              {content.length}/{MAX_LENGTH}
+            </Text>
+          </View>
+        </KeyboardAvoidingView>
+
+        <PromptPicker
+          visible={pickerVisible}
+          onClose={() => setPickerVisible(false)}
+          onSelect={choosePrompt}
+        />
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.primary,
+  },
+  flex: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  headerButton: {
+    minWidth: 48,
+    alignItems: 'center',
+    padding: theme.spacing.xs,
+  },
+  title: {
+    ...theme.typography.heading3,
+    color: theme.colors.text.primary,
+  },
+  saveText: {
+    ...theme.typography.button,
+    color: theme.colors.primary,
+  },
+  disabledText: {
+    color: theme.colors.text.tertiary,
+  },
+  draftBanner: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    backgroundColor: colors.warning[50],
+  },
+  draftText: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.secondary,
+  },
+  discardText: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.error,
+  },
+  inspiration: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: theme.spacing.md,
+    paddingTop: theme.spacing.md,
+  },
+  inspirationText: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.primary,
+    marginLeft: theme.spacing.xs,
+  },
+  promptBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: theme.spacing.md,
+    marginTop: theme.spacing.md,
+    paddingLeft: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: 12,
+    backgroundColor: colors.primary[50],
+  },
+  promptText: {
+    ...theme.typography.body,
+    flex: 1,
+    color: theme.colors.text.primary,
+    fontStyle: 'italic',
+  },
+  input: {
+    flex: 1,
+    padding: theme.spacing.md,
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.border,
+  },
+  footerText: {
+    ...theme.typography.caption,
+    color: theme.colors.text.tertiary,
+  },
+});
+
+export default EntryComposer;
@@ -0,0 +1,684 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { theme, colors } from '../../theme';
+import { useAuth } from '../../contexts/AuthContext';
+import journalService from '../../services/journalService';
+import journalStore from '../../services/journalStore';
+
+/**
+ * Describe a 1-10 mood score in words
+ */
+const moodLabel = (score) => {
+  if (score >= 8.5) return 'Very positive';
+  if (score >= 6.5) return 'Positive';
+  if (score > 4.5) return 'Neutral';
+  if (score > 2.5) return 'Negative';
+  return 'Very negative';
+};
+
+const TRANSCRIPTION_POLL_MS = 5000;
+
+// Namespaces a corrected tag can be filed under
+const TAG_NAMESPACES = ['emotion', 'relationship', 'growth', 'activity', 'challenge', 'insight'];
+
+const TagChip = ({ tag, selected, onPress }) => (
+  <TouchableOpacity
+    style={[styles.chip, selected && styles.chipSelected]}
+    onPress={onPress}
+  >
+    <Text style={styles.chipNamespace}>{tag.namespace}</Text>
+    <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{tag.name}</Text>
+    {tag.status === 'accepted' && (
+      <Ionicons
+        name="checkmark"
+        size={12}
+        color={selected ? theme.colors.text.inverse : colors.primary[700]}
+        style={styles.chipIcon}
+      />
+    )}
+  </TouchableOpacity>
+);
+
+const ReviewButton = ({ icon, label, onPress, disabled }) => (
+  <TouchableOpacity style={styles.reviewButton} onPress={onPress} disabled={disabled}>
+    <Ionicons name={icon} size={14} color={theme.colors.text.secondary} />
+    <Text style={styles.reviewText}>{label}</Text>
+  </TouchableOpacity>
+);
+
+const EntryDetail = ({ entry: initialEntry, onClose, onEdit, onDeleted }) => {
+  const { authToken } = useAuth();
+  const [entry, setEntry] = useState(initialEntry);
+  const [selectedTag, setSelectedTag] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [transcript, setTranscript] = useState(initialEntry?.content || '');
+  // Corrections in progress: { namespace, name } for a tag, text for the summary
+  const [tagEdit, setTagEdit] = useState(null);
+  const [summaryEdit, setSummaryEdit] = useState(null);
+
+  // Reload synced entries so the processing status and analysis are current
+  useEffect(() => {
+    setEntry(initialEntry);
+    setSelectedTag(null);
+    setTagEdit(null);
+    setSummaryEdit(null);
+    if (!initialEntry?._id || initialEntry.syncState !== 'synced' || !authToken) return;
+
+    let cancelled = false;
+    journalService.getEntry(initialEntry._id, authToken)
+      .then((fresh) => {
+        if (!cancelled) {
+          setEntry({ ...fresh, localId: initialEntry.localId, syncState: 'synced' });
+          journalStore.mergeServerEntries([fresh]);
+        }
+      })
+      .catch((error) => {
+        if (!error.isNetworkError) console.error('Failed to refresh journal entry:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [initialEntry?.localId, authToken]);
+
+  const transcriptionStatus = entry?.source === 'voice' ? entry.transcription?.status : null;
+  const transcribing = transcriptionStatus === 'pending' || transcriptionStatus === 'processing';
+
+  // Start review from the transcript the server produced
+  useEffect(() => {
+    if (transcriptionStatus === 'completed') setTranscript(entry.content || '');
+  }, [transcriptionStatus]);
+
+  // Poll until the transcript is ready to review
+  useEffect(() => {
+    if (!transcribing || !authToken) return;
+
+    const timer = setInterval(async () => {
+      try {
+        const fresh = await journalService.getEntry(entry._id, authToken);
+        setEntry({ ...fresh, localId: entry.localId, syncState: 'synced' });
+        journalStore.mergeServerEntries([fresh]);
+      } catch (error) {
+        if (!error.isNetworkError) console.error('Failed to refresh journal entry:', error);
+      }
+    }, TRANSCRIPTION_POLL_MS);
+
+    return () => clearInterval(timer);
+  }, [transcribing, entry?._id, authToken]);
+
+  if (!entry) return null;
+
+  const handleConfirmTranscript = async () => {
+    setWorking(true);
+    try {
+      const updated = await journalService.confirmTranscript(entry._id, transcript, authToken);
+      setEntry({ ...updated, localId: entry.localId, syncState: 'synced' });
+      journalStore.mergeServerEntries([updated]);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRetryTranscription = async () => {
+    setWorking(true);
+    try {
+      await journalService.retryTranscription(entry._id, authToken);
+      const updated = { ...entry, transcription: { ...entry.transcription, status: 'pending', error: null } };
+      setEntry(updated);
+      journalStore.mergeServerEntries([updated]);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRetry = async () => {
+    setWorking(true);
+    try {
+      const { processingStatus } = await journalService.retryAnalysis(entry._id, authToken);
+      const updated = { ...entry, processingStatus };
+      setEntry(updated);
+      journalStore.mergeServerEntries([updated]);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // Send a verdict on the analysis and show the entry as the server now has it
+  const submitReview = async (review) => {
+    setWorking(true);
+    try {
+      const updated = await review();
+      setEntry({ ...updated, localId: entry.localId, syncState: 'synced' });
+      journalStore.mergeServerEntries([updated]);
+      return true;
+    } catch (error) {
+      Alert.alert('Error', error.message);
+      return false;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleReviewTag = async (tag, action, correction) => {
+    const saved = await submitReview(() => journalService.reviewTag(entry._id, {
+      namespace: tag.namespace,
+      name: tag.name,
+      action,
+      ...(correction && { correction }),
+    }, authToken));
+    if (saved) {
+      setSelectedTag(null);
+      setTagEdit(null);
+    }
+  };
+
+  const handleReviewSummary = async (action, summary) => {
+    const saved = await submitReview(() => journalService.reviewSummary(entry._id, {
+      action,
+      ...(summary !== undefined && { summary }),
+    }, authToken));
+    if (saved) setSummaryEdit(null);
+  };
+
+  const handleDelete = () => {
+    Alert.alert('Delete entry?', 'This cannot be undone.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          await journalStore.deleteEntry(entry.localId);
+          onDeleted(entry.localId);
+        },
+      },
+    ]);
+  };
+
+  const analyzed = entry.processingStatus === 'completed' && entry.syncState === 'synced';
+  const encrypted = entry.locked || entry.processingStatus === 'skipped';
+  // Tags the user rejected are gone as far as they're concerned
+  const tags = (entry.tags || []).filter(tag => tag.namespace !== 'system' && tag.status !== 'rejected');
+  const selected = selectedTag !== null ? tags[selectedTag] : null;
+
+  return (
+    <Modal visible animationType="slide" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.headerButton}>
+            <Ionicons name="chevron-down" size={24} color={theme.colors.text.primary} />
+          </TouchableOpacity>
+          <Text style={styles.title}>
+            {new Date(entry.date).toLocaleDateString(undefined, {
+              weekday: 'long',
+              month: 'long',
+              day: 'numeric',
+            })}
+          </Text>
+          <View style={styles.headerActions}>
+            <TouchableOpacity
+              onPress={() => onEdit(entry)}
+              style={styles.headerButton}
+              disabled={working || transcribing || transcriptionStatus === 'completed' || entry.locked}
+            >
+              <Ionicons name="create-outline" size={22} color={theme.colors.text.primary} />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={handleDelete} style={styles.headerButton} disabled={working}>
+              <Ionicons name="trash-outline" size={22} color={theme.colors.error} />
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content}>
+          {transcriptionStatus && transcriptionStatus !== 'reviewed' ? (
+            <View style={styles.statusBanner}>
+              {transcribing ? (
+                <>
+                  <Text style={styles.statusText}>Transcribing your recording…</Text>
+                  <ActivityIndicator size="small" color={theme.colors.primary} />
+                </>
+              ) : transcriptionStatus === 'failed' ? (
+                <>
+                  <Text style={styles.statusText}>We couldn't transcribe this recording.</Text>
+                  <TouchableOpacity onPress={handleRetryTranscription} disabled={working}>
+                    <Text style={styles.retryText}>Try again</Text>
+                  </TouchableOpacity>
+                </>
+              ) : (
+                <Text style={styles.statusText}>
+                  Check the transcript and fix anything misheard. AI insights follow once you confirm it.
+                </Text>
+              )}
+            </View>
+          ) : encrypted ? (
+            <View style={styles.statusBanner}>
+              <Text style={styles.statusText}>
+                {entry.locked
+                  ? 'This entry is end-to-end encrypted. Unlock your journal in Profile to read it.'
+                  : 'End-to-end encrypted. AI insights aren\'t available for encrypted entries.'}
+              </Text>
+              <Ionicons name="lock-closed" size={16} color={theme.colors.text.secondary} />
+            </View>
+          ) : analyzed ? (
+            <View style={styles.analysis}>
+              {summaryEdit !== null ? (
+                <>
+                  <Text style={styles.sectionLabel}>Summary</Text>
+                  <TextInput
+                    style={styles.reviewInput}
+                    value={summaryEdit}
+                    onChangeText={setSummaryEdit}
+                    multiline
+                    maxLength={1000}
+                    editable={!working}
+                  />
+                  <View style={styles.reviewRow}>
+                    <ReviewButton icon="close" label="Cancel" onPress={() => setSummaryEdit(null)} disabled={working} />
+                    <ReviewButton
+                      icon="checkmark"
+                      label="Save"
+                      onPress={() => handleReviewSummary('edited', summaryEdit.trim())}
+                      disabled={working || !summaryEdit.trim()}
+                    />
+                  </View>
+                </>
+              ) : entry.summary ? (
+                <>
+                  <Text style={styles.sectionLabel}>Summary</Text>
+                  <Text style={styles.summary}>{entry.summary}</Text>
+                  {!entry.summaryReview && (
+                    <View style={styles.reviewRow}>
+                      <ReviewButton
+                        icon="thumbs-up-outline"
+                        label="Accurate"
+                        onPress={() => handleReviewSummary('accepted')}
+                        disabled={working}
+                      />
+                      <ReviewButton
+                        icon="thumbs-down-outline"
+                        label="Not right"
+                        onPress={() => handleReviewSummary('rejected')}
+                        disabled={working}
+                      />
+                      <ReviewButton
+                        icon="create-outline"
+                        label="Edit"
+                        onPress={() => setSummaryEdit(entry.summary)}
+                        disabled={working}
+                      />
+                    </View>
+                  )}
+                </>
+              ) : null}
+
+              {typeof entry.moodScore === 'number' && (
+                <View style={styles.moodRow}>
+                  <Text style={styles.sectionLabel}>Mood</Text>
+                  <Text style={styles.moodValue}>
+                    {moodLabel(entry.moodScore)} ({entry.moodScore}/10)
+                  </Text>
+                </View>
+              )}
+
+              {tags.length > 0 && (
+                <>
+                  <Text style={styles.sectionLabel}>Themes</Text>
+                  <View style={styles.chips}>
+                    {tags.map((tag, index) => (
+                      <TagChip
+                        key={`${tag.namespace}:${tag.name}:${index}`}
+                        tag={tag}
+                        selected={selectedTag === index}
+                        onPress={() => {
+                          setSelectedTag(selectedTag === index ? null : index);
+                          setTagEdit(null);
+                        }}
+                      />
+                    ))}
+                  </View>
+                  {selected && (
+                    <View style={styles.evidence}>
+                      {selected.evidence?.quote ? (
+                        <Text style={styles.quote}>“{selected.evidence.quote}”</Text>
+                      ) : null}
+                      {selected.evidence?.reasoning ? (
+                        <Text style={styles.reasoning}>{selected.evidence.reasoning}</Text>
+                      ) : null}
+                      {selected.source === 'user' ? (
+                        <Text style={styles.reasoning}>Added by you.</Text>
+                      ) : tagEdit ? (
+                        <>
+                          <View style={styles.chips}>
+                            {TAG_NAMESPACES.map(namespace => (
+                              <TouchableOpacity
+                                key={namespace}
+                                style={[styles.namespaceChip, tagEdit.namespace === namespace && styles.chipSelected]}
+                                onPress={() => setTagEdit({ ...tagEdit, namespace })}
+                              >
+                                <Text style={[styles.chipNamespace, tagEdit.namespace === namespace && styles.chipTextSelected]}>
+                                  {namespace}
+                                </Text>
+                              </TouchableOpacity>
+                            ))}
+                          </View>
+                          <TextInput
+                            style={styles.reviewInput}
+                            value={tagEdit.name}
+                            onChangeText={name => setTagEdit({ ...tagEdit, name })}
+                            autoCapitalize="none"
+                            maxLength={100}
+                            editable={!working}
+                          />
+                          <View style={styles.reviewRow}>
+                            <ReviewButton icon="close" label="Cancel" onPress={() => setTagEdit(null)} disabled={working} />
+                            <ReviewButton
+                              icon="checkmark"
+                              label="Save"
+                              onPress={() => handleReviewTag(selected, 'edited', {
+                                namespace: tagEdit.namespace,
+                                name: tagEdit.name.trim().toLowerCase(),
+                              })}
+                              disabled={working || !tagEdit.name.trim()}
+                            />
+                          </View>
+                        </>
+                      ) : (
+                        <View style={styles.reviewRow}>
+                          {selected.status !== 'accepted' && (
+                            <ReviewButton
+                              icon="thumbs-up-outline"
+                              label="Fits"
+                              onPress={() => handleReviewTag(selected, 'accepted')}
+                              disabled={working}
+                            />
+                          )}
+                          <ReviewButton
+                            icon="thumbs-down-outline"
+                            label="Doesn't fit"
+                            onPress={() => handleReviewTag(selected, 'rejected')}
+                            disabled={working}
+                          />
+                          <ReviewButton
+                            icon="create-outline"
+                            label="Edit"
+                            onPress={() => setTagEdit({ namespace: selected.namespace, name: selected.name })}
+                            disabled={working}
+                          />
+                        </View>
+                      )}
+                    </View>
+                  )}
+                </>
+              )}
+            </View>
+          ) : (
+            <View style={styles.statusBanner}>
+              {entry.syncState !== 'synced' ? (
+                <Text style={styles.statusText}>
+                  Saved on this device. AI insights follow once it syncs.
+                </Text>
+              ) : entry.processingStatus === 'failed' ? (
+                <>
+                  <Text style={styles.statusText}>We couldn't analyze this entry.</Text>
+                  <TouchableOpacity onPress={handleRetry} disabled={working}>
+                    <Text style={styles.retryText}>Try again</Text>
+                  </TouchableOpacity>
+                </>
+              ) : (
+                <Text style={styles.statusText}>
+                  AI insights will appear here once analysis finishes.
+                </Text>
+              )}
+            </View>
+          )}
+
+          {transcriptionStatus === 'completed' ? (
+            <>
+              <TextInput
+                style={styles.transcriptInput}
+                value={transcript}
+                onChangeText={setTranscript}
+                multiline
+                maxLength={50000}
+                editable={!working}
+              />
+              <TouchableOpacity
+                style={[styles.confirmButton, !transcript.trim() && styles.confirmButtonDisabled]}
+                onPress={handleConfirmTranscript}
+                disabled={working || !transcript.trim()}
+              >
+                {working ? (
+                  <ActivityIndicator size="small" color={theme.colors.white} />
+                ) : (
+                  <Text style={styles.confirmText}>Confirm transcript</Text>
+                )}
+              </TouchableOpacity>
+            </>
+          ) : (
+            <>
+              <Text style={styles.body}>{entry.content}</Text>
+              {!transcribing && <Text style={styles.meta}>{entry.wordCount} words</Text>}
+            </>
+          )}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.primary,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  headerActions: {
+    flexDirection: 'row',
+  },
+  headerButton: {
+    padding: theme.spacing.xs,
+  },
+  title: {
+    ...theme.typography.bodySmall,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+  },
+  content: {
+    padding: theme.spacing.lg,
+  },
+  analysis: {
+    backgroundColor: colors.primary[50],
+    borderRadius: 12,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.lg,
+  },
+  sectionLabel: {
+    ...theme.typography.caption,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.secondary,
+    textTransform: 'uppercase',
+    marginBottom: theme.spacing.xs,
+  },
+  summary: {
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.md,
+  },
+  moodRow: {
+    marginBottom: theme.spacing.md,
+  },
+  moodValue: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.primary,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 16,
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.sm,
+    marginRight: theme.spacing.xs,
+    marginBottom: theme.spacing.xs,
+    backgroundColor: theme.colors.white,
+    borderWidth: 1,
+    borderColor: colors.primary[100],
+  },
+  chipSelected: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipNamespace: {
+    ...theme.typography.caption,
+    color: theme.colors.text.tertiary,
+    marginRight: theme.spacing.xs,
+  },
+  chipText: {
+    ...theme.typography.caption,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: colors.primary[700],
+  },
+  chipTextSelected: {
+    color: theme.colors.text.inverse,
+  },
+  chipIcon: {
+    marginLeft: theme.spacing.xs,
+  },
+  namespaceChip: {
+    borderRadius: 16,
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.sm,
+    marginRight: theme.spacing.xs,
+    marginBottom: theme.spacing.xs,
+    backgroundColor: theme.colors.white,
+    borderWidth: 1,
+    borderColor: colors.primary[100],
+  },
+  reviewRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: theme.spacing.xs,
+    marginBottom: theme.spacing.sm,
+  },
+  reviewButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: theme.spacing.md,
+    paddingVertical: theme.spacing.xs,
+  },
+  reviewText: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    marginLeft: theme.spacing.xs,
+  },
+  reviewInput: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.primary,
+    backgroundColor: theme.colors.white,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: 8,
+    padding: theme.spacing.sm,
+    marginTop: theme.spacing.xs,
+  },
+  evidence: {
+    marginTop: theme.spacing.sm,
+    paddingLeft: theme.spacing.sm,
+    borderLeftWidth: 3,
+    borderLeftColor: theme.colors.primary,
+  },
+  quote: {
+    ...theme.typography.bodySmall,
+    fontStyle: 'italic',
+    color: theme.colors.text.primary,
+  },
+  reasoning: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.xs,
+  },
+  statusBanner: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: theme.colors.background.tertiary,
+    borderRadius: 12,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.lg,
+  },
+  statusText: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.secondary,
+    flexShrink: 1,
+  },
+  retryText: {
+    ...theme.typography.bodySmall,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.primary,
+    marginLeft: theme.spacing.sm,
+  },
+  transcriptInput: {
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: 12,
+    padding: theme.spacing.md,
+    minHeight: 160,
+    textAlignVertical: 'top',
+  },
+  confirmButton: {
+    alignItems: 'center',
+    marginTop: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: 24,
+    backgroundColor: theme.colors.primary,
+  },
+  confirmButtonDisabled: {
+    opacity: 0.5,
+  },
+  confirmText: {
+    ...theme.typography.body,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.white,
+  },
+  body: {
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+  },
+  meta: {
+    ...theme.typography.caption,
+    color: theme.colors.text.tertiary,
+    marginTop: theme.spacing.md,
+  },
+});
+
+export default EntryDetail;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { theme } from '../../theme';
+
+const STATUS_LABELS = {
+  pending: 'Waiting for analysis',
+  queued: 'Waiting for analysis',
+  processing: 'Analyzing…',
+  failed: 'Analysis failed',
+  skipped: 'Encrypted',
+};
+
+const TRANSCRIPTION_LABELS = {
+  pending: 'Transcribing…',
+  processing: 'Transcribing…',
+  completed: 'Transcript ready to review',
+  failed: 'Transcription failed',
+};
+
+const SYNC_LABELS = {
+  pending: 'Not synced yet',
+  failed: 'Sync failed',
+};
+
+const EntryListItem = ({ entry, onPress }) => {
+  const date = new Date(entry.date);
+  let preview = entry.processingStatus === 'completed' && entry.summary
+    ? entry.summary
+    : entry.content || (entry.source === 'voice' ? 'Voice entry' : '');
+  if (entry.locked) preview = 'Encrypted entry';
+  const transcriptionLabel = entry.source === 'voice' && TRANSCRIPTION_LABELS[entry.transcription?.status];
+
+  return (
+    <TouchableOpacity style={styles.container} onPress={() => onPress(entry)}>
+      <View style={styles.dateColumn}>
+        <Text style={styles.day}>{date.getDate()}</Text>
+        <Text style={styles.month}>
+          {date.toLocaleDateString(undefined, { month: 'short' })}
+        </Text>
+      </View>
+      <View style={styles.body}>
+        <Text style={styles.preview} numberOfLines={3}>{preview}</Text>
+        <View style={styles.meta}>
+          <Text style={styles.metaText}>{entry.wordCount} words</Text>
+          {SYNC_LABELS[entry.syncState] ? (
+            <Text style={[styles.metaText, entry.syncState === 'failed' && styles.failedText]}>
+              {SYNC_LABELS[entry.syncState]}
+            </Text>
+          ) : transcriptionLabel ? (
+            <Text
+              style={[
+                styles.metaText,
+                entry.transcription.status === 'failed' && styles.failedText,
+              ]}
+            >
+              {transcriptionLabel}
+            </Text>
+          ) : STATUS_LABELS[entry.processingStatus] && (
+            <Text
+              style={[
+                styles.metaText,
+                entry.processingStatus === 'failed' && styles.failedText,
+              ]}
+            >
+              {STATUS_LABELS[entry.processingStatus]}
+            </Text>
+          )}
+        </View>
+      </View>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    ...theme.components.card,
+    flexDirection: 'row',
+    marginBottom: theme.spacing.md,
+  },
+  dateColumn: {
+    width: 48,
+    alignItems: 'center',
+    marginRight: theme.spacing.md,
+  },
+  day: {
+    ...theme.typography.heading2,
+    color: theme.colors.primary,
+  },
+  month: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    textTransform: 'uppercase',
+  },
+  body: {
+    flex: 1,
+  },
+  preview: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.primary,
+  },
+  meta: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: theme.spacing.sm,
+  },
+  metaText: {
+    ...theme.typography.caption,
+    color: theme.colors.text.tertiary,
+  },
+  failedText: {
+    color: theme.colors.error,
+  },
+});
+
+export default EntryListItem;
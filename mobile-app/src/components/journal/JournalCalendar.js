@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useMemo, useCallback, useSyncExternalStore } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme, colors } from '../../theme';
+import { useAuth } from '../../contexts/AuthContext';
+import journalService, { toDayKey } from '../../services/journalService';
+import journalStore from '../../services/journalStore';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Day keys covered by the current streak, which ends on the last entry day
+ */
+const streakDayKeys = (stats) => {
+  const keys = new Set();
+  if (!stats?.streakDays || !stats.lastEntryDate) return keys;
+
+  const day = new Date(stats.lastEntryDate);
+  for (let i = 0; i < stats.streakDays; i += 1) {
+    keys.add(toDayKey(day));
+    day.setDate(day.getDate() - 1);
+  }
+  return keys;
+};
+
+/**
+ * Calendar cells for a month, padded so weeks start on Monday
+ */
+const monthCells = (month) => {
+  const first = new Date(month.getFullYear(), month.getMonth(), 1);
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const padding = (first.getDay() + 6) % 7;
+
+  const cells = new Array(padding).fill(null);
+  for (let day = 1; day <= daysInMonth; day += 1) {
+    cells.push(new Date(month.getFullYear(), month.getMonth(), day));
+  }
+  return cells;
+};
+
+const JournalCalendar = ({ onSelectEntry, refreshKey }) => {
+  const { authToken } = useAuth();
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
+  const { entries } = useSyncExternalStore(journalStore.subscribe, journalStore.getSnapshot);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadMonth = useCallback(async () => {
+    if (!authToken) return;
+
+    setLoading(true);
+    try {
+      const from = new Date(month.getFullYear(), month.getMonth(), 1);
+      const to = new Date(month.getFullYear(), month.getMonth() + 1, 0, 23, 59, 59, 999);
+      const [monthEntries, userStats] = await Promise.all([
+        journalService.listEntriesInRange(from, to, authToken),
+        journalService.getStats(authToken),
+      ]);
+
+      await journalStore.mergeServerEntries(monthEntries);
+      setStats(userStats);
+    } catch (error) {
+      if (!error.isNetworkError) console.error('Failed to load calendar month:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [authToken, month]);
+
+  useEffect(() => {
+    loadMonth();
+  }, [loadMonth, refreshKey]);
+
+  // Fetched months are merged into the local store, so unsynced entries
+  // show up alongside synced ones
+  const entriesByDay = useMemo(() => {
+    const grouped = {};
+    for (const entry of entries) {
+      const date = new Date(entry.date);
+      if (date.getFullYear() !== month.getFullYear() || date.getMonth() !== month.getMonth()) continue;
+      const key = toDayKey(date);
+      (grouped[key] = grouped[key] || []).push(entry);
+    }
+    return grouped;
+  }, [entries, month]);
+
+  const cells = useMemo(() => monthCells(month), [month]);
+  const streakKeys = useMemo(() => streakDayKeys(stats), [stats]);
+  const todayKey = toDayKey(new Date());
+
+  const shiftMonth = (delta) => {
+    setMonth(current => new Date(current.getFullYear(), current.getMonth() + delta, 1));
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => shiftMonth(-1)} style={styles.navButton}>
+          <Ionicons name="chevron-back" size={20} color={theme.colors.text.primary} />
+        </TouchableOpacity>
+        <Text style={styles.monthLabel}>
+          {month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+        </Text>
+        <TouchableOpacity onPress={() => shiftMonth(1)} style={styles.navButton}>
+          <Ionicons name="chevron-forward" size={20} color={theme.colors.text.primary} />
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.grid}>
+        {WEEKDAYS.map(day => (
+          <Text key={day} style={styles.weekday}>{day}</Text>
+        ))}
+        {cells.map((date, index) => {
+          if (!date) return <View key={`pad-${index}`} style={styles.cell} />;
+
+          const key = toDayKey(date);
+          const dayEntries = entriesByDay[key] || [];
+          const inStreak = streakKeys.has(key);
+
+          return (
+            <TouchableOpacity
+              key={key}
+              style={[styles.cell, inStreak && styles.streakCell]}
+              disabled={!dayEntries.length}
+              onPress={() => onSelectEntry(dayEntries[0])}
+            >
+              <Text
+                style={[
+                  styles.dayNumber,
+                  key === todayKey && styles.today,
+                  inStreak && styles.streakText,
+                ]}
+              >
+                {date.getDate()}
+              </Text>
+              {dayEntries.length > 0 && (
+                <View style={[styles.dot, inStreak && styles.streakDot]} />
+              )}
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <View style={styles.footer}>
+        {loading ? (
+          <ActivityIndicator size="small" color={theme.colors.primary} />
+        ) : (
+          <Text style={styles.streakLabel}>
+            {stats?.streakDays
+              ? `🔥 ${stats.streakDays}-day streak`
+              : 'Write today to start a streak'}
+          </Text>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    ...theme.components.card,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: theme.spacing.md,
+  },
+  navButton: {
+    padding: theme.spacing.xs,
+  },
+  monthLabel: {
+    ...theme.typography.heading3,
+    color: theme.colors.text.primary,
+  },
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  weekday: {
+    width: `${100 / 7}%`,
+    textAlign: 'center',
+    ...theme.typography.caption,
+    color: theme.colors.text.tertiary,
+    marginBottom: theme.spacing.xs,
+  },
+  cell: {
+    width: `${100 / 7}%`,
+    height: 44,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: 8,
+  },
+  streakCell: {
+    backgroundColor: colors.primary[50],
+  },
+  dayNumber: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.primary,
+  },
+  today: {
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.primary,
+  },
+  streakText: {
+    color: colors.primary[700],
+  },
+  dot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    marginTop: 2,
+    backgroundColor: theme.colors.neutral[400],
+  },
+  streakDot: {
+    backgroundColor: theme.colors.primary,
+  },
+  footer: {
+    alignItems: 'center',
+    marginTop: theme.spacing.md,
+  },
+  streakLabel: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.secondary,
+  },
+});
+
+export default JournalCalendar;
@@ -0,0 +1,284 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme, colors } from '../../theme';
+import { useAuth } from '../../contexts/AuthContext';
+import { useEncryption } from '../../hooks/useEncryption';
+import moodService, { MOOD_EMOTIONS } from '../../services/moodService';
+
+const SCORES = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+const MAX_EMOTIONS = 5;
+
+/**
+ * One-tap mood check-in: tapping a score logs it straight away, then
+ * emotion words and a note can be added to the same check-in
+ */
+const MoodCheckIn = () => {
+  const { authToken } = useAuth();
+  // Notes would reach the server readable, so encrypted journals log without them
+  const { enabled: encrypted } = useEncryption();
+
+  const [checkIn, setCheckIn] = useState(null);
+  const [detailsOpen, setDetailsOpen] = useState(false);
+  const [emotions, setEmotions] = useState([]);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setCheckIn(null);
+    setDetailsOpen(false);
+    setEmotions([]);
+    setNote('');
+    setError(null);
+  };
+
+  const logScore = async (score) => {
+    setSaving(true);
+    setError(null);
+    try {
+      setCheckIn(await moodService.createCheckIn({ score }, authToken));
+    } catch (err) {
+      console.error('Failed to log mood:', err);
+      setError('Check-ins need an internet connection.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleEmotion = (emotion) => {
+    setEmotions(current => (current.includes(emotion)
+      ? current.filter(item => item !== emotion)
+      : [...current, emotion].slice(-MAX_EMOTIONS)));
+  };
+
+  const saveDetails = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await moodService.updateCheckIn(checkIn._id, {
+        emotions,
+        ...(!encrypted && { note: note.trim() }),
+      }, authToken);
+      reset();
+    } catch (err) {
+      console.error('Failed to save mood details:', err);
+      setError('Could not save. Try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!checkIn) {
+    return (
+      <View style={styles.card}>
+        <Text style={styles.title}>How are you feeling?</Text>
+        <View style={styles.scores}>
+          {SCORES.map(score => (
+            <TouchableOpacity
+              key={score}
+              style={styles.score}
+              onPress={() => logScore(score)}
+              disabled={saving}
+              accessibilityLabel={`Mood ${score} out of 10`}
+            >
+              <Text style={styles.scoreText}>{score}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <View style={styles.scale}>
+          <Text style={styles.scaleText}>Low</Text>
+          {saving && <ActivityIndicator size="small" color={theme.colors.primary} />}
+          <Text style={styles.scaleText}>Great</Text>
+        </View>
+        {error && <Text style={styles.error}>{error}</Text>}
+      </View>
+    );
+  }
+
+  if (!detailsOpen) {
+    return (
+      <View style={[styles.card, styles.logged]}>
+        <Ionicons name="checkmark-circle" size={20} color={theme.colors.success} />
+        <Text style={styles.loggedText}>Logged {checkIn.score}/10</Text>
+        <TouchableOpacity onPress={() => setDetailsOpen(true)}>
+          <Text style={styles.link}>Add details</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={reset} style={styles.dismiss}>
+          <Ionicons name="close" size={18} color={theme.colors.text.tertiary} />
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title}>What are you feeling?</Text>
+      <View style={styles.emotions}>
+        {MOOD_EMOTIONS.map(emotion => (
+          <TouchableOpacity
+            key={emotion}
+            style={[styles.chip, emotions.includes(emotion) && styles.chipSelected]}
+            onPress={() => toggleEmotion(emotion)}
+          >
+            <Text style={[styles.chipText, emotions.includes(emotion) && styles.chipTextSelected]}>
+              {emotion}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {!encrypted && (
+        <TextInput
+          style={styles.note}
+          value={note}
+          onChangeText={setNote}
+          placeholder="Add a note (optional)"
+          placeholderTextColor={theme.colors.text.tertiary}
+          maxLength={500}
+          multiline
+        />
+      )}
+      {error && <Text style={styles.error}>{error}</Text>}
+      <View style={styles.actions}>
+        <TouchableOpacity onPress={reset} disabled={saving}>
+          <Text style={styles.skip}>Skip</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.save} onPress={saveDetails} disabled={saving}>
+          {saving
+            ? <ActivityIndicator size="small" color={theme.colors.white} />
+            : <Text style={styles.saveText}>Save</Text>}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    ...theme.components.card,
+    marginHorizontal: theme.spacing.lg,
+    marginBottom: theme.spacing.sm,
+  },
+  title: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing.sm,
+  },
+  scores: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  score: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.primary[50],
+  },
+  scoreText: {
+    ...theme.typography.caption,
+    color: theme.colors.primary,
+    fontWeight: '600',
+  },
+  scale: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: theme.spacing.xs,
+  },
+  scaleText: {
+    ...theme.typography.caption,
+    color: theme.colors.text.tertiary,
+  },
+  logged: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  loggedText: {
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+    marginLeft: theme.spacing.sm,
+    flex: 1,
+  },
+  link: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.primary,
+  },
+  dismiss: {
+    marginLeft: theme.spacing.md,
+  },
+  emotions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: 16,
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.xs,
+    marginRight: theme.spacing.xs,
+    marginBottom: theme.spacing.xs,
+  },
+  chipSelected: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+  },
+  chipTextSelected: {
+    color: theme.colors.white,
+  },
+  note: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.primary,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: 8,
+    padding: theme.spacing.sm,
+    marginTop: theme.spacing.sm,
+    minHeight: 60,
+    textAlignVertical: 'top',
+  },
+  error: {
+    ...theme.typography.caption,
+    color: theme.colors.error,
+    marginTop: theme.spacing.xs,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: theme.spacing.md,
+  },
+  skip: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.secondary,
+    marginRight: theme.spacing.lg,
+  },
+  save: {
+    backgroundColor: theme.colors.primary,
+    borderRadius: 8,
+    paddingHorizontal: theme.spacing.lg,
+    paddingVertical: theme.spacing.sm,
+    minWidth: 72,
+    alignItems: 'center',
+  },
+  saveText: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.white,
+    fontWeight: '600',
+  },
+});
+
+export default MoodCheckIn;
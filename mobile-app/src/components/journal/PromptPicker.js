@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { theme, colors } from '../../theme';
+import { useAuth } from '../../contexts/AuthContext';
+import promptService from '../../services/promptService';
+
+const NAMESPACES = ['emotion', 'relationship', 'growth', 'activity', 'challenge', 'insight'];
+
+// Why a prompt was suggested, as shown to the user
+const REASON_LABELS = {
+  'neglected-theme': 'Something you haven\'t written about lately',
+  'recent-theme': 'Following up on recent entries',
+  mood: 'Picked for how you have been feeling',
+  explore: 'Something new to explore',
+};
+
+const PromptPicker = ({ visible, onClose, onSelect }) => {
+  const { authToken } = useAuth();
+  const [namespace, setNamespace] = useState(null);
+  const [prompts, setPrompts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Suggestions by default, or the library for a chosen theme
+  useEffect(() => {
+    if (!visible) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    const load = namespace
+      ? promptService.listPrompts(namespace, authToken)
+      : promptService.getSuggestions(authToken).then(({ suggestions }) => suggestions);
+
+    load
+      .then((loaded) => {
+        if (!cancelled) setPrompts(loaded);
+      })
+      .catch((err) => {
+        console.error('Failed to load prompts:', err);
+        if (!cancelled) setError('Prompts need an internet connection.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [visible, namespace, authToken]);
+
+  const renderChip = (value, label) => (
+    <TouchableOpacity
+      key={label}
+      style={[styles.chip, namespace === value && styles.chipSelected]}
+      onPress={() => setNamespace(value)}
+    >
+      <Text style={[styles.chipText, namespace === value && styles.chipTextSelected]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Need inspiration?</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color={theme.colors.text.primary} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chips}>
+          {renderChip(null, 'For you')}
+          {NAMESPACES.map(value => renderChip(value, value[0].toUpperCase() + value.slice(1)))}
+        </ScrollView>
+
+        {loading ? (
+          <ActivityIndicator style={styles.loading} color={theme.colors.primary} />
+        ) : error ? (
+          <Text style={styles.message}>{error}</Text>
+        ) : (
+          <ScrollView contentContainerStyle={styles.list}>
+            {prompts.map(prompt => (
+              <TouchableOpacity key={prompt._id} style={styles.prompt} onPress={() => onSelect(prompt)}>
+                <Text style={styles.promptText}>{prompt.text}</Text>
+                {prompt.reason && <Text style={styles.reason}>{REASON_LABELS[prompt.reason]}</Text>}
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        )}
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.secondary,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: theme.spacing.md,
+  },
+  title: {
+    ...theme.typography.heading3,
+    color: theme.colors.text.primary,
+  },
+  chips: {
+    flexGrow: 0,
+    paddingHorizontal: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: 16,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.xs,
+    marginRight: theme.spacing.sm,
+  },
+  chipSelected: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.secondary,
+  },
+  chipTextSelected: {
+    color: theme.colors.white,
+  },
+  loading: {
+    marginTop: theme.spacing.xl,
+  },
+  message: {
+    ...theme.typography.body,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    marginTop: theme.spacing.xl,
+  },
+  list: {
+    padding: theme.spacing.md,
+  },
+  prompt: {
+    ...theme.components.card,
+    marginBottom: theme.spacing.md,
+  },
+  promptText: {
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+  },
+  reason: {
+    ...theme.typography.caption,
+    color: colors.primary[700],
+    marginTop: theme.spacing.sm,
+  },
+});
+
+export default PromptPicker;
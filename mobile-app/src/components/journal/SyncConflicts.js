@@ -0,0 +1,96 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { theme, colors } from '../../theme';
+import { useJournalSyncStatus } from '../../hooks/useJournalSync';
+import journalStore from '../../services/journalStore';
+
+const MESSAGES = {
+  'server-won': 'A newer edit from another device was kept.',
+  'client-won': 'Your edit replaced a change made on another device.',
+  'deleted-remotely': 'This entry was deleted on another device.',
+};
+
+// The version the user can bring back for each kind of conflict
+const RESTORE = {
+  'server-won': { version: 'mine', label: 'Restore mine' },
+  'client-won': { version: 'theirs', label: 'Restore theirs' },
+  'deleted-remotely': { version: 'mine', label: 'Restore entry' },
+};
+
+const SyncConflicts = () => {
+  const { conflicts } = useJournalSyncStatus();
+
+  if (!conflicts.length) return null;
+
+  return (
+    <View style={styles.container}>
+      {conflicts.map((conflict) => {
+        const restore = RESTORE[conflict.kind];
+        const lostVersion = conflict[restore.version];
+
+        return (
+          <View key={conflict.id} style={styles.conflict}>
+            <Text style={styles.title}>
+              {new Date(conflict.date).toLocaleDateString()} · {MESSAGES[conflict.kind]}
+            </Text>
+            {lostVersion ? (
+              <Text style={styles.preview} numberOfLines={2}>“{lostVersion}”</Text>
+            ) : null}
+            <View style={styles.actions}>
+              <TouchableOpacity onPress={() => journalStore.dismissConflict(conflict.id)}>
+                <Text style={styles.dismiss}>Dismiss</Text>
+              </TouchableOpacity>
+              {lostVersion ? (
+                <TouchableOpacity
+                  onPress={() => journalStore.restoreVersion(conflict.id, restore.version)}
+                >
+                  <Text style={styles.restore}>{restore.label}</Text>
+                </TouchableOpacity>
+              ) : null}
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: theme.spacing.lg,
+  },
+  conflict: {
+    backgroundColor: colors.warning[50],
+    borderRadius: 12,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+  },
+  title: {
+    ...theme.typography.bodySmall,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+  },
+  preview: {
+    ...theme.typography.caption,
+    fontStyle: 'italic',
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.xs,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: theme.spacing.sm,
+  },
+  dismiss: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.secondary,
+  },
+  restore: {
+    ...theme.typography.bodySmall,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.primary,
+    marginLeft: theme.spacing.md,
+  },
+});
+
+export default SyncConflicts;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../theme';
+import { useJournalSyncStatus } from '../../hooks/useJournalSync';
+
+/**
+ * Icon, label and color for the current sync state
+ */
+const describe = ({ status, pending }) => {
+  if (status === 'syncing') {
+    return { icon: 'sync', label: 'Syncing…', color: theme.colors.primary };
+  }
+  if (status === 'offline') {
+    return {
+      icon: 'cloud-offline-outline',
+      label: pending ? `Offline · ${pending} waiting` : 'Offline',
+      color: theme.colors.warning,
+    };
+  }
+  if (status === 'error' && pending) {
+    return { icon: 'alert-circle-outline', label: `${pending} waiting to sync`, color: theme.colors.error };
+  }
+  if (pending) {
+    return { icon: 'cloud-upload-outline', label: `${pending} waiting to sync`, color: theme.colors.text.secondary };
+  }
+  return { icon: 'cloud-done-outline', label: 'Synced', color: theme.colors.success };
+};
+
+const SyncStatusIndicator = () => {
+  const syncStatus = useJournalSyncStatus();
+  const { icon, label, color } = describe(syncStatus);
+
+  return (
+    <View style={styles.container}>
+      <Ionicons name={icon} size={14} color={color} />
+      <Text style={[styles.label, { color }]}>{label}</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  label: {
+    ...theme.typography.caption,
+    marginLeft: theme.spacing.xs,
+  },
+});
+
+export default SyncStatusIndicator;
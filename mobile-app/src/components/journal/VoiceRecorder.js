@@ -0,0 +1,259 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import * as Crypto from 'expo-crypto';
+import {
+  useAudioRecorder,
+  useAudioRecorderState,
+  RecordingPresets,
+  requestRecordingPermissionsAsync,
+  setAudioModeAsync,
+} from 'expo-audio';
+import { theme, colors } from '../../theme';
+import { useAuth } from '../../contexts/AuthContext';
+import journalService from '../../services/journalService';
+import journalStore from '../../services/journalStore';
+
+const MAX_DURATION_SECONDS = 60 * 60; // Matches the API limit
+
+const formatDuration = (millis) => {
+  const totalSeconds = Math.floor(millis / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+const VoiceRecorder = ({ visible, onClose, onSaved }) => {
+  const { authToken } = useAuth();
+  const recorder = useAudioRecorder(RecordingPresets.HIGH_QUALITY);
+  const recorderState = useAudioRecorderState(recorder);
+  const [recording, setRecording] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  // Reused across upload retries so a lost response doesn't create a second entry
+  const clientId = useRef(null);
+
+  useEffect(() => {
+    if (!visible) return;
+    setRecording(null);
+    clientId.current = Crypto.randomUUID();
+  }, [visible]);
+
+  useEffect(() => {
+    if (recorderState.isRecording && recorderState.durationMillis >= MAX_DURATION_SECONDS * 1000) {
+      handleStop();
+    }
+  }, [recorderState.durationMillis]);
+
+  const handleStart = async () => {
+    try {
+      const { granted } = await requestRecordingPermissionsAsync();
+      if (!granted) {
+        Alert.alert('Microphone access needed', 'Allow microphone access in Settings to record voice entries.');
+        return;
+      }
+
+      await setAudioModeAsync({ allowsRecording: true, playsInSilentMode: true });
+      await recorder.prepareToRecordAsync();
+      recorder.record();
+      setRecording(null);
+    } catch (error) {
+      console.error('Failed to start recording:', error);
+      Alert.alert('Error', 'Could not start recording.');
+    }
+  };
+
+  const handleStop = async () => {
+    const durationMillis = recorderState.durationMillis;
+    try {
+      await recorder.stop();
+      await setAudioModeAsync({ allowsRecording: false });
+      setRecording({ uri: recorder.uri, durationMillis });
+    } catch (error) {
+      console.error('Failed to stop recording:', error);
+      Alert.alert('Error', 'Could not finish the recording.');
+    }
+  };
+
+  const handleDiscard = () => {
+    setRecording(null);
+    clientId.current = Crypto.randomUUID();
+  };
+
+  const handleClose = async () => {
+    if (recorderState.isRecording) {
+      await recorder.stop();
+      await setAudioModeAsync({ allowsRecording: false });
+    }
+    onClose();
+  };
+
+  const handleSave = async () => {
+    if (!recording?.uri) return;
+
+    setUploading(true);
+    try {
+      const entry = await journalService.createVoiceEntry(recording.uri, {
+        durationSeconds: Math.round(recording.durationMillis / 1000),
+        date: new Date().toISOString(),
+        clientId: clientId.current,
+      }, authToken);
+
+      await journalStore.mergeServerEntries([entry]);
+      onSaved({ ...entry, localId: entry.clientId || entry._id, syncState: 'synced' });
+    } catch (error) {
+      Alert.alert(
+        'Upload failed',
+        error.isNetworkError
+          ? 'Voice entries need a connection to upload. Your recording is kept here, so try again when you are back online.'
+          : error.message
+      );
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const isRecording = recorderState.isRecording;
+  const elapsed = recording ? recording.durationMillis : recorderState.durationMillis;
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={handleClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={handleClose} style={styles.headerButton} disabled={uploading}>
+            <Ionicons name="chevron-down" size={24} color={theme.colors.text.primary} />
+          </TouchableOpacity>
+          <Text style={styles.title}>Voice entry</Text>
+          <View style={styles.headerButton} />
+        </View>
+
+        <View style={styles.body}>
+          <Text style={styles.timer}>{formatDuration(elapsed || 0)}</Text>
+          <Text style={styles.hint}>
+            {isRecording
+              ? 'Recording…'
+              : recording
+                ? 'You can review the transcript before it is analyzed.'
+                : 'Tap to start talking.'}
+          </Text>
+
+          {recording ? (
+            <View style={styles.actions}>
+              <TouchableOpacity style={styles.secondaryButton} onPress={handleDiscard} disabled={uploading}>
+                <Text style={styles.secondaryText}>Discard</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.primaryButton} onPress={handleSave} disabled={uploading}>
+                {uploading ? (
+                  <ActivityIndicator size="small" color={theme.colors.white} />
+                ) : (
+                  <Text style={styles.primaryText}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <TouchableOpacity
+              style={[styles.recordButton, isRecording && styles.recordButtonActive]}
+              onPress={isRecording ? handleStop : handleStart}
+            >
+              <Ionicons name={isRecording ? 'stop' : 'mic'} size={36} color={theme.colors.white} />
+            </TouchableOpacity>
+          )}
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.primary,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  headerButton: {
+    padding: theme.spacing.xs,
+    minWidth: 32,
+  },
+  title: {
+    ...theme.typography.bodySmall,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+  },
+  body: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: theme.spacing.lg,
+  },
+  timer: {
+    ...theme.typography.heading1,
+    color: theme.colors.text.primary,
+    fontVariant: ['tabular-nums'],
+  },
+  hint: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    marginTop: theme.spacing.sm,
+    marginBottom: theme.spacing.xl,
+  },
+  recordButton: {
+    width: 88,
+    height: 88,
+    borderRadius: 44,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: theme.colors.primary,
+  },
+  recordButtonActive: {
+    backgroundColor: theme.colors.error,
+  },
+  actions: {
+    flexDirection: 'row',
+  },
+  primaryButton: {
+    minWidth: 120,
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.lg,
+    borderRadius: 24,
+    backgroundColor: theme.colors.primary,
+    marginLeft: theme.spacing.sm,
+  },
+  primaryText: {
+    ...theme.typography.body,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.white,
+  },
+  secondaryButton: {
+    minWidth: 120,
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.lg,
+    borderRadius: 24,
+    borderWidth: 1,
+    borderColor: colors.primary[100],
+  },
+  secondaryText: {
+    ...theme.typography.body,
+    color: colors.primary[700],
+  },
+});
+
+export default VoiceRecorder;
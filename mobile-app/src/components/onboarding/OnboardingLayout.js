@@ -0,0 +1,138 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../theme';
+import { ONBOARDING_STEPS } from '../../services/onboardingService';
+
+// Steps shown as progress dots; 'completed' isn't a screen
+const SCREEN_STEPS = ONBOARDING_STEPS.slice(0, -1);
+
+/**
+ * Shared frame for onboarding screens: progress dots, a heading, the
+ * screen's content and its actions
+ */
+const OnboardingLayout = ({
+  step,
+  icon,
+  title,
+  subtitle,
+  children,
+  actionLabel,
+  onAction,
+  actionDisabled = false,
+  busy = false,
+  secondaryLabel,
+  onSecondary,
+}) => (
+  <SafeAreaView style={styles.container}>
+    <View style={styles.progress}>
+      {SCREEN_STEPS.map(screenStep => (
+        <View
+          key={screenStep}
+          style={[
+            styles.dot,
+            SCREEN_STEPS.indexOf(screenStep) <= SCREEN_STEPS.indexOf(step) && styles.dotReached,
+          ]}
+        />
+      ))}
+    </View>
+
+    <View style={styles.header}>
+      {icon && <Ionicons name={icon} size={48} color={theme.colors.primary} style={styles.icon} />}
+      <Text style={styles.title}>{title}</Text>
+      {subtitle && <Text style={styles.subtitle}>{subtitle}</Text>}
+    </View>
+
+    <View style={styles.body}>{children}</View>
+
+    <View style={styles.actions}>
+      <TouchableOpacity
+        style={[styles.button, (actionDisabled || busy) && styles.buttonDisabled]}
+        onPress={onAction}
+        disabled={actionDisabled || busy}
+      >
+        {busy ? (
+          <ActivityIndicator size="small" color={theme.colors.white} />
+        ) : (
+          <Text style={styles.buttonText}>{actionLabel}</Text>
+        )}
+      </TouchableOpacity>
+      {secondaryLabel && (
+        <TouchableOpacity style={styles.secondaryButton} onPress={onSecondary} disabled={busy}>
+          <Text style={styles.secondaryText}>{secondaryLabel}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  </SafeAreaView>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.primary,
+    paddingHorizontal: theme.spacing.lg,
+  },
+  progress: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    paddingVertical: theme.spacing.md,
+  },
+  dot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginHorizontal: theme.spacing.xs,
+    backgroundColor: theme.colors.neutral[200],
+  },
+  dotReached: {
+    backgroundColor: theme.colors.primary,
+  },
+  header: {
+    alignItems: 'center',
+    marginTop: theme.spacing.lg,
+    marginBottom: theme.spacing.lg,
+  },
+  icon: {
+    marginBottom: theme.spacing.md,
+  },
+  title: {
+    ...theme.typography.heading1,
+    color: theme.colors.text.primary,
+    textAlign: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  subtitle: {
+    ...theme.typography.body,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+  },
+  body: {
+    flex: 1,
+  },
+  actions: {
+    paddingVertical: theme.spacing.md,
+  },
+  button: {
+    ...theme.components.button.primary,
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    ...theme.typography.button,
+    color: theme.colors.white,
+  },
+  secondaryButton: {
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+  },
+  secondaryText: {
+    ...theme.typography.button,
+    color: theme.colors.text.secondary,
+  },
+});
+
+export default OnboardingLayout;
@@ -0,0 +1,343 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, StyleSheet, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme, colors } from '../../theme';
+import { useEncryption } from '../../hooks/useEncryption';
+
+const MIN_PASSPHRASE_LENGTH = 10;
+
+// Everything that needs the server to read entry text
+const UNAVAILABLE_FEATURES = [
+  'AI summaries, mood and themes for new entries',
+  'Persona discovery and insights from new entries',
+  'Search',
+  'Voice journaling',
+  'Importing from other journal apps',
+];
+
+const PassphraseInput = props => (
+  <TextInput
+    style={styles.input}
+    placeholderTextColor={theme.colors.text.tertiary}
+    secureTextEntry
+    autoCapitalize="none"
+    autoCorrect={false}
+    {...props}
+  />
+);
+
+const checkNewPassphrase = (passphrase, confirmation) => {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return `Use at least ${MIN_PASSPHRASE_LENGTH} characters`;
+  }
+  if (passphrase !== confirmation) {
+    return 'The passphrases do not match';
+  }
+  return null;
+};
+
+const EncryptionSettings = () => {
+  const { loaded, enabled, unlocked, encrypting, enable, unlock, recover, changePassphrase } = useEncryption();
+  const [mode, setMode] = useState(null); // enable | unlock | recover | change
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [current, setCurrent] = useState('');
+  const [recoveryInput, setRecoveryInput] = useState('');
+  const [recoveryKey, setRecoveryKey] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setMode(null);
+    setPassphrase('');
+    setConfirmation('');
+    setCurrent('');
+    setRecoveryInput('');
+    setError(null);
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (actionError) {
+      setError(actionError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEnable = () => {
+    const problem = checkNewPassphrase(passphrase, confirmation);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    Alert.alert(
+      'Turn on end-to-end encryption?',
+      'This cannot be turned off. If you lose both your passphrase and your recovery key, your entries cannot be recovered by anyone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Turn On',
+          onPress: () => run(async () => {
+            const key = await enable(passphrase);
+            reset();
+            setRecoveryKey(key);
+          }),
+        },
+      ]
+    );
+  };
+
+  const handleUnlock = () => run(async () => {
+    await unlock(passphrase);
+    reset();
+  });
+
+  const handleRecover = () => {
+    const problem = checkNewPassphrase(passphrase, confirmation);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    run(async () => {
+      await recover(recoveryInput, passphrase);
+      reset();
+    });
+  };
+
+  const handleChange = () => {
+    const problem = checkNewPassphrase(passphrase, confirmation);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    run(async () => {
+      await changePassphrase(current, passphrase);
+      reset();
+      Alert.alert('Passphrase changed', 'Use your new passphrase to unlock your journal on other devices.');
+    });
+  };
+
+  if (!loaded) {
+    return <ActivityIndicator color={theme.colors.primary} style={styles.loading} />;
+  }
+
+  const submitButton = (label, onPress) => (
+    <View style={styles.buttons}>
+      <TouchableOpacity style={styles.secondaryButton} onPress={reset} disabled={busy}>
+        <Text style={styles.secondaryButtonText}>Cancel</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.primaryButton} onPress={onPress} disabled={busy}>
+        {busy ? (
+          <ActivityIndicator size="small" color={theme.colors.white} />
+        ) : (
+          <Text style={styles.primaryButtonText}>{label}</Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+
+  const newPassphraseInputs = (
+    <>
+      <PassphraseInput value={passphrase} onChangeText={setPassphrase} placeholder="New passphrase" editable={!busy} />
+      <PassphraseInput value={confirmation} onChangeText={setConfirmation} placeholder="Confirm passphrase" editable={!busy} />
+    </>
+  );
+
+  if (recoveryKey) {
+    return (
+      <View>
+        <Text style={styles.body}>
+          Your journal is now end-to-end encrypted. Write down this recovery key and keep it somewhere safe.
+          It is the only way back in if you forget your passphrase, and it won&apos;t be shown again.
+        </Text>
+        <Text style={styles.recoveryKey} selectable>{recoveryKey}</Text>
+        <TouchableOpacity style={styles.primaryButton} onPress={() => setRecoveryKey(null)}>
+          <Text style={styles.primaryButtonText}>I&apos;ve saved it</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (!enabled) {
+    if (mode !== 'enable') {
+      return (
+        <View>
+          <Text style={styles.body}>
+            Encrypt your entries on this device so only you can read them, not even Persona Arcana.
+          </Text>
+          <TouchableOpacity style={styles.row} onPress={() => setMode('enable')}>
+            <Ionicons name="lock-closed-outline" size={20} color={theme.colors.primary} />
+            <Text style={styles.rowText}>Turn on end-to-end encryption</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return (
+      <View>
+        <Text style={styles.body}>Once your entries are encrypted, these features stop working for them:</Text>
+        {UNAVAILABLE_FEATURES.map(feature => (
+          <Text key={feature} style={styles.feature}>• {feature}</Text>
+        ))}
+        <Text style={styles.body}>
+          Entry dates, word counts and photos are not encrypted. Your existing entries are encrypted in the background.
+        </Text>
+        {newPassphraseInputs}
+        {error && <Text style={styles.error}>{error}</Text>}
+        {submitButton('Turn On', handleEnable)}
+      </View>
+    );
+  }
+
+  if (!unlocked) {
+    return (
+      <View>
+        <Text style={styles.body}>Your journal is encrypted. Unlock it to read and write entries on this device.</Text>
+        {mode === 'recover' ? (
+          <>
+            <TextInput
+              style={styles.input}
+              value={recoveryInput}
+              onChangeText={setRecoveryInput}
+              placeholder="Recovery key"
+              placeholderTextColor={theme.colors.text.tertiary}
+              autoCapitalize="characters"
+              autoCorrect={false}
+              editable={!busy}
+            />
+            {newPassphraseInputs}
+            {error && <Text style={styles.error}>{error}</Text>}
+            {submitButton('Recover', handleRecover)}
+          </>
+        ) : (
+          <>
+            <PassphraseInput value={passphrase} onChangeText={setPassphrase} placeholder="Passphrase" editable={!busy} />
+            {error && <Text style={styles.error}>{error}</Text>}
+            <TouchableOpacity style={styles.primaryButton} onPress={handleUnlock} disabled={busy}>
+              {busy ? (
+                <ActivityIndicator size="small" color={theme.colors.white} />
+              ) : (
+                <Text style={styles.primaryButtonText}>Unlock</Text>
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.linkButton} onPress={() => { reset(); setMode('recover'); }}>
+              <Text style={styles.linkText}>Forgot your passphrase? Use your recovery key</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    );
+  }
+
+  if (mode === 'change') {
+    return (
+      <View>
+        <PassphraseInput value={current} onChangeText={setCurrent} placeholder="Current passphrase" editable={!busy} />
+        {newPassphraseInputs}
+        {error && <Text style={styles.error}>{error}</Text>}
+        {submitButton('Change', handleChange)}
+      </View>
+    );
+  }
+
+  return (
+    <View>
+      <View style={styles.row}>
+        <Ionicons name="shield-checkmark-outline" size={20} color={theme.colors.success} />
+        <Text style={styles.rowText}>
+          {encrypting ? 'Encrypting your earlier entries…' : 'Your entries are end-to-end encrypted'}
+        </Text>
+      </View>
+      <TouchableOpacity style={styles.row} onPress={() => setMode('change')}>
+        <Ionicons name="key-outline" size={20} color={theme.colors.primary} />
+        <Text style={styles.rowText}>Change passphrase</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  loading: {
+    paddingVertical: theme.spacing.md,
+  },
+  body: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing.sm,
+  },
+  feature: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.primary,
+    marginLeft: theme.spacing.sm,
+    marginBottom: theme.spacing.xs,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+  },
+  rowText: {
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+    marginLeft: theme.spacing.md,
+    flex: 1,
+  },
+  input: {
+    ...theme.components.input,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.sm,
+  },
+  recoveryKey: {
+    ...theme.typography.body,
+    fontFamily: 'monospace',
+    color: theme.colors.text.primary,
+    backgroundColor: colors.primary[50],
+    borderRadius: 8,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+    textAlign: 'center',
+  },
+  error: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.error,
+    marginBottom: theme.spacing.sm,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  primaryButton: {
+    ...theme.components.button.primary,
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+    marginLeft: theme.spacing.sm,
+  },
+  primaryButtonText: {
+    ...theme.typography.button,
+    color: theme.colors.white,
+  },
+  secondaryButton: {
+    ...theme.components.button.secondary,
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+  },
+  secondaryButtonText: {
+    ...theme.typography.button,
+    color: theme.colors.text.primary,
+  },
+  linkButton: {
+    paddingVertical: theme.spacing.md,
+    alignItems: 'center',
+  },
+  linkText: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.primary,
+  },
+});
+
+export default EncryptionSettings;
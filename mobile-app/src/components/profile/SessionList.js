@@ -0,0 +1,125 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../theme';
+
+const PLATFORM_ICONS = {
+  ios: 'phone-portrait-outline',
+  android: 'phone-portrait-outline',
+  web: 'desktop-outline',
+};
+
+const PLATFORM_NAMES = {
+  ios: 'iPhone or iPad',
+  android: 'Android device',
+  web: 'Web browser',
+};
+
+const formatLastSeen = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 2) return 'Active now';
+  if (minutes < 60) return `Active ${minutes} minutes ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `Active ${hours} hour${hours === 1 ? '' : 's'} ago`;
+  return `Active ${new Date(date).toLocaleDateString()}`;
+};
+
+const SessionList = ({ sessions, loading, revokingId, onRevoke, onSignOutEverywhere }) => {
+  if (loading && !sessions.length) {
+    return <ActivityIndicator color={theme.colors.primary} style={styles.loading} />;
+  }
+
+  return (
+    <View>
+      {sessions.map(session => (
+        <View key={session.id} style={styles.session}>
+          <Ionicons
+            name={PLATFORM_ICONS[session.platform] || 'hardware-chip-outline'}
+            size={20}
+            color={theme.colors.text.secondary}
+            style={styles.icon}
+          />
+          <View style={styles.details}>
+            <Text style={styles.name}>
+              {session.name || PLATFORM_NAMES[session.platform] || 'Unknown device'}
+              {session.current && <Text style={styles.current}>  This device</Text>}
+            </Text>
+            <Text style={styles.meta}>
+              {[session.appVersion && `v${session.appVersion}`, formatLastSeen(session.lastSeenAt), session.lastSeenIp]
+                .filter(Boolean)
+                .join(' · ')}
+            </Text>
+          </View>
+          {!session.current && (
+            <TouchableOpacity
+              onPress={() => onRevoke(session)}
+              disabled={revokingId === session.id}
+              accessibilityLabel="Sign out this device"
+            >
+              {revokingId === session.id ? (
+                <ActivityIndicator size="small" color={theme.colors.error} />
+              ) : (
+                <Text style={styles.revoke}>Sign out</Text>
+              )}
+            </TouchableOpacity>
+          )}
+        </View>
+      ))}
+
+      <TouchableOpacity style={styles.everywhereButton} onPress={onSignOutEverywhere}>
+        <Ionicons name="exit-outline" size={18} color={theme.colors.error} />
+        <Text style={styles.everywhereText}>Sign out everywhere</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  loading: {
+    paddingVertical: theme.spacing.md,
+  },
+  session: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  icon: {
+    marginRight: theme.spacing.md,
+  },
+  details: {
+    flex: 1,
+  },
+  name: {
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+  },
+  current: {
+    ...theme.typography.caption,
+    color: theme.colors.primary,
+  },
+  meta: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.xs,
+  },
+  revoke: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.error,
+  },
+  everywhereButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: theme.spacing.md,
+    marginTop: theme.spacing.sm,
+  },
+  everywhereText: {
+    ...theme.typography.body,
+    color: theme.colors.error,
+    marginLeft: theme.spacing.sm,
+  },
+});
+
+export default SessionList;
@@ -1,5 +1,11 @@
 import { createContext, useContext, useState, useEffect } from 'react';
+import { Alert, Linking } from 'react-native';
 import authService from '../services/authService';
+import journalStore from '../services/journalStore';
+import journalService from '../services/journalService';
+import encryptionService from '../services/encryptionService';
+import profileService from '../services/profileService';
+import onboardingService from '../services/onboardingService';
 // import { captureError, setUserContext, clearUserContext, addBreadcrumb } from '../config/sentry';
 
 const AuthContext = createContext({});
@@ -24,6 +30,23 @@ export const AuthProvider = ({ children }) => {
     checkAuthState();
   }, []);
 
+  // Follow token refreshes, and sign out when the server ends the session
+  useEffect(() => authService.onTokenChange((token) => {
+    if (token) {
+      setAuthToken(token);
+      return;
+    }
+
+    console.log('Session expired or revoked, signing out');
+    journalStore.clear();
+    journalService.clearDraft();
+    encryptionService.clear();
+    onboardingService.clear();
+    setAuthToken(null);
+    setUser(null);
+    setIsAuthenticated(false);
+  }), []);
+
   const checkAuthState = async () => {
     try {
       setLoading(true);
@@ -37,8 +60,8 @@ export const AuthProvider = ({ children }) => {
         const verificationResult = await authService.verifyToken(token);
         
         if (verificationResult.success) {
-          // Token is valid, update state
-          setAuthToken(token);
+          // Token is valid (possibly refreshed), update state
+          setAuthToken(verificationResult.token);
           setUser(verificationResult.user);
           setIsAuthenticated(true);
           
@@ -83,19 +106,43 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const signInWithGoogle = async () => {
+  // Handle magic sign-in and account restore links opened while or before
+  // the app was running
+  useEffect(() => {
+    const handleUrl = ({ url }) => {
+      const match = url && url.match(/^personaarcana:\/\/(auth\/magic|account\/restore)\?(.*)$/);
+      const token = match && new URLSearchParams(match[2]).get('token');
+      if (!token) return;
+
+      if (match[1] === 'auth/magic') {
+        completeMagicLink(token);
+      } else {
+        restoreAccount(token);
+      }
+    };
+
+    Linking.getInitialURL().then(url => handleUrl({ url })).catch(() => {});
+    const subscription = Linking.addEventListener('url', handleUrl);
+    return () => subscription.remove();
+  }, []);
+
+  /**
+   * Run a sign-in flow and adopt the session it returns
+   * @param {string} method - Provider name for logging
+   * @param {Function} signIn - Resolves to an authService sign-in result
+   */
+  const runSignIn = async (method, signIn) => {
     try {
       setLoading(true);
       setError(null);
       
-      console.log('Starting Google sign-in...');
+      console.log(`Starting ${method} sign-in...`);
       
-      // Use auth service to handle Google OAuth
-      const result = await authService.signInWithGoogle();
+      const result = await signIn();
       
       if (result.success) {
         // Store authentication data
-        await authService.storeAuth(result.token, result.user);
+        await authService.storeAuth(result.token, result.user, result.refreshToken);
         
         // Update state
         setAuthToken(result.token);
@@ -106,7 +153,7 @@ export const AuthProvider = ({ children }) => {
         // setUserContext(result.user);
         // addBreadcrumb('User signed in', 'auth', 'info', {
         //   userId: result.user.id,
-        //   method: 'google',
+        //   method,
         // });
         
         console.log('Sign-in successful for user:', result.user.email);
@@ -121,7 +168,8 @@ export const AuthProvider = ({ children }) => {
       setError(errorMessage);
       console.error('Sign-in error:', error);
       // captureError(error, {
-      //   operation: 'signInWithGoogle',
+      //   operation: 'signIn',
+      //   method,
       //   timestamp: new Date().toISOString(),
       // });
       return { success: false, error: errorMessage };
@@ -130,6 +178,29 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const signInWithGoogle = () => runSignIn('Google', () => authService.signInWithGoogle());
+
+  const signInWithApple = () => runSignIn('Apple', () => authService.signInWithApple());
+
+  const completeMagicLink = (token) => runSignIn('magic link', () => authService.completeMagicLink(token));
+
+  const requestMagicLink = (email) => authService.requestMagicLink(email);
+
+  /**
+   * Cancel a scheduled account deletion from the emailed undo link. The
+   * deletion signed every device out, so the user signs in again after.
+   * @param {string} token - Undo token from the link
+   */
+  const restoreAccount = async (token) => {
+    try {
+      await profileService.restoreAccount(token);
+      Alert.alert('Account Restored', 'Your account will not be deleted. Sign in to continue.');
+    } catch (error) {
+      console.error('Account restore error:', error);
+      Alert.alert('Restore Failed', error.message);
+    }
+  };
+
   const signOut = async () => {
     try {
       setLoading(true);
@@ -139,6 +210,12 @@ export const AuthProvider = ({ children }) => {
       
       // Use auth service to handle logout
       const result = await authService.logout(authToken);
+
+      // Journal entries cached on the device belong to this account
+      await journalStore.clear();
+      await journalService.clearDraft();
+      await encryptionService.clear();
+      await onboardingService.clear();
       
       // Clear state regardless of backend response
       setAuthToken(null);
@@ -174,6 +251,47 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Revoke every session on the account, then drop this device's. The
+   * token listener above resets state once the session ends.
+   */
+  const signOutEverywhere = async () => {
+    try {
+      setError(null);
+      const { revokedSessions } = await profileService.revokeAllSessions(authToken);
+      console.log(`Signed out ${revokedSessions} session(s)`);
+      await authService.endSession();
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.message || 'Sign-out failed';
+      setError(errorMessage);
+      console.error('Sign out everywhere error:', error);
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  /**
+   * Schedule the account for deletion. The backend signs out every
+   * session, so this device's is dropped too.
+   */
+  const deleteAccount = async () => {
+    try {
+      setError(null);
+      const { scheduledFor } = await profileService.deleteAccount(user._id, authToken);
+      await journalStore.clear();
+      await journalService.clearDraft();
+      await encryptionService.clear();
+      await onboardingService.clear();
+      await authService.endSession();
+      return { success: true, scheduledFor };
+    } catch (error) {
+      const errorMessage = error.message || 'Failed to delete account';
+      setError(errorMessage);
+      console.error('Delete account error:', error);
+      return { success: false, error: errorMessage };
+    }
+  };
+
   const updateUser = async (updatedUserData) => {
     try {
       const newUserData = { ...user, ...updatedUserData };
@@ -209,7 +327,11 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated,
     error,
     signInWithGoogle,
+    signInWithApple,
+    requestMagicLink,
     signOut,
+    signOutEverywhere,
+    deleteAccount,
     updateUser,
     checkAuthState,
     clearError,
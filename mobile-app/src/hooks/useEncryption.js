@@ -0,0 +1,46 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import encryptionService from '../services/encryptionService';
+import journalStore from '../services/journalStore';
+
+/**
+ * End-to-end encryption state and actions for the signed-in user
+ * @returns {Object} { loaded, enabled, unlocked, enabledAt, encrypting,
+ *   enable, unlock, recover, changePassphrase }
+ */
+export const useEncryption = () => {
+  const { authToken } = useAuth();
+  const state = useSyncExternalStore(encryptionService.subscribe, encryptionService.getSnapshot);
+  const { encrypting } = useSyncExternalStore(journalStore.subscribe, journalStore.getSnapshot);
+
+  // Once the key is on this device, older entries can be encrypted and
+  // ones that arrived locked can be read
+  const afterUnlock = useCallback(async () => {
+    await journalStore.reopenLocked();
+    journalStore.sync(authToken);
+    journalStore.encryptExisting(authToken);
+  }, [authToken]);
+
+  const enable = useCallback(async (passphrase) => {
+    const recoveryKey = await encryptionService.enable(passphrase, authToken);
+    afterUnlock();
+    return recoveryKey;
+  }, [authToken, afterUnlock]);
+
+  const unlock = useCallback(async (passphrase) => {
+    await encryptionService.unlock(passphrase);
+    afterUnlock();
+  }, [afterUnlock]);
+
+  const recover = useCallback(async (recoveryKey, newPassphrase) => {
+    await encryptionService.recover(recoveryKey, newPassphrase, authToken);
+    afterUnlock();
+  }, [authToken, afterUnlock]);
+
+  const changePassphrase = useCallback(
+    (currentPassphrase, newPassphrase) => encryptionService.changePassphrase(currentPassphrase, newPassphrase, authToken),
+    [authToken]
+  );
+
+  return { ...state, encrypting, enable, unlock, recover, changePassphrase };
+};
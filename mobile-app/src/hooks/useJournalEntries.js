@@ -0,0 +1,83 @@
+import { useState, useCallback, useEffect, useRef, useSyncExternalStore } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import journalService from '../services/journalService';
+import journalStore from '../services/journalStore';
+
+const PAGE_SIZE = 20;
+
+export const useJournalEntries = () => {
+  const { authToken } = useAuth();
+  const { entries } = useSyncExternalStore(journalStore.subscribe, journalStore.getSnapshot);
+  const [cursor, setCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+  const loadingRef = useRef(false);
+
+  const fetchPage = useCallback(async (pageCursor) => {
+    const { entries: page, pagination } = await journalService.listEntries(
+      { cursor: pageCursor, limit: PAGE_SIZE },
+      authToken
+    );
+    setCursor(pagination.nextCursor);
+    setHasMore(pagination.hasMore);
+    return { page, hasMore: pagination.hasMore };
+  }, [authToken]);
+
+  // Push local changes first so the fresh page reflects them
+  const refresh = useCallback(async () => {
+    if (!authToken) return;
+
+    setRefreshing(true);
+    setError(null);
+    try {
+      await journalStore.load();
+      await journalStore.sync(authToken);
+      const { page, hasMore: more } = await fetchPage(null);
+      await journalStore.replaceFirstPage(page, more);
+    } catch (err) {
+      // Offline: keep showing what's stored on the device
+      if (!err.isNetworkError) {
+        console.error('Failed to load journal entries:', err);
+        setError(err.message);
+      }
+    } finally {
+      setRefreshing(false);
+    }
+  }, [authToken, fetchPage]);
+
+  const loadMore = useCallback(async () => {
+    // onEndReached can fire repeatedly while a page is in flight
+    if (!authToken || !hasMore || !cursor || loadingRef.current) return;
+
+    loadingRef.current = true;
+    setLoading(true);
+    try {
+      const { page } = await fetchPage(cursor);
+      await journalStore.mergeServerEntries(page);
+    } catch (err) {
+      if (!err.isNetworkError) {
+        console.error('Failed to load more journal entries:', err);
+        setError(err.message);
+      }
+    } finally {
+      loadingRef.current = false;
+      setLoading(false);
+    }
+  }, [authToken, hasMore, cursor, fetchPage]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    entries,
+    hasMore,
+    loading,
+    refreshing,
+    error,
+    refresh,
+    loadMore,
+  };
+};
@@ -0,0 +1,48 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import { AppState } from 'react-native';
+import { useAuth } from '../contexts/AuthContext';
+import journalStore from '../services/journalStore';
+import encryptionService from '../services/encryptionService';
+
+/**
+ * Read the local journal store's sync status
+ * @returns {{status: string, pending: number, conflicts: Array, lastSyncedAt: string|null}}
+ */
+export const useJournalSyncStatus = () => {
+  const { status, pending, conflicts, lastSyncedAt } = useSyncExternalStore(
+    journalStore.subscribe,
+    journalStore.getSnapshot
+  );
+  return { status, pending, conflicts, lastSyncedAt };
+};
+
+/**
+ * Keep the local journal store syncing while signed in: on sign-in and
+ * whenever the app returns to the foreground. Mount once, near the root.
+ * @returns {Object} Sync status, as useJournalSyncStatus
+ */
+export const useJournalSync = () => {
+  const { authToken, user } = useAuth();
+  const userId = user?._id;
+
+  useEffect(() => {
+    if (!authToken || !userId) return undefined;
+
+    // Entries can only be sealed and opened once the key is loaded
+    Promise.all([journalStore.load(), encryptionService.load(userId, authToken)])
+      .then(() => journalStore.sync(authToken))
+      .then(() => {
+        if (encryptionService.isEnabled() && encryptionService.isUnlocked()) {
+          journalStore.encryptExisting(authToken);
+        }
+      });
+
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') journalStore.sync(authToken);
+    });
+
+    return () => subscription.remove();
+  }, [authToken, userId]);
+
+  return useJournalSyncStatus();
+};
@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import onboardingService from '../services/onboardingService';
+
+/**
+ * Onboarding progress for the signed-in user. Starts at the step the user
+ * last reached, on this device or another, and keeps the server and the
+ * cached user up to date as they move on. Completing onboarding flips
+ * user.onboarding.completed, which switches the app to its main tabs.
+ * @returns {{step: string|null, advance: Function}} step is null while loading
+ */
+export const useOnboarding = () => {
+  const { user, authToken, updateUser } = useAuth();
+  const [step, setStep] = useState(null);
+
+  const advance = useCallback(async (nextStep) => {
+    setStep(nextStep);
+    const onboarding = await onboardingService.advance(nextStep, authToken);
+
+    // Offline: carry on locally; the step is sent again on next launch
+    await updateUser({
+      onboarding: onboarding || {
+        ...user?.onboarding,
+        step: nextStep,
+        completed: nextStep === 'completed',
+      },
+    });
+  }, [authToken, user, updateUser]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    onboardingService.resume(user?.onboarding).then((resumeAt) => {
+      if (cancelled) return;
+      if (resumeAt !== (user?.onboarding?.step || 'welcome')) {
+        advance(resumeAt);
+      } else {
+        setStep(resumeAt);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user?._id]);
+
+  return { step, advance };
+};
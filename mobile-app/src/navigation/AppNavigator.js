@@ -7,10 +7,21 @@ import JournalScreen from '../screens/JournalScreen';
 import PersonasScreen from '../screens/PersonasScreen';
 import InsightsScreen from '../screens/InsightsScreen';
 import ProfileScreen from '../screens/ProfileScreen';
+import { useJournalSync } from '../hooks/useJournalSync';
 
 const Tab = createBottomTabNavigator();
 
 const AppNavigator = () => {
+  const { pending, conflicts } = useJournalSync();
+
+  // Conflicts need the user's attention; otherwise show unsynced changes
+  let journalBadge;
+  if (conflicts.length) {
+    journalBadge = '!';
+  } else if (pending) {
+    journalBadge = pending;
+  }
+
   return (
     <Tab.Navigator
         screenOptions={({ route }) => ({
@@ -47,6 +58,7 @@ const AppNavigator = () => {
           component={JournalScreen}
           options={{
             tabBarLabel: 'Journal',
+            tabBarBadge: journalBadge,
           }}
         />
         <Tab.Screen 
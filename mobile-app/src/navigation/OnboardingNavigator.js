@@ -0,0 +1,53 @@
+import React from 'react';
+import { createNativeStackNavigator } from '@react-navigation/native-stack';
+
+import WelcomeScreen from '../screens/onboarding/WelcomeScreen';
+import NotificationsScreen from '../screens/onboarding/NotificationsScreen';
+import FirstEntryScreen from '../screens/onboarding/FirstEntryScreen';
+import PersonaIntroScreen from '../screens/onboarding/PersonaIntroScreen';
+import LoadingScreen from '../screens/LoadingScreen';
+import { useOnboarding } from '../hooks/useOnboarding';
+import { useJournalSync } from '../hooks/useJournalSync';
+
+const Stack = createNativeStackNavigator();
+
+// Screen for each onboarding step, and the step that follows it
+const STEPS = {
+  welcome: { screen: 'Welcome', component: WelcomeScreen, next: 'notifications' },
+  notifications: { screen: 'Notifications', component: NotificationsScreen, next: 'first-entry' },
+  'first-entry': { screen: 'FirstEntry', component: FirstEntryScreen, next: 'persona-intro' },
+  'persona-intro': { screen: 'PersonaIntro', component: PersonaIntroScreen, next: 'completed' },
+};
+
+const OnboardingNavigator = () => {
+  const { step, advance } = useOnboarding();
+
+  // The first entry is written here, so keep the journal syncing already
+  useJournalSync();
+
+  if (!step || !STEPS[step]) {
+    return <LoadingScreen />;
+  }
+
+  return (
+    <Stack.Navigator
+      initialRouteName={STEPS[step].screen}
+      screenOptions={{ headerShown: false, gestureEnabled: false }}
+    >
+      {Object.values(STEPS).map(({ screen, component: Screen, next }) => (
+        <Stack.Screen key={screen} name={screen}>
+          {({ navigation }) => (
+            <Screen
+              onContinue={() => {
+                advance(next);
+                if (STEPS[next]) navigation.replace(STEPS[next].screen);
+              }}
+            />
+          )}
+        </Stack.Screen>
+      ))}
+    </Stack.Navigator>
+  );
+};
+
+export default OnboardingNavigator;
@@ -1,30 +1,39 @@
-import { useState } from 'react';
-import { View, Text, TouchableOpacity, StyleSheet, Alert, ActivityIndicator, Modal } from 'react-native';
+import { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert, ActivityIndicator, Modal } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
-import { theme } from '../theme';
+import * as AppleAuthentication from 'expo-apple-authentication';
+import { theme, colors } from '../theme';
 import { useAuth } from '../contexts/AuthContext';
+import authService from '../services/authService';
 import DebugScreen from './DebugScreen';
 
 const AuthScreen = () => {
-  const { signInWithGoogle, loading, error, clearError } = useAuth();
+  const { signInWithGoogle, signInWithApple, requestMagicLink, loading, error, clearError } = useAuth();
   const [isSigningIn, setIsSigningIn] = useState(false);
   const [showDebug, setShowDebug] = useState(false);
+  const [appleAvailable, setAppleAvailable] = useState(false);
+  const [email, setEmail] = useState('');
+  const [magicLinkSentTo, setMagicLinkSentTo] = useState(null);
 
-  const handleGoogleSignIn = async () => {
+  useEffect(() => {
+    authService.isAppleSignInAvailable().then(setAppleAvailable);
+  }, []);
+
+  const handleSignIn = async (provider, signIn) => {
     try {
       setIsSigningIn(true);
       clearError(); // Clear any previous errors
       
-      console.log('Initiating Google sign-in...');
+      console.log(`Initiating ${provider} sign-in...`);
       
-      const result = await signInWithGoogle();
+      const result = await signIn();
       
-      if (!result.success) {
+      if (!result.success && result.error !== 'Authentication cancelled') {
         // Show error to user
         Alert.alert(
           'Sign-in Failed',
-          result.error || 'Unable to sign in with Google. Please try again.',
+          result.error || `Unable to sign in with ${provider}. Please try again.`,
           [{ text: 'OK' }]
         );
       }
@@ -41,6 +50,24 @@ const AuthScreen = () => {
     }
   };
 
+  const handleMagicLinkRequest = async () => {
+    const address = email.trim();
+    if (!address) return;
+
+    setIsSigningIn(true);
+    clearError();
+    const result = await requestMagicLink(address);
+    setIsSigningIn(false);
+
+    if (result.success) {
+      setMagicLinkSentTo(address);
+    } else {
+      Alert.alert('Sign-in Failed', result.error, [{ text: 'OK' }]);
+    }
+  };
+
+  const busy = loading || isSigningIn;
+
   return (
     <SafeAreaView style={styles.container}>
       <View style={styles.content}>
@@ -79,12 +106,12 @@ const AuthScreen = () => {
           <TouchableOpacity 
             style={[
               styles.googleButton,
-              (loading || isSigningIn) && styles.googleButtonDisabled
+              busy && styles.googleButtonDisabled
             ]}
-            onPress={handleGoogleSignIn}
-            disabled={loading || isSigningIn}
+            onPress={() => handleSignIn('Google', signInWithGoogle)}
+            disabled={busy}
           >
-            {(loading || isSigningIn) ? (
+            {busy ? (
               <ActivityIndicator 
                 size="small" 
                 color={theme.colors.text.inverse} 
@@ -94,9 +121,50 @@ const AuthScreen = () => {
               <Ionicons name="logo-google" size={20} color={theme.colors.text.inverse} />
             )}
             <Text style={styles.googleButtonText}>
-              {(loading || isSigningIn) ? 'Signing in...' : 'Continue with Google'}
+              {busy ? 'Signing in...' : 'Continue with Google'}
             </Text>
           </TouchableOpacity>
+
+          {appleAvailable && (
+            <AppleAuthentication.AppleAuthenticationButton
+              buttonType={AppleAuthentication.AppleAuthenticationButtonType.CONTINUE}
+              buttonStyle={AppleAuthentication.AppleAuthenticationButtonStyle.BLACK}
+              cornerRadius={8}
+              style={styles.appleButton}
+              onPress={() => !busy && handleSignIn('Apple', signInWithApple)}
+            />
+          )}
+
+          {magicLinkSentTo ? (
+            <View style={styles.magicLinkSent}>
+              <Ionicons name="mail-open-outline" size={20} color={theme.colors.primary} />
+              <Text style={styles.magicLinkSentText}>
+                Check {magicLinkSentTo} for a sign-in link. Open it on this device.
+              </Text>
+            </View>
+          ) : (
+            <View style={styles.magicLinkForm}>
+              <TextInput
+                style={styles.emailInput}
+                value={email}
+                onChangeText={setEmail}
+                placeholder="you@example.com"
+                placeholderTextColor={theme.colors.text.tertiary}
+                keyboardType="email-address"
+                autoCapitalize="none"
+                autoCorrect={false}
+                autoComplete="email"
+                editable={!busy}
+              />
+              <TouchableOpacity
+                style={[styles.magicLinkButton, (busy || !email.trim()) && styles.googleButtonDisabled]}
+                onPress={handleMagicLinkRequest}
+                disabled={busy || !email.trim()}
+              >
+                <Text style={styles.magicLinkButtonText}>Email me a sign-in link</Text>
+              </TouchableOpacity>
+            </View>
+          )}
           
           {error && (
             <View style={styles.errorContainer}>
@@ -196,6 +264,44 @@ const styles = StyleSheet.create({
   googleButtonDisabled: {
     opacity: 0.7,
   },
+  appleButton: {
+    width: '100%',
+    height: 44,
+    marginBottom: theme.spacing.md,
+  },
+  magicLinkForm: {
+    width: '100%',
+    marginBottom: theme.spacing.md,
+  },
+  emailInput: {
+    ...theme.components.input,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.sm,
+  },
+  magicLinkButton: {
+    ...theme.components.button.secondary,
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+  },
+  magicLinkButtonText: {
+    ...theme.typography.button,
+    color: theme.colors.text.primary,
+  },
+  magicLinkSent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    width: '100%',
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+    borderRadius: 8,
+    backgroundColor: colors.primary[50],
+  },
+  magicLinkSentText: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.primary,
+    marginLeft: theme.spacing.sm,
+    flex: 1,
+  },
   loadingSpinner: {
     marginRight: theme.spacing.xs,
   },
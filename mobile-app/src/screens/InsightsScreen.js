@@ -1,24 +1,113 @@
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { theme } from '../theme';
+import { theme, colors } from '../theme';
+import { useAuth } from '../contexts/AuthContext';
+import insightsService from '../services/insightsService';
+
+const WEEKS = 8;
+// Self-reported and AI-inferred moods this far apart are called out
+const GAP_THRESHOLD = 2;
+
+const weekLabel = bucket => new Date(`${bucket}T00:00:00`)
+  .toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+const gapMessage = (moodGap) => {
+  if (moodGap === null || Math.abs(moodGap) < GAP_THRESHOLD) return null;
+  return moodGap > 0
+    ? 'You felt better than your entries read'
+    : 'Your entries read brighter than you felt';
+};
+
+const MoodBar = ({ label, value, color }) => (
+  <View style={styles.barRow}>
+    <Text style={styles.barLabel}>{label}</Text>
+    <View style={styles.barTrack}>
+      {value !== null && (
+        <View style={[styles.barFill, { width: `${value * 10}%`, backgroundColor: color }]} />
+      )}
+    </View>
+    <Text style={styles.barValue}>{value === null ? '–' : value.toFixed(1)}</Text>
+  </View>
+);
 
 const InsightsScreen = () => {
+  const { authToken } = useAuth();
+  const [points, setPoints] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const from = new Date(Date.now() - WEEKS * 7 * 24 * 60 * 60 * 1000).toISOString();
+      const trend = await insightsService.getMoodTrend({ granularity: 'week', from }, authToken);
+      setPoints(trend.points.filter(point => point.entries || point.checkIns).reverse());
+      setError(null);
+    } catch (err) {
+      console.error('Failed to load mood insights:', err);
+      setError('Insights need an internet connection.');
+    }
+  }, [authToken]);
+
+  useEffect(() => {
+    load().finally(() => setLoading(false));
+  }, [load]);
+
+  const refresh = async () => {
+    setRefreshing(true);
+    await load();
+    setRefreshing(false);
+  };
+
+  const renderBody = () => {
+    if (loading) {
+      return <ActivityIndicator style={styles.loading} color={theme.colors.primary} />;
+    }
+    if (error) {
+      return <Text style={styles.message}>{error}</Text>;
+    }
+    if (!points.length) {
+      return (
+        <Text style={styles.message}>
+          Check in with your mood on the Journal tab and write a few entries to compare them here.
+        </Text>
+      );
+    }
+
+    return points.map((point) => {
+      const message = gapMessage(point.moodGap);
+      return (
+        <View key={point.bucket} style={[styles.card, message && styles.cardHighlighted]}>
+          <Text style={styles.week}>Week of {weekLabel(point.bucket)}</Text>
+          <MoodBar label="You" value={point.selfReportedMood} color={theme.colors.success} />
+          <MoodBar label="Entries" value={point.averageMood} color={theme.colors.primary} />
+          <Text style={styles.counts}>
+            {point.checkIns} check-in{point.checkIns === 1 ? '' : 's'} · {point.entries} entr{point.entries === 1 ? 'y' : 'ies'}
+          </Text>
+          {message && <Text style={styles.gap}>{message}</Text>}
+        </View>
+      );
+    });
+  };
+
   return (
     <SafeAreaView style={styles.container}>
-      <View style={styles.content}>
+      <ScrollView
+        contentContainerStyle={styles.content}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={refresh} />}
+      >
         <Text style={styles.title}>Insights</Text>
-        <Text style={styles.subtitle}>Patterns and trends in your journey</Text>
-        <Text style={styles.placeholder}>
-          Your insights and patterns will be revealed here over time.
-          {'\n\n'}
-          Coming in Phase 4:
-          {'\n'}• Progressive disclosure insights interface
-          {'\n'}• Theme streamgraph visualization
-          {'\n'}• Persona evolution tracking
-          {'\n'}• Expandable insight cards
-        </Text>
-      </View>
+        <Text style={styles.subtitle}>How you say you feel, next to how your entries read</Text>
+        {renderBody()}
+      </ScrollView>
     </SafeAreaView>
   );
 };
@@ -29,10 +118,7 @@ const styles = StyleSheet.create({
     backgroundColor: theme.colors.background.secondary,
   },
   content: {
-    flex: 1,
     padding: theme.spacing.lg,
-    justifyContent: 'center',
-    alignItems: 'center',
   },
   title: {
     ...theme.typography.heading1,
@@ -43,14 +129,69 @@ const styles = StyleSheet.create({
     ...theme.typography.body,
     color: theme.colors.text.secondary,
     marginBottom: theme.spacing.lg,
-    textAlign: 'center',
   },
-  placeholder: {
+  loading: {
+    marginTop: theme.spacing.xl,
+  },
+  message: {
     ...theme.typography.bodySmall,
     color: theme.colors.text.tertiary,
     textAlign: 'center',
+    marginTop: theme.spacing.xl,
     lineHeight: 20,
   },
+  card: {
+    ...theme.components.card,
+    marginBottom: theme.spacing.md,
+  },
+  cardHighlighted: {
+    borderWidth: 1,
+    borderColor: theme.colors.warning,
+    backgroundColor: colors.warning[50],
+  },
+  week: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.primary,
+    fontWeight: '600',
+    marginBottom: theme.spacing.sm,
+  },
+  barRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.xs,
+  },
+  barLabel: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    width: 56,
+  },
+  barTrack: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: theme.colors.background.tertiary,
+    overflow: 'hidden',
+  },
+  barFill: {
+    height: 8,
+    borderRadius: 4,
+  },
+  barValue: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    width: 32,
+    textAlign: 'right',
+  },
+  counts: {
+    ...theme.typography.caption,
+    color: theme.colors.text.tertiary,
+    marginTop: theme.spacing.xs,
+  },
+  gap: {
+    ...theme.typography.caption,
+    color: colors.warning[600],
+    marginTop: theme.spacing.xs,
+  },
 });
 
-export default InsightsScreen;
\ No newline at end of file
+export default InsightsScreen;
@@ -1,24 +1,176 @@
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
 import { theme } from '../theme';
+import { useJournalEntries } from '../hooks/useJournalEntries';
+import { useEncryption } from '../hooks/useEncryption';
+import EntryListItem from '../components/journal/EntryListItem';
+import JournalCalendar from '../components/journal/JournalCalendar';
+import EntryComposer from '../components/journal/EntryComposer';
+import VoiceRecorder from '../components/journal/VoiceRecorder';
+import EntryDetail from '../components/journal/EntryDetail';
+import SyncStatusIndicator from '../components/journal/SyncStatusIndicator';
+import SyncConflicts from '../components/journal/SyncConflicts';
+import MoodCheckIn from '../components/journal/MoodCheckIn';
 
 const JournalScreen = () => {
+  const {
+    entries,
+    hasMore,
+    loading,
+    refreshing,
+    error,
+    refresh,
+    loadMore,
+  } = useJournalEntries();
+  const { enabled: encrypted, unlocked } = useEncryption();
+
+  const [view, setView] = useState('list');
+  const [composer, setComposer] = useState({ visible: false, entry: null });
+  const [recorderVisible, setRecorderVisible] = useState(false);
+  const [selectedEntry, setSelectedEntry] = useState(null);
+  // Bumped after writes so the calendar reloads its month and streak
+  const [calendarKey, setCalendarKey] = useState(0);
+
+  const openComposer = (entry = null) => {
+    setSelectedEntry(null);
+    setComposer({ visible: true, entry });
+  };
+
+  const handleSaved = (entry) => {
+    setCalendarKey(key => key + 1);
+    setComposer({ visible: false, entry: null });
+    setSelectedEntry(entry);
+  };
+
+  const handleVoiceSaved = (entry) => {
+    setCalendarKey(key => key + 1);
+    setRecorderVisible(false);
+    setSelectedEntry(entry);
+  };
+
+  const handleDeleted = () => {
+    setCalendarKey(key => key + 1);
+    setSelectedEntry(null);
+  };
+
+  const renderEmpty = () => {
+    if (refreshing) return null;
+
+    return (
+      <View style={styles.empty}>
+        <Ionicons name="book-outline" size={48} color={theme.colors.text.tertiary} />
+        <Text style={styles.emptyTitle}>
+          {error ? 'Could not load your journal' : 'Your journal is empty'}
+        </Text>
+        <Text style={styles.emptyText}>
+          {error ? 'Pull down to try again.' : 'Tap the pen to write your first entry.'}
+        </Text>
+      </View>
+    );
+  };
+
   return (
     <SafeAreaView style={styles.container}>
-      <View style={styles.content}>
-        <Text style={styles.title}>Journal</Text>
-        <Text style={styles.subtitle}>Your personal journaling space</Text>
-        <Text style={styles.placeholder}>
-          This is where you'll write and view your journal entries.
-          {'\n\n'}
-          Coming in Phase 2:
-          {'\n'}• Quick Action button for new entries
-          {'\n'}• Voice-to-text journaling
-          {'\n'}• Entry list with calendar view
-          {'\n'}• AI analysis and insights
-        </Text>
+      <View style={styles.header}>
+        <View>
+          <Text style={styles.title}>Journal</Text>
+          <SyncStatusIndicator />
+        </View>
+        <View style={styles.toggle}>
+          {['list', 'calendar'].map(mode => (
+            <TouchableOpacity
+              key={mode}
+              style={[styles.toggleButton, view === mode && styles.toggleButtonActive]}
+              onPress={() => setView(mode)}
+            >
+              <Ionicons
+                name={mode === 'list' ? 'list' : 'calendar'}
+                size={18}
+                color={view === mode ? theme.colors.white : theme.colors.text.secondary}
+              />
+            </TouchableOpacity>
+          ))}
+        </View>
       </View>
+
+      <SyncConflicts />
+
+      <MoodCheckIn />
+
+      {encrypted && !unlocked && (
+        <View style={styles.lockedBanner}>
+          <Ionicons name="lock-closed" size={16} color={theme.colors.text.secondary} />
+          <Text style={styles.lockedText}>
+            Your journal is encrypted. Unlock it in Profile to read and write entries on this device.
+          </Text>
+        </View>
+      )}
+
+      {view === 'list' ? (
+        <FlatList
+          data={entries}
+          keyExtractor={item => item.localId}
+          renderItem={({ item }) => (
+            <EntryListItem entry={item} onPress={setSelectedEntry} />
+          )}
+          contentContainerStyle={styles.list}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={refresh} />}
+          ListEmptyComponent={renderEmpty}
+          ListFooterComponent={
+            loading && hasMore
+              ? <ActivityIndicator style={styles.footer} color={theme.colors.primary} />
+              : null
+          }
+        />
+      ) : (
+        <View style={styles.list}>
+          <JournalCalendar onSelectEntry={setSelectedEntry} refreshKey={calendarKey} />
+        </View>
+      )}
+
+      {/* Transcription needs the server to hear the recording */}
+      {!encrypted && (
+        <TouchableOpacity style={[styles.fab, styles.voiceFab]} onPress={() => setRecorderVisible(true)}>
+          <Ionicons name="mic" size={22} color={theme.colors.primary} />
+        </TouchableOpacity>
+      )}
+      <TouchableOpacity style={styles.fab} onPress={() => openComposer()}>
+        <Ionicons name="create" size={26} color={theme.colors.white} />
+      </TouchableOpacity>
+
+      <EntryComposer
+        visible={composer.visible}
+        entry={composer.entry}
+        onClose={() => setComposer({ visible: false, entry: null })}
+        onSaved={handleSaved}
+      />
+
+      <VoiceRecorder
+        visible={recorderVisible}
+        onClose={() => setRecorderVisible(false)}
+        onSaved={handleVoiceSaved}
+      />
+
+      {selectedEntry && (
+        <EntryDetail
+          entry={selectedEntry}
+          onClose={() => setSelectedEntry(null)}
+          onEdit={openComposer}
+          onDeleted={handleDeleted}
+        />
+      )}
     </SafeAreaView>
   );
 };
@@ -28,29 +180,92 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: theme.colors.background.secondary,
   },
-  content: {
-    flex: 1,
-    padding: theme.spacing.lg,
-    justifyContent: 'center',
+  header: {
+    flexDirection: 'row',
     alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: theme.spacing.lg,
+    paddingTop: theme.spacing.md,
+    paddingBottom: theme.spacing.sm,
   },
   title: {
     ...theme.typography.heading1,
     color: theme.colors.text.primary,
+  },
+  toggle: {
+    flexDirection: 'row',
+    backgroundColor: theme.colors.background.tertiary,
+    borderRadius: 8,
+    padding: 2,
+  },
+  toggleButton: {
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.sm,
+    borderRadius: 6,
+  },
+  toggleButtonActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  list: {
+    padding: theme.spacing.lg,
+    paddingBottom: theme.spacing['3xl'] + theme.spacing.lg,
+  },
+  footer: {
+    marginVertical: theme.spacing.md,
+  },
+  lockedBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: theme.spacing.lg,
     marginBottom: theme.spacing.sm,
+    padding: theme.spacing.md,
+    borderRadius: 8,
+    backgroundColor: theme.colors.background.tertiary,
   },
-  subtitle: {
-    ...theme.typography.body,
+  lockedText: {
+    ...theme.typography.bodySmall,
     color: theme.colors.text.secondary,
-    marginBottom: theme.spacing.lg,
-    textAlign: 'center',
+    marginLeft: theme.spacing.sm,
+    flex: 1,
+  },
+  empty: {
+    alignItems: 'center',
+    marginTop: theme.spacing['3xl'],
+  },
+  emptyTitle: {
+    ...theme.typography.heading3,
+    color: theme.colors.text.primary,
+    marginTop: theme.spacing.md,
   },
-  placeholder: {
+  emptyText: {
     ...theme.typography.bodySmall,
-    color: theme.colors.text.tertiary,
-    textAlign: 'center',
-    lineHeight: 20,
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.xs,
+  },
+  fab: {
+    position: 'absolute',
+    right: theme.spacing.lg,
+    bottom: theme.spacing.lg,
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: theme.colors.primary,
+    shadowColor: theme.colors.black,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+    elevation: 6,
+  },
+  voiceFab: {
+    bottom: theme.spacing.lg + 56 + theme.spacing.md,
+    right: theme.spacing.lg + 6,
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: theme.colors.white,
   },
 });
 
-export default JournalScreen;
\ No newline at end of file
+export default JournalScreen;
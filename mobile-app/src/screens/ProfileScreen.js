@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -8,6 +8,7 @@ import {
   Image,
   ActivityIndicator,
   Alert,
+  Linking,
   RefreshControl,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
@@ -16,14 +17,89 @@ import { theme } from '../theme';
 import { useAuth } from '../contexts/AuthContext';
 import { useImagePicker } from '../hooks/useImagePicker';
 import profileService from '../services/profileService';
+import SessionList from '../components/profile/SessionList';
+import EncryptionSettings from '../components/profile/EncryptionSettings';
+
+const EXPORT_POLL_INTERVAL_MS = 3000;
 
 const ProfileScreen = () => {
-  const { user, authToken, signOut, updateUser } = useAuth();
+  const { user, authToken, signOut, signOutEverywhere, deleteAccount, updateUser } = useAuth();
   const { showImagePickerOptions, uploading: imageUploading } = useImagePicker();
   
   const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
   const [uploadingImage, setUploadingImage] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
+  const [revokingSessionId, setRevokingSessionId] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const mounted = useRef(true);
+
+  useEffect(() => () => {
+    mounted.current = false;
+  }, []);
+
+  const loadSessions = async () => {
+    if (!authToken) return;
+    try {
+      setSessionsLoading(true);
+      setSessions(await profileService.getSessions(authToken));
+    } catch (error) {
+      console.error('Failed to load devices:', error);
+    } finally {
+      setSessionsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, [authToken]);
+
+  const handleRevokeSession = (session) => {
+    Alert.alert(
+      'Sign Out Device',
+      `Sign out ${session.name || 'this device'}? It will need to sign in again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Sign Out',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setRevokingSessionId(session.id);
+              await profileService.revokeSession(session.id, authToken);
+              setSessions(current => current.filter(item => item.id !== session.id));
+            } catch (error) {
+              console.error('Revoke session error:', error);
+              Alert.alert('Error', 'Failed to sign out that device. Please try again.');
+            } finally {
+              setRevokingSessionId(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleSignOutEverywhere = () => {
+    Alert.alert(
+      'Sign Out Everywhere',
+      'Sign out of Persona Arcana on every device, including this one?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Sign Out Everywhere',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await signOutEverywhere();
+            if (!result.success) {
+              Alert.alert('Error', 'Failed to sign out everywhere. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  };
 
   const handleImageUpload = async () => {
     try {
@@ -88,6 +164,64 @@ const ProfileScreen = () => {
     }
   };
 
+  const handleExportData = async () => {
+    try {
+      setExporting(true);
+      let dataExport = await profileService.requestExport(authToken);
+
+      // The archive is built in the background; stop polling if the user leaves
+      while (['queued', 'processing'].includes(dataExport.status)) {
+        await new Promise(resolve => setTimeout(resolve, EXPORT_POLL_INTERVAL_MS));
+        if (!mounted.current) return;
+        dataExport = await profileService.getExport(dataExport.id, authToken);
+      }
+
+      if (dataExport.status !== 'completed') {
+        throw new Error(dataExport.error || 'The export could not be created. Please try again.');
+      }
+
+      Alert.alert(
+        'Your Data Is Ready',
+        `Download your journal, personas and media as a zip file. The download is available until ${new Date(dataExport.expiresAt).toLocaleDateString()}.`,
+        [
+          { text: 'Later', style: 'cancel' },
+          { text: 'Download', onPress: () => Linking.openURL(dataExport.downloadUrl) },
+        ]
+      );
+    } catch (error) {
+      console.error('Data export error:', error);
+      Alert.alert('Export Failed', error.message);
+    } finally {
+      if (mounted.current) setExporting(false);
+    }
+  };
+
+  const handleDeleteAccount = () => {
+    Alert.alert(
+      'Delete Account',
+      'Your journal, personas and photos will be permanently deleted after a grace period. '
+        + 'You will be signed out everywhere, and we will email you a link to undo this until then.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete Account',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await deleteAccount();
+            if (result.success) {
+              Alert.alert(
+                'Account Scheduled for Deletion',
+                `Your account will be deleted on ${new Date(result.scheduledFor).toLocaleDateString()}.`
+              );
+            } else {
+              Alert.alert('Error', 'Failed to delete your account. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const handleSignOut = async () => {
     Alert.alert(
       'Sign Out',
@@ -121,6 +255,7 @@ const ProfileScreen = () => {
       setRefreshing(true);
       
       if (authToken) {
+        await loadSessions();
         const profileResult = await profileService.getCurrentProfile(authToken);
         if (profileResult.success) {
           await updateUser(profileResult.data);
@@ -292,6 +427,24 @@ const ProfileScreen = () => {
           )}
         </View>
 
+        {/* End-to-end encryption */}
+        <View style={styles.infoSection}>
+          <Text style={styles.sectionTitle}>End-to-End Encryption</Text>
+          <EncryptionSettings />
+        </View>
+
+        {/* Devices */}
+        <View style={styles.infoSection}>
+          <Text style={styles.sectionTitle}>Signed-in Devices</Text>
+          <SessionList
+            sessions={sessions}
+            loading={sessionsLoading}
+            revokingId={revokingSessionId}
+            onRevoke={handleRevokeSession}
+            onSignOutEverywhere={handleSignOutEverywhere}
+          />
+        </View>
+
         {/* Actions Section */}
         <View style={styles.actionsSection}>
           <TouchableOpacity
@@ -310,6 +463,23 @@ const ProfileScreen = () => {
             </Text>
           </TouchableOpacity>
 
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={handleExportData}
+            disabled={exporting}
+          >
+            <Ionicons
+              name="download-outline"
+              size={20}
+              color={theme.colors.primary}
+              style={styles.actionIcon}
+            />
+            <Text style={styles.actionText}>
+              {exporting ? 'Preparing Export...' : 'Export My Data'}
+            </Text>
+            {exporting && <ActivityIndicator size="small" color={theme.colors.primary} />}
+          </TouchableOpacity>
+
           <TouchableOpacity
             style={[styles.actionButton, styles.signOutButton]}
             onPress={handleSignOut}
@@ -325,6 +495,20 @@ const ProfileScreen = () => {
               {loading ? 'Signing Out...' : 'Sign Out'}
             </Text>
           </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.actionButton, styles.signOutButton]}
+            onPress={handleDeleteAccount}
+            disabled={loading}
+          >
+            <Ionicons
+              name="trash-outline"
+              size={20}
+              color={theme.colors.error}
+              style={styles.actionIcon}
+            />
+            <Text style={[styles.actionText, styles.signOutText]}>Delete Account</Text>
+          </TouchableOpacity>
         </View>
       </ScrollView>
     </SafeAreaView>
@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { theme, colors } from '../../theme';
+import journalService, { countWords } from '../../services/journalService';
+import journalStore from '../../services/journalStore';
+import OnboardingLayout from '../../components/onboarding/OnboardingLayout';
+
+const AUTOSAVE_DELAY_MS = 800;
+const MAX_LENGTH = 50000; // Matches the API limit
+const MIN_WORDS = 20; // Enough for analysis to find something
+
+const PROMPTS = [
+  'What has been on your mind most today?',
+  'Describe a moment this week when you felt most like yourself.',
+  'What are you looking forward to, and what are you dreading?',
+  'Who did you think about today, and why?',
+];
+
+const FirstEntryScreen = ({ onContinue }) => {
+  const [promptIndex, setPromptIndex] = useState(0);
+  const [content, setContent] = useState('');
+  const [saving, setSaving] = useState(false);
+  const autosaveTimer = useRef(null);
+
+  // Pick up a draft left by an earlier launch
+  useEffect(() => {
+    journalService.loadDraft().then((draft) => {
+      if (draft && !draft.entryId && draft.content) setContent(draft.content);
+    });
+    return () => clearTimeout(autosaveTimer.current);
+  }, []);
+
+  const handleChange = (text) => {
+    setContent(text);
+    clearTimeout(autosaveTimer.current);
+    autosaveTimer.current = setTimeout(() => {
+      journalService.saveDraft({ content: text, entryId: null });
+    }, AUTOSAVE_DELAY_MS);
+  };
+
+  const handleSave = async () => {
+    clearTimeout(autosaveTimer.current);
+    setSaving(true);
+    try {
+      // Saved on the device first; the store syncs it when online
+      await journalStore.createEntry({ content });
+      await journalService.clearDraft();
+      onContinue();
+    } catch (error) {
+      console.error('Failed to save first journal entry:', error);
+      Alert.alert('Error', 'Failed to save your entry. Your draft is kept on this device.');
+      setSaving(false);
+    }
+  };
+
+  const wordCount = countWords(content);
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.flex}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      <OnboardingLayout
+        step="first-entry"
+        title="Your first entry"
+        subtitle="Start with this prompt, or write about anything you like."
+        actionLabel={wordCount < MIN_WORDS ? `${MIN_WORDS - wordCount} more words` : 'Save entry'}
+        onAction={handleSave}
+        actionDisabled={wordCount < MIN_WORDS}
+        busy={saving}
+      >
+        <View style={styles.prompt}>
+          <Text style={styles.promptText}>{PROMPTS[promptIndex]}</Text>
+          <TouchableOpacity onPress={() => setPromptIndex((promptIndex + 1) % PROMPTS.length)}>
+            <Text style={styles.anotherPrompt}>Try another prompt</Text>
+          </TouchableOpacity>
+        </View>
+
+        <TextInput
+          style={styles.input}
+          value={content}
+          onChangeText={handleChange}
+          placeholder="Start writing..."
+          placeholderTextColor={theme.colors.text.tertiary}
+          multiline
+          maxLength={MAX_LENGTH}
+          textAlignVertical="top"
+        />
+      </OnboardingLayout>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  flex: {
+    flex: 1,
+  },
+  prompt: {
+    backgroundColor: colors.primary[50],
+    borderRadius: 12,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+  },
+  promptText: {
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+    fontStyle: 'italic',
+  },
+  anotherPrompt: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.primary,
+    marginTop: theme.spacing.sm,
+  },
+  input: {
+    ...theme.typography.body,
+    flex: 1,
+    color: theme.colors.text.primary,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: 12,
+    padding: theme.spacing.md,
+  },
+});
+
+export default FirstEntryScreen;
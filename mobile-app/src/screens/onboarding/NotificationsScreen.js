@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { Text, StyleSheet, Alert } from 'react-native';
+import { theme } from '../../theme';
+import { useAuth } from '../../contexts/AuthContext';
+import notificationService from '../../services/notificationService';
+import OnboardingLayout from '../../components/onboarding/OnboardingLayout';
+
+const NotificationsScreen = ({ onContinue }) => {
+  const { authToken, user } = useAuth();
+  const [working, setWorking] = useState(false);
+  const reminderTime = user?.preferences?.notifications?.reminderTime || '20:00';
+
+  const handleEnable = async () => {
+    setWorking(true);
+    try {
+      const granted = await notificationService.enablePushNotifications(authToken);
+      if (!granted) {
+        Alert.alert(
+          'Notifications are off',
+          'You can turn reminders on later in your device settings.'
+        );
+      }
+    } catch (error) {
+      console.error('Failed to enable notifications:', error);
+    } finally {
+      setWorking(false);
+      onContinue();
+    }
+  };
+
+  return (
+    <OnboardingLayout
+      step="notifications"
+      icon="notifications-outline"
+      title="A nudge each evening"
+      subtitle="Journaling works best as a habit. We'll remind you once a day, and only if you haven't written yet."
+      actionLabel="Turn on reminders"
+      onAction={handleEnable}
+      busy={working}
+      secondaryLabel="Not now"
+      onSecondary={onContinue}
+    >
+      <Text style={styles.note}>
+        Reminders arrive at {reminderTime} your time.
+      </Text>
+    </OnboardingLayout>
+  );
+};
+
+const styles = StyleSheet.create({
+  note: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.tertiary,
+    textAlign: 'center',
+  },
+});
+
+export default NotificationsScreen;
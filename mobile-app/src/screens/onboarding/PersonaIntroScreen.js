@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useSyncExternalStore } from 'react';
+import { View, Text, StyleSheet, ActivityIndicator, ScrollView } from 'react-native';
+import { theme, colors } from '../../theme';
+import { useAuth } from '../../contexts/AuthContext';
+import journalService from '../../services/journalService';
+import journalStore from '../../services/journalStore';
+import personaService from '../../services/personaService';
+import OnboardingLayout from '../../components/onboarding/OnboardingLayout';
+
+const ANALYSIS_POLL_MS = 5000;
+const MAX_TAGS = 6;
+
+const PersonaIntroScreen = ({ onContinue }) => {
+  const { authToken } = useAuth();
+  const { entries } = useSyncExternalStore(journalStore.subscribe, journalStore.getSnapshot);
+  const [personas, setPersonas] = useState([]);
+
+  // The entry just written during onboarding
+  const entry = entries[0];
+  const status = entry?.syncState === 'synced' ? entry.processingStatus : 'pending';
+  const analyzed = status === 'completed';
+  const waiting = status === 'pending' || status === 'processing';
+
+  // Sync the entry if it hasn't reached the server yet, then poll until its
+  // analysis finishes
+  useEffect(() => {
+    if (!waiting || !authToken) return undefined;
+
+    const check = async () => {
+      try {
+        await journalStore.load();
+        if (!entry) {
+          // Written on another device
+          const { entries: latest } = await journalService.listEntries({ limit: 1 }, authToken);
+          await journalStore.mergeServerEntries(latest);
+          return;
+        }
+        if (entry.syncState !== 'synced') {
+          await journalStore.sync(authToken);
+          return;
+        }
+        const fresh = await journalService.getEntry(entry._id, authToken);
+        await journalStore.mergeServerEntries([fresh]);
+      } catch (error) {
+        if (!error.isNetworkError) console.error('Failed to check analysis:', error);
+      }
+    };
+
+    check();
+    const timer = setInterval(check, ANALYSIS_POLL_MS);
+    return () => clearInterval(timer);
+  }, [waiting, entry?.localId, entry?.syncState, authToken]);
+
+  useEffect(() => {
+    if (!analyzed || !authToken) return;
+    personaService.listPersonas(authToken)
+      .then(setPersonas)
+      .catch(error => console.error('Failed to load personas:', error));
+  }, [analyzed, authToken]);
+
+  const tags = (entry?.tags || []).filter(tag => tag.namespace !== 'system').slice(0, MAX_TAGS);
+
+  let content;
+  if (waiting) {
+    content = (
+      <View style={styles.waiting}>
+        <ActivityIndicator size="large" color={theme.colors.primary} />
+        <Text style={styles.text}>Reading your entry for themes and emotions...</Text>
+      </View>
+    );
+  } else if (analyzed) {
+    content = (
+      <ScrollView>
+        {entry.summary ? <Text style={styles.summary}>{entry.summary}</Text> : null}
+        {tags.length > 0 && (
+          <View style={styles.tags}>
+            {tags.map(tag => (
+              <View key={`${tag.namespace}:${tag.name}`} style={styles.tag}>
+                <Text style={styles.tagNamespace}>{tag.namespace}</Text>
+                <Text style={styles.tagText}>{tag.name}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+        {personas.length > 0 ? (
+          personas.map(persona => (
+            <View key={persona._id} style={styles.persona}>
+              <Text style={styles.personaName}>{persona.name}</Text>
+              <Text style={styles.personaArchetype}>{persona.archetype}</Text>
+              <Text style={styles.text}>
+                {persona.giftForm.title} in the light, {persona.shadowForm.title} in the shadow.
+              </Text>
+            </View>
+          ))
+        ) : (
+          <Text style={styles.text}>
+            These are the first clues. As themes repeat across your entries, they
+            gather into personas: the characters you play in your own story, each
+            with a gift and a shadow side.
+          </Text>
+        )}
+      </ScrollView>
+    );
+  } else {
+    // Encrypted journals aren't analyzed, and failed analyses can be retried later
+    content = (
+      <Text style={styles.text}>
+        As you keep writing, recurring themes in your entries gather into
+        personas: the characters you play in your own story, each with a gift
+        and a shadow side.
+      </Text>
+    );
+  }
+
+  return (
+    <OnboardingLayout
+      step="persona-intro"
+      icon="people-outline"
+      title={personas.length > 0 ? 'Meet your personas' : 'Your personas'}
+      subtitle={analyzed ? 'Here is what your first entry revealed.' : null}
+      actionLabel="Start journaling"
+      onAction={onContinue}
+      actionDisabled={waiting}
+      secondaryLabel={waiting ? 'Skip for now' : null}
+      onSecondary={onContinue}
+    >
+      {content}
+    </OnboardingLayout>
+  );
+};
+
+const styles = StyleSheet.create({
+  waiting: {
+    alignItems: 'center',
+    marginTop: theme.spacing.xl,
+  },
+  text: {
+    ...theme.typography.body,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    marginTop: theme.spacing.md,
+  },
+  summary: {
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+    fontStyle: 'italic',
+    marginBottom: theme.spacing.md,
+  },
+  tags: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: theme.spacing.md,
+  },
+  tag: {
+    backgroundColor: colors.primary[50],
+    borderRadius: 16,
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.xs,
+    marginRight: theme.spacing.sm,
+    marginBottom: theme.spacing.sm,
+  },
+  tagNamespace: {
+    ...theme.typography.caption,
+    color: theme.colors.text.tertiary,
+  },
+  tagText: {
+    ...theme.typography.bodySmall,
+    color: colors.primary[700],
+  },
+  persona: {
+    ...theme.components.card,
+    marginBottom: theme.spacing.md,
+  },
+  personaName: {
+    ...theme.typography.heading3,
+    color: theme.colors.text.primary,
+  },
+  personaArchetype: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.text.secondary,
+  },
+});
+
+export default PersonaIntroScreen;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../theme';
+import { useAuth } from '../../contexts/AuthContext';
+import OnboardingLayout from '../../components/onboarding/OnboardingLayout';
+
+const HIGHLIGHTS = [
+  { icon: 'create-outline', text: 'Write or speak a few lines about your day' },
+  { icon: 'sparkles-outline', text: 'AI picks out the themes and emotions in each entry' },
+  { icon: 'people-outline', text: 'Personas emerge as patterns repeat over time' },
+];
+
+const WelcomeScreen = ({ onContinue }) => {
+  const { user } = useAuth();
+  const firstName = user?.name?.split(' ')[0];
+
+  return (
+    <OnboardingLayout
+      step="welcome"
+      icon="moon-outline"
+      title={firstName ? `Welcome, ${firstName}` : 'Welcome'}
+      subtitle="Persona Arcana turns your journal into a map of who you are becoming."
+      actionLabel="Get started"
+      onAction={onContinue}
+    >
+      {HIGHLIGHTS.map(({ icon, text }) => (
+        <View key={icon} style={styles.highlight}>
+          <Ionicons name={icon} size={24} color={theme.colors.primary} />
+          <Text style={styles.highlightText}>{text}</Text>
+        </View>
+      ))}
+    </OnboardingLayout>
+  );
+};
+
+const styles = StyleSheet.create({
+  highlight: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  highlightText: {
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+    marginLeft: theme.spacing.md,
+    flex: 1,
+  },
+});
+
+export default WelcomeScreen;
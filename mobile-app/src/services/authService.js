@@ -1,12 +1,57 @@
 import * as AuthSession from 'expo-auth-session';
 import * as WebBrowser from 'expo-web-browser';
+import { Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import Constants from 'expo-constants';
+import * as Crypto from 'expo-crypto';
+import * as AppleAuthentication from 'expo-apple-authentication';
 // import { captureError, addBreadcrumb, wrapApiCall } from '../config/sentry';
 
 // Complete the auth session for better UX
 WebBrowser.maybeCompleteAuthSession();
 
+const AUTH_STORAGE_KEYS = ['authToken', 'refreshToken', 'user'];
+const MAGIC_LINK_VERIFIER_KEY = 'magicLinkVerifier';
+
+// RFC 7636 unreserved characters; 64 of them so each random byte maps evenly
+const VERIFIER_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+const randomString = (length) =>
+  Array.from(Crypto.getRandomBytes(length), byte => VERIFIER_ALPHABET[byte & 63]).join('');
+
+/**
+ * Create a PKCE verifier and its S256 challenge
+ * @returns {Promise<{codeVerifier: string, codeChallenge: string}>}
+ */
+const createPkcePair = async () => {
+  const codeVerifier = randomString(64);
+  const digest = await Crypto.digestStringAsync(
+    Crypto.CryptoDigestAlgorithm.SHA256,
+    codeVerifier,
+    { encoding: Crypto.CryptoEncoding.BASE64 }
+  );
+  const codeChallenge = digest.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * What the backend records about this device for the session list. The
+ * timezone and locale also become the user's, so journal days, streaks and
+ * reminders follow wherever they are.
+ * @returns {{platform: string, appVersion?: string, name?: string, timezone?: string, locale?: string}}
+ */
+const deviceInfo = () => {
+  const { timeZone, locale } = Intl.DateTimeFormat().resolvedOptions();
+  const info = {
+    platform: Platform.OS,
+    appVersion: Constants.expoConfig?.version,
+    name: Constants.deviceName,
+    timezone: timeZone,
+    locale
+  };
+  return Object.fromEntries(Object.entries(info).filter(([, value]) => value));
+};
+
 class AuthService {
   constructor() {
     try {
@@ -22,11 +67,124 @@ class AuthService {
       this.apiUrl = 'http://localhost:3000';
       this.googleClientId = null;
     }
+
+    // Current access token, shared so concurrent 401s trigger a single refresh
+    this.accessToken = null;
+    this.refreshPromise = null;
+    this.tokenListeners = new Set();
+  }
+
+  /**
+   * Subscribe to access token changes. The listener receives the new token,
+   * or null when the session ended and the user must sign in again.
+   * @param {Function} listener - Called with the new token or null
+   * @returns {Function} Unsubscribe
+   */
+  onTokenChange(listener) {
+    this.tokenListeners.add(listener);
+    return () => this.tokenListeners.delete(listener);
+  }
+
+  setAccessToken(token) {
+    this.accessToken = token;
+    this.tokenListeners.forEach(listener => listener(token));
+  }
+
+  /**
+   * fetch with the current access token. A 401 refreshes the session once
+   * and retries, so callers never see an expired access token.
+   * @param {string} url - Absolute URL
+   * @param {Object} options - fetch options
+   * @param {string} authToken - Token the caller holds, used until one is cached
+   * @returns {Promise<Response>} Response
+   */
+  async authorizedFetch(url, options = {}, authToken) {
+    const send = (token) => fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const sentWith = this.accessToken || authToken;
+    const response = await send(sentWith);
+    if (response.status !== 401) return response;
+
+    // Another request may already have refreshed while this one was in flight
+    const freshToken = this.accessToken && this.accessToken !== sentWith
+      ? this.accessToken
+      : await this.refreshSession();
+
+    return freshToken ? send(freshToken) : response;
+  }
+
+  /**
+   * Exchange the stored refresh token for a new token pair. Concurrent
+   * callers share one request: the server treats a second use of the same
+   * refresh token as theft and revokes the session.
+   * @returns {Promise<string|null>} New access token, or null if the session ended
+   */
+  refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async performRefresh() {
+    const refreshToken = await AsyncStorage.getItem('refreshToken');
+    if (!refreshToken) {
+      await this.endSession();
+      return null;
+    }
+
+    // Network failures propagate so an offline app keeps its session
+    const response = await fetch(`${this.apiUrl}/auth/refresh`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ refreshToken, device: deviceInfo() })
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      await AsyncStorage.multiSet([
+        ['authToken', data.data.token],
+        ['refreshToken', data.data.refreshToken]
+      ]);
+      this.setAccessToken(data.data.token);
+      return data.data.token;
+    }
+
+    if (response.status === 401) {
+      console.log('Session ended by server:', data.code);
+      await this.endSession();
+      return null;
+    }
+
+    throw new Error(data.error || 'Token refresh failed');
+  }
+
+  /**
+   * Drop stored credentials after the server refused the session
+   */
+  async endSession() {
+    try {
+      await AsyncStorage.multiRemove(AUTH_STORAGE_KEYS);
+    } catch (error) {
+      console.error('Failed to clear auth data:', error);
+    }
+    this.setAccessToken(null);
   }
 
   /**
    * Initiate Google OAuth sign-in flow using WebBrowser
-   * @returns {Promise<{success: boolean, user?: object, token?: string, error?: string}>}
+   * @returns {Promise<{success: boolean, user?: object, token?: string, refreshToken?: string, error?: string}>}
    */
   async signInWithGoogle() {
     try {
@@ -52,8 +210,12 @@ class AuthService {
         throw new Error('Failed to create redirect URI: ' + redirectError.message);
       }
 
+      // The backend binds its one-time code to this challenge; only this
+      // app instance holds the verifier that redeems it
+      const { codeVerifier, codeChallenge } = await createPkcePair();
+
       // Build the auth URL with our backend endpoint
-      const authUrl = `${this.apiUrl}/auth/google?redirect_uri=${encodeURIComponent(redirectUri)}`;
+      const authUrl = `${this.apiUrl}/auth/google?redirect_uri=${encodeURIComponent(redirectUri)}&code_challenge=${codeChallenge}&code_challenge_method=S256`;
       console.log('Auth URL:', authUrl);
 
       // Use WebBrowser to open the auth URL
@@ -61,15 +223,13 @@ class AuthService {
       const result = await WebBrowser.openAuthSessionAsync(authUrl, redirectUri);
 
       console.log('WebBrowser result type:', result.type);
-      console.log('WebBrowser result:', JSON.stringify(result, null, 2));
 
       if (result.type === 'success') {
         const { url } = result;
         
-        // Parse the URL to extract token and user data
+        // Parse the URL to extract the one-time authorization code
         const urlObj = new URL(url);
-        const token = urlObj.searchParams.get('token');
-        const userParam = urlObj.searchParams.get('user');
+        const code = urlObj.searchParams.get('code');
         const error = urlObj.searchParams.get('error');
 
         if (error) {
@@ -80,33 +240,16 @@ class AuthService {
           };
         }
 
-        if (!token || !userParam) {
-          console.error('Missing token or user data in callback');
+        if (!code) {
+          console.error('Missing authorization code in callback');
           return {
             success: false,
             error: 'Authentication failed - missing credentials'
           };
         }
 
-        // Parse user data
-        let user;
-        try {
-          user = JSON.parse(decodeURIComponent(userParam));
-        } catch (parseError) {
-          console.error('Failed to parse user data:', parseError);
-          return {
-            success: false,
-            error: 'Authentication failed - invalid user data'
-          };
-        }
-
-        console.log('Authentication successful for user:', user.email);
-
-        return {
-          success: true,
-          token,
-          user
-        };
+        // Redeem the code for tokens
+        return await this.exchangeForSession('/auth/token', { code, codeVerifier, redirectUri });
       } else if (result.type === 'cancel') {
         console.log('User cancelled authentication');
         return {
@@ -135,22 +278,178 @@ class AuthService {
   }
 
   /**
-   * Verify JWT token with backend
+   * Whether Sign in with Apple can be offered on this device
+   * @returns {Promise<boolean>}
+   */
+  async isAppleSignInAvailable() {
+    try {
+      return await AppleAuthentication.isAvailableAsync();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Sign in with the native Apple sheet. Apple embeds the SHA-256 of our
+   * nonce in the identity token; the backend checks it against the raw one.
+   * @returns {Promise<{success: boolean, user?: object, token?: string, refreshToken?: string, error?: string}>}
+   */
+  async signInWithApple() {
+    try {
+      const nonce = randomString(32);
+      const hashedNonce = await Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, nonce);
+
+      const credential = await AppleAuthentication.signInAsync({
+        requestedScopes: [
+          AppleAuthentication.AppleAuthenticationScope.FULL_NAME,
+          AppleAuthentication.AppleAuthenticationScope.EMAIL
+        ],
+        nonce: hashedNonce
+      });
+
+      // Apple shares the name only on the first sign-in
+      const { givenName, familyName } = credential.fullName || {};
+
+      return await this.exchangeForSession('/auth/apple', {
+        identityToken: credential.identityToken,
+        nonce,
+        ...(givenName || familyName ? { fullName: { givenName, familyName } } : {})
+      });
+    } catch (error) {
+      if (error.code === 'ERR_REQUEST_CANCELED') {
+        console.log('User cancelled Apple sign-in');
+        return {
+          success: false,
+          error: 'Authentication cancelled'
+        };
+      }
+      console.error('Apple sign-in error:', error);
+      return {
+        success: false,
+        error: error.message || 'Authentication failed'
+      };
+    }
+  }
+
+  /**
+   * Email a sign-in link. The link only works in this app instance, which
+   * keeps the PKCE verifier it is bound to.
+   * @param {string} email - Address to send the link to
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async requestMagicLink(email) {
+    try {
+      const { codeVerifier, codeChallenge } = await createPkcePair();
+      await AsyncStorage.setItem(MAGIC_LINK_VERIFIER_KEY, codeVerifier);
+
+      const response = await fetch(`${this.apiUrl}/auth/magic-link`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ email, codeChallenge })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        return {
+          success: false,
+          error: data.error || 'Could not send sign-in link'
+        };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Magic link request error:', error);
+      return {
+        success: false,
+        error: error.message || 'Could not send sign-in link'
+      };
+    }
+  }
+
+  /**
+   * Redeem the token from a magic link opened on this device
+   * @param {string} token - Token from the link's query string
+   * @returns {Promise<{success: boolean, user?: object, token?: string, refreshToken?: string, error?: string}>}
+   */
+  async completeMagicLink(token) {
+    try {
+      const codeVerifier = await AsyncStorage.getItem(MAGIC_LINK_VERIFIER_KEY);
+      if (!codeVerifier) {
+        return {
+          success: false,
+          error: 'This sign-in link was requested on another device'
+        };
+      }
+
+      const result = await this.exchangeForSession('/auth/magic-link/verify', { token, codeVerifier });
+      // Each link works once, so the verifier is done either way
+      await AsyncStorage.removeItem(MAGIC_LINK_VERIFIER_KEY);
+      return result;
+    } catch (error) {
+      console.error('Magic link sign-in error:', error);
+      return {
+        success: false,
+        error: error.message || 'Authentication failed'
+      };
+    }
+  }
+
+  /**
+   * POST sign-in proof to the backend and return the new session. The
+   * session is registered to this device.
+   * @param {string} path - Sign-in endpoint
+   * @param {Object} body - Request body
+   * @returns {Promise<{success: boolean, user?: object, token?: string, refreshToken?: string, error?: string}>}
+   */
+  async exchangeForSession(path, body) {
+    const response = await fetch(`${this.apiUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ ...body, device: deviceInfo() })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      console.error('Sign-in exchange failed:', data.error);
+      return {
+        success: false,
+        error: data.error || 'Authentication failed'
+      };
+    }
+
+    const { token, refreshToken, user } = data.data;
+    console.log('Authentication successful for user:', user.email);
+
+    return {
+      success: true,
+      token,
+      refreshToken,
+      user
+    };
+  }
+
+  /**
+   * Verify JWT token with backend, refreshing it first if it expired
    * @param {string} token - JWT token to verify
-   * @returns {Promise<{success: boolean, user?: object, error?: string}>}
+   * @returns {Promise<{success: boolean, user?: object, token?: string, error?: string}>}
    */
   async verifyToken(token) {
     try {
     // return wrapApiCall(async () => {
       console.log('Verifying token with backend...');
 
-      const response = await fetch(`${this.apiUrl}/auth/verify`, {
+      const response = await this.authorizedFetch(`${this.apiUrl}/auth/verify`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Content-Type': 'application/json'
         }
-      });
+      }, token);
 
       const data = await response.json();
 
@@ -159,6 +458,7 @@ class AuthService {
         // addBreadcrumb('Token verified successfully', 'auth', 'info');
         return {
           success: true,
+          token: this.accessToken || token,
           user: data.data.user
         };
       } else {
@@ -183,7 +483,7 @@ class AuthService {
   }
 
   /**
-   * Logout user by calling backend and clearing local storage
+   * Logout user by revoking the session on the backend and clearing local storage
    * @param {string} token - JWT token for authenticated logout
    * @returns {Promise<{success: boolean, error?: string}>}
    */
@@ -192,14 +492,15 @@ class AuthService {
     // return wrapApiCall(async () => {
       console.log('Logging out user...');
 
-      // Call backend logout endpoint
-      const response = await fetch(`${this.apiUrl}/auth/logout`, {
+      // Call backend logout endpoint so the refresh token stops working
+      const refreshToken = await AsyncStorage.getItem('refreshToken');
+      const response = await this.authorizedFetch(`${this.apiUrl}/auth/logout`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        }
-      });
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(refreshToken ? { refreshToken } : {})
+      }, token);
 
       const data = await response.json();
 
@@ -215,7 +516,8 @@ class AuthService {
       }
 
       // Always clear local storage regardless of backend response
-      await AsyncStorage.multiRemove(['authToken', 'user']);
+      await AsyncStorage.multiRemove(AUTH_STORAGE_KEYS);
+      this.accessToken = null;
       // addBreadcrumb('Local auth data cleared', 'auth', 'info');
       
       return {
@@ -227,7 +529,8 @@ class AuthService {
       
       // Still clear local storage even if backend call fails
       try {
-        await AsyncStorage.multiRemove(['authToken', 'user']);
+        await AsyncStorage.multiRemove(AUTH_STORAGE_KEYS);
+        this.accessToken = null;
       } catch (storageError) {
         console.error('Failed to clear local storage:', storageError);
       }
@@ -249,6 +552,7 @@ class AuthService {
       
       const authToken = token[1];
       const user = userJson[1] ? JSON.parse(userJson[1]) : null;
+      this.accessToken = authToken || null;
 
       return {
         token: authToken,
@@ -267,14 +571,17 @@ class AuthService {
    * Store authentication data
    * @param {string} token - JWT token
    * @param {object} user - User data
+   * @param {string} [refreshToken] - Refresh token; omit to keep the stored one
    * @returns {Promise<void>}
    */
-  async storeAuth(token, user) {
+  async storeAuth(token, user, refreshToken) {
     try {
       await AsyncStorage.multiSet([
         ['authToken', token],
-        ['user', JSON.stringify(user)]
+        ['user', JSON.stringify(user)],
+        ...(refreshToken ? [['refreshToken', refreshToken]] : [])
       ]);
+      this.accessToken = token;
       console.log('Authentication data stored successfully');
     } catch (error) {
       console.error('Failed to store auth data:', error);
@@ -291,7 +598,8 @@ class AuthService {
    */
   async clearAuth() {
     try {
-      await AsyncStorage.multiRemove(['authToken', 'user']);
+      await AsyncStorage.multiRemove(AUTH_STORAGE_KEYS);
+      this.accessToken = null;
       console.log('Authentication data cleared');
     } catch (error) {
       console.error('Failed to clear auth data:', error);
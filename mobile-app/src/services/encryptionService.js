@@ -0,0 +1,361 @@
+import Constants from 'expo-constants';
+import * as Crypto from 'expo-crypto';
+import * as SecureStore from 'expo-secure-store';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { utf8ToBytes, bytesToUtf8 } from '@noble/ciphers/utils';
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha2';
+import authService from './authService';
+
+const API_URL = Constants.expoConfig?.extra?.apiUrl || 'http://localhost:3000';
+const KEY_STORAGE_KEY = 'journalDataKey';
+const ALGORITHM = 'xchacha20-poly1305';
+const KDF = { algorithm: 'scrypt', cost: 2 ** 15, blockSize: 8, parallelism: 1 };
+// Crockford base32: no I, L, O or U, so recovery keys survive being written down
+const RECOVERY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = text => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+/**
+ * Format a recovery key as groups of four base32 characters
+ * @param {Uint8Array} bytes - 32-byte recovery key
+ * @returns {string} e.g. 'K3ZQ-8M1T-...'
+ */
+const encodeRecoveryKey = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += RECOVERY_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += RECOVERY_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output.match(/.{1,4}/g).join('-');
+};
+
+/**
+ * Read a recovery key as typed: case, spaces and dashes don't matter, and
+ * letters easily mistaken for digits are read as those digits
+ * @param {string} text - Recovery key
+ * @returns {Uint8Array} 32-byte key
+ * @throws {Error} If it isn't a recovery key
+ */
+const decodeRecoveryKey = (text) => {
+  const normalized = text.toUpperCase().replace(/[\s-]/g, '').replace(/O/g, '0').replace(/[IL]/g, '1');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of normalized) {
+    const digit = RECOVERY_ALPHABET.indexOf(char);
+    if (digit === -1) throw new Error('That is not a valid recovery key');
+    value = (value << 5) | digit;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  if (bytes.length !== 32) throw new Error('That is not a valid recovery key');
+  return Uint8Array.from(bytes);
+};
+
+/**
+ * Encrypt with XChaCha20-Poly1305 under a fresh random nonce
+ * @returns {{nonce: string, ciphertext: string}} Base64 fields
+ */
+const seal = (key, plaintext, associatedData) => {
+  const nonce = Crypto.getRandomBytes(24);
+  const ciphertext = xchacha20poly1305(key, nonce, associatedData).encrypt(plaintext);
+  return { nonce: toBase64(nonce), ciphertext: toBase64(ciphertext) };
+};
+
+/**
+ * Decrypt what seal() produced
+ * @throws {Error} If the key is wrong or the data was tampered with
+ */
+const open = (key, { nonce, ciphertext }, associatedData) => xchacha20poly1305(
+  key,
+  fromBase64(nonce),
+  associatedData
+).decrypt(fromBase64(ciphertext));
+
+/**
+ * Key that wraps the data key, derived from the passphrase
+ */
+const passphraseKey = (passphrase, kdf) => scryptAsync(utf8ToBytes(passphrase.normalize('NFKC')), fromBase64(kdf.salt), {
+  N: kdf.cost,
+  r: kdf.blockSize,
+  p: kdf.parallelism,
+  dkLen: 32,
+});
+
+/**
+ * Value that shows the server we hold the data key without revealing it
+ */
+const keyProof = dataKey => toBase64(hkdf(sha256, dataKey, undefined, 'persona-arcana key proof', 32));
+
+/**
+ * End-to-end encryption for journal content. Entries are encrypted on the
+ * device with a random 256-bit data key. The server stores that key only
+ * wrapped: once under a key derived from the user's passphrase and once
+ * under a recovery key shown to the user when encryption is turned on.
+ * The unwrapped key is kept in the device's secure storage so the journal
+ * stays unlocked between launches.
+ */
+class EncryptionService {
+  constructor() {
+    this.userId = null;
+    this.settings = null;
+    this.dataKey = null;
+    this.listeners = new Set();
+    this.buildSnapshot();
+
+    this.subscribe = this.subscribe.bind(this);
+    this.getSnapshot = this.getSnapshot.bind(this);
+  }
+
+  /**
+   * Subscribe to changes (useSyncExternalStore compatible)
+   * @param {Function} listener - Called on every change
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  buildSnapshot() {
+    this.snapshot = {
+      loaded: this.settings !== null,
+      enabled: this.isEnabled(),
+      unlocked: this.isUnlocked(),
+      enabledAt: this.settings?.enabledAt || null,
+    };
+  }
+
+  notify() {
+    this.buildSnapshot();
+    this.listeners.forEach(listener => listener());
+  }
+
+  async request(path, authToken, options = {}) {
+    const response = await authService.authorizedFetch(`${API_URL}/api${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+    }, authToken);
+    const result = await response.json();
+
+    if (!response.ok) {
+      const error = new Error(result.error || 'Encryption request failed');
+      error.status = response.status;
+      error.code = result.code;
+      throw error;
+    }
+    return result.data;
+  }
+
+  /**
+   * Load the account's encryption settings and any key kept on this
+   * device. Offline, a stored key is enough to keep working.
+   * @param {string} userId - Signed-in user's ID
+   * @param {string} authToken - Authentication token
+   */
+  async load(userId, authToken) {
+    this.userId = userId;
+
+    try {
+      const stored = JSON.parse(await SecureStore.getItemAsync(KEY_STORAGE_KEY) || 'null');
+      this.dataKey = stored?.userId === userId ? fromBase64(stored.key) : null;
+    } catch (error) {
+      console.error('Failed to read journal key:', error);
+    }
+
+    try {
+      this.settings = await this.request('/users/me/encryption', authToken);
+    } catch (error) {
+      if (!this.settings && this.dataKey) this.settings = { enabled: true };
+    }
+    this.notify();
+  }
+
+  isEnabled() {
+    return Boolean(this.settings?.enabled);
+  }
+
+  isUnlocked() {
+    return Boolean(this.dataKey);
+  }
+
+  async storeKey(dataKey) {
+    this.dataKey = dataKey;
+    await SecureStore.setItemAsync(
+      KEY_STORAGE_KEY,
+      JSON.stringify({ userId: this.userId, key: toBase64(dataKey) }),
+      { keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY }
+    );
+  }
+
+  /**
+   * Wrap the data key under a passphrase with a fresh salt
+   */
+  async wrapWithPassphrase(dataKey, passphrase) {
+    const kdf = { ...KDF, salt: toBase64(Crypto.getRandomBytes(16)) };
+    return { kdf, passphraseKey: seal(await passphraseKey(passphrase, kdf), dataKey) };
+  }
+
+  /**
+   * Turn on end-to-end encryption for the account
+   * @param {string} passphrase - Passphrase to unlock the journal with
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<string>} Recovery key to show the user once
+   */
+  async enable(passphrase, authToken) {
+    const dataKey = Crypto.getRandomBytes(32);
+    const recoveryKey = Crypto.getRandomBytes(32);
+    const { kdf, passphraseKey: wrapped } = await this.wrapWithPassphrase(dataKey, passphrase);
+
+    this.settings = await this.request('/users/me/encryption', authToken, {
+      method: 'POST',
+      body: JSON.stringify({
+        kdf,
+        passphraseKey: wrapped,
+        recoveryKey: seal(recoveryKey, dataKey),
+        keyProof: keyProof(dataKey),
+      }),
+    });
+    await this.storeKey(dataKey);
+    this.notify();
+
+    return encodeRecoveryKey(recoveryKey);
+  }
+
+  /**
+   * Unlock the journal on this device
+   * @param {string} passphrase - The account's encryption passphrase
+   * @throws {Error} If the passphrase is wrong
+   */
+  async unlock(passphrase) {
+    const { kdf, passphraseKey: wrapped } = this.settings;
+    let dataKey;
+    try {
+      dataKey = open(await passphraseKey(passphrase, kdf), wrapped);
+    } catch (error) {
+      throw new Error('That passphrase is not correct');
+    }
+
+    await this.storeKey(dataKey);
+    this.notify();
+  }
+
+  /**
+   * Unlock with the recovery key and set a new passphrase
+   * @param {string} recoveryCode - Recovery key as the user typed it
+   * @param {string} newPassphrase - Passphrase to use from now on
+   * @param {string} authToken - Authentication token
+   * @throws {Error} If the recovery key is wrong
+   */
+  async recover(recoveryCode, newPassphrase, authToken) {
+    let dataKey;
+    try {
+      dataKey = open(decodeRecoveryKey(recoveryCode), this.settings.recoveryKey);
+    } catch (error) {
+      throw new Error('That recovery key is not correct');
+    }
+
+    await this.setPassphrase(dataKey, newPassphrase, authToken);
+  }
+
+  /**
+   * Replace the passphrase; existing entries are unaffected
+   * @param {string} currentPassphrase - Passphrase in use
+   * @param {string} newPassphrase - Passphrase to use from now on
+   * @param {string} authToken - Authentication token
+   * @throws {Error} If the current passphrase is wrong
+   */
+  async changePassphrase(currentPassphrase, newPassphrase, authToken) {
+    let dataKey;
+    try {
+      dataKey = open(await passphraseKey(currentPassphrase, this.settings.kdf), this.settings.passphraseKey);
+    } catch (error) {
+      throw new Error('Your current passphrase is not correct');
+    }
+
+    await this.setPassphrase(dataKey, newPassphrase, authToken);
+  }
+
+  async setPassphrase(dataKey, passphrase, authToken) {
+    const { kdf, passphraseKey: wrapped } = await this.wrapWithPassphrase(dataKey, passphrase);
+
+    this.settings = await this.request('/users/me/encryption/keys', authToken, {
+      method: 'PUT',
+      body: JSON.stringify({ keyProof: keyProof(dataKey), kdf, passphraseKey: wrapped }),
+    });
+    await this.storeKey(dataKey);
+    this.notify();
+  }
+
+  /**
+   * Encrypt entry text for the journal API
+   * @param {string} text - Entry content
+   * @returns {Object} { algorithm, nonce, ciphertext }
+   * @throws {Error} If the journal is locked on this device
+   */
+  encrypt(text) {
+    if (!this.dataKey) {
+      const error = new Error('Unlock your journal to save encrypted entries');
+      error.code = 'ENCRYPTION_LOCKED';
+      throw error;
+    }
+    return { algorithm: ALGORITHM, ...seal(this.dataKey, utf8ToBytes(text), utf8ToBytes(this.userId)) };
+  }
+
+  /**
+   * Decrypt an entry's `encrypted` field
+   * @param {Object} encrypted - { algorithm, nonce, ciphertext }
+   * @returns {string} Entry content
+   * @throws {Error} If locked, or the ciphertext doesn't open with our key
+   */
+  decrypt(encrypted) {
+    if (!this.dataKey) throw new Error('Journal is locked');
+    return bytesToUtf8(open(this.dataKey, encrypted, utf8ToBytes(this.userId)));
+  }
+
+  /**
+   * Forget the key and settings (on sign-out)
+   */
+  async clear() {
+    this.userId = null;
+    this.settings = null;
+    this.dataKey = null;
+    this.notify();
+
+    try {
+      await SecureStore.deleteItemAsync(KEY_STORAGE_KEY);
+    } catch (error) {
+      console.error('Failed to clear journal key:', error);
+    }
+  }
+}
+
+export default new EncryptionService();
@@ -0,0 +1,34 @@
+import Constants from 'expo-constants';
+import authService from './authService';
+
+const API_URL = Constants.expoConfig?.extra?.apiUrl || 'http://localhost:3000';
+
+class InsightsService {
+  /**
+   * Mood per bucket: AI-inferred from entries and self-reported from
+   * check-ins, with the gap between them
+   * @param {Object} query - { granularity, from, to, window }
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} { granularity, timezone, window, points }
+   */
+  async getMoodTrend(query, authToken) {
+    const params = Object.entries(query)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+
+    const response = await authService.authorizedFetch(`${API_URL}/api/insights/mood?${params}`, {
+      method: 'GET',
+    }, authToken);
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to load mood insights');
+    }
+
+    return result.data;
+  }
+}
+
+export default new InsightsService();
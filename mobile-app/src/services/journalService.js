@@ -0,0 +1,378 @@
+import Constants from 'expo-constants';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import authService from './authService';
+import encryptionService from './encryptionService';
+
+const API_URL = Constants.expoConfig?.extra?.apiUrl || 'http://localhost:3000';
+const DRAFT_KEY = 'journalDraft';
+
+class JournalService {
+  /**
+   * Send an authenticated request to the API
+   * @param {string} path - Path below /api
+   * @param {string} authToken - Authentication token
+   * @param {Object} options - fetch options
+   * @returns {Promise<Object>} Response envelope
+   */
+  async request(path, authToken, options = {}) {
+    let response;
+    try {
+      response = await authService.authorizedFetch(`${API_URL}/api${path}`, {
+        ...options,
+        headers: {
+          // fetch sets the multipart boundary itself for FormData bodies
+          ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
+          ...options.headers,
+        },
+      }, authToken);
+    } catch (error) {
+      // fetch only rejects when the request never reached the server
+      const networkError = new Error('Network request failed');
+      networkError.isNetworkError = true;
+      throw networkError;
+    }
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      const error = new Error(result.error || 'Journal request failed');
+      error.status = response.status;
+      error.code = result.code;
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Replace an entry's content with ciphertext when the journal is end-to-end
+   * encrypted. The word count goes along since the server can't count it.
+   * @param {Object} fields - Entry fields for the API
+   * @returns {Object} Fields to send
+   * @throws {Error} ENCRYPTION_LOCKED if the journal isn't unlocked here
+   */
+  sealEntry(fields) {
+    if (!encryptionService.isEnabled() || fields.content === undefined) return fields;
+
+    const { content, ...rest } = fields;
+    return { ...rest, encrypted: encryptionService.encrypt(content), wordCount: countWords(content) };
+  }
+
+  /**
+   * Decrypt an entry from the API. Entries that can't be decrypted on this
+   * device come back with `locked` set and no content.
+   * @param {Object} entry - Entry from the API
+   * @returns {Object} Entry with plaintext content
+   */
+  openEntry(entry) {
+    if (!entry?.encrypted?.ciphertext) return entry;
+
+    try {
+      return { ...entry, content: encryptionService.decrypt(entry.encrypted), locked: false };
+    } catch (error) {
+      return { ...entry, content: '', locked: true };
+    }
+  }
+
+  /**
+   * List entries newest first
+   * @param {Object} params - { cursor, limit, from, to, encrypted }
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} { entries, pagination }
+   */
+  async listEntries(params, authToken) {
+    const query = Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value instanceof Date ? value.toISOString() : value)}`)
+      .join('&');
+
+    const result = await this.request(query ? `/journal?${query}` : '/journal', authToken);
+    return { ...result.data, entries: result.data.entries.map(entry => this.openEntry(entry)) };
+  }
+
+  /**
+   * Fetch every entry in a date range, following cursors
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Array>} Entries newest first
+   */
+  async listEntriesInRange(from, to, authToken) {
+    const entries = [];
+    let cursor = null;
+
+    do {
+      const page = await this.listEntries({ from, to, cursor, limit: 100 }, authToken);
+      entries.push(...page.entries);
+      cursor = page.pagination.nextCursor;
+    } while (cursor);
+
+    return entries;
+  }
+
+  /**
+   * Get a single entry
+   * @param {string} id - Entry ID
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} Entry
+   */
+  async getEntry(id, authToken) {
+    const result = await this.request(`/journal/${id}`, authToken);
+    return this.openEntry(result.data);
+  }
+
+  /**
+   * Create an entry. Replaying a create with the same clientId returns
+   * the entry created the first time.
+   * @param {Object} entry - { content, date, clientId, editedAt, promptId }
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} Created entry
+   */
+  async createEntry(entry, authToken) {
+    const result = await this.request('/journal', authToken, {
+      method: 'POST',
+      body: JSON.stringify(this.sealEntry(entry)),
+    });
+    return this.openEntry(result.data);
+  }
+
+  /**
+   * Update an entry. With baseEditedAt set, the API answers 409
+   * EDIT_CONFLICT if the entry was edited since that version.
+   * @param {string} id - Entry ID
+   * @param {Object} changes - { content, date, baseEditedAt, editedAt }
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} Updated entry
+   */
+  async updateEntry(id, changes, authToken) {
+    const result = await this.request(`/journal/${id}`, authToken, {
+      method: 'PUT',
+      body: JSON.stringify(this.sealEntry(changes)),
+    });
+    return this.openEntry(result.data);
+  }
+
+  /**
+   * Encrypt entries written before end-to-end encryption was turned on.
+   * Entries still being transcribed, or edited elsewhere meanwhile, are
+   * left for the next run.
+   * @param {string} authToken - Authentication token
+   * @param {Function} onProgress - Called with each encrypted entry
+   * @returns {Promise<Array>} Encrypted entries, with plaintext content
+   */
+  async encryptExistingEntries(authToken, onProgress = () => {}) {
+    const encrypted = [];
+    let cursor = null;
+
+    do {
+      const page = await this.listEntries({ encrypted: false, cursor, limit: 50 }, authToken);
+
+      for (const entry of page.entries) {
+        if (!entry.content || ['pending', 'processing'].includes(entry.transcription?.status)) continue;
+
+        try {
+          const updated = await this.updateEntry(entry._id, {
+            content: entry.content,
+            baseEditedAt: entry.lastEditedAt || entry.createdAt,
+          }, authToken);
+          encrypted.push(updated);
+          onProgress(updated);
+        } catch (error) {
+          if (error.status !== 409) throw error;
+        }
+      }
+
+      cursor = page.pagination.nextCursor;
+    } while (cursor);
+
+    return encrypted;
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} id - Entry ID
+   * @param {string} authToken - Authentication token
+   */
+  async deleteEntry(id, authToken) {
+    await this.request(`/journal/${id}`, authToken, { method: 'DELETE' });
+  }
+
+  /**
+   * Re-queue AI analysis for an entry whose analysis failed
+   * @param {string} id - Entry ID
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} { id, processingStatus }
+   */
+  async retryAnalysis(id, authToken) {
+    const result = await this.request(`/journal/${id}/analyze`, authToken, { method: 'POST' });
+    return result.data;
+  }
+
+  /**
+   * Accept, reject or correct one of an entry's AI tags
+   * @param {string} id - Entry ID
+   * @param {Object} review - { namespace, name, action, correction }
+   *   action is 'accepted', 'rejected' or 'edited'; edits need a
+   *   correction { namespace, name }
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} Updated entry
+   */
+  async reviewTag(id, review, authToken) {
+    const result = await this.request(`/journal/${id}/tags/review`, authToken, {
+      method: 'POST',
+      body: JSON.stringify(review),
+    });
+    return this.openEntry(result.data);
+  }
+
+  /**
+   * Accept, reject or rewrite an entry's AI summary
+   * @param {string} id - Entry ID
+   * @param {Object} review - { action, summary } summary only for 'edited'
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} Updated entry
+   */
+  async reviewSummary(id, review, authToken) {
+    const result = await this.request(`/journal/${id}/summary/review`, authToken, {
+      method: 'POST',
+      body: JSON.stringify(review),
+    });
+    return this.openEntry(result.data);
+  }
+
+  /**
+   * Upload a voice recording as a new entry. The API answers with the
+   * entry while transcription runs in the background.
+   * @param {string} uri - Local file URI of the recording
+   * @param {Object} fields - { durationSeconds, date, clientId }
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} Created entry with transcription.status 'pending'
+   */
+  async createVoiceEntry(uri, { durationSeconds, date, clientId }, authToken) {
+    const formData = new FormData();
+    formData.append('audio', {
+      uri,
+      name: uri.split('/').pop() || 'recording.m4a',
+      type: 'audio/m4a',
+    });
+    if (durationSeconds !== undefined) formData.append('durationSeconds', String(durationSeconds));
+    if (date) formData.append('date', date);
+    if (clientId) formData.append('clientId', clientId);
+
+    const result = await this.request('/journal/voice', authToken, {
+      method: 'POST',
+      body: formData,
+    });
+    return result.data;
+  }
+
+  /**
+   * Confirm a voice entry's transcript, optionally with corrections,
+   * releasing it for AI analysis
+   * @param {string} id - Entry ID
+   * @param {string} content - Reviewed transcript text
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} Updated entry
+   */
+  async confirmTranscript(id, content, authToken) {
+    const result = await this.request(`/journal/${id}/transcript`, authToken, {
+      method: 'POST',
+      body: JSON.stringify({ content }),
+    });
+    return this.openEntry(result.data);
+  }
+
+  /**
+   * Re-queue transcription for a voice entry whose transcription failed
+   * @param {string} id - Entry ID
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} { id, transcriptionStatus }
+   */
+  async retryTranscription(id, authToken) {
+    const result = await this.request(`/journal/${id}/transcribe`, authToken, { method: 'POST' });
+    return result.data;
+  }
+
+  /**
+   * Get journaling stats, including the current streak
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} { totalEntries, streakDays, lastEntryDate, ... }
+   */
+  async getStats(authToken) {
+    const result = await this.request('/users/me/stats', authToken);
+    return result.data;
+  }
+
+  /**
+   * ID of the signed-in user, whose draft is the only one to restore
+   * @returns {Promise<string|null>}
+   */
+  async draftOwner() {
+    const { user } = await authService.getStoredAuth();
+    return user?._id || null;
+  }
+
+  /**
+   * Load the signed-in user's autosaved composer draft
+   * @returns {Promise<Object|null>} { content, entryId, savedAt } or null
+   */
+  async loadDraft() {
+    try {
+      const [stored, userId] = await Promise.all([AsyncStorage.getItem(DRAFT_KEY), this.draftOwner()]);
+      const draft = stored ? JSON.parse(stored) : null;
+      // A draft another account left on the device isn't theirs to see
+      return draft && userId && draft.userId === userId ? draft : null;
+    } catch (error) {
+      console.error('Failed to load journal draft:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Autosave the composer draft for the signed-in user
+   * @param {Object} draft - { content, entryId }
+   */
+  async saveDraft(draft) {
+    try {
+      const userId = await this.draftOwner();
+      await AsyncStorage.setItem(DRAFT_KEY, JSON.stringify({ ...draft, userId, savedAt: new Date().toISOString() }));
+    } catch (error) {
+      console.error('Failed to save journal draft:', error);
+    }
+  }
+
+  /**
+   * Discard the composer draft
+   */
+  async clearDraft() {
+    try {
+      await AsyncStorage.removeItem(DRAFT_KEY);
+    } catch (error) {
+      console.error('Failed to clear journal draft:', error);
+    }
+  }
+}
+
+/**
+ * Count words the same way the backend does
+ * @param {string} content - Entry text
+ * @returns {number} Word count
+ */
+export const countWords = (content) => {
+  const trimmed = (content || '').trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+};
+
+/**
+ * Local calendar day key (YYYY-MM-DD) for a date
+ * @param {Date|string} date - Date
+ * @returns {string} Day key
+ */
+export const toDayKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+export default new JournalService();
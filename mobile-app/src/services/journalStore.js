@@ -0,0 +1,527 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import journalService, { countWords } from './journalService';
+import encryptionService from './encryptionService';
+
+const STORE_KEY = 'journalStore';
+const RETRY_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Processing status of a local write: encrypted entries aren't analyzed
+ */
+const localProcessingStatus = () => (encryptionService.isEnabled() ? 'skipped' : 'pending');
+
+/**
+ * Server version of an entry's last edit (older entries lack lastEditedAt)
+ */
+const editVersion = entry => entry.lastEditedAt || entry.createdAt;
+
+/**
+ * Local-first journal store. Writes land in AsyncStorage immediately and
+ * queue an operation; sync() replays the queue against the journal API
+ * whenever the device is online.
+ *
+ * Entries are keyed by localId: the clientId for entries created on this
+ * device, otherwise the server _id. Concurrent edits resolve
+ * last-writer-wins on edit time, and every resolution is recorded in
+ * `conflicts` so the user can see and undo it.
+ */
+class JournalStore {
+  constructor() {
+    this.entries = {};
+    this.queue = [];
+    this.conflicts = [];
+    this.status = 'idle'; // idle | syncing | offline | error
+    this.lastSyncedAt = null;
+    this.authToken = null;
+    this.listeners = new Set();
+    this.loading = null;
+    this.syncing = null;
+    this.inFlight = null;
+    this.retryTimer = null;
+    this.encrypting = null;
+    this.buildSnapshot();
+
+    this.subscribe = this.subscribe.bind(this);
+    this.getSnapshot = this.getSnapshot.bind(this);
+  }
+
+  /**
+   * Load persisted state once
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          const stored = await AsyncStorage.getItem(STORE_KEY);
+          if (stored) {
+            const { entries, queue, conflicts, lastSyncedAt } = JSON.parse(stored);
+            this.entries = entries || {};
+            this.queue = queue || [];
+            this.conflicts = conflicts || [];
+            this.lastSyncedAt = lastSyncedAt || null;
+          }
+        } catch (error) {
+          console.error('Failed to load journal store:', error);
+        }
+        this.notify();
+      })();
+    }
+    return this.loading;
+  }
+
+  async persist() {
+    try {
+      await AsyncStorage.setItem(STORE_KEY, JSON.stringify({
+        entries: this.entries,
+        queue: this.queue,
+        conflicts: this.conflicts,
+        lastSyncedAt: this.lastSyncedAt,
+      }));
+    } catch (error) {
+      console.error('Failed to persist journal store:', error);
+    }
+  }
+
+  /**
+   * Subscribe to store changes (useSyncExternalStore compatible)
+   * @param {Function} listener - Called on every change
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  buildSnapshot() {
+    this.snapshot = {
+      entries: Object.values(this.entries).sort(
+        (a, b) => new Date(b.date) - new Date(a.date) || (a.localId < b.localId ? 1 : -1)
+      ),
+      pending: this.queue.length,
+      conflicts: this.conflicts,
+      status: this.status,
+      lastSyncedAt: this.lastSyncedAt,
+      encrypting: Boolean(this.encrypting),
+    };
+  }
+
+  notify() {
+    this.buildSnapshot();
+    this.listeners.forEach(listener => listener());
+  }
+
+  async commit() {
+    this.notify();
+    await this.persist();
+  }
+
+  hasQueuedOps(localId) {
+    return this.queue.some(op => op.localId === localId);
+  }
+
+  /**
+   * Store an entry as the server returned it. Local edits still waiting to
+   * sync keep their content.
+   */
+  applyServerEntry(localId, serverEntry) {
+    const local = this.entries[localId];
+    const pending = this.hasQueuedOps(localId);
+
+    this.entries[localId] = {
+      ...serverEntry,
+      localId,
+      ...(pending && local && {
+        content: local.content,
+        date: local.date,
+        wordCount: local.wordCount,
+      }),
+      syncState: pending ? 'pending' : 'synced',
+    };
+  }
+
+  findLocalId(serverEntry) {
+    if (serverEntry.clientId && this.entries[serverEntry.clientId]) return serverEntry.clientId;
+    const match = Object.values(this.entries).find(entry => entry._id === serverEntry._id);
+    return match ? match.localId : serverEntry.clientId || serverEntry._id;
+  }
+
+  /**
+   * Merge entries fetched from the API
+   * @param {Array} serverEntries - Entries from the journal API
+   */
+  async mergeServerEntries(serverEntries) {
+    for (const serverEntry of serverEntries) {
+      const localId = this.findLocalId(serverEntry);
+      // Deleted here but not yet on the server
+      if (this.queue.some(op => op.localId === localId && op.type === 'delete')) continue;
+      this.applyServerEntry(localId, serverEntry);
+    }
+    await this.commit();
+  }
+
+  /**
+   * Replace synced entries with the newest page from the API, dropping
+   * ones deleted elsewhere
+   * @param {Array} serverEntries - First page from the journal API
+   * @param {boolean} hasMore - Whether older pages exist
+   */
+  async replaceFirstPage(serverEntries, hasMore) {
+    const oldest = serverEntries.length
+      ? new Date(serverEntries[serverEntries.length - 1].date)
+      : null;
+    const fetchedIds = new Set(serverEntries.map(entry => entry._id));
+
+    for (const entry of Object.values(this.entries)) {
+      const covered = !hasMore || (oldest && new Date(entry.date) >= oldest);
+      if (entry.syncState === 'synced' && covered && !fetchedIds.has(entry._id)) {
+        delete this.entries[entry.localId];
+      }
+    }
+
+    await this.mergeServerEntries(serverEntries);
+  }
+
+  /**
+   * Decrypt entries that arrived while the journal was locked on this
+   * device (call after unlocking)
+   */
+  async reopenLocked() {
+    await this.load();
+    for (const entry of Object.values(this.entries)) {
+      if (entry.locked) this.entries[entry.localId] = journalService.openEntry(entry);
+    }
+    await this.commit();
+  }
+
+  /**
+   * Encrypt entries written before end-to-end encryption was turned on,
+   * picking up each one as it's done. Whatever fails is retried on the
+   * next call.
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<void>}
+   */
+  encryptExisting(authToken) {
+    if (!this.encrypting) {
+      this.encrypting = (async () => {
+        try {
+          await this.load();
+          await journalService.encryptExistingEntries(authToken, (entry) => {
+            this.applyServerEntry(this.findLocalId(entry), entry);
+            this.notify();
+          });
+        } catch (error) {
+          console.error('Failed to encrypt existing entries:', error);
+        }
+      })().finally(async () => {
+        this.encrypting = null;
+        await this.commit();
+      });
+      this.notify();
+    }
+    return this.encrypting;
+  }
+
+  /**
+   * Create an entry locally and queue it for sync
+   * @param {Object} fields - { content, date, promptId } promptId is the
+   *   library prompt the entry answers, if any
+   * @returns {Promise<Object>} Local entry
+   */
+  async createEntry({ content, date, promptId }) {
+    const localId = Crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    this.entries[localId] = {
+      localId,
+      clientId: localId,
+      content,
+      date: date || now,
+      wordCount: countWords(content),
+      ...(promptId && { promptId }),
+      processingStatus: localProcessingStatus(),
+      createdAt: now,
+      syncState: 'pending',
+    };
+    this.queue.push({ type: 'create', localId, editedAt: now });
+
+    await this.commit();
+    this.sync();
+    return this.entries[localId];
+  }
+
+  /**
+   * Edit an entry locally and queue it for sync
+   * @param {string} localId - Local entry ID
+   * @param {Object} changes - { content, date }
+   * @returns {Promise<Object>} Local entry
+   */
+  async updateEntry(localId, changes) {
+    const entry = this.entries[localId];
+    if (!entry) throw new Error('Journal entry not found');
+
+    const now = new Date().toISOString();
+    const contentChanged = changes.content !== undefined && changes.content !== entry.content;
+
+    this.entries[localId] = {
+      ...entry,
+      ...changes,
+      wordCount: countWords(changes.content ?? entry.content),
+      ...(contentChanged && { processingStatus: localProcessingStatus(), summary: undefined, tags: [], moodScore: undefined }),
+      syncState: 'pending',
+    };
+
+    const queued = this.queue.find(op => op.localId === localId && op !== this.inFlight);
+    if (queued) {
+      // A queued create or update picks the new content up when it runs
+      queued.editedAt = now;
+    } else if (!entry._id && this.inFlight?.localId !== localId) {
+      // Its create was rejected earlier; try creating it again
+      this.queue.push({ type: 'create', localId, editedAt: now });
+    } else {
+      this.queue.push({
+        type: 'update',
+        localId,
+        baseEditedAt: entry._id ? editVersion(entry) : null,
+        editedAt: now,
+      });
+    }
+
+    await this.commit();
+    this.sync();
+    return this.entries[localId];
+  }
+
+  /**
+   * Delete an entry locally and queue the delete for sync
+   * @param {string} localId - Local entry ID
+   */
+  async deleteEntry(localId) {
+    const entry = this.entries[localId];
+    if (!entry) return;
+
+    const neverSynced = this.queue.some(
+      op => op.localId === localId && op.type === 'create' && op !== this.inFlight
+    );
+
+    this.queue = this.queue.filter(op => op.localId !== localId || op === this.inFlight);
+    if (!neverSynced) {
+      this.queue.push({ type: 'delete', localId, serverId: entry._id || null });
+    }
+    delete this.entries[localId];
+
+    await this.commit();
+    this.sync();
+  }
+
+  recordConflict(kind, entry, details = {}) {
+    this.conflicts = [
+      ...this.conflicts,
+      {
+        id: Crypto.randomUUID(),
+        kind, // server-won | client-won | deleted-remotely
+        localId: entry.localId,
+        date: entry.date,
+        detectedAt: new Date().toISOString(),
+        ...details,
+      },
+    ];
+  }
+
+  /**
+   * Dismiss a conflict notice
+   * @param {string} conflictId - Conflict ID
+   */
+  async dismissConflict(conflictId) {
+    this.conflicts = this.conflicts.filter(conflict => conflict.id !== conflictId);
+    await this.commit();
+  }
+
+  /**
+   * Undo a conflict resolution by re-applying the version that lost
+   * @param {string} conflictId - Conflict ID
+   * @param {string} version - 'mine' or 'theirs'
+   */
+  async restoreVersion(conflictId, version) {
+    const conflict = this.conflicts.find(c => c.id === conflictId);
+    if (!conflict) return;
+
+    const content = conflict[version];
+    if (this.entries[conflict.localId]) {
+      await this.updateEntry(conflict.localId, { content });
+    } else {
+      await this.createEntry({ content, date: conflict.date });
+    }
+    await this.dismissConflict(conflictId);
+  }
+
+  /**
+   * Replay queued operations against the API
+   * @param {string} authToken - Authentication token (remembered for retries)
+   * @returns {Promise<void>}
+   */
+  sync(authToken) {
+    if (authToken) this.authToken = authToken;
+    if (!this.authToken) return Promise.resolve();
+
+    if (!this.syncing) {
+      this.syncing = this.drainQueue().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async drainQueue() {
+    await this.load();
+    clearTimeout(this.retryTimer);
+
+    this.status = 'syncing';
+    this.notify();
+
+    while (this.queue.length) {
+      const op = this.queue[0];
+      this.inFlight = op;
+
+      try {
+        await this.runOperation(op);
+        this.queue = this.queue.filter(queued => queued !== op);
+      } catch (error) {
+        this.inFlight = null;
+        if (error.isNetworkError || !error.status || error.status >= 500 || error.status === 409) {
+          // Retry later; a 409 means a newer edit landed mid-sync
+          this.status = error.isNetworkError ? 'offline' : 'error';
+          this.retryTimer = setTimeout(() => this.sync(), RETRY_INTERVAL_MS);
+          await this.commit();
+          return;
+        }
+
+        // The API rejected the change outright; drop it rather than retry forever
+        console.error('Journal sync operation rejected:', error);
+        this.queue = this.queue.filter(queued => queued !== op);
+        if (this.entries[op.localId]) {
+          this.entries[op.localId] = { ...this.entries[op.localId], syncState: 'failed' };
+        }
+      }
+
+      this.inFlight = null;
+      await this.commit();
+    }
+
+    this.status = 'idle';
+    this.lastSyncedAt = new Date().toISOString();
+    await this.commit();
+  }
+
+  /**
+   * Point operations queued while `op` was in flight at the server's
+   * result, so our own write isn't mistaken for a concurrent edit
+   */
+  rebaseQueued(localId, serverEntry) {
+    for (const queued of this.queue) {
+      if (queued.localId !== localId) continue;
+      if (queued.type === 'update') queued.baseEditedAt = editVersion(serverEntry);
+      if (queued.type === 'delete') queued.serverId = serverEntry._id;
+    }
+  }
+
+  async runOperation(op) {
+    const entry = this.entries[op.localId];
+
+    if (op.type === 'create') {
+      if (!entry) return;
+      const created = await journalService.createEntry({
+        clientId: entry.clientId,
+        content: entry.content,
+        date: entry.date,
+        editedAt: op.editedAt,
+        promptId: entry.promptId,
+      }, this.authToken);
+
+      this.queue = this.queue.filter(queued => queued !== op);
+      this.rebaseQueued(op.localId, created);
+      this.applyServerEntry(op.localId, created);
+      return;
+    }
+
+    if (op.type === 'delete') {
+      if (!op.serverId) return;
+      try {
+        await journalService.deleteEntry(op.serverId, this.authToken);
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+      return;
+    }
+
+    // Update: compare against the server's current version first
+    if (!entry) return;
+    if (!entry._id) {
+      // The entry never reached the server, so create it instead
+      await this.runOperation({ ...op, type: 'create' });
+      return;
+    }
+    let server;
+    try {
+      server = await journalService.getEntry(entry._id, this.authToken);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      this.recordConflict('deleted-remotely', entry, { mine: entry.content });
+      delete this.entries[op.localId];
+      return;
+    }
+
+    const serverVersion = editVersion(server);
+    const changedElsewhere = serverVersion !== op.baseEditedAt;
+
+    if (changedElsewhere && new Date(serverVersion) > new Date(op.editedAt)) {
+      // The other edit is newer: it wins, ours is kept on the conflict
+      this.recordConflict('server-won', entry, { mine: entry.content, theirs: server.content });
+      this.queue = this.queue.filter(queued => queued !== op);
+      this.rebaseQueued(op.localId, server);
+      this.applyServerEntry(op.localId, server);
+      return;
+    }
+
+    const updated = await journalService.updateEntry(entry._id, {
+      content: entry.content,
+      date: entry.date,
+      baseEditedAt: serverVersion,
+      editedAt: op.editedAt,
+    }, this.authToken);
+
+    if (changedElsewhere) {
+      this.recordConflict('client-won', entry, { mine: entry.content, theirs: server.content });
+    }
+    this.queue = this.queue.filter(queued => queued !== op);
+    this.rebaseQueued(op.localId, updated);
+    this.applyServerEntry(op.localId, updated);
+  }
+
+  /**
+   * Drop all local journal data (on sign-out)
+   */
+  async clear() {
+    clearTimeout(this.retryTimer);
+    this.entries = {};
+    this.queue = [];
+    this.conflicts = [];
+    this.status = 'idle';
+    this.lastSyncedAt = null;
+    this.authToken = null;
+    this.notify();
+
+    try {
+      await AsyncStorage.removeItem(STORE_KEY);
+    } catch (error) {
+      console.error('Failed to clear journal store:', error);
+    }
+  }
+}
+
+export default new JournalStore();
@@ -0,0 +1,96 @@
+import Constants from 'expo-constants';
+import authService from './authService';
+
+const API_URL = Constants.expoConfig?.extra?.apiUrl || 'http://localhost:3000';
+
+// Emotion words the server accepts on a check-in (MoodCheckIn.MOOD_EMOTIONS)
+export const MOOD_EMOTIONS = [
+  'happy',
+  'calm',
+  'grateful',
+  'excited',
+  'proud',
+  'hopeful',
+  'content',
+  'tired',
+  'sad',
+  'anxious',
+  'angry',
+  'lonely',
+  'stressed',
+  'afraid',
+  'frustrated',
+  'overwhelmed',
+];
+
+class MoodService {
+  /**
+   * Send an authenticated request to the moods API
+   * @param {string} path - Path below /api/moods
+   * @param {Object} options - fetch options
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<*>} Response data
+   */
+  async request(path, options, authToken) {
+    const response = await authService.authorizedFetch(`${API_URL}/api/moods${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+    }, authToken);
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Mood check-in request failed');
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Log how the user feels right now
+   * @param {Object} checkIn - { score, emotions, note }
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} Saved check-in
+   */
+  async createCheckIn(checkIn, authToken) {
+    return this.request('', {
+      method: 'POST',
+      body: JSON.stringify({ ...checkIn, checkedAt: new Date().toISOString() }),
+    }, authToken);
+  }
+
+  /**
+   * Add emotions or a note to a check-in
+   * @param {string} id - Check-in ID
+   * @param {Object} updates - { score, emotions, note }
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} Updated check-in
+   */
+  async updateCheckIn(id, updates, authToken) {
+    return this.request(`/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates),
+    }, authToken);
+  }
+
+  /**
+   * Recent check-ins, newest first
+   * @param {string} authToken - Authentication token
+   * @param {number} limit - How many to load
+   * @returns {Promise<Array>} Check-ins
+   */
+  async listCheckIns(authToken, limit = 50) {
+    return this.request(`?limit=${limit}`, { method: 'GET' }, authToken);
+  }
+
+  /**
+   * Delete a check-in
+   * @param {string} id - Check-in ID
+   * @param {string} authToken - Authentication token
+   */
+  async deleteCheckIn(id, authToken) {
+    return this.request(`/${id}`, { method: 'DELETE' }, authToken);
+  }
+}
+
+export default new MoodService();
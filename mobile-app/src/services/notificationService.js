@@ -0,0 +1,46 @@
+import { Platform } from 'react-native';
+import Constants from 'expo-constants';
+import * as Notifications from 'expo-notifications';
+import profileService from './profileService';
+
+class NotificationService {
+  /**
+   * Whether the user has already answered the notification permission
+   * prompt. Once denied, only the system settings can turn it back on.
+   * @returns {Promise<{granted: boolean, canAskAgain: boolean}>}
+   */
+  async getPermission() {
+    const { granted, canAskAgain } = await Notifications.getPermissionsAsync();
+    return { granted, canAskAgain };
+  }
+
+  /**
+   * Ask for permission to send notifications and register this device's
+   * Expo push token, so daily reminders reach it
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<boolean>} Whether notifications are allowed
+   */
+  async enablePushNotifications(authToken) {
+    if (Platform.OS === 'android') {
+      // Android 13+ only shows the prompt once a channel exists
+      await Notifications.setNotificationChannelAsync('default', {
+        name: 'Reminders',
+        importance: Notifications.AndroidImportance.DEFAULT,
+      });
+    }
+
+    let { granted, canAskAgain } = await this.getPermission();
+    if (!granted && canAskAgain) {
+      ({ granted } = await Notifications.requestPermissionsAsync());
+    }
+    if (!granted) return false;
+
+    const { data: pushToken } = await Notifications.getExpoPushTokenAsync({
+      projectId: Constants.expoConfig?.extra?.eas?.projectId,
+    });
+    await profileService.updatePreferences({ notifications: { enabled: true, pushToken } }, authToken);
+    return true;
+  }
+}
+
+export default new NotificationService();
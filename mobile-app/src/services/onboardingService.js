@@ -0,0 +1,72 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import profileService from './profileService';
+
+const PENDING_STEP_KEY = 'onboardingStep';
+
+// In the order they are shown; matches the User model on the server
+export const ONBOARDING_STEPS = ['welcome', 'notifications', 'first-entry', 'persona-intro', 'completed'];
+
+/**
+ * The later of two onboarding steps
+ */
+export const furthestStep = (a, b) => (
+  ONBOARDING_STEPS.indexOf(a) >= ONBOARDING_STEPS.indexOf(b) ? a : b
+);
+
+/**
+ * Onboarding progress. Each step reached is kept on the device until the
+ * server has it, so onboarding resumes where it left off after a restart
+ * even if the step was reached offline.
+ */
+class OnboardingService {
+  /**
+   * Step reached on this device that the server may not know about yet
+   * @returns {Promise<string|null>}
+   */
+  async getPendingStep() {
+    try {
+      return await AsyncStorage.getItem(PENDING_STEP_KEY);
+    } catch (error) {
+      console.error('Failed to load onboarding progress:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record a step locally and send it to the server
+   * @param {string} step - Step just reached
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object|null>} Onboarding as the server has it, or
+   *   null if it couldn't be reached; the step is retried on next resume
+   */
+  async advance(step, authToken) {
+    await AsyncStorage.setItem(PENDING_STEP_KEY, step);
+
+    try {
+      const onboarding = await profileService.updateOnboardingStep(step, authToken);
+      await AsyncStorage.removeItem(PENDING_STEP_KEY);
+      return onboarding;
+    } catch (error) {
+      console.error('Failed to sync onboarding progress:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Work out where onboarding resumes: the furthest of the server's step
+   * and one reached here that hasn't synced yet
+   * @param {Object} onboarding - The user's onboarding as last fetched
+   * @returns {Promise<string>} Step to show
+   */
+  async resume(onboarding) {
+    const serverStep = onboarding?.step || 'welcome';
+    const pending = await this.getPendingStep();
+    return pending ? furthestStep(pending, serverStep) : serverStep;
+  }
+
+  async clear() {
+    await AsyncStorage.removeItem(PENDING_STEP_KEY);
+  }
+}
+
+export default new OnboardingService();
@@ -0,0 +1,27 @@
+import Constants from 'expo-constants';
+import authService from './authService';
+
+const API_URL = Constants.expoConfig?.extra?.apiUrl || 'http://localhost:3000';
+
+class PersonaService {
+  /**
+   * List the user's personas, most recently discovered first
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Array>} Personas
+   */
+  async listPersonas(authToken) {
+    const response = await authService.authorizedFetch(`${API_URL}/api/personas`, {
+      method: 'GET',
+    }, authToken);
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to load personas');
+    }
+
+    return result.data;
+  }
+}
+
+export default new PersonaService();
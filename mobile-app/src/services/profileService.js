@@ -1,4 +1,5 @@
 import Constants from 'expo-constants';
+import authService from './authService';
 // import { captureError, wrapApiCall, addBreadcrumb } from '../config/sentry';
 
 const API_URL = Constants.expoConfig?.extra?.apiUrl || 'http://localhost:3000';
@@ -27,14 +28,13 @@ class ProfileService {
         type,
       });
 
-      const response = await fetch(`${API_URL}/api/upload/profile/${userId}`, {
+      const response = await authService.authorizedFetch(`${API_URL}/api/upload/profile/${userId}`, {
         method: 'POST',
         headers: {
-          'Authorization': `Bearer ${authToken}`,
           'Content-Type': 'multipart/form-data',
         },
         body: formData,
-      });
+      }, authToken);
 
       const result = await response.json();
 
@@ -60,14 +60,13 @@ class ProfileService {
    */
   async updateProfile(userId, profileData, authToken) {
     return wrapApiCall(async () => {
-      const response = await fetch(`${API_URL}/api/users/${userId}`, {
+      const response = await authService.authorizedFetch(`${API_URL}/api/users/${userId}`, {
         method: 'PUT',
         headers: {
-          'Authorization': `Bearer ${authToken}`,
           'Content-Type': 'application/json',
         },
         body: JSON.stringify(profileData),
-      });
+      }, authToken);
 
       const result = await response.json();
 
@@ -91,13 +90,12 @@ class ProfileService {
    */
   async getCurrentProfile(authToken) {
     return wrapApiCall(async () => {
-      const response = await fetch(`${API_URL}/api/users/me`, {
+      const response = await authService.authorizedFetch(`${API_URL}/api/users/me`, {
         method: 'GET',
         headers: {
-          'Authorization': `Bearer ${authToken}`,
           'Content-Type': 'application/json',
         },
-      });
+      }, authToken);
 
       const result = await response.json();
 
@@ -117,14 +115,13 @@ class ProfileService {
    */
   async updateProfileImage(imageUrl, authToken) {
     return wrapApiCall(async () => {
-      const response = await fetch(`${API_URL}/api/users/me/profile-image`, {
+      const response = await authService.authorizedFetch(`${API_URL}/api/users/me/profile-image`, {
         method: 'PATCH',
         headers: {
-          'Authorization': `Bearer ${authToken}`,
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ profileImage: imageUrl }),
-      });
+      }, authToken);
 
       const result = await response.json();
 
@@ -147,28 +144,186 @@ class ProfileService {
    * @returns {Promise<Object>} Update result
    */
   async updatePreferences(preferences, authToken) {
-    return wrapApiCall(async () => {
-      const response = await fetch(`${API_URL}/api/users/me/preferences`, {
-        method: 'PATCH',
-        headers: {
-          'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(preferences),
-      });
+    const response = await authService.authorizedFetch(`${API_URL}/api/users/me/preferences`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(preferences),
+    }, authToken);
 
-      const result = await response.json();
+    const result = await response.json();
 
-      if (!response.ok) {
-        throw new Error(result.error || 'Preferences update failed');
-      }
+    if (!response.ok) {
+      throw new Error(result.error || 'Preferences update failed');
+    }
 
-      addBreadcrumb('User preferences updated', 'profile', 'info', {
-        updatedPreferences: Object.keys(preferences),
-      });
+    return result;
+  }
 
-      return result;
-    }, 'updatePreferences');
+  /**
+   * Record how far the user got through onboarding. The server only moves
+   * forward, so it answers with the step it kept.
+   * @param {string} step - Onboarding step just reached
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} { step, completed, completedAt }
+   */
+  async updateOnboardingStep(step, authToken) {
+    const response = await authService.authorizedFetch(`${API_URL}/api/users/me/onboarding`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ step }),
+    }, authToken);
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to save onboarding progress');
+    }
+
+    return result.data;
+  }
+
+  /**
+   * List the devices signed in to this account
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Array>} Sessions; the one for this device has current: true
+   */
+  async getSessions(authToken) {
+    const response = await authService.authorizedFetch(`${API_URL}/api/users/me/sessions`, {
+      method: 'GET',
+    }, authToken);
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to load devices');
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Sign out one device
+   * @param {string} sessionId - Session to revoke
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} Revoke result
+   */
+  async revokeSession(sessionId, authToken) {
+    const response = await authService.authorizedFetch(`${API_URL}/api/users/me/sessions/${encodeURIComponent(sessionId)}`, {
+      method: 'DELETE',
+    }, authToken);
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to sign out device');
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Sign out every device, this one included
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} { revokedSessions }
+   */
+  async revokeAllSessions(authToken) {
+    const response = await authService.authorizedFetch(`${API_URL}/api/users/me/sessions`, {
+      method: 'DELETE',
+    }, authToken);
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to sign out everywhere');
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Start building a zip of all of this account's data. If an export is
+   * already in progress, that one is returned.
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} Export with id and status
+   */
+  async requestExport(authToken) {
+    const response = await authService.authorizedFetch(`${API_URL}/api/users/me/export`, {
+      method: 'POST',
+    }, authToken);
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to start export');
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Check on an export
+   * @param {string} exportId - Export ID
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} Export; completed ones carry a downloadUrl
+   */
+  async getExport(exportId, authToken) {
+    const response = await authService.authorizedFetch(`${API_URL}/api/users/me/export/${exportId}`, {
+      method: 'GET',
+    }, authToken);
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to check export');
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Schedule this account for deletion. Every session is signed out and
+   * an undo link is emailed for the grace period.
+   * @param {string} userId - User ID
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Object>} { scheduledFor }
+   */
+  async deleteAccount(userId, authToken) {
+    const response = await authService.authorizedFetch(`${API_URL}/api/users/${userId}`, {
+      method: 'DELETE',
+    }, authToken);
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to delete account');
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Cancel a scheduled deletion with the token from the emailed undo link
+   * @param {string} token - Undo token
+   * @returns {Promise<Object>} Restore result
+   */
+  async restoreAccount(token) {
+    const response = await fetch(`${API_URL}/api/users/restore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token }),
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'This restore link is invalid or has expired');
+    }
+
+    return result.data;
   }
 }
 
@@ -0,0 +1,48 @@
+import Constants from 'expo-constants';
+import authService from './authService';
+
+const API_URL = Constants.expoConfig?.extra?.apiUrl || 'http://localhost:3000';
+
+class PromptService {
+  /**
+   * Send an authenticated GET to the prompts API
+   * @param {string} path - Path below /api/prompts
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<*>} Response data
+   */
+  async get(path, authToken) {
+    const response = await authService.authorizedFetch(`${API_URL}/api/prompts${path}`, {
+      method: 'GET',
+    }, authToken);
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to load prompts');
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Prompts picked for the user from their recent themes and mood
+   * @param {string} authToken - Authentication token
+   * @param {number} limit - How many to suggest
+   * @returns {Promise<Object>} { mood, suggestions } each suggestion has a reason
+   */
+  async getSuggestions(authToken, limit = 3) {
+    return this.get(`/suggestions?limit=${limit}`, authToken);
+  }
+
+  /**
+   * Browse the prompt library
+   * @param {string} namespace - Only prompts on this theme
+   * @param {string} authToken - Authentication token
+   * @returns {Promise<Array>} Prompts
+   */
+  async listPrompts(namespace, authToken) {
+    return this.get(namespace ? `?namespace=${encodeURIComponent(namespace)}` : '', authToken);
+  }
+}
+
+export default new PromptService();